@@ -0,0 +1,206 @@
+const { createAIProvider, registerProvider, getAvailableProviders } = require('../services/providers');
+const BaseAIProvider = require('../services/providers/baseProvider');
+const OpenAICompatibleProvider = require('../services/providers/openaiProvider');
+const OllamaProvider = require('../services/providers/ollamaProvider');
+const GeminiService = require('../services/geminiService');
+
+// Mock the Google Generative AI SDK
+jest.mock('@google/generative-ai', () => {
+  return {
+    GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+      getGenerativeModel: jest.fn().mockReturnValue({
+        generateContentStream: jest.fn()
+      })
+    }))
+  };
+});
+
+const validFeedback = {
+  clarity: { score: 8, suggestions: ['Tighten summary'], strengths: [], weaknesses: [] },
+  grammar: { score: 7, corrections: [], improvements: [] },
+  skills: { relevantSkills: ['Node.js'], missingSkills: [], recommendations: [] },
+  improvements: []
+};
+
+/**
+ * Build a fetch Response-like object whose body streams the given lines
+ * @param {string[]} lines - Lines to stream
+ * @param {number} status - HTTP status
+ */
+function mockStreamingResponse(lines, status = 200) {
+  const encoder = new TextEncoder();
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => lines.join('\n'),
+    body: (async function* () {
+      for (const line of lines) {
+        yield encoder.encode(`${line}\n`);
+      }
+    })()
+  };
+}
+
+describe('AI Providers', () => {
+  let originalFetch;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    originalEnv = { ...process.env };
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    process.env = originalEnv;
+  });
+
+  describe('createAIProvider', () => {
+    it('should default to the Gemini provider', () => {
+      delete process.env.AI_PROVIDER;
+      process.env.GEMINI_API_KEY = 'test-api-key';
+
+      const provider = createAIProvider();
+
+      expect(provider).toBeInstanceOf(GeminiService);
+      expect(provider).toBeInstanceOf(BaseAIProvider);
+    });
+
+    it('should select the provider from AI_PROVIDER', () => {
+      process.env.AI_PROVIDER = 'ollama';
+
+      expect(createAIProvider()).toBeInstanceOf(OllamaProvider);
+    });
+
+    it('should let options override AI_PROVIDER', () => {
+      process.env.AI_PROVIDER = 'ollama';
+
+      const provider = createAIProvider({ provider: 'openai', apiKey: 'sk-test' });
+
+      expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    });
+
+    it('should throw for unknown providers', () => {
+      expect(() => createAIProvider({ provider: 'unknown' })).toThrow('Unknown AI provider: unknown');
+    });
+
+    it('should allow registering custom providers', () => {
+      const custom = new BaseAIProvider('custom');
+      registerProvider('custom', () => custom);
+
+      expect(getAvailableProviders()).toContain('custom');
+      expect(createAIProvider({ provider: 'custom' })).toBe(custom);
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    it('should throw if OPENAI_API_KEY is not provided', () => {
+      delete process.env.OPENAI_API_KEY;
+      expect(() => new OpenAICompatibleProvider()).toThrow('OPENAI_API_KEY environment variable is required');
+    });
+
+    it('should stream chat completion deltas and parse the result', async () => {
+      const json = JSON.stringify(validFeedback);
+      const half = Math.floor(json.length / 2);
+      global.fetch.mockResolvedValue(mockStreamingResponse([
+        `data: ${JSON.stringify({ choices: [{ delta: { content: json.slice(0, half) } }] })}`,
+        `data: ${JSON.stringify({ choices: [{ delta: { content: json.slice(half) } }] })}`,
+        'data: [DONE]'
+      ]));
+
+      const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', baseUrl: 'http://llm.local/v1/', model: 'test-model' });
+      const onChunk = jest.fn();
+      const { feedback: result } = await provider.analyzeResumeStreaming('Resume text', onChunk);
+
+      expect(global.fetch).toHaveBeenCalledWith('http://llm.local/v1/chat/completions', expect.objectContaining({ method: 'POST' }));
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.model).toBe('test-model');
+      expect(body.stream).toBe(true);
+      expect(body.messages[0].content).toContain('Resume text');
+      expect(onChunk).toHaveBeenCalledTimes(2);
+      expect(result.clarity.score).toBe(8);
+    });
+
+    it('should report the token usage of the final stream chunk', async () => {
+      global.fetch.mockResolvedValue(mockStreamingResponse([
+        `data: ${JSON.stringify({ choices: [{ delta: { content: JSON.stringify(validFeedback) } }] })}`,
+        `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 900, completion_tokens: 250 } })}`,
+        'data: [DONE]'
+      ]));
+
+      const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', model: 'test-model' });
+      const onUsage = jest.fn();
+      await provider.analyzeResumeStreaming('Resume text', null, { onUsage });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+      expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: 'analysis',
+        provider: 'openai',
+        model: 'test-model',
+        promptTokens: 900,
+        completionTokens: 250,
+        totalTokens: 1150,
+        estimated: false,
+        success: true
+      }));
+    });
+
+    it('should map HTTP errors to workflow error messages', async () => {
+      global.fetch.mockResolvedValue(mockStreamingResponse(['rate limited'], 429));
+
+      const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test' });
+
+      await expect(provider.analyzeResumeStreaming('Resume text')).rejects.toThrow('Rate limit exceeded');
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    it('should stream newline-delimited JSON and parse the result', async () => {
+      const json = JSON.stringify(validFeedback);
+      global.fetch.mockResolvedValue(mockStreamingResponse([
+        JSON.stringify({ response: json.slice(0, 10), done: false }),
+        JSON.stringify({ response: json.slice(10), done: false }),
+        JSON.stringify({ response: '', done: true })
+      ]));
+
+      const provider = new OllamaProvider({ baseUrl: 'http://ollama.local:11434', model: 'llama3.1' });
+      const onChunk = jest.fn();
+      const { feedback: result } = await provider.analyzeResumeStreaming('Resume text', onChunk);
+
+      expect(global.fetch).toHaveBeenCalledWith('http://ollama.local:11434/api/generate', expect.any(Object));
+      expect(onChunk).toHaveBeenCalledTimes(2);
+      expect(result.skills.relevantSkills).toEqual(['Node.js']);
+    });
+
+    it('should report the token counts of the final message', async () => {
+      global.fetch.mockResolvedValue(mockStreamingResponse([
+        JSON.stringify({ response: JSON.stringify(validFeedback), done: false }),
+        JSON.stringify({ response: '', done: true, prompt_eval_count: 700, eval_count: 180 })
+      ]));
+
+      const onUsage = jest.fn();
+      await new OllamaProvider().analyzeResumeStreaming('Resume text', null, { onUsage });
+
+      expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'ollama',
+        model: 'llama3.1',
+        promptTokens: 700,
+        completionTokens: 180,
+        estimated: false
+      }));
+    });
+
+    it('should map missing models to a non-retryable error', async () => {
+      global.fetch.mockResolvedValue(mockStreamingResponse(['model not found'], 404));
+
+      const provider = new OllamaProvider();
+
+      await expect(provider.analyzeResumeStreaming('Resume text')).rejects.toThrow('AI model not found');
+    });
+
+    it('should not support model reinitialization', () => {
+      expect(new OllamaProvider().reinitializeModel()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// Mock the file cleanup service to prevent background processes
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const analysisCache = require('../services/analysisCache');
+const sessionManager = require('../services/sessionManager');
+const MockProvider = require('../services/providers/mockProvider');
+const { validatePDFMiddleware } = require('../middleware/fileValidation');
+const uploadRoutes = require('../routes/upload');
+
+const resumeLines = [
+  'Jane Smith',
+  'jane.smith@example.com | (555) 123-4567',
+  'EXPERIENCE',
+  'Acme Corp | Senior Engineer   Jan 2020 - Present',
+  '- Built Node.js services for 2M users',
+  'SKILLS',
+  'Node.js, PostgreSQL, React'
+];
+
+/**
+ * Poll a session until the analysis finishes
+ */
+async function waitForSession(sessionId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const session = sessionManager.getSession(sessionId);
+    if (session && ['completed', 'error'].includes(session.status)) {
+      return session;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Session ${sessionId} did not finish`);
+}
+
+describe('analysisCache', () => {
+  afterEach(() => {
+    analysisCache.clear();
+  });
+
+  describe('createKey', () => {
+    const provider = new MockProvider();
+    const textHash = analysisCache.hash('resume text');
+
+    it('should give the same key for the same inputs', () => {
+      expect(analysisCache.createKey({ textHash, provider })).toBe(analysisCache.createKey({ textHash, provider }));
+    });
+
+    it('should change the key with the job description', () => {
+      const general = analysisCache.createKey({ textHash, provider });
+      const matched = analysisCache.createKey({ textHash, jobDescription: 'Senior Node.js engineer', provider });
+      const otherJob = analysisCache.createKey({ textHash, jobDescription: 'Data analyst', provider });
+
+      expect(new Set([general, matched, otherJob]).size).toBe(3);
+    });
+
+    it('should change the key with the prompt version and model', () => {
+      const key = analysisCache.createKey({ textHash, provider });
+      const newPrompt = Object.assign(new MockProvider(), { promptVersion: provider.promptVersion + 1 });
+      const otherModel = Object.assign(new MockProvider(), { modelName: 'mock-large' });
+
+      expect(analysisCache.createKey({ textHash, provider: newPrompt })).not.toBe(key);
+      expect(analysisCache.createKey({ textHash, provider: otherModel })).not.toBe(key);
+    });
+
+    it('should key on the file hash when it is known', () => {
+      const fileHash = analysisCache.hash('file contents');
+      const key = analysisCache.createKey({ fileHash, textHash, provider });
+
+      expect(key.startsWith(`${fileHash}:`)).toBe(true);
+      expect(analysisCache.createKey({ fileHash, textHash: analysisCache.hash('OCR text'), provider })).toBe(key);
+    });
+  });
+
+  describe('get and set', () => {
+    it('should return a copy of the cached feedback', () => {
+      analysisCache.set('key', { overallScore: 80 });
+
+      const feedback = analysisCache.get('key');
+      feedback.lint = { issues: [] };
+
+      expect(analysisCache.get('key')).toEqual({ overallScore: 80 });
+      expect(analysisCache.getStats()).toMatchObject({ enabled: true, entries: 1, hits: 2 });
+    });
+
+    it('should return null on a miss', () => {
+      expect(analysisCache.get('missing')).toBeNull();
+    });
+
+    it('should neither store nor return feedback when disabled', () => {
+      analysisCache.enabled = false;
+      try {
+        analysisCache.set('key', { overallScore: 80 });
+        expect(analysisCache.get('key')).toBeNull();
+        expect(analysisCache.getStats().entries).toBe(0);
+      } finally {
+        analysisCache.enabled = true;
+      }
+    });
+  });
+
+  describe('analysis workflow', () => {
+    const app = express();
+    app.use('/api', uploadRoutes);
+
+    const uploadsDir = path.join(__dirname, '../uploads');
+    const originalEnv = { ...process.env };
+    let tempDir;
+    let pdfPath;
+    let analyzeSpy;
+
+    beforeAll(async () => {
+      process.env.AI_PROVIDER = 'mock';
+      process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+      process.env.OCR_ENABLED = 'false';
+      fs.mkdirSync(uploadsDir, { recursive: true });
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-'));
+      pdfPath = path.join(tempDir, 'resume.pdf');
+
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const stream = fs.createWriteStream(pdfPath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        resumeLines.forEach(line => doc.text(line));
+        doc.end();
+      });
+    });
+
+    beforeEach(() => {
+      analyzeSpy = jest.spyOn(MockProvider.prototype, 'analyzeResumeStreaming');
+    });
+
+    afterEach(() => {
+      analyzeSpy.mockRestore();
+    });
+
+    afterAll(() => {
+      for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS', 'OCR_ENABLED']) {
+        if (originalEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = originalEnv[key];
+        }
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      sessionManager.clearAllSessions();
+    });
+
+    /**
+     * Upload the test resume and wait for its analysis
+     */
+    const analyze = async (fields = {}) => {
+      const upload = request(app).post('/api/upload-and-process');
+      for (const [name, value] of Object.entries(fields)) {
+        upload.field(name, value);
+      }
+      const response = await upload.attach('resume', pdfPath).expect(200);
+      return { response, session: await waitForSession(response.body.sessionId) };
+    };
+
+    it('should reuse the analysis of a resume uploaded again', async () => {
+      const first = await analyze();
+      const second = await analyze();
+
+      expect(analyzeSpy).toHaveBeenCalledTimes(1);
+      expect(first.session.cached).toBe(false);
+      expect(second.session.status).toBe('completed');
+      expect(second.session.cached).toBe(true);
+      expect(second.session.feedback.overallScore).toBe(first.session.feedback.overallScore);
+      expect(second.session.feedback.lint).toBeDefined();
+      expect(second.response.body.file.hash).toBe(first.response.body.file.hash);
+      expect(second.session.fileInfo.hash).toBe(analysisCache.hash(fs.readFileSync(pdfPath)));
+    });
+
+    it('should run a new analysis when forced', async () => {
+      await analyze();
+      const forced = await analyze({ force: 'true' });
+
+      expect(analyzeSpy).toHaveBeenCalledTimes(2);
+      expect(forced.session.cached).toBe(false);
+    });
+
+    it('should run a new analysis for another job description', async () => {
+      await analyze();
+      await analyze({ jobDescription: 'Senior Node.js engineer building APIs with PostgreSQL and React' });
+
+      expect(analyzeSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not cache fallback feedback', async () => {
+      analyzeSpy.mockImplementation(async function () {
+        return { feedback: this.getFallbackFeedback(), degraded: true };
+      });
+
+      await analyze();
+      const second = await analyze();
+
+      expect(analyzeSpy).toHaveBeenCalledTimes(2);
+      expect(second.session.cached).toBe(false);
+    });
+  });
+
+  describe('validatePDFMiddleware', () => {
+    it('should record the SHA-256 hash of the uploaded file', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-'));
+      const filePath = path.join(tempDir, 'resume.pdf');
+      const contents = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n%%EOF\n');
+      fs.writeFileSync(filePath, contents);
+
+      const req = { file: { path: filePath, originalname: 'resume.pdf', mimetype: 'application/pdf', size: contents.length } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      try {
+        await validatePDFMiddleware(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.file.hash).toBe(analysisCache.hash(contents));
+        expect(req.file.hash).toMatch(/^[0-9a-f]{64}$/);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
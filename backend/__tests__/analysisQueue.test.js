@@ -0,0 +1,143 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the file cleanup service to prevent background processes
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const analysisQueue = require('../services/analysisQueue');
+const pipeline = require('../services/pipeline');
+const eventBroadcaster = require('../services/eventBroadcaster');
+const processRoutes = require('../routes/process');
+const sessionManager = require('../services/sessionManager');
+
+/**
+ * Resolve once pending promise callbacks have run
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('analysisQueue', () => {
+  let positionSpy;
+
+  beforeEach(() => {
+    Object.assign(analysisQueue, { concurrency: 1, maxPerClient: 2, maxWaiting: 50 });
+    positionSpy = jest.spyOn(eventBroadcaster, 'broadcastQueuePosition').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    expect(analysisQueue.getStats()).toEqual(expect.objectContaining({ running: 0, waiting: 0 }));
+    jest.restoreAllMocks();
+  });
+
+  it('should start jobs in arrival order once a worker is free', async () => {
+    const started = [];
+    const releaseFirst = await analysisQueue.acquire('first', 'a');
+    const waiting = ['second', 'third'].map(sessionId =>
+      analysisQueue.acquire(sessionId, sessionId).then(release => {
+        started.push(sessionId);
+        return release;
+      })
+    );
+
+    await flush();
+    expect(started).toEqual([]);
+    expect(positionSpy).toHaveBeenLastCalledWith('third', 2, 2);
+
+    releaseFirst();
+    await flush();
+    expect(started).toEqual(['second']);
+    expect(positionSpy).toHaveBeenLastCalledWith('third', 1, 1);
+
+    (await waiting[0])();
+    (await waiting[1])();
+    expect(started).toEqual(['second', 'third']);
+  });
+
+  it('should let other clients past a client at its cap', async () => {
+    Object.assign(analysisQueue, { concurrency: 3, maxPerClient: 1 });
+
+    const releaseA1 = await analysisQueue.acquire('a1', 'client-a');
+    const a2 = analysisQueue.acquire('a2', 'client-a');
+    const releaseB1 = await analysisQueue.acquire('b1', 'client-b');
+
+    expect(analysisQueue.getStats()).toEqual(expect.objectContaining({ running: 2, waiting: 1 }));
+
+    releaseA1();
+    const releaseA2 = await a2;
+    releaseA2();
+    releaseB1();
+  });
+
+  it('should remove a cancelled job from the queue', async () => {
+    const release = await analysisQueue.acquire('running', 'a');
+    const controller = new AbortController();
+    const cancelled = analysisQueue.acquire('cancelled', 'b', controller.signal);
+    const next = analysisQueue.acquire('next', 'c');
+    await flush();
+
+    controller.abort(new Error('Analysis cancelled'));
+
+    await expect(cancelled).rejects.toThrow('Analysis cancelled');
+    expect(positionSpy).toHaveBeenLastCalledWith('next', 1, 1);
+
+    release();
+    (await next)();
+  });
+
+  it('should reject jobs once the queue is full', async () => {
+    analysisQueue.maxWaiting = 1;
+    const release = await analysisQueue.acquire('running', 'a');
+    const waiting = analysisQueue.acquire('waiting', 'b');
+
+    await expect(analysisQueue.acquire('rejected', 'c')).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+
+    release();
+    (await waiting)();
+  });
+
+  it('should refuse to start processing while the queue is full', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', processRoutes);
+
+    const sessionId = sessionManager.createSession({ status: 'uploaded', fileInfo: { path: 'uploads/resume.pdf' } });
+    analysisQueue.maxWaiting = 0;
+
+    const response = await request(app).post(`/api/process/${sessionId}`).expect(503);
+
+    expect(response.body.code).toBe('QUEUE_FULL');
+    sessionManager.clearAllSessions();
+  });
+
+  it('should cap clients behind a trusted proxy by their forwarded address', async () => {
+    Object.assign(analysisQueue, { concurrency: 3, maxPerClient: 1 });
+    const app = express();
+    app.set('trust proxy', 1);
+    app.use(express.json());
+    app.use('/api', processRoutes);
+
+    const releases = [];
+    jest.spyOn(pipeline, 'run').mockImplementation((sessionId, { clientId }) =>
+      analysisQueue.acquire(sessionId, clientId).then(release => releases.push(release))
+    );
+    const startFrom = async clientIp => {
+      const sessionId = sessionManager.createSession({ status: 'uploaded', fileInfo: { path: 'uploads/resume.pdf' } });
+      await request(app).post(`/api/process/${sessionId}`).set('X-Forwarded-For', clientIp).expect(200);
+      await flush();
+    };
+
+    await startFrom('203.0.113.10');
+    await startFrom('198.51.100.20');
+    expect(analysisQueue.getStats()).toEqual(expect.objectContaining({ running: 2, waiting: 0 }));
+
+    await startFrom('203.0.113.10');
+    expect(analysisQueue.getStats()).toEqual(expect.objectContaining({ running: 2, waiting: 1 }));
+
+    releases.shift()();
+    await flush();
+    releases.forEach(release => release());
+    sessionManager.clearAllSessions();
+  });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createCanvas } = require('@napi-rs/canvas');
+const atsAnalyzer = require('../services/atsAnalyzer');
+const sectionParser = require('../services/sectionParser');
+const sessionManager = require('../services/sessionManager');
+const eventBroadcaster = require('../services/eventBroadcaster');
+const PDFExtractor = require('../services/pdfExtractor');
+
+// 1x1 PNG
+const PIXEL_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+const PIXEL_JPEG = createCanvas(8, 8).toBuffer('image/jpeg');
+
+const resumeLines = [
+  'Jane Smith',
+  'jane.smith@example.com | (555) 123-4567',
+  'EXPERIENCE',
+  'Acme Corp | Senior Engineer   Jan 2020 - Present',
+  '- Built Node.js services for 2M users',
+  'EDUCATION',
+  'B.Sc. Computer Science, State University',
+  'SKILLS',
+  'Node.js, PostgreSQL, React'
+];
+
+/**
+ * A pdf.js text item at (x, y) with a width estimated from its length
+ */
+const item = (str, x, y, fontName = 'f1', size = 11) => ({
+  str,
+  fontName,
+  transform: [size, 0, 0, size, x, y],
+  width: str.length * size * 0.5,
+  height: size
+});
+
+/**
+ * A page with one text item per line, 14pt apart from the top
+ */
+const page = (lines, overrides = {}) => ({
+  items: lines.map((text, index) => item(text, 50, 740 - index * 14)),
+  width: 612,
+  height: 792,
+  fonts: { f1: { name: 'ABCDEF+Calibri', embedded: true } },
+  imageCount: 0,
+  ...overrides
+});
+
+/**
+ * Analyze text laid out as the given pages
+ */
+const analyze = (pages, text = resumeLines.join('\n')) => atsAnalyzer.analyze({
+  text,
+  sections: sectionParser.parse(text),
+  pages
+});
+
+const checkOf = (result, id) => result.checks.find(check => check.id === id);
+
+describe('atsAnalyzer', () => {
+  afterEach(() => {
+    sessionManager.clearAllSessions();
+  });
+
+  it('should score a plain single-column resume as fully parseable', () => {
+    const result = analyze([page(resumeLines)]);
+
+    expect(result.score).toBe(100);
+    expect(result.rating).toBe('good');
+    expect(result.checks.map(check => [check.id, check.status])).toEqual([
+      ['images', 'pass'],
+      ['fonts', 'pass'],
+      ['layout', 'pass'],
+      ['headersFooters', 'pass'],
+      ['headings', 'pass'],
+      ['contact', 'pass']
+    ]);
+  });
+
+  it('should fail pages that are images with almost no text', () => {
+    const result = analyze([page(resumeLines), page(['Portfolio'], { imageCount: 2 })]);
+
+    expect(checkOf(result, 'images')).toMatchObject({
+      status: 'fail',
+      details: ['Page 2: 2 images, almost no selectable text']
+    });
+    expect(result.score).toBe(75);
+  });
+
+  it('should fail fonts whose text does not decode', () => {
+    const garbled = page(resumeLines);
+    garbled.items.push(item('\uE001\uE002\uE003\uE004', 50, 600, 'f2'));
+    garbled.fonts.f2 = { name: 'GHIJKL+FancyScript', embedded: true };
+
+    expect(checkOf(analyze([garbled]), 'fonts')).toMatchObject({
+      status: 'fail',
+      details: ['FancyScript: 100% of characters cannot be read']
+    });
+  });
+
+  it('should warn about tables', () => {
+    const table = page(resumeLines);
+    ['Language', 'Years', 'Level'].forEach((cell, column) => {
+      [0, 1, 2].forEach(row => table.items.push(item(`${cell} ${row}`, 50 + column * 150, 500 - row * 14)));
+    });
+
+    expect(checkOf(analyze([table]), 'layout')).toMatchObject({ status: 'warn', details: ['Page 1: table layout'] });
+  });
+
+  it('should fail contact details placed in a page header', () => {
+    const withHeader = page(resumeLines.slice(2));
+    withHeader.items.push(item('jane.smith@example.com | (555) 123-4567', 50, 780, 'f1', 9));
+
+    expect(checkOf(analyze([withHeader]), 'headersFooters')).toMatchObject({
+      status: 'fail',
+      details: ['Page 1: "jane.smith@example.com | (555) 123-4567"']
+    });
+  });
+
+  it('should ignore page numbers in footers', () => {
+    const withFooter = page(resumeLines, { items: [...page(resumeLines).items, item('Page 1 of 1', 280, 30)] });
+
+    expect(checkOf(analyze([withFooter]), 'headersFooters').status).toBe('pass');
+  });
+
+  it('should warn about unusual headings, missing sections and missing phone numbers', () => {
+    const text = 'Jane Smith\njane@example.com\nEXPERIENCE\nAcme Corp, 2020 - 2023\nMY JOURNEY\nStarted coding at twelve';
+
+    const result = atsAnalyzer.analyze({ text, sections: sectionParser.parse(text), pages: null });
+
+    expect(checkOf(result, 'headings')).toMatchObject({
+      status: 'warn',
+      details: [
+        'Unrecognized heading "MY JOURNEY" (line 5)',
+        'No education section heading found',
+        'No skills section heading found'
+      ]
+    });
+    expect(checkOf(result, 'contact')).toMatchObject({ status: 'warn', details: ['No phone number found'] });
+    expect(checkOf(result, 'images').status).toBe('skipped');
+    expect(result.score).toBe(80);
+  });
+
+  it('should merge the ATS report into the completed feedback', () => {
+    const sessionId = sessionManager.createSession({ status: 'extracting' });
+    const ats = analyze([page(resumeLines)]);
+
+    eventBroadcaster.broadcastExtractionCompleted(sessionId, { text: 'Jane Smith', ats });
+    eventBroadcaster.broadcastAnalysisCompleted(sessionId, { clarity: { score: 7 } });
+
+    expect(sessionManager.getSession(sessionId).feedback).toEqual({ clarity: { score: 7 }, ats });
+  });
+
+  describe('with PDF internals', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ats-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should report images and fonts collected during extraction', async () => {
+      const filePath = path.join(tempDir, 'resume.pdf');
+
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const stream = fs.createWriteStream(filePath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        doc.image(PIXEL_PNG, 500, 50, { width: 40 });
+        doc.image(PIXEL_JPEG, 500, 100, { width: 40 });
+        resumeLines.forEach(line => doc.text(line));
+        doc.end();
+      });
+
+      const result = await new PDFExtractor().extractText(filePath);
+
+      expect(result.success).toBe(true);
+      expect(checkOf(result.ats, 'images')).toMatchObject({ status: 'warn', details: ['Page 1: 2 images'] });
+      expect(checkOf(result.ats, 'fonts')).toMatchObject({ status: 'pass', message: 'All 1 font extract as readable text' });
+      expect(result.ats.score).toBe(90);
+    });
+  });
+});
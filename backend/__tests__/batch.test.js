@@ -0,0 +1,383 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const sessionManager = require('../services/sessionManager');
+const sseManager = require('../services/sseManager');
+const batchProcessor = require('../services/batchProcessor');
+const batchRoutes = require('../routes/batch');
+
+const app = express();
+app.use(express.json());
+app.use('/api', batchRoutes);
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Object} files - Entry name -> contents
+ * @returns {Buffer} - ZIP archive
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const stored = zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, stored);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build a minimal DOCX resume
+ * @param {string} name - Candidate name
+ * @returns {Buffer} - DOCX file
+ */
+function buildDocx(name) {
+  const lines = [
+    name,
+    'Experience',
+    'Built Node.js services handling 2M requests per day',
+    'Skills',
+    'Node.js, PostgreSQL, React'
+  ];
+
+  return buildZip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types/>',
+    'word/document.xml': `<w:document><w:body>${lines.map(line => `<w:p><w:r><w:t>${line}</w:t></w:r></w:p>`).join('')}</w:body></w:document>`
+  });
+}
+
+/**
+ * Poll a batch until it leaves the processing state
+ */
+async function waitForBatch(batchId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const session = sessionManager.getSession(batchId);
+    if (session && session.status !== 'processing') {
+      return session;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Batch ${batchId} did not finish`);
+}
+
+describe('Batch analysis', () => {
+  const uploadsDir = path.join(__dirname, '../uploads');
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    process.env.AI_PROVIDER = 'mock';
+    process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS']) {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    }
+    fs.rmSync(batchProcessor.batchesDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    sessionManager.clearAllSessions();
+  });
+
+  describe('batchProcessor.prepareFiles', () => {
+    it('should expand ZIP archives and skip unsupported entries', async () => {
+      const zipPath = path.join(uploadsDir, 'batch-test.zip');
+      fs.writeFileSync(zipPath, buildZip({
+        'candidates/alice.docx': buildDocx('Alice Jones'),
+        'candidates/bob.docx': buildDocx('Bob Brown'),
+        'candidates/notes.txt': 'not a resume',
+        'candidates/broken.pdf': 'not really a pdf',
+        '__MACOSX/candidates/._alice.docx': 'resource fork'
+      }));
+
+      const { files, skipped } = await batchProcessor.prepareFiles('prepare-test', [
+        { originalname: 'candidates.zip', path: zipPath, size: fs.statSync(zipPath).size }
+      ]);
+
+      expect(files.map(file => file.originalName)).toEqual([
+        'candidates.zip/candidates/alice.docx',
+        'candidates.zip/candidates/bob.docx'
+      ]);
+      expect(files.every(file => fs.existsSync(file.path))).toBe(true);
+      expect(skipped).toEqual([
+        { originalName: 'candidates.zip/candidates/notes.txt', reason: 'Only PDF and DOCX files are allowed' },
+        { originalName: 'candidates.zip/candidates/broken.pdf', reason: 'Invalid or corrupted PDF file' }
+      ]);
+      expect(fs.existsSync(zipPath)).toBe(false);
+
+      fs.rmSync(batchProcessor.getBatchDir('prepare-test'), { recursive: true, force: true });
+    });
+
+    it('should stop extracting once the batch limit or the archive size budget is reached', async () => {
+      const originalMaxFiles = batchProcessor.maxFiles;
+      const originalMaxArchiveSize = batchProcessor.maxArchiveSize;
+      const docx = buildDocx('Alice Jones');
+      const zipPath = path.join(uploadsDir, 'batch-limit-test.zip');
+      const extract = async (entries) => {
+        fs.writeFileSync(zipPath, buildZip(entries));
+        return batchProcessor.prepareFiles('limit-test', [
+          { originalname: 'many.zip', path: zipPath, size: fs.statSync(zipPath).size }
+        ]);
+      };
+
+      try {
+        batchProcessor.maxFiles = 2;
+        const limited = await extract({ 'a.docx': docx, 'b.docx': docx, 'c.docx': docx, 'd.docx': docx });
+
+        expect(limited.files).toHaveLength(2);
+        expect(limited.skipped).toEqual([
+          { originalName: 'many.zip', reason: 'Batch limit of 2 files reached; remaining archive entries were not extracted' }
+        ]);
+        expect(fs.readdirSync(batchProcessor.getBatchDir('limit-test'))).toHaveLength(2);
+        fs.rmSync(batchProcessor.getBatchDir('limit-test'), { recursive: true, force: true });
+
+        batchProcessor.maxFiles = originalMaxFiles;
+        batchProcessor.maxArchiveSize = docx.length * 2;
+        const budgeted = await extract({ 'a.docx': docx, 'b.docx': docx, 'c.docx': docx });
+
+        expect(budgeted.files.map(file => file.originalName)).toEqual(['many.zip/a.docx', 'many.zip/b.docx']);
+        expect(budgeted.skipped).toEqual([
+          { originalName: 'many.zip/c.docx', reason: 'Archive exceeds the total uncompressed size limit' }
+        ]);
+      } finally {
+        batchProcessor.maxFiles = originalMaxFiles;
+        batchProcessor.maxArchiveSize = originalMaxArchiveSize;
+        fs.rmSync(batchProcessor.getBatchDir('limit-test'), { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('batchProcessor.removeStaleBatches', () => {
+    it('should remove batch files left by a previous process', () => {
+      fs.mkdirSync(batchProcessor.getBatchDir('stale-batch'), { recursive: true });
+
+      batchProcessor.removeStaleBatches();
+
+      expect(fs.existsSync(batchProcessor.batchesDir)).toBe(false);
+    });
+  });
+
+  describe('batchProcessor.runBatch', () => {
+    it('should respect the concurrency limit and summarize the results', async () => {
+      const files = ['a.pdf', 'b.pdf', 'c.pdf', 'd.pdf', 'e.pdf'].map(name => ({
+        originalName: name,
+        path: path.join(uploadsDir, name),
+        size: 100,
+        mimetype: 'application/pdf'
+      }));
+      const items = batchProcessor.createBatch('run-test', files);
+      const events = [];
+      const listener = (sessionId, eventType, data) => {
+        if (sessionId === 'run-test') {
+          events.push({ eventType, data });
+        }
+      };
+      sseManager.on('event', listener);
+
+      let active = 0;
+      let maxActive = 0;
+      const processFile = async (sessionId, file) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+
+        if (file.originalname === 'c.pdf') {
+          sessionManager.updateSession(sessionId, { status: 'error', lastError: 'Extraction failed' });
+        } else {
+          sessionManager.updateSession(sessionId, {
+            status: 'completed',
+            feedback: {
+              clarity: { score: 8 },
+              grammar: { score: 6 },
+              skills: { missingSkills: file.originalname === 'a.pdf' ? ['Docker', 'AWS'] : ['Docker'] }
+            }
+          });
+        }
+      };
+
+      const summary = await batchProcessor.runBatch('run-test', items, processFile);
+      sseManager.off('event', listener);
+
+      expect(maxActive).toBe(batchProcessor.concurrency);
+      expect(events.filter(event => event.eventType === 'batch.progress').map(event => event.data.progress.percent))
+        .toEqual([20, 40, 60, 80, 100]);
+      expect(events[events.length - 1].eventType).toBe('batch.completed');
+
+      expect(summary).toMatchObject({
+        total: 5,
+        completed: 4,
+        failed: 1,
+        averageScores: { clarity: 8, grammar: 6, jobMatch: null },
+        commonMissingSkills: [{ skill: 'Docker', count: 4 }, { skill: 'AWS', count: 1 }]
+      });
+      expect(summary.results.find(result => result.fileName === 'c.pdf')).toMatchObject({
+        status: 'failed',
+        error: 'Extraction failed'
+      });
+      expect(sessionManager.getSession('run-test').status).toBe('completed');
+    });
+  });
+
+  describe('POST /api/batch/upload-and-process', () => {
+    it('should analyze every resume in the upload', async () => {
+      const response = await request(app)
+        .post('/api/batch/upload-and-process')
+        .attach('resumes', buildZip({
+          'alice.docx': buildDocx('Alice Jones'),
+          'readme.txt': 'not a resume'
+        }), { filename: 'candidates.zip', contentType: 'application/zip' })
+        .attach('resumes', buildDocx('Bob Brown'), { filename: 'bob.docx', contentType: 'application/octet-stream' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        status: 'processing',
+        analysisMode: 'general',
+        total: 2,
+        skipped: [{ originalName: 'candidates.zip/readme.txt', reason: 'Only PDF and DOCX files are allowed' }]
+      });
+      expect(response.body.sessionId).toBe(response.body.batchId);
+
+      const batch = await waitForBatch(response.body.batchId);
+      expect(batch.status).toBe('completed');
+      expect(batch.summary).toMatchObject({ total: 2, completed: 2, failed: 0 });
+
+      const status = await request(app).get(`/api/batch/${response.body.batchId}`).expect(200);
+      expect(status.body.progress).toMatchObject({ total: 2, completed: 2, remaining: 0, percent: 100 });
+      expect(status.body.items.map(item => [item.fileName, item.status])).toEqual([
+        ['candidates.zip/alice.docx', 'completed'],
+        ['bob.docx', 'completed']
+      ]);
+      expect(fs.existsSync(batchProcessor.getBatchDir(response.body.batchId))).toBe(false);
+    });
+
+    it('should reject uploads without valid resumes', async () => {
+      const response = await request(app)
+        .post('/api/batch/upload-and-process')
+        .attach('resumes', buildZip({ 'notes.txt': 'hello' }), { filename: 'notes.zip', contentType: 'application/zip' })
+        .expect(400);
+
+      expect(response.body.code).toBe('NO_VALID_FILES');
+      expect(response.body.skipped).toHaveLength(1);
+      // The batch directory created for the upload is removed with it
+      expect(fs.existsSync(batchProcessor.batchesDir) ? fs.readdirSync(batchProcessor.batchesDir) : []).toEqual([]);
+    });
+
+    it('should require at least one file', async () => {
+      const response = await request(app).post('/api/batch/upload-and-process').expect(400);
+
+      expect(response.body).toEqual({ error: 'No files uploaded', code: 'NO_FILE' });
+    });
+  });
+
+  describe('GET /api/batch/:batchId', () => {
+    it('should return 404 for unknown batches and single-resume sessions', async () => {
+      const sessionId = sessionManager.createSession({ status: 'completed' });
+
+      await request(app).get('/api/batch/missing').expect(404);
+      const response = await request(app).get(`/api/batch/${sessionId}`).expect(404);
+
+      expect(response.body).toEqual({ error: 'Batch not found', code: 'BATCH_NOT_FOUND' });
+    });
+  });
+
+  describe('GET /api/batch/:batchId/ranking', () => {
+    const jobDescription = `Backend Engineer
+
+Requirements
+- Experience building Node.js services
+- Kubernetes in production`;
+
+    it('should rank candidates and export the ranking as CSV', async () => {
+      const upload = await request(app)
+        .post('/api/batch/upload-and-process')
+        .field('jobDescription', jobDescription)
+        .attach('resumes', buildDocx('Alice Jones'), { filename: 'alice.docx', contentType: 'application/octet-stream' })
+        .attach('resumes', buildDocx('Bob Brown Kubernetes in production'), { filename: 'bob.docx', contentType: 'application/octet-stream' })
+        .expect(200);
+      const { batchId } = upload.body;
+
+      const batch = await waitForBatch(batchId);
+      expect(batch.summary.shortlist.map(candidate => candidate.fileName)).toEqual(['bob.docx', 'alice.docx']);
+
+      const ranking = await request(app).get(`/api/batch/${batchId}/ranking?limit=1`).expect(200);
+      expect(ranking.body.total).toBe(2);
+      expect(ranking.body.candidates).toHaveLength(1);
+      expect(ranking.body.candidates[0]).toMatchObject({ rank: 1, fileName: 'bob.docx', mustHavesMet: 2, mustHavesTotal: 2 });
+      expect(ranking.body.candidates[0].evidence[1].quotes[0]).toEqual({ line: 1, text: 'Bob Brown Kubernetes in production' });
+
+      const csv = await request(app).get(`/api/batch/${batchId}/ranking.csv`).expect(200);
+      expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(csv.headers['content-disposition']).toBe(`attachment; filename="candidate-ranking-${batchId}.csv"`);
+      expect(csv.text.trim().split('\n')).toHaveLength(3);
+    });
+
+    it('should require a batch uploaded with a job description', async () => {
+      batchProcessor.createBatch('general-batch', []);
+      sessionManager.updateSession('general-batch', { status: 'completed' });
+
+      const response = await request(app).get('/api/batch/general-batch/ranking.csv').expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Ranking requires a batch uploaded with a job description',
+        code: 'JOB_DESCRIPTION_REQUIRED'
+      });
+    });
+
+    it('should return 409 while the batch is processing', async () => {
+      batchProcessor.createBatch('running-batch', [], { jobDescription });
+
+      const response = await request(app).get('/api/batch/running-batch/ranking').expect(409);
+
+      expect(response.body.code).toBe('RANKING_NOT_READY');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// Mock the file cleanup service to prevent background processes
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const jobRegistry = require('../services/jobRegistry');
+const sessionManager = require('../services/sessionManager');
+const eventBroadcaster = require('../services/eventBroadcaster');
+const analysisCache = require('../services/analysisCache');
+const MockProvider = require('../services/providers/mockProvider');
+const uploadRoutes = require('../routes/upload');
+const processRoutes = require('../routes/process');
+
+/**
+ * Poll a session until it reaches one of the given statuses
+ */
+async function waitForStatus(sessionId, statuses) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const session = sessionManager.getSession(sessionId);
+    if (session && statuses.includes(session.status)) {
+      return session;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Session ${sessionId} did not reach ${statuses.join(' or ')}`);
+}
+
+describe('jobRegistry', () => {
+  it('should abort the signal of a cancelled job', () => {
+    const signal = jobRegistry.start('job-1');
+
+    expect(jobRegistry.isRunning('job-1')).toBe(true);
+    expect(jobRegistry.cancel('job-1')).toBe(true);
+    expect(signal.aborted).toBe(true);
+    expect(jobRegistry.isRunning('job-1')).toBe(false);
+    expect(jobRegistry.cancel('job-1')).toBe(false);
+  });
+
+  it('should abort a running job when a new one starts for the same session', () => {
+    const first = jobRegistry.start('job-2');
+    const second = jobRegistry.start('job-2');
+
+    expect(first.aborted).toBe(true);
+    expect(second.aborted).toBe(false);
+
+    // The first job finishing must not unregister the second
+    jobRegistry.finish('job-2', first);
+    expect(jobRegistry.isRunning('job-2')).toBe(true);
+
+    jobRegistry.finish('job-2', second);
+    expect(jobRegistry.isRunning('job-2')).toBe(false);
+  });
+
+  it('should stop a mock analysis stream when its signal aborts', async () => {
+    const provider = new MockProvider({ scenario: 'slow_stream' });
+    const controller = new AbortController();
+    const onChunk = jest.fn();
+
+    const analysis = provider.analyzeResumeStreaming('Jane Smith', onChunk, { signal: controller.signal });
+    controller.abort();
+
+    await expect(analysis).rejects.toThrow();
+    expect(onChunk).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/process/:sessionId/cancel', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', uploadRoutes);
+  app.use('/api', processRoutes);
+
+  const uploadsDir = path.join(__dirname, '../uploads');
+  const originalEnv = { ...process.env };
+  let tempDir;
+  let pdfPath;
+
+  beforeAll(async () => {
+    process.env.AI_PROVIDER = 'mock';
+    process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+    process.env.OCR_ENABLED = 'false';
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cancellation-'));
+    pdfPath = path.join(tempDir, 'resume.pdf');
+
+    await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+      const stream = fs.createWriteStream(pdfPath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+      ['Jane Smith', 'jane.smith@example.com', 'EXPERIENCE', '- Built Node.js services for 2M users', 'SKILLS', 'Node.js, React']
+        .forEach(line => doc.text(line));
+      doc.end();
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.MOCK_AI_SCENARIO;
+    analysisCache.clear();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS', 'OCR_ENABLED']) {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    sessionManager.clearAllSessions();
+  });
+
+  it('should return 404 for an unknown session', async () => {
+    const response = await request(app).post('/api/process/missing-session/cancel').expect(404);
+
+    expect(response.body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  it('should return 409 when nothing is running for the session', async () => {
+    const sessionId = sessionManager.createSession({ status: 'completed' });
+
+    const response = await request(app).post(`/api/process/${sessionId}/cancel`).expect(409);
+
+    expect(response.body.code).toBe('NOT_PROCESSING');
+  });
+
+  it('should abort a streaming analysis and mark the session cancelled', async () => {
+    process.env.MOCK_AI_SCENARIO = 'slow_stream';
+    const cancelledSpy = jest.spyOn(eventBroadcaster, 'broadcastAnalysisCancelled');
+    const completedSpy = jest.spyOn(eventBroadcaster, 'broadcastAnalysisCompleted');
+    const errorSpy = jest.spyOn(eventBroadcaster, 'broadcastError');
+
+    const upload = await request(app).post('/api/upload-and-process').attach('resume', pdfPath).expect(200);
+    const { sessionId } = upload.body;
+    await waitForStatus(sessionId, ['analyzing']);
+
+    const response = await request(app).post(`/api/process/${sessionId}/cancel`).expect(200);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(response.body).toEqual(expect.objectContaining({ success: true, sessionId, status: 'cancelled' }));
+    expect(cancelledSpy).toHaveBeenCalledWith(sessionId);
+    expect(sessionManager.getSession(sessionId).status).toBe('cancelled');
+    expect(completedSpy).not.toHaveBeenCalled();
+    expect(errorSpy).not.toHaveBeenCalled();
+    expect(jobRegistry.isRunning(sessionId)).toBe(false);
+  });
+
+  it('should not retry an analysis cancelled during its backoff', async () => {
+    process.env.MOCK_AI_SCENARIO = 'server_error';
+    const retrySpy = jest.spyOn(eventBroadcaster, 'broadcastRetryStarted');
+    const errorSpy = jest.spyOn(eventBroadcaster, 'broadcastError');
+
+    const upload = await request(app).post('/api/upload-and-process').attach('resume', pdfPath).expect(200);
+    const { sessionId } = upload.body;
+    await waitForStatus(sessionId, ['retrying']);
+
+    await request(app).post(`/api/process/${sessionId}/cancel`).expect(200);
+    // Longer than the first one second backoff
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    expect(retrySpy).toHaveBeenCalledTimes(1);
+    expect(errorSpy).not.toHaveBeenCalled();
+    expect(sessionManager.getSession(sessionId).status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,80 @@
+const candidateRanker = require('../services/candidateRanker');
+
+const jobDescription = `Senior Backend Engineer
+
+Requirements
+- Experience building Node.js services
+- Strong PostgreSQL and query tuning
+- Kubernetes in production
+
+Nice to have
+- GraphQL APIs`;
+
+const strongResume = `Alice Jones
+EXPERIENCE
+- Built Node.js services handling 2M requests per day
+- Tuned PostgreSQL query plans, cutting latency by 30%
+- Ran services on Kubernetes in production
+SKILLS
+Node.js, PostgreSQL, Kubernetes, GraphQL`;
+
+const partialResume = `Bob Brown
+EXPERIENCE
+- Maintained Node.js services for an online store
+SKILLS
+Node.js, MySQL`;
+
+describe('candidateRanker', () => {
+  const candidates = [
+    { sessionId: 'bob', fileName: 'bob.pdf', text: partialResume, aiMatchScore: 55 },
+    { sessionId: 'alice', fileName: 'alice.pdf', text: strongResume, aiMatchScore: 90 },
+    { sessionId: 'carol', fileName: 'carol.pdf', text: null, error: 'Invalid or corrupted PDF file' }
+  ];
+
+  it('should sort candidates by score and list unranked ones separately', () => {
+    const ranking = candidateRanker.rank(jobDescription, candidates);
+
+    expect(ranking.candidates.map(candidate => [candidate.rank, candidate.sessionId])).toEqual([
+      [1, 'alice'],
+      [2, 'bob']
+    ]);
+    expect(ranking.candidates[0].score).toBeGreaterThan(ranking.candidates[1].score);
+    expect(ranking.candidates[0]).toMatchObject({ mustHavesMet: 3, mustHavesTotal: 3, aiMatchScore: 90 });
+    expect(ranking.unranked).toEqual([
+      { sessionId: 'carol', fileName: 'carol.pdf', reason: 'Invalid or corrupted PDF file' }
+    ]);
+  });
+
+  it('should quote resume lines as evidence for each requirement', () => {
+    const ranking = candidateRanker.rank(jobDescription, candidates);
+    const bob = ranking.candidates.find(candidate => candidate.sessionId === 'bob');
+
+    expect(bob.evidence.map(item => [item.type, item.status])).toEqual([
+      ['must-have', 'met'],
+      ['must-have', 'missing'],
+      ['must-have', 'missing'],
+      ['nice-to-have', 'missing']
+    ]);
+    expect(bob.evidence[0].quotes[0]).toEqual({ line: 3, text: '- Maintained Node.js services for an online store' });
+    expect(bob.evidence[1]).toMatchObject({ quotes: [], missingKeywords: ['postgresql', 'query', 'tuning'] });
+  });
+
+  it('should fall back to keywords when the job description has no bullet points', () => {
+    const requirements = candidateRanker.getRequirements('We need an engineer who knows Terraform and Terraform modules on AWS infrastructure.');
+
+    expect(requirements[0]).toEqual({ requirement: 'terraform', type: 'must-have' });
+    expect(requirements.every(requirement => requirement.type === 'must-have')).toBe(true);
+  });
+
+  it('should export one CSV row per candidate with a column per requirement', () => {
+    const csv = candidateRanker.toCSV(candidateRanker.rank(jobDescription, candidates));
+    const [header, alice, bob, carol] = csv.trim().split('\n');
+
+    expect(header).toBe('Rank,File,Score,Requirement Score,Keyword Coverage %,AI Match Score,Must-Haves Met,Missing Keywords,Note,' +
+      'Must: Experience building Node.js services,Must: Strong PostgreSQL and query tuning,Must: Kubernetes in production,Nice: GraphQL APIs');
+    expect(alice).toMatch(/^1,alice\.pdf,\d+,\d+,\d+,90,3\/3,/);
+    expect(bob).toContain('"met - L3: ""- Maintained Node.js services for an online store"" | L5: ""Node.js, MySQL"""');
+    expect(bob.endsWith(',missing')).toBe(true);
+    expect(carol).toBe(',carol.pdf,,,,,,,Not ranked: Invalid or corrupted PDF file,,,,');
+  });
+});
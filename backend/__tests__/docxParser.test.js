@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ZipReader = require('../services/zipReader');
+const docxParser = require('../services/docxParser');
+const PDFExtractor = require('../services/pdfExtractor');
+const { validateDOCXFile, validatePDFMiddleware } = require('../middleware/fileValidation');
+
+const testDir = path.join(__dirname, 'test-files-docx');
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Object} files - Entry name -> contents
+ * @param {boolean} deflate - Compress entries instead of storing them
+ * @returns {Buffer} - ZIP archive
+ */
+function buildZip(files, deflate = true) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const stored = deflate ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, stored);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+const paragraph = (text, pPr = '') =>
+  `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>
+${paragraph('Jane Smith', '<w:pStyle w:val="Title"/>')}
+${paragraph('Experience', '<w:pStyle w:val="Heading1"/>')}
+${paragraph('Senior Engineer &amp; Team Lead, Acme Corp')}
+${paragraph('Built Node.js services handling 2M requests per day', '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>')}
+${paragraph('Cut PostgreSQL query latency by 30%', '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>')}
+<w:p/>
+${paragraph('Skills', '<w:pStyle w:val="Heading1"/>')}
+<w:tbl><w:tr><w:tc>${paragraph('Languages')}</w:tc><w:tc>${paragraph('JavaScript, Python')}</w:tc></w:tr></w:tbl>
+<w:p><w:r><w:t>Docker</w:t><w:tab/><w:t>Kubernetes</w:t></w:r></w:p>
+<w:sectPr/></w:body></w:document>`;
+
+const docxFiles = {
+  '[Content_Types].xml': '<?xml version="1.0"?><Types/>',
+  'word/document.xml': documentXml,
+  'word/header1.xml': `<w:hdr>${paragraph('jane.smith@example.com | (555) 123-4567')}</w:hdr>`,
+  'docProps/app.xml': '<Properties><Pages>2</Pages></Properties>',
+  'docProps/core.xml': '<cp:coreProperties><dc:title>Resume</dc:title><dc:creator>Jane Smith</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">2024-01-15T10:00:00Z</dcterms:created></cp:coreProperties>'
+};
+
+describe('ZipReader', () => {
+  it('should read stored and deflated entries', () => {
+    for (const deflate of [true, false]) {
+      const zip = new ZipReader(buildZip({ 'a.txt': 'hello', 'dir/b.txt': 'world' }, deflate));
+
+      expect(zip.getEntryNames()).toEqual(['a.txt', 'dir/b.txt']);
+      expect(zip.readEntryText('dir/b.txt')).toBe('world');
+      expect(zip.readEntry('missing.txt')).toBeNull();
+    }
+  });
+
+  it('should reject buffers that are not ZIP archives', () => {
+    expect(ZipReader.isZip(Buffer.from('%PDF-1.4'))).toBe(false);
+    expect(() => new ZipReader(Buffer.from('PK\x03\x04 truncated archive data'))).toThrow('Invalid ZIP archive');
+  });
+
+  it('should refuse entries larger than the configured limit', () => {
+    const zip = new ZipReader(buildZip({ 'big.txt': 'x'.repeat(2048) }), { maxEntrySize: 1024 });
+
+    expect(() => zip.readEntry('big.txt')).toThrow('too large');
+  });
+});
+
+describe('DocxParser', () => {
+  it('should keep headings, list items and table rows on separate lines', () => {
+    const result = docxParser.parse(buildZip(docxFiles));
+
+    expect(result.text).toBe([
+      'jane.smith@example.com | (555) 123-4567',
+      '',
+      'Jane Smith',
+      '',
+      'Experience',
+      'Senior Engineer & Team Lead, Acme Corp',
+      '• Built Node.js services handling 2M requests per day',
+      '• Cut PostgreSQL query latency by 30%',
+      '',
+      'Skills',
+      'Languages | JavaScript, Python',
+      'Docker\tKubernetes'
+    ].join('\n'));
+  });
+
+  it('should read page count and document properties', () => {
+    const result = docxParser.parse(buildZip(docxFiles));
+
+    expect(result.pages).toBe(2);
+    expect(result.info).toEqual({
+      Title: 'Resume',
+      Author: 'Jane Smith',
+      CreationDate: '2024-01-15T10:00:00Z'
+    });
+  });
+
+  it('should estimate pages when docProps/app.xml is missing', () => {
+    const { 'docProps/app.xml': _app, ...files } = docxFiles;
+
+    expect(docxParser.parse(buildZip(files)).pages).toBe(1);
+  });
+
+  it('should reject ZIP archives without word/document.xml', () => {
+    const archive = buildZip({ 'readme.txt': 'not a document' });
+
+    expect(docxParser.isDocx(archive)).toBe(false);
+    expect(() => docxParser.parse(archive)).toThrow('Invalid DOCX file');
+  });
+});
+
+describe('DOCX upload path', () => {
+  beforeAll(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should extract DOCX files with the same result shape as PDFs', async () => {
+    const filePath = path.join(testDir, 'resume.docx');
+    fs.writeFileSync(filePath, buildZip(docxFiles));
+
+    const result = await new PDFExtractor().extractText(filePath);
+
+    expect(result.success).toBe(true);
+    expect(result.text).toContain('• Built Node.js services handling 2M requests per day');
+    expect(result.metadata).toEqual({
+      pages: 2,
+      info: expect.objectContaining({ Author: 'Jane Smith' }),
+      textLength: result.text.length,
+      wordCount: expect.any(Number),
+      textHash: expect.any(String),
+      extractionMethod: 'text',
+      ocrConfidence: null,
+      extractionMode: 'docx',
+      layout: null,
+      extractedAt: expect.any(String)
+    });
+  });
+
+  it('should report corrupted DOCX files as INVALID_DOCX', async () => {
+    const filePath = path.join(testDir, 'broken.docx');
+    fs.writeFileSync(filePath, buildZip({ 'readme.txt': 'not a document' }));
+
+    const result = await new PDFExtractor().extractText(filePath);
+
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('INVALID_DOCX');
+  });
+
+  it('should validate the OOXML signature', async () => {
+    const validPath = path.join(testDir, 'valid.docx');
+    const renamedPath = path.join(testDir, 'renamed.docx');
+    fs.writeFileSync(validPath, buildZip(docxFiles));
+    fs.writeFileSync(renamedPath, '%PDF-1.4\nnot a word document');
+
+    await expect(validateDOCXFile({ path: validPath })).resolves.toBe(true);
+    await expect(validateDOCXFile({ path: renamedPath })).resolves.toBe(false);
+  });
+
+  it('should accept DOCX files in the validation middleware', async () => {
+    const filePath = path.join(testDir, 'middleware.docx');
+    fs.writeFileSync(filePath, buildZip(docxFiles));
+    const req = { file: { originalname: 'resume.docx', path: filePath } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await validatePDFMiddleware(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.file.validatedAt).toBeDefined();
+  });
+
+  it('should reject invalid DOCX files in the validation middleware', async () => {
+    const filePath = path.join(testDir, 'invalid.docx');
+    fs.writeFileSync(filePath, 'plain text renamed to .docx');
+    const req = { file: { originalname: 'invalid.docx', path: filePath } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await validatePDFMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Invalid or corrupted DOCX file',
+      code: 'INVALID_DOCX'
+    });
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
@@ -0,0 +1,233 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const PDFExtractor = require('../services/pdfExtractor');
+const sessionManager = require('../services/sessionManager');
+const eventBroadcaster = require('../services/eventBroadcaster');
+const { validatePDFFile } = require('../middleware/fileValidation');
+const processRoutes = require('../routes/process');
+
+const resumeLines = [
+  'Jane Smith',
+  'jane.smith@example.com | (555) 123-4567',
+  'EXPERIENCE',
+  'Acme Corp | Senior Engineer   Jan 2020 - Present',
+  '- Built Node.js services for 2M users',
+  'SKILLS',
+  'Node.js, PostgreSQL, React'
+];
+
+/**
+ * Write a resume PDF with the given pdfkit encryption options
+ */
+const writePdf = (filePath, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, ...options });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+  resumeLines.forEach(line => doc.text(line));
+  doc.end();
+});
+
+/**
+ * Poll a session until it leaves the given status
+ */
+async function waitForStatus(sessionId, statuses) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const session = sessionManager.getSession(sessionId);
+    if (session && statuses.includes(session.status)) {
+      return session;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Session ${sessionId} did not reach ${statuses.join(' or ')}`);
+}
+
+describe('Password-protected PDFs', () => {
+  let tempDir;
+  let lockedPath;
+  let ownerOnlyPath;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    process.env.AI_PROVIDER = 'mock';
+    process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+    process.env.OCR_ENABLED = 'false';
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypted-'));
+    lockedPath = path.join(tempDir, 'locked.pdf');
+    ownerOnlyPath = path.join(tempDir, 'owner-only.pdf');
+    await writePdf(lockedPath, { userPassword: 'secret', ownerPassword: 'owner' });
+    await writePdf(ownerOnlyPath, { ownerPassword: 'owner', permissions: { printing: 'lowResolution' } });
+  });
+
+  afterAll(() => {
+    for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS', 'OCR_ENABLED']) {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    sessionManager.clearAllSessions();
+  });
+
+  describe('PDFExtractor', () => {
+    it('should report PDF_ENCRYPTED when no password is given', async () => {
+      const result = await new PDFExtractor().extractText(lockedPath);
+
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('PDF_ENCRYPTED');
+    });
+
+    it('should report PDF_PASSWORD_INCORRECT for a wrong password', async () => {
+      const result = await new PDFExtractor().extractText(lockedPath, { password: 'guess' });
+
+      expect(result.error.type).toBe('PDF_PASSWORD_INCORRECT');
+    });
+
+    it('should extract the text with the right password', async () => {
+      const result = await new PDFExtractor().extractText(lockedPath, { password: 'secret' });
+
+      expect(result.success).toBe(true);
+      expect(result.text).toContain('Acme Corp | Senior Engineer');
+    });
+
+    it('should extract PDFs that only have an owner password', async () => {
+      const result = await new PDFExtractor().extractText(ownerOnlyPath);
+
+      expect(result.success).toBe(true);
+    });
+
+  });
+
+  describe('validatePDFFile', () => {
+    /**
+     * Validate a file and return the encryption flag it sets
+     */
+    const validateEncryption = async (filePath) => {
+      const file = { path: filePath };
+      expect(await validatePDFFile(file)).toBe(true);
+      return file.encrypted;
+    };
+
+    it('should flag encrypted PDFs from their trailer', async () => {
+      expect(await validateEncryption(lockedPath)).toBe(true);
+      expect(await validateEncryption(ownerOnlyPath)).toBe(true);
+    });
+
+    it('should not flag PDFs that only mention /Encrypt outside the trailer', async () => {
+      const plainPath = path.join(tempDir, 'plain.pdf');
+      await writePdf(plainPath, { info: { Subject: 'Notes on /Encrypt dictionaries' } });
+
+      expect(await validateEncryption(plainPath)).toBe(false);
+    });
+
+    it('should read the trailer of cross-reference streams', async () => {
+      const xrefStreamPath = path.join(tempDir, 'xref-stream.pdf');
+      fs.writeFileSync(xrefStreamPath, [
+        '%PDF-1.5',
+        '1 0 obj',
+        '<< /Type /XRef /Size 2 /W [1 1 1] /Root 2 0 R /Encrypt 3 0 R /Length 0 >>',
+        'stream',
+        'endstream',
+        'endobj',
+        'startxref',
+        '9',
+        '%%EOF'
+      ].join('\n'));
+
+      expect(await validateEncryption(xrefStreamPath)).toBe(true);
+    });
+  });
+
+  describe('POST /api/process/:sessionId/password', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', processRoutes);
+
+    /**
+     * Create a session whose extraction failed for lack of a password
+     */
+    const createLockedSession = () => {
+      const sessionId = sessionManager.createSession({
+        status: 'extracting',
+        fileInfo: { originalName: 'locked.pdf', path: lockedPath }
+      });
+      eventBroadcaster.broadcastError(sessionId, 'This PDF is password-protected.', {
+        code: 'PDF_ENCRYPTED',
+        stage: 'extraction',
+        retryable: false
+      });
+      return sessionId;
+    };
+
+    it('should restart extraction with the password and complete the analysis', async () => {
+      const sessionId = createLockedSession();
+
+      const response = await request(app)
+        .post(`/api/process/${sessionId}/password`)
+        .send({ password: 'secret' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, status: 'processing' });
+
+      const session = await waitForStatus(sessionId, ['completed', 'error']);
+      expect(session.status).toBe('completed');
+      expect(session.extractedText).toContain('Acme Corp');
+      expect(JSON.stringify(session)).not.toContain('secret');
+    });
+
+    it('should ask again after a wrong password', async () => {
+      const sessionId = createLockedSession();
+
+      await request(app).post(`/api/process/${sessionId}/password`).send({ password: 'guess' }).expect(200);
+
+      const session = await waitForStatus(sessionId, ['error']);
+      expect(session.errorCode).toBe('PDF_PASSWORD_INCORRECT');
+
+      await request(app).post(`/api/process/${sessionId}/password`).send({ password: 'secret' }).expect(200);
+      expect((await waitForStatus(sessionId, ['completed', 'error'])).status).toBe('completed');
+    });
+
+    it('should require a password', async () => {
+      const response = await request(app).post(`/api/process/${createLockedSession()}/password`).send({}).expect(400);
+
+      expect(response.body.code).toBe('PASSWORD_REQUIRED');
+    });
+
+    it('should reject sessions that are not waiting for a password', async () => {
+      const sessionId = sessionManager.createSession({ status: 'completed', fileInfo: { path: lockedPath } });
+
+      const response = await request(app).post(`/api/process/${sessionId}/password`).send({ password: 'secret' }).expect(409);
+
+      expect(response.body.code).toBe('PASSWORD_NOT_EXPECTED');
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      const response = await request(app).post('/api/process/unknown/password').send({ password: 'secret' }).expect(404);
+
+      expect(response.body.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    it('should accept the password when retrying', async () => {
+      const sessionId = createLockedSession();
+
+      await request(app).post(`/api/process/${sessionId}/retry`).send({ password: 'secret' }).expect(200);
+
+      const session = await waitForStatus(sessionId, ['completed', 'error']);
+      expect(session.status).toBe('completed');
+      expect(JSON.stringify(session)).not.toContain('secret');
+    });
+  });
+});
@@ -109,7 +109,7 @@ describe('File Validation', () => {
 
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({
-        error: 'Only PDF files are allowed',
+        error: 'Only PDF and DOCX files are allowed',
         code: 'INVALID_FILE_TYPE'
       });
       expect(next).not.toHaveBeenCalled();
@@ -47,7 +47,7 @@ describe('GeminiService Integration Tests', () => {
         chunks.push(chunk);
       };
 
-      const result = await geminiService.analyzeResumeStreaming(sampleResume, onChunk);
+      const { feedback: result } = await geminiService.analyzeResumeStreaming(sampleResume, onChunk);
 
       // Verify streaming worked
       expect(chunks.length).toBeGreaterThan(0);
@@ -103,7 +103,7 @@ describe('GeminiService Integration Tests', () => {
     it('should handle empty resume text gracefully', async () => {
       if (!geminiService) return;
 
-      const result = await geminiService.analyzeResumeStreaming('');
+      const { feedback: result } = await geminiService.analyzeResumeStreaming('');
 
       // Should return fallback or valid structure
       expect(result).toHaveProperty('clarity');
@@ -115,7 +115,7 @@ describe('GeminiService Integration Tests', () => {
     it('should handle very short resume text', async () => {
       if (!geminiService) return;
 
-      const result = await geminiService.analyzeResumeStreaming('John Doe');
+      const { feedback: result } = await geminiService.analyzeResumeStreaming('John Doe');
 
       expect(result).toHaveProperty('clarity');
       expect(result).toHaveProperty('grammar');
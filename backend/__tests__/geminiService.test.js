@@ -92,7 +92,8 @@ describe('GeminiService', () => {
       await geminiService.analyzeResumeStreaming(resumeText, onChunkMock);
 
       expect(mockModel.generateContentStream).toHaveBeenCalledWith(
-        expect.stringContaining(resumeText)
+        expect.stringContaining(resumeText),
+        { signal: undefined }
       );
       expect(onChunkMock).toHaveBeenCalledTimes(3);
       expect(onChunkMock).toHaveBeenNthCalledWith(1, '{"clarity":');
@@ -100,6 +101,28 @@ describe('GeminiService', () => {
       expect(onChunkMock).toHaveBeenNthCalledWith(3, '"suggestions":["test"]}}');
     });
 
+    it('should report token usage from the usage metadata of the last chunk', async () => {
+      mockModel.generateContentStream.mockResolvedValue({
+        stream: (async function* () {
+          yield { text: () => '{"clarity":', usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 5 } };
+          yield { text: () => '{"score":8}}', usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 300, thoughtsTokenCount: 100 } };
+        })()
+      });
+
+      const onUsage = jest.fn();
+      await geminiService.analyzeResumeStreaming('Test resume content', null, { onUsage });
+
+      expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: 'analysis',
+        provider: 'gemini',
+        model: 'gemini-2.0-flash',
+        promptTokens: 1200,
+        completionTokens: 400,
+        totalTokens: 1600,
+        estimated: false
+      }));
+    });
+
     it('should handle streaming without onChunk callback', async () => {
       const mockChunks = [
         { text: () => '{"clarity":{"score":8,"suggestions":[],"strengths":[],"weaknesses":[]},' },
@@ -118,7 +141,7 @@ describe('GeminiService', () => {
 
       mockModel.generateContentStream.mockResolvedValue(mockStream);
 
-      const result = await geminiService.analyzeResumeStreaming('test resume');
+      const { feedback: result } = await geminiService.analyzeResumeStreaming('test resume');
 
       expect(result).toHaveProperty('clarity');
       expect(result).toHaveProperty('grammar');
@@ -126,6 +149,15 @@ describe('GeminiService', () => {
       expect(result).toHaveProperty('improvements');
     });
 
+    it('should pass the abort signal to the streaming request', async () => {
+      mockModel.generateContentStream.mockResolvedValue({ stream: (async function* () {})() });
+      const controller = new AbortController();
+
+      await geminiService.analyzeResumeStreaming('test resume', null, { signal: controller.signal });
+
+      expect(mockModel.generateContentStream).toHaveBeenCalledWith(expect.any(String), { signal: controller.signal });
+    });
+
     it('should throw error when API call fails', async () => {
       mockModel.generateContentStream.mockRejectedValue(new Error('API Error'));
 
@@ -164,8 +196,9 @@ describe('GeminiService', () => {
         ]
       }`;
 
-      const result = geminiService.parseResponse(validResponse);
+      const { feedback: result, degraded } = geminiService.parseResponse(validResponse);
 
+      expect(degraded).toBe(false);
       expect(result.clarity.score).toBe(8);
       expect(result.grammar.score).toBe(9);
       expect(result.skills.relevantSkills).toEqual(['JavaScript', 'React']);
@@ -183,7 +216,7 @@ describe('GeminiService', () => {
       }
       That completes the analysis.`;
 
-      const result = geminiService.parseResponse(responseWithExtra);
+      const { feedback: result } = geminiService.parseResponse(responseWithExtra);
 
       expect(result.clarity.score).toBe(7);
       expect(result.grammar.score).toBe(8);
@@ -192,8 +225,9 @@ describe('GeminiService', () => {
     it('should return fallback feedback for invalid JSON', () => {
       const invalidResponse = 'This is not valid JSON';
 
-      const result = geminiService.parseResponse(invalidResponse);
+      const { feedback: result, degraded } = geminiService.parseResponse(invalidResponse);
 
+      expect(degraded).toBe(true);
       expect(result).toHaveProperty('clarity');
       expect(result).toHaveProperty('grammar');
       expect(result).toHaveProperty('skills');
@@ -205,8 +239,9 @@ describe('GeminiService', () => {
     it('should return fallback feedback for malformed JSON structure', () => {
       const malformedResponse = '{"invalid": "structure"}';
 
-      const result = geminiService.parseResponse(malformedResponse);
+      const { feedback: result, degraded } = geminiService.parseResponse(malformedResponse);
 
+      expect(degraded).toBe(true);
       expect(result).toHaveProperty('clarity');
       expect(result.clarity.suggestions[0]).toContain('Unable to analyze');
     });
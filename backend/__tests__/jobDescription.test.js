@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const jobDescriptionService = require('../services/jobDescription');
+const BaseAIProvider = require('../services/providers/baseProvider');
+const MockProvider = require('../services/providers/mockProvider');
+
+const testDir = path.join(__dirname, 'test-files-jd');
+
+const jobDescription = `Senior Backend Engineer
+
+Requirements
+- 5+ years building Node.js services
+- Experience with PostgreSQL and Redis
+- Familiarity with Docker and Kubernetes
+
+Nice to have
+- Experience with GraphQL
+- AWS certification`;
+
+const resumeText = `Jane Smith
+jane.smith@example.com
+
+EXPERIENCE
+- Built Node.js services handling 2M requests per day
+- Tuned PostgreSQL queries, cutting latency by 30%
+- Packaged services with Docker
+
+SKILLS
+Node.js, PostgreSQL, Docker, GraphQL`;
+
+describe('JobDescriptionService', () => {
+  beforeAll(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('resolve', () => {
+    it('should return null when no job description is provided', async () => {
+      await expect(jobDescriptionService.resolve({})).resolves.toBeNull();
+      await expect(jobDescriptionService.resolve({ text: '   ' })).resolves.toBeNull();
+    });
+
+    it('should resolve job description text', async () => {
+      const result = await jobDescriptionService.resolve({ text: `  ${jobDescription}  ` });
+
+      expect(result).toEqual({ text: jobDescription, source: 'text' });
+    });
+
+    it('should reject job descriptions that are too short', async () => {
+      await expect(jobDescriptionService.resolve({ text: 'Engineer' })).rejects.toThrow('Job description is too short');
+    });
+
+    it('should read plain text files and remove them afterwards', async () => {
+      const filePath = path.join(testDir, 'job.txt');
+      fs.writeFileSync(filePath, jobDescription);
+
+      const result = await jobDescriptionService.resolve({
+        file: { path: filePath, originalname: 'job.txt', mimetype: 'text/plain' }
+      });
+
+      expect(result).toEqual({ text: jobDescription, source: 'file' });
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('extractKeywords', () => {
+    it('should skip stop words and keep technical terms', () => {
+      const keywords = jobDescriptionService.extractKeywords(jobDescription);
+
+      expect(keywords).toEqual(expect.arrayContaining(['node.js', 'postgresql', 'docker', 'kubernetes']));
+      expect(keywords).not.toContain('with');
+      expect(keywords).not.toContain('experience');
+    });
+  });
+
+  describe('computeKeywordCoverage', () => {
+    it('should split keywords into matched and missing', () => {
+      const coverage = jobDescriptionService.computeKeywordCoverage(jobDescription, resumeText);
+
+      expect(coverage.matched).toEqual(expect.arrayContaining(['node.js', 'postgresql', 'docker']));
+      expect(coverage.missing).toEqual(expect.arrayContaining(['kubernetes', 'redis']));
+      expect(coverage.coveragePercent).toBeGreaterThan(0);
+      expect(coverage.coveragePercent).toBeLessThan(100);
+    });
+  });
+
+  describe('extractRequirements', () => {
+    it('should classify bullets by their section heading', () => {
+      const requirements = jobDescriptionService.extractRequirements(jobDescription);
+
+      expect(requirements).toHaveLength(5);
+      expect(requirements.filter(r => r.type === 'must-have')).toHaveLength(3);
+      expect(requirements.filter(r => r.type === 'nice-to-have').map(r => r.requirement))
+        .toEqual(['Experience with GraphQL', 'AWS certification']);
+    });
+  });
+});
+
+describe('Job description matching in providers', () => {
+  const provider = new BaseAIProvider('test');
+
+  it('should include the job description and jobFit structure in the prompt', () => {
+    const prompt = provider.createAnalysisPrompt(resumeText, { jobDescription });
+
+    expect(prompt).toContain('Job Description:');
+    expect(prompt).toContain('Senior Backend Engineer');
+    expect(prompt).toContain('"jobFit"');
+    expect(prompt).toContain('must-have|nice-to-have');
+  });
+
+  it('should leave the prompt unchanged without a job description', () => {
+    const prompt = provider.createAnalysisPrompt(resumeText);
+
+    expect(prompt).not.toContain('Job Description:');
+    expect(prompt).not.toContain('jobFit');
+  });
+
+  it('should require jobFit only when matching against a job description', () => {
+    const feedback = new MockProvider().buildFeedback(resumeText);
+
+    expect(() => provider.validateFeedbackStructure(feedback)).not.toThrow();
+    expect(() => provider.validateFeedbackStructure(feedback, { jobDescription })).toThrow('Missing required field: jobFit');
+  });
+
+  it('should produce job fit feedback from the mock provider', async () => {
+    const mockProvider = new MockProvider({ chunkDelayMs: 0 });
+
+    const { feedback } = await mockProvider.analyzeResumeStreaming(resumeText, null, { jobDescription });
+
+    expect(feedback.jobFit.matchScore).toBeGreaterThan(0);
+    expect(feedback.jobFit.matchScore).toBeLessThanOrEqual(100);
+    expect(feedback.jobFit.keywordCoverage.missing).toContain('kubernetes');
+    const nodeRequirement = feedback.jobFit.requirements.find(r => r.requirement.includes('Node.js'));
+    expect(nodeRequirement.evidence).toContain('Node.js');
+    expect(feedback.jobFit.tailoredImprovements.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,53 @@
+const jsonRepair = require('../services/jsonRepair');
+
+describe('jsonRepair', () => {
+  it('should leave valid JSON unchanged', () => {
+    const json = '{"a": [1, 2], "b": {"c": "d"}}';
+
+    expect(jsonRepair.repair(json)).toEqual({ json, changes: [] });
+  });
+
+  it('should drop prose and markdown fences around the object', () => {
+    const response = 'Here is the analysis:\n```json\n{"a": 1}\n```\nLet me know if you need {more}.';
+
+    expect(jsonRepair.repair(response)).toEqual({ json: '{"a": 1}', changes: [] });
+  });
+
+  it('should remove trailing commas', () => {
+    const { json, changes } = jsonRepair.repair('{"a": [1, 2, ], "b": {"c": 3,},}');
+
+    expect(JSON.parse(json)).toEqual({ a: [1, 2], b: { c: 3 } });
+    expect(changes).toEqual(['trailing-commas']);
+  });
+
+  it('should ignore brackets and commas inside strings', () => {
+    const source = '{"a": "x,]}", "b": "say \\"hi\\", }"}';
+
+    expect(JSON.parse(jsonRepair.repair(source).json)).toEqual(JSON.parse(source));
+  });
+
+  it('should close truncated output and drop the unfinished member', () => {
+    const { json, changes } = jsonRepair.repair('{"a": {"x": 1, "y": "cut off he');
+
+    expect(JSON.parse(json)).toEqual({ a: { x: 1 } });
+    expect(changes).toEqual(['truncation']);
+  });
+
+  it('should keep the complete members of a truncated array item', () => {
+    const { json } = jsonRepair.repair('{"items": [{"id": 1}, {"id": 2}, {"id": 3, "na');
+
+    expect(JSON.parse(json)).toEqual({ items: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+  });
+
+  it('should repair truncated output that ends in a trailing comma', () => {
+    const { json, changes } = jsonRepair.repair('{"a": [1, 2],');
+
+    expect(JSON.parse(json)).toEqual({ a: [1, 2] });
+    expect(changes).toEqual(['truncation']);
+  });
+
+  it('should return null when there is no object', () => {
+    expect(jsonRepair.repair('I cannot help with that.')).toBeNull();
+    expect(jsonRepair.repair()).toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const layoutExtractor = require('../services/layoutExtractor');
+const PDFExtractor = require('../services/pdfExtractor');
+
+/**
+ * A pdf.js text item at (x, y) with a width estimated from its length
+ */
+const item = (str, x, y, size = 11) => ({
+  str,
+  transform: [size, 0, 0, size, x, y],
+  width: str.length * size * 0.5,
+  height: size
+});
+
+/**
+ * Sidebar and main column items on shared baselines, in the row-by-row order
+ * that interleaves them in plain extraction
+ */
+const twoColumnItems = (sidebar, main, top = 700) => sidebar.flatMap((text, index) => [
+  item(text, 50, top - index * 16),
+  item(main[index], 220, top - index * 16)
+]);
+
+const sidebar = ['SKILLS', 'Node.js', 'PostgreSQL', 'CONTACT', 'jane@example.com'];
+const main = [
+  'EXPERIENCE',
+  'Acme Corp | Senior Engineer',
+  '- Built Node.js services for 2M users',
+  '- Cut query latency by 30%',
+  '- Mentored four engineers'
+];
+
+/**
+ * Write a two-page, two-column resume PDF with a running header and page numbers
+ */
+const writeTwoColumnPdf = (filePath) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 0 });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  for (let page = 0; page < 2; page++) {
+    if (page > 0) {
+      doc.addPage();
+    }
+    doc.fontSize(9).text('Jane Smith - Resume', 50, 20, { lineBreak: false });
+    doc.fontSize(11);
+    sidebar.forEach((text, index) => {
+      doc.text(text, 50, 90 + index * 16, { lineBreak: false });
+      doc.text(main[index], 220, 90 + index * 16, { lineBreak: false });
+    });
+    doc.fontSize(9).text(`Page ${page + 1} of 2`, 280, 760, { lineBreak: false });
+  }
+
+  doc.end();
+});
+
+describe('layoutExtractor', () => {
+  it('should interleave columns in plain rendering', () => {
+    const text = layoutExtractor.renderPlain(twoColumnItems(sidebar.slice(0, 2), main.slice(0, 2)));
+
+    expect(text).toBe('SKILLSEXPERIENCE\nNode.jsAcme Corp | Senior Engineer');
+  });
+
+  it('should read two columns one after the other, after a full-width heading', () => {
+    const items = [item('Jane Smith, Senior Backend Engineer', 50, 750, 16), ...twoColumnItems(sidebar, main)];
+
+    const result = layoutExtractor.extract([{ items, width: 612, height: 792 }]);
+
+    expect(result.columns).toEqual([2]);
+    expect(result.removedLines).toBe(0);
+    expect(result.text).toBe([
+      'Jane Smith, Senior Backend Engineer',
+      '',
+      sidebar.join('\n'),
+      '',
+      main.join('\n')
+    ].join('\n'));
+  });
+
+  it('should keep right-aligned dates on the line of their title', () => {
+    const items = [
+      item('Senior Engineer, Acme Corp', 50, 700),
+      item('Jan 2020 - Present', 450, 700),
+      item('Engineer, Globex Inc', 50, 684),
+      item('Mar 2017 - Dec 2019', 450, 684),
+      item('Developer, Initech', 50, 668),
+      item('2015 - 2017', 450, 668)
+    ];
+
+    const result = layoutExtractor.extract([{ items, width: 612, height: 792 }]);
+
+    expect(result.columns).toEqual([1]);
+    expect(result.text.split('\n')[0]).toBe('Senior Engineer, Acme Corp   Jan 2020 - Present');
+  });
+
+  it('should strip headers and footers repeated across pages', () => {
+    const page = (number) => ({
+      items: [
+        item('Jane Smith - Resume', 50, 770, 9),
+        item(`Body text of page ${number}`, 50, 600),
+        item(`Page ${number} of 3`, 280, 30, 9)
+      ],
+      width: 612,
+      height: 792
+    });
+
+    const result = layoutExtractor.extract([page(1), page(2), page(3)]);
+
+    expect(result.removedLines).toBe(6);
+    expect(result.text).toBe('Body text of page 1\n\nBody text of page 2\n\nBody text of page 3');
+  });
+
+  it('should not strip anything from a single page', () => {
+    const result = layoutExtractor.extract([{ items: [item('Jane Smith', 50, 770), item('Page 1', 280, 30)], width: 612, height: 792 }]);
+
+    expect(result.removedLines).toBe(0);
+    expect(result.text).toBe('Jane Smith\nPage 1');
+  });
+
+  describe('PDFExtractor extraction modes', () => {
+    let tempDir;
+    let pdfPath;
+    const originalMode = process.env.PDF_EXTRACTION_MODE;
+
+    beforeAll(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'layout-'));
+      pdfPath = path.join(tempDir, 'two-column.pdf');
+      await writeTwoColumnPdf(pdfPath);
+    });
+
+    afterEach(() => {
+      if (originalMode === undefined) {
+        delete process.env.PDF_EXTRACTION_MODE;
+      } else {
+        process.env.PDF_EXTRACTION_MODE = originalMode;
+      }
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should use layout-aware text for a two-column PDF in auto mode', async () => {
+      delete process.env.PDF_EXTRACTION_MODE;
+
+      const result = await new PDFExtractor().extractText(pdfPath);
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.extractionMode).toBe('layout');
+      expect(result.metadata.layout).toEqual({ columns: [2, 2], removedLines: 4 });
+      expect(result.text.startsWith(`${sidebar.join('\n')}\n\n${main.join('\n')}`)).toBe(true);
+      expect(result.text).not.toMatch(/Page \d of 2|Jane Smith - Resume/);
+    });
+
+    it('should keep content stream order in simple mode', async () => {
+      process.env.PDF_EXTRACTION_MODE = 'simple';
+
+      const result = await new PDFExtractor().extractText(pdfPath);
+
+      expect(result.metadata.extractionMode).toBe('simple');
+      expect(result.metadata.layout).toBeNull();
+      expect(result.text).toContain('SKILLS EXPERIENCE\nNode.js Acme Corp | Senior Engineer');
+    });
+  });
+});
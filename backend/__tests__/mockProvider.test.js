@@ -0,0 +1,106 @@
+const MockProvider = require('../services/providers/mockProvider');
+const { createAIProvider } = require('../services/providers');
+
+const sampleResume = `Jane Smith
+jane.smith@example.com | (555) 123-4567
+
+EXPERIENCE
+Software Engineer - Acme Corp (2020-2023)
+- Built REST APIs with Node.js and Express
+- Reduced page load time by 40% using React code splitting
+
+EDUCATION
+B.S. Computer Science
+
+SKILLS
+JavaScript, React, Node.js, PostgreSQL, Git`;
+
+describe('MockProvider', () => {
+  describe('constructor', () => {
+    it('should be available through the provider factory', () => {
+      expect(createAIProvider({ provider: 'mock' })).toBeInstanceOf(MockProvider);
+    });
+
+    it('should reject unknown scenarios', () => {
+      expect(() => new MockProvider({ scenario: 'explode' })).toThrow('Unknown mock AI scenario: explode');
+    });
+
+    it('should read the scenario script from MOCK_AI_SCENARIO', () => {
+      const original = process.env.MOCK_AI_SCENARIO;
+      process.env.MOCK_AI_SCENARIO = 'rate_limit, success';
+
+      const provider = new MockProvider();
+      if (original === undefined) {
+        delete process.env.MOCK_AI_SCENARIO;
+      } else {
+        process.env.MOCK_AI_SCENARIO = original;
+      }
+
+      expect(provider.script).toEqual(['rate_limit', 'success']);
+    });
+  });
+
+  describe('analyzeResumeStreaming', () => {
+    it('should stream chunks that reassemble into valid feedback', async () => {
+      const provider = new MockProvider({ chunkDelayMs: 0 });
+      const chunks = [];
+
+      const { feedback } = await provider.analyzeResumeStreaming(sampleResume, chunk => chunks.push(chunk));
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(JSON.parse(chunks.join(''))).toEqual(feedback);
+      expect(() => provider.validateFeedbackStructure(feedback)).not.toThrow();
+    });
+
+    it('should be deterministic for the same resume text', async () => {
+      const provider = new MockProvider({ chunkDelayMs: 0 });
+
+      const { feedback: first } = await provider.analyzeResumeStreaming(sampleResume);
+      const { feedback: second } = await provider.analyzeResumeStreaming(sampleResume);
+
+      expect(second).toEqual(first);
+      expect(first.skills.relevantSkills).toEqual(expect.arrayContaining(['JavaScript', 'React', 'Node.js']));
+      expect(first.clarity.score).toBeGreaterThanOrEqual(1);
+      expect(first.clarity.score).toBeLessThanOrEqual(10);
+    });
+
+    it('should follow the scripted failure sequence and then succeed', async () => {
+      const provider = new MockProvider({ scenario: 'rate_limit,server_error,success', chunkDelayMs: 0 });
+
+      await expect(provider.analyzeResumeStreaming(sampleResume)).rejects.toThrow('Rate limit exceeded');
+      await expect(provider.analyzeResumeStreaming(sampleResume)).rejects.toThrow('AI service temporarily unavailable');
+      await expect(provider.analyzeResumeStreaming(sampleResume)).resolves.toHaveProperty('feedback.clarity');
+    });
+
+    it('should repeat the last scenario once the script runs out', async () => {
+      const provider = new MockProvider({ scenario: 'unauthorized', chunkDelayMs: 0 });
+
+      await expect(provider.analyzeResumeStreaming(sampleResume)).rejects.toThrow('Unauthorized');
+      await expect(provider.analyzeResumeStreaming(sampleResume)).rejects.toThrow('Unauthorized');
+    });
+
+    it('should return fallback feedback for malformed JSON', async () => {
+      const provider = new MockProvider({ scenario: 'malformed_json', chunkDelayMs: 0 });
+
+      const result = await provider.analyzeResumeStreaming(sampleResume);
+
+      expect(result).toEqual({ feedback: provider.getFallbackFeedback(), degraded: true });
+    });
+
+    it('should delay chunks for slow streams', async () => {
+      jest.useFakeTimers();
+      const provider = new MockProvider({ scenario: 'slow_stream' });
+      const onChunk = jest.fn();
+
+      const promise = provider.analyzeResumeStreaming(sampleResume, onChunk);
+      await jest.advanceTimersByTimeAsync(1500);
+      expect(onChunk).toHaveBeenCalledTimes(1);
+
+      await jest.runAllTimersAsync();
+      await promise;
+      jest.useRealTimers();
+
+      expect(onChunk.mock.calls.length).toBeGreaterThan(1);
+    });
+  });
+});
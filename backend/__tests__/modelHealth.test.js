@@ -0,0 +1,202 @@
+const request = require('supertest');
+const express = require('express');
+
+// One mock model per model name, so tests can fail a specific model
+const mockModels = {};
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: jest.fn(({ model }) => {
+      mockModels[model] = mockModels[model] || { generateContentStream: jest.fn(), generateContent: jest.fn() };
+      return mockModels[model];
+    })
+  }))
+}));
+
+const modelHealth = require('../services/modelHealth');
+const GeminiService = require('../services/geminiService');
+const aiRoutes = require('../routes/ai');
+
+/**
+ * Create an error like the ones the Gemini SDK raises for HTTP failures
+ */
+const httpError = (status) => Object.assign(new Error(`Request failed with status ${status}`), { status });
+
+const validFeedback = JSON.stringify({
+  clarity: { score: 8, suggestions: [], strengths: [], weaknesses: [] },
+  grammar: { score: 7, corrections: [], improvements: [] },
+  skills: { relevantSkills: [], missingSkills: [], recommendations: [] },
+  improvements: []
+});
+
+describe('modelHealth', () => {
+  beforeEach(() => {
+    modelHealth.reset();
+    Object.assign(modelHealth, { failureThreshold: 3, cooldownMs: 30000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should open the circuit after consecutive failures', () => {
+    modelHealth.recordFailure('model-a', httpError(503), 100);
+    modelHealth.recordFailure('model-a', httpError(503), 100);
+    expect(modelHealth.isAvailable('model-a')).toBe(true);
+
+    modelHealth.recordFailure('model-a', httpError(429), 100);
+    expect(modelHealth.isAvailable('model-a')).toBe(false);
+    expect(modelHealth.getHealth().models[0]).toEqual(expect.objectContaining({
+      model: 'model-a',
+      state: 'open',
+      consecutiveFailures: 3,
+      errorRate: 1
+    }));
+  });
+
+  it('should open the circuit at once for a missing model and ignore authorization errors', () => {
+    modelHealth.recordFailure('model-a', httpError(401), 100);
+    modelHealth.recordFailure('model-b', httpError(404), 100);
+
+    expect(modelHealth.isAvailable('model-a')).toBe(true);
+    expect(modelHealth.getHealth().models.find(model => model.model === 'model-a')).toBeUndefined();
+    expect(modelHealth.isAvailable('model-b')).toBe(false);
+  });
+
+  it('should half-open after the cooldown and close on a successful trial', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    modelHealth.recordFailure('model-a', httpError(404), 100);
+
+    now.mockReturnValue(1000 + 30000);
+    expect(modelHealth.isAvailable('model-a')).toBe(true);
+    expect(modelHealth.getHealth().models[0].state).toBe('half-open');
+
+    modelHealth.recordSuccess('model-a', 200);
+    expect(modelHealth.getHealth().models[0].state).toBe('closed');
+  });
+
+  it('should reopen the circuit when the half-open trial fails', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    modelHealth.recordFailure('model-a', httpError(404), 100);
+    now.mockReturnValue(1000 + 30000);
+    modelHealth.isAvailable('model-a');
+
+    modelHealth.recordFailure('model-a', httpError(503), 100);
+
+    expect(modelHealth.isAvailable('model-a')).toBe(false);
+  });
+
+  it('should let a single trial request through while half-open', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    modelHealth.recordFailure('model-a', httpError(404), 100);
+    now.mockReturnValue(1000 + 30000);
+
+    expect(modelHealth.beginRequest('model-a')).toBe(true);
+    expect(modelHealth.isAvailable('model-a')).toBe(false);
+    expect(modelHealth.beginRequest('model-a')).toBe(false);
+
+    // A cancelled trial frees the model for the next caller
+    modelHealth.cancelRequest('model-a');
+    expect(modelHealth.beginRequest('model-a')).toBe(true);
+    expect(modelHealth.beginRequest('model-a')).toBe(false);
+
+    modelHealth.recordSuccess('model-a', 200);
+    expect(modelHealth.beginRequest('model-a')).toBe(true);
+    expect(modelHealth.beginRequest('model-a')).toBe(true);
+  });
+
+  it('should report error rate, latency and the serving model', () => {
+    modelHealth.recordSuccess('model-a', 100);
+    modelHealth.recordSuccess('model-a', 300);
+    modelHealth.recordFailure('model-a', httpError(503), 50);
+    modelHealth.recordFailure('model-a', httpError(503), 50);
+
+    const { servingModel, models } = modelHealth.getHealth();
+
+    expect(servingModel).toBe('model-a');
+    expect(models[0]).toEqual(expect.objectContaining({ requests: 4, failures: 2, errorRate: 0.5, averageLatencyMs: 200 }));
+  });
+
+  describe('GeminiService failover', () => {
+    const originalKey = process.env.GEMINI_API_KEY;
+
+    beforeAll(() => {
+      process.env.GEMINI_API_KEY = 'test-api-key';
+    });
+
+    afterAll(() => {
+      process.env.GEMINI_API_KEY = originalKey;
+    });
+
+    beforeEach(() => {
+      Object.keys(mockModels).forEach(model => delete mockModels[model]);
+    });
+
+    it('should send the next attempt to the next model after a failure', async () => {
+      const service = new GeminiService();
+      const [first, second] = service.modelOptions.map(option => option.name);
+      mockModels[first].generateContentStream.mockRejectedValue(httpError(503));
+
+      await expect(service.analyzeResumeStreaming('resume')).rejects.toThrow('temporarily unavailable');
+      expect(service.modelName).toBe(second);
+
+      mockModels[second].generateContentStream.mockResolvedValue({
+        stream: (async function* () { yield { text: () => validFeedback }; })()
+      });
+      await service.analyzeResumeStreaming('resume');
+
+      expect(mockModels[second].generateContentStream).toHaveBeenCalled();
+      expect(modelHealth.getHealth().servingModel).toBe(second);
+    });
+
+    it('should send requests elsewhere while another request holds the trial of a half-open model', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const service = new GeminiService();
+      const [first, second] = service.modelOptions.map(option => option.name);
+      modelHealth.recordFailure(first, httpError(404), 100);
+      now.mockReturnValue(1000 + 30000);
+      modelHealth.beginRequest(first);
+      mockModels[second] = {
+        generateContentStream: jest.fn().mockResolvedValue({
+          stream: (async function* () { yield { text: () => validFeedback }; })()
+        }),
+        generateContent: jest.fn()
+      };
+
+      await service.analyzeResumeStreaming('resume');
+
+      expect(mockModels[first].generateContentStream).not.toHaveBeenCalled();
+      expect(mockModels[second].generateContentStream).toHaveBeenCalled();
+    });
+
+    it('should skip models whose circuit is open', () => {
+      const [first, second] = new GeminiService().modelOptions.map(option => option.name);
+      modelHealth.recordFailure(first, httpError(404), 100);
+
+      expect(new GeminiService().modelName).toBe(second);
+    });
+
+    it('should not record cancelled requests', async () => {
+      const service = new GeminiService();
+      const controller = new AbortController();
+      controller.abort();
+      mockModels[service.modelName].generateContentStream.mockRejectedValue(new Error('This operation was aborted'));
+
+      await expect(service.analyzeResumeStreaming('resume', null, { signal: controller.signal })).rejects.toThrow();
+
+      expect(modelHealth.getHealth().models.every(model => model.requests === 0)).toBe(true);
+    });
+  });
+
+  describe('GET /api/ai/health', () => {
+    it('should report the health of each model', async () => {
+      const app = express();
+      app.use('/api', aiRoutes);
+      modelHealth.recordSuccess('gemini-2.0-flash', 120);
+
+      const response = await request(app).get('/api/ai/health').expect(200);
+
+      expect(response.body).toEqual(expect.objectContaining({ success: true, servingModel: 'gemini-2.0-flash' }));
+      expect(response.body.models).toEqual([expect.objectContaining({ model: 'gemini-2.0-flash', state: 'closed', averageLatencyMs: 120 })]);
+    });
+  });
+});
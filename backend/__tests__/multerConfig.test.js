@@ -85,7 +85,7 @@ describe('Multer Configuration', () => {
 
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({
-        error: 'Only PDF files are allowed',
+        error: 'Only PDF and DOCX files are allowed',
         code: 'INVALID_FILE_TYPE'
       });
     });
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createCanvas } = require('@napi-rs/canvas');
+const ocrService = require('../services/ocrService');
+const PDFExtractor = require('../services/pdfExtractor');
+
+const resumeLines = [
+  'Jane Smith',
+  'jane.smith@example.com | (555) 123-4567',
+  'EXPERIENCE',
+  'Senior Software Engineer, Acme Corp 2020 - Present',
+  '- Built Node.js services handling 2M requests per day',
+  'EDUCATION',
+  'B.Sc. Computer Science, State University',
+  'SKILLS',
+  'JavaScript, React, Node.js, PostgreSQL'
+];
+
+/**
+ * Write a scanned-style PDF: one page that is only a picture of the resume text
+ */
+const writeScannedPdf = (filePath) => new Promise((resolve, reject) => {
+  const canvas = createCanvas(1275, 1650);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#000000';
+  context.font = '28px sans-serif';
+  resumeLines.forEach((line, index) => context.fillText(line, 120, 160 + index * 50));
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: 0 });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+  doc.image(canvas.toBuffer('image/png'), 0, 0, { width: 612 });
+  doc.end();
+});
+
+describe('ocrService', () => {
+  let tempDir;
+  let pdfPath;
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+    pdfPath = path.join(tempDir, 'scanned.pdf');
+    await writeScannedPdf(pdfPath);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should weight page confidence by the amount of text', () => {
+    expect(ocrService.averageConfidence([
+      { text: 'a'.repeat(300), confidence: 90 },
+      { text: 'b'.repeat(100), confidence: 50 }
+    ])).toBe(80);
+    expect(ocrService.averageConfidence([{ text: '', confidence: 0 }])).toBe(0);
+  });
+
+  it('should render each page to a PNG image', async () => {
+    const images = await ocrService.renderPages(fs.readFileSync(pdfPath));
+
+    expect(images).toHaveLength(1);
+    expect(images[0].subarray(1, 4).toString()).toBe('PNG');
+  });
+
+  it('should extract text from an image-only PDF through OCR', async () => {
+    const result = await new PDFExtractor().extractText(pdfPath);
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.extractionMethod).toBe('ocr');
+    expect(result.metadata.ocrConfidence).toBeGreaterThan(70);
+    expect(result.text).toContain('Jane Smith');
+    expect(result.text).toContain('EXPERIENCE');
+    expect(result.sections.map(section => section.type)).toEqual(expect.arrayContaining(['experience', 'education', 'skills']));
+  }, 60000);
+});
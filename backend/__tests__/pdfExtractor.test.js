@@ -14,9 +14,51 @@ jest.mock("fs", () => ({
   createWriteStream: jest.fn(),
 }));
 
-// Mock pdf-parse
-jest.mock("pdf-parse");
-const pdfParse = require("pdf-parse");
+// Mock pdf.js document loading, keeping its constants
+jest.mock("pdfjs-dist/legacy/build/pdf.js", () => ({
+  ...jest.requireActual("pdfjs-dist/legacy/build/pdf.js"),
+  getDocument: jest.fn(),
+}));
+const pdfjs = require("pdfjs-dist/legacy/build/pdf.js");
+
+/**
+ * Make pdf.js load a document whose first page holds the given text, one line per text item
+ */
+const mockDocument = ({ text, numpages, info }) => {
+  const lines = text ? text.split("\n") : [];
+  const page = (number) => ({
+    getTextContent: async () => ({
+      items: number === 1 ? lines.map((str, index) => ({ str, transform: [12, 0, 0, 12, 72, 720 - index * 14], width: str.length * 6 })) : [],
+      styles: {},
+    }),
+    getViewport: () => ({ width: 612, height: 792 }),
+    getOperatorList: async () => ({ fnArray: [] }),
+    cleanup: jest.fn(),
+  });
+
+  pdfjs.getDocument.mockReturnValue({
+    promise: Promise.resolve({
+      numPages: numpages,
+      getPage: async (number) => page(number),
+      getMetadata: async () => ({ info }),
+    }),
+    destroy: jest.fn(async () => {}),
+  });
+};
+
+/**
+ * Make pdf.js fail to load the next document
+ */
+const failDocument = (error) => {
+  pdfjs.getDocument.mockReturnValueOnce({
+    promise: Promise.reject(error),
+    destroy: jest.fn(async () => {}),
+  });
+};
+
+// Mock OCR; the real engine is covered in ocrService.test.js
+jest.mock("../services/ocrService", () => ({ recognize: jest.fn() }));
+const ocrService = require("../services/ocrService");
 
 describe("PDFExtractor", () => {
   let pdfExtractor;
@@ -25,6 +67,7 @@ describe("PDFExtractor", () => {
   beforeEach(() => {
     pdfExtractor = new PDFExtractor();
     jest.clearAllMocks();
+    ocrService.recognize.mockRejectedValue(new Error("Invalid PDF structure"));
   });
 
   describe("extractText", () => {
@@ -41,7 +84,7 @@ describe("PDFExtractor", () => {
       // Default successful mocks
       fs.stat.mockResolvedValue({ size: 1024 * 1024 }); // 1MB
       fs.readFile.mockResolvedValue(Buffer.from("mock pdf content"));
-      pdfParse.mockResolvedValue(mockPdfData);
+      mockDocument(mockPdfData);
     });
 
     it("should successfully extract text from valid PDF", async () => {
@@ -54,11 +97,31 @@ describe("PDFExtractor", () => {
         info: mockPdfData.info,
         textLength: mockPdfData.text.length,
         wordCount: 14, // Updated to match actual word count
+        textHash: expect.any(String),
+        extractionMethod: "text",
+        ocrConfidence: null,
+        extractionMode: "simple",
+        layout: { columns: [1], removedLines: 0 },
         extractedAt: expect.any(String),
       });
       expect(fs.stat).toHaveBeenCalledWith(mockFilePath);
       expect(fs.readFile).toHaveBeenCalledWith(mockFilePath);
-      expect(pdfParse).toHaveBeenCalled();
+      expect(pdfjs.getDocument).toHaveBeenCalledWith(expect.objectContaining({ isEvalSupported: false }));
+    });
+
+    it("should return detected resume sections with the text", async () => {
+      mockDocument({
+        ...mockPdfData,
+        text: "John Doe\njohn@example.com\n\nExperience\nAcme Corp    Jan 2020 - Present\n- Built the billing service\n\nSkills\nJavaScript, React, Node.js",
+      });
+
+      const result = await pdfExtractor.extractText(mockFilePath);
+
+      expect(result.sections.map((section) => section.type)).toEqual(["header", "experience", "skills"]);
+      expect(result.sections[1].entries[0]).toMatchObject({
+        employer: "Acme Corp",
+        bullets: [expect.objectContaining({ text: "Built the billing service" })],
+      });
     });
 
     it("should handle file too large error", async () => {
@@ -106,7 +169,7 @@ describe("PDFExtractor", () => {
     });
 
     it("should handle invalid PDF error", async () => {
-      pdfParse.mockRejectedValue(new Error("Invalid PDF structure"));
+      failDocument(new Error("Invalid PDF structure"));
 
       const result = await pdfExtractor.extractText(mockFilePath);
 
@@ -116,24 +179,42 @@ describe("PDFExtractor", () => {
     });
 
     it("should handle password-protected PDF error", async () => {
-      pdfParse.mockRejectedValue(new Error("PDF is password protected"));
+      failDocument(new Error("PDF is password protected"));
 
       const result = await pdfExtractor.extractText(mockFilePath);
 
       expect(result.success).toBe(false);
-      expect(result.error.type).toBe("PASSWORD_PROTECTED");
+      expect(result.error.type).toBe("PDF_ENCRYPTED");
       expect(result.error.message).toContain("password-protected");
     });
 
     it("should handle encrypted PDF error", async () => {
-      pdfParse.mockRejectedValue(new Error("PDF is encrypted"));
+      failDocument(new Error("PDF is encrypted"));
 
       const result = await pdfExtractor.extractText(mockFilePath);
 
       expect(result.success).toBe(false);
-      expect(result.error.type).toBe("PASSWORD_PROTECTED");
+      expect(result.error.type).toBe("PDF_ENCRYPTED");
       expect(result.error.message).toContain("password-protected");
     });
+
+    it("should distinguish a missing password from an incorrect one", async () => {
+      const passwordError = (message, code) => Object.assign(new Error(message), { name: "PasswordException", code });
+
+      failDocument(passwordError("No password given", 1));
+      expect((await pdfExtractor.extractText(mockFilePath)).error.type).toBe("PDF_ENCRYPTED");
+
+      failDocument(passwordError("Incorrect Password", 2));
+      expect((await pdfExtractor.extractText(mockFilePath, { password: "wrong" })).error.type).toBe("PDF_PASSWORD_INCORRECT");
+    });
+
+    it("should pass a password to pdf.js only when one is given", async () => {
+      await pdfExtractor.extractText(mockFilePath, { password: "secret" });
+      expect(pdfjs.getDocument.mock.calls[0][0]).toMatchObject({ password: "secret" });
+
+      await pdfExtractor.extractText(mockFilePath);
+      expect(pdfjs.getDocument.mock.calls[1][0]).not.toHaveProperty("password");
+    });
   });
 
   describe("validateExtractedText", () => {
@@ -237,7 +318,7 @@ describe("PDFExtractor", () => {
       const error = new Error("PDF requires password");
       const result = pdfExtractor.handleExtractionError(error, mockFilePath);
 
-      expect(result.error.type).toBe("PASSWORD_PROTECTED");
+      expect(result.error.type).toBe("PDF_ENCRYPTED");
     });
 
     it("should categorize file size errors", () => {
@@ -281,7 +362,7 @@ describe("PDFExtractor", () => {
 
   describe("integration scenarios", () => {
     it("should handle PDF with only images (no extractable text)", async () => {
-      pdfParse.mockResolvedValue({
+      mockDocument({
         text: "",
         numpages: 1,
         info: {},
@@ -295,7 +376,7 @@ describe("PDFExtractor", () => {
     });
 
     it("should handle PDF with minimal text content", async () => {
-      pdfParse.mockResolvedValue({
+      mockDocument({
         text: "Hi",
         numpages: 1,
         info: {},
@@ -308,11 +389,49 @@ describe("PDFExtractor", () => {
       expect(result.error.message).toContain("too short");
     });
 
+    it("should fall back to OCR for PDFs without a text layer", async () => {
+      const ocrText = "Jane Smith\nSenior Engineer\nExperience: 6 years building Node.js services";
+      mockDocument({ text: "", numpages: 1, info: {} });
+      ocrService.recognize.mockResolvedValue({ text: ocrText, confidence: 91, pages: 1 });
+
+      const result = await pdfExtractor.extractText(mockFilePath);
+
+      expect(result.success).toBe(true);
+      expect(result.text).toBe(ocrText);
+      expect(result.metadata).toMatchObject({
+        extractionMethod: "ocr",
+        ocrConfidence: 91,
+        extractionMode: null,
+        layout: null,
+      });
+    });
+
+    it("should keep the original error when OCR finds no text", async () => {
+      mockDocument({ text: "", numpages: 1, info: {} });
+      ocrService.recognize.mockResolvedValue({ text: "", confidence: 0, pages: 1 });
+
+      const result = await pdfExtractor.extractText(mockFilePath);
+
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe("INSUFFICIENT_TEXT");
+    });
+
+    it("should not run OCR when it is disabled", async () => {
+      process.env.OCR_ENABLED = "false";
+      mockDocument({ text: "", numpages: 1, info: {} });
+
+      const result = await new PDFExtractor().extractText(mockFilePath);
+      delete process.env.OCR_ENABLED;
+
+      expect(result.success).toBe(false);
+      expect(ocrService.recognize).not.toHaveBeenCalled();
+    });
+
     it("should successfully process multi-page PDF", async () => {
       const longText =
         "John Doe\nSoftware Engineer\n\nExperience:\n- 5 years in web development\n- Expert in JavaScript, React, Node.js\n- Led multiple successful projects\n\nEducation:\nBachelor of Computer Science\nUniversity of Technology\n\nSkills:\n- Frontend: React, Vue.js, HTML, CSS\n- Backend: Node.js, Express, MongoDB\n- Tools: Git, Docker, AWS";
 
-      pdfParse.mockResolvedValue({
+      mockDocument({
         text: longText,
         numpages: 2,
         info: {
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// Mock the file cleanup service to prevent background processes
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const piiRedactor = require('../services/piiRedactor');
+const profileParser = require('../services/profileParser');
+const sectionParser = require('../services/sectionParser');
+const sessionManager = require('../services/sessionManager');
+const analysisCache = require('../services/analysisCache');
+const MockProvider = require('../services/providers/mockProvider');
+const uploadRoutes = require('../routes/upload');
+
+const resumeText = [
+  'Jane Smith',
+  'jane.smith@example.com | (555) 123-4567 | San Francisco, CA',
+  'linkedin.com/in/janesmith | janesmith.dev',
+  '',
+  'EXPERIENCE',
+  'Acme Corp | Senior Engineer   Jan 2020 - Present',
+  '- Built Node.js services for 2M users; on-call contact jane@acme.com',
+  'SKILLS',
+  'Node.js, PostgreSQL'
+].join('\n');
+
+/**
+ * Redact the resume text using its parsed profile
+ */
+const redactResume = (text = resumeText) => piiRedactor.redact(text, profileParser.parse(text, sectionParser.parse(text)));
+
+/**
+ * Poll a session until the analysis finishes
+ */
+async function waitForSession(sessionId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const session = sessionManager.getSession(sessionId);
+    if (session && ['completed', 'error'].includes(session.status)) {
+      return session;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Session ${sessionId} did not finish`);
+}
+
+describe('piiRedactor', () => {
+  it('should replace contact details with placeholders', () => {
+    const { text, replacements } = redactResume();
+
+    expect(text.split('\n').slice(0, 3)).toEqual([
+      '[CANDIDATE_NAME]',
+      '[EMAIL] | [PHONE] | [LOCATION]',
+      '[LINKEDIN_URL] | [PORTFOLIO_URL]'
+    ]);
+    expect(text).toContain('on-call contact [EMAIL_2]');
+    expect(text).toContain('Acme Corp | Senior Engineer');
+    expect(replacements).toContainEqual({ placeholder: '[EMAIL_2]', value: 'jane@acme.com' });
+    expect(replacements).toHaveLength(7);
+  });
+
+  it('should redact every occurrence of the name, whatever its case, but not inside other words', () => {
+    const { text } = redactResume(`${resumeText}\nREFERENCES\nAvailable from JANE SMITH or Janet Smithson`);
+
+    expect(text).toContain('Available from [CANDIDATE_NAME] or Janet Smithson');
+  });
+
+  it('should restore placeholders throughout a feedback object', () => {
+    const { replacements } = redactResume();
+    const feedback = {
+      clarity: { score: 8, suggestions: ['Move [EMAIL] and [PHONE] next to [CANDIDATE_NAME]'] },
+      improvements: [{ priority: 'low', example: 'See [PORTFOLIO_URL]' }]
+    };
+
+    expect(piiRedactor.restore(feedback, replacements)).toEqual({
+      clarity: { score: 8, suggestions: ['Move jane.smith@example.com and (555) 123-4567 next to Jane Smith'] },
+      improvements: [{ priority: 'low', example: 'See janesmith.dev' }]
+    });
+  });
+
+  it('should restore placeholders split across streamed chunks', () => {
+    const { replacements } = redactResume();
+    const chunks = [];
+    const onChunk = piiRedactor.createChunkRestorer(replacements, chunk => chunks.push(chunk));
+
+    ['{"tips": ["Dear [CAND', 'IDATE_NAME], list [EM', 'AIL] first"], "n": [1', ']}'].forEach(onChunk);
+    onChunk.flush();
+
+    expect(chunks.join('')).toBe('{"tips": ["Dear Jane Smith, list jane.smith@example.com first"], "n": [1]}');
+    expect(chunks.some(chunk => chunk.includes('['))).toBe(true);
+    expect(chunks.some(chunk => chunk.includes('[CAND'))).toBe(false);
+  });
+
+  describe('analysis workflow', () => {
+    const app = express();
+    app.use('/api', uploadRoutes);
+
+    const uploadsDir = path.join(__dirname, '../uploads');
+    const pdfPath = path.join(__dirname, 'test-files-pii', 'resume.pdf');
+    const originalEnv = { ...process.env };
+    let analyzeSpy;
+
+    beforeAll(async () => {
+      process.env.AI_PROVIDER = 'mock';
+      process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+      fs.mkdirSync(uploadsDir, { recursive: true });
+      fs.mkdirSync(path.dirname(pdfPath), { recursive: true });
+
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const stream = fs.createWriteStream(pdfPath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        resumeText.split('\n').forEach(line => doc.text(line || ' '));
+        doc.end();
+      });
+    });
+
+    beforeEach(() => {
+      // Both tests upload the same resume; start each without a cached analysis
+      analysisCache.clear();
+      // Echo the text the provider receives back in the feedback, as a model quoting the resume would
+      analyzeSpy = jest.spyOn(MockProvider.prototype, 'analyzeResumeStreaming').mockImplementation(async function (text, onChunk) {
+        const feedback = this.buildFeedback(text);
+        feedback.clarity.suggestions = [`Put ${text.split('\n')[0]} in a larger font`];
+        onChunk(JSON.stringify(feedback));
+        return { feedback, degraded: false };
+      });
+    });
+
+    afterEach(() => {
+      analyzeSpy.mockRestore();
+      delete process.env.PII_REDACTION;
+    });
+
+    afterAll(() => {
+      for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS']) {
+        if (originalEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = originalEnv[key];
+        }
+      }
+      fs.rmSync(path.dirname(pdfPath), { recursive: true, force: true });
+      sessionManager.clearAllSessions();
+    });
+
+    it('should send redacted text to the provider and restore values in the feedback', async () => {
+      process.env.PII_REDACTION = 'true';
+
+      const response = await request(app).post('/api/upload-and-process').attach('resume', pdfPath).expect(200);
+      const session = await waitForSession(response.body.sessionId);
+
+      const sentText = analyzeSpy.mock.calls[0][0];
+      expect(sentText).not.toMatch(/Jane Smith|jane\.smith@example\.com|555\) 123-4567|janesmith/);
+      expect(sentText).toContain('[CANDIDATE_NAME]');
+
+      expect(session.status).toBe('completed');
+      expect(session.profile).toMatchObject({ name: 'Jane Smith', email: 'jane.smith@example.com' });
+      expect(session.feedback.clarity.suggestions).toEqual(['Put Jane Smith in a larger font']);
+    });
+
+    it('should send the original text when redaction is off', async () => {
+      const response = await request(app).post('/api/upload-and-process').attach('resume', pdfPath).expect(200);
+      await waitForSession(response.body.sessionId);
+
+      expect(analyzeSpy.mock.calls[0][0]).toContain('jane.smith@example.com');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const pipeline = require('../services/pipeline');
+const sessionManager = require('../services/sessionManager');
+const eventBroadcaster = require('../services/eventBroadcaster');
+const analysisCache = require('../services/analysisCache');
+const MockProvider = require('../services/providers/mockProvider');
+
+/**
+ * Build a minimal stage definition for runner tests
+ */
+const createStage = (run, overrides = {}) => ({
+  name: 'test',
+  timeoutMs: 1000,
+  run,
+  events: { started: jest.fn(), retry: jest.fn(), completed: jest.fn() },
+  ...overrides
+});
+
+describe('pipeline', () => {
+  describe('runStage', () => {
+    const context = { sessionId: 'pipeline-test' };
+    const signal = new AbortController().signal;
+
+    it('should retry a failing stage as its policy allows and emit its events', async () => {
+      const run = jest.fn()
+        .mockRejectedValueOnce(new Error('Service unavailable'))
+        .mockRejectedValueOnce(new Error('Service unavailable'))
+        .mockResolvedValue();
+      const stage = createStage(run, { retry: { maxRetries: 3, delayMs: () => 0, isRetryable: () => true } });
+
+      await pipeline.runStage(stage, context, signal);
+
+      expect(run).toHaveBeenCalledTimes(3);
+      expect(stage.events.started).toHaveBeenCalledTimes(1);
+      expect(stage.events.retry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+      expect(stage.events.completed).toHaveBeenCalledWith(context);
+    });
+
+    it('should give up after the last retry', async () => {
+      const stage = createStage(jest.fn().mockRejectedValue(new Error('Service unavailable')), {
+        retry: { maxRetries: 2, delayMs: () => 0, isRetryable: () => true }
+      });
+
+      await expect(pipeline.runStage(stage, context, signal)).rejects.toMatchObject({ attempts: 3, retryable: true });
+      expect(stage.events.completed).not.toHaveBeenCalled();
+    });
+
+    it('should not retry errors the policy rejects', async () => {
+      const run = jest.fn().mockRejectedValue(new Error('Unauthorized'));
+      const stage = createStage(run, { retry: { maxRetries: 3, delayMs: () => 0, isRetryable: () => false } });
+
+      await expect(pipeline.runStage(stage, context, signal)).rejects.toMatchObject({ attempts: 1, retryable: false });
+      expect(run).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail an attempt that exceeds the stage timeout', async () => {
+      const stage = createStage(() => new Promise(() => {}), { timeoutMs: 20 });
+
+      await expect(pipeline.runStage(stage, context, signal)).rejects.toMatchObject({
+        code: 'STAGE_TIMEOUT',
+        message: 'test timed out after 0.02s'
+      });
+    });
+  });
+
+  describe('run', () => {
+    const originalEnv = { ...process.env };
+    let tempDir;
+    let pdfPath;
+
+    beforeAll(async () => {
+      process.env.AI_PROVIDER = 'mock';
+      process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+      process.env.OCR_ENABLED = 'false';
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+      pdfPath = path.join(tempDir, 'resume.pdf');
+
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const stream = fs.createWriteStream(pdfPath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        ['Jane Smith', 'jane.smith@example.com', 'EXPERIENCE', '- Built Node.js services for 2M users', 'SKILLS', 'Node.js, React']
+          .forEach(line => doc.text(line));
+        doc.end();
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.MOCK_AI_SCENARIO;
+      analysisCache.clear();
+      jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+      for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS', 'OCR_ENABLED']) {
+        if (originalEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = originalEnv[key];
+        }
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      sessionManager.clearAllSessions();
+    });
+
+    it('should run every stage and broadcast its events in order', async () => {
+      const sessionId = sessionManager.createSession({ status: 'uploaded' });
+      const events = [];
+      for (const method of ['broadcastExtractionStarted', 'broadcastExtractionCompleted', 'broadcastLintCompleted',
+        'broadcastAnalysisStarted', 'broadcastAnalysisCompleted', 'broadcastError']) {
+        jest.spyOn(eventBroadcaster, method).mockImplementation(() => events.push(method));
+      }
+
+      await pipeline.run(sessionId, { filePath: pdfPath });
+
+      expect(events).toEqual([
+        'broadcastExtractionStarted',
+        'broadcastExtractionCompleted',
+        'broadcastLintCompleted',
+        'broadcastAnalysisStarted',
+        'broadcastAnalysisCompleted'
+      ]);
+      expect(sessionManager.getSession(sessionId).usage).toEqual(expect.objectContaining({
+        requests: [expect.objectContaining({ purpose: 'analysis', provider: 'mock', estimated: true })],
+        costUsd: 0
+      }));
+    });
+
+    it('should skip the analysis stage when the cache has the feedback', async () => {
+      const sessionId = sessionManager.createSession({ status: 'uploaded' });
+      await pipeline.run(sessionId, { filePath: pdfPath });
+
+      const startedSpy = jest.spyOn(eventBroadcaster, 'broadcastAnalysisStarted');
+      const completedSpy = jest.spyOn(eventBroadcaster, 'broadcastAnalysisCompleted');
+      await pipeline.run(sessionId, { filePath: pdfPath });
+
+      expect(startedSpy).not.toHaveBeenCalled();
+      expect(completedSpy).toHaveBeenCalledWith(sessionId, expect.any(Object), { cached: true });
+    });
+
+    it('should cache the feedback under the model that answered', async () => {
+      const sessionId = sessionManager.createSession({ status: 'uploaded' });
+      const setSpy = jest.spyOn(analysisCache, 'set');
+      // The first model fails and the provider fails over to another one that answers
+      jest.spyOn(MockProvider.prototype, 'analyzeResumeStreaming').mockImplementation(async function (text, onChunk, options) {
+        const usage = { text: '', tokens: null };
+        options.onUsage(this.createUsageRecord({ purpose: 'analysis', model: 'mock', prompt: text, usage, failed: true, latencyMs: 1 }));
+        this.modelName = 'mock-fallback';
+        options.onUsage(this.createUsageRecord({ purpose: 'analysis', model: 'mock-fallback', prompt: text, usage, failed: false, latencyMs: 1 }));
+        return { feedback: this.buildFeedback(text), degraded: false };
+      });
+
+      await pipeline.run(sessionId, { filePath: pdfPath });
+
+      expect(setSpy).toHaveBeenCalledTimes(1);
+      expect(setSpy.mock.calls[0][0]).toContain(':mock:mock-fallback:');
+    });
+
+    it('should report a missing file as a validation error', async () => {
+      const sessionId = sessionManager.createSession({ status: 'uploaded' });
+      const errorSpy = jest.spyOn(eventBroadcaster, 'broadcastError');
+
+      await pipeline.run(sessionId, { filePath: path.join(tempDir, 'missing.pdf') });
+
+      expect(errorSpy).toHaveBeenCalledWith(sessionId, expect.stringContaining('no longer available'), expect.objectContaining({
+        code: 'FILE_NOT_FOUND',
+        stage: 'validation',
+        retryable: false
+      }));
+      expect(sessionManager.getSession(sessionId).status).toBe('error');
+    });
+
+    it('should not retry an analysis the provider rejects as unauthorized', async () => {
+      process.env.MOCK_AI_SCENARIO = 'unauthorized';
+      const sessionId = sessionManager.createSession({ status: 'uploaded' });
+      const retrySpy = jest.spyOn(eventBroadcaster, 'broadcastRetryStarted');
+      const errorSpy = jest.spyOn(eventBroadcaster, 'broadcastError');
+
+      await pipeline.run(sessionId, { filePath: pdfPath });
+
+      expect(retrySpy).not.toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalledWith(sessionId, expect.stringContaining('Unauthorized'), expect.objectContaining({
+        code: 'AI_ANALYSIS_FAILED',
+        stage: 'analysis',
+        retryable: false,
+        retryCount: 1
+      }));
+    });
+  });
+});
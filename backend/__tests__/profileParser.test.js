@@ -0,0 +1,67 @@
+const profileParser = require('../services/profileParser');
+const sectionParser = require('../services/sectionParser');
+
+/**
+ * Parse the profile of a resume text with its detected sections
+ */
+const parse = (text) => profileParser.parse(text, sectionParser.parse(text));
+
+describe('profileParser', () => {
+  it('should parse contact details and profile links from the header', () => {
+    const text = [
+      'Jane Smith',
+      'jane.smith@example.com | (555) 123-4567 | San Francisco, CA',
+      'linkedin.com/in/janesmith | github.com/jsmith | janesmith.dev',
+      '',
+      'EXPERIENCE',
+      'Acme Corp | Senior Engineer   Jan 2020 - Present',
+      '- Built the billing service used by acme.com'
+    ].join('\n');
+
+    expect(parse(text)).toEqual({
+      name: 'Jane Smith',
+      email: 'jane.smith@example.com',
+      phone: '(555) 123-4567',
+      location: 'San Francisco, CA',
+      linkedin: 'linkedin.com/in/janesmith',
+      github: 'github.com/jsmith',
+      portfolio: 'janesmith.dev'
+    });
+  });
+
+  it('should handle a name followed by a title, international numbers and full URLs', () => {
+    const text = [
+      'JANE SMITH | Senior Backend Engineer',
+      'Berlin, Germany · +49 30 1234 5678 · jane@mail.de',
+      'https://www.linkedin.com/in/jane-smith-123/ · https://jane.example.org',
+      'Summary',
+      'Backend engineer with eight years of experience'
+    ].join('\n');
+
+    expect(parse(text)).toEqual({
+      name: 'JANE SMITH',
+      email: 'jane@mail.de',
+      phone: '+49 30 1234 5678',
+      location: 'Berlin, Germany',
+      linkedin: 'https://www.linkedin.com/in/jane-smith-123',
+      github: null,
+      portfolio: 'https://jane.example.org'
+    });
+  });
+
+  it('should not mistake years or date ranges for phone numbers', () => {
+    expect(profileParser.findPhones('Acme Corp 2019 - 2021, Globex 2015-2019')).toEqual([]);
+  });
+
+  it('should return null fields when the resume has no contact header', () => {
+    expect(parse('Experience\nAcme Corp 2019 - 2021')).toEqual({
+      name: null,
+      email: null,
+      phone: null,
+      location: null,
+      linkedin: null,
+      github: null,
+      portfolio: null
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const express = require('express');
+const sessionManager = require('../services/sessionManager');
+const reportGenerator = require('../services/reportGenerator');
+const PDFExtractor = require('../services/pdfExtractor');
+const MockProvider = require('../services/providers/mockProvider');
+const reportRoutes = require('../routes/report');
+
+const app = express();
+app.use('/api', reportRoutes);
+
+const resumeText = `Jane Smith
+jane.smith@example.com | (555) 123-4567
+
+EXPERIENCE
+- Built Node.js services handling 2M requests per day
+- Tuned PostgreSQL queries, cutting latency by 30%
+
+EDUCATION
+B.Sc. Computer Science
+
+SKILLS
+Node.js, PostgreSQL, React`;
+
+const jobDescription = `Backend Engineer
+
+Requirements
+- Experience building Node.js services
+- Familiarity with Kubernetes`;
+
+/**
+ * Extract the text of a generated report, keeping running footers such as page numbers
+ */
+const readReportText = async (buffer) => {
+  const extractor = Object.assign(new PDFExtractor(), { extractionMode: 'simple' });
+  return (await extractor.parsePDF(buffer)).text;
+};
+
+describe('PDF feedback report', () => {
+  const feedback = new MockProvider().buildFeedback(resumeText);
+
+  afterEach(() => {
+    sessionManager.clearAllSessions();
+  });
+
+  describe('reportGenerator', () => {
+    it('should render scores, feedback lists, skills and improvements', async () => {
+      const buffer = await reportGenerator.generate({
+        status: 'completed',
+        feedback,
+        fileInfo: { originalName: 'jane-smith.pdf' }
+      });
+
+      expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+
+      const text = await readReportText(buffer);
+      expect(text).toContain('Resume Feedback Report');
+      expect(text).toContain('jane-smith.pdf');
+      expect(text).toContain(`${feedback.clarity.score}/10`);
+      expect(text).toContain('Relevant skills');
+      expect(text).toContain('Prioritized Improvements');
+      expect(text).toContain(feedback.improvements[0].example);
+      expect(text).not.toContain('Job Fit');
+    });
+
+    it('should include the job fit section for job-match analyses', async () => {
+      const jobMatchFeedback = new MockProvider().buildFeedback(resumeText, { jobDescription });
+
+      const text = await readReportText(await reportGenerator.generate({
+        status: 'completed',
+        analysisMode: 'job-match',
+        feedback: jobMatchFeedback
+      }));
+
+      expect(text).toContain('Job Fit');
+      expect(text).toContain(`${jobMatchFeedback.jobFit.matchScore}/100`);
+      expect(text).toContain('Missing keywords');
+    });
+
+    it('should paginate long feedback', async () => {
+      const longFeedback = {
+        ...feedback,
+        improvements: Array.from({ length: 40 }, (_, index) => ({
+          category: 'content',
+          priority: index % 2 ? 'low' : 'high',
+          suggestion: `Suggestion number ${index + 1}`,
+          example: 'Reduced onboarding time by 20% by writing runbooks'
+        }))
+      };
+
+      const text = await readReportText(await reportGenerator.generate({ status: 'completed', feedback: longFeedback }));
+
+      expect(text).toMatch(/Page 1 of [2-9]/);
+    });
+
+    it('should reject sessions without feedback', async () => {
+      await expect(reportGenerator.generate({ status: 'analyzing' })).rejects.toThrow('no feedback');
+    });
+  });
+
+  describe('GET /api/sessions/:sessionId/report.pdf', () => {
+    it('should download the report for a completed session', async () => {
+      const sessionId = sessionManager.createSession({
+        status: 'completed',
+        feedback,
+        fileInfo: { originalName: 'Jane Smith CV.pdf' }
+      });
+
+      const response = await request(app)
+        .get(`/api/sessions/${sessionId}/report.pdf`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="Jane_Smith_CV-feedback-report.pdf"');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should return 409 while the analysis is still running', async () => {
+      const sessionId = sessionManager.createSession({ status: 'analyzing' });
+
+      const response = await request(app).get(`/api/sessions/${sessionId}/report.pdf`).expect(409);
+
+      expect(response.body).toEqual({ error: 'Analysis is not complete yet', code: 'REPORT_NOT_READY' });
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      const response = await request(app).get('/api/sessions/missing/report.pdf').expect(404);
+
+      expect(response.body.code).toBe('SESSION_NOT_FOUND');
+    });
+  });
+});
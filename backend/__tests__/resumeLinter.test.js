@@ -0,0 +1,118 @@
+const resumeLinter = require('../services/resumeLinter');
+const piiRedactor = require('../services/piiRedactor');
+const sessionManager = require('../services/sessionManager');
+const eventBroadcaster = require('../services/eventBroadcaster');
+
+const contactHeader = `Jane Smith
+jane.smith@example.com | (555) 123-4567 | linkedin.com/in/janesmith`;
+
+/**
+ * Lint a resume body under a complete contact header
+ */
+const lintBody = (body, options) => resumeLinter.lint(`${contactHeader}\n${body}`, options);
+
+/**
+ * Findings of one rule as [line, message] pairs
+ */
+const findingsFor = (result, rule) => result.findings
+  .filter(finding => finding.rule === rule)
+  .map(finding => [finding.line, finding.message]);
+
+describe('resumeLinter', () => {
+  afterEach(() => {
+    sessionManager.clearAllSessions();
+  });
+
+  it('should report no findings for a clean resume', () => {
+    const result = lintBody(`EXPERIENCE
+Acme Corp, Jan 2020 - Present
+- Built a billing service processing $2M per month
+- Cut deploy time by 40% by migrating to Kubernetes`, { pages: 1 });
+
+    expect(result.findings).toEqual([]);
+    expect(result.summary).toEqual({ total: 0, errors: 0, warnings: 0, info: 0, byRule: {} });
+    expect(result.rules).toContain('typo');
+  });
+
+  it('should flag missing contact details without a line reference', () => {
+    const result = resumeLinter.lint('Jane Smith\nSoftware Engineer');
+
+    expect(result.findings.filter(finding => finding.rule === 'contact-info')).toEqual([
+      expect.objectContaining({ severity: 'error', message: 'No email address found', line: null }),
+      expect.objectContaining({ severity: 'warning', message: 'No phone number found', line: null }),
+      expect.objectContaining({ severity: 'info', line: null })
+    ]);
+  });
+
+  it('should find contact details exactly where PII redaction does', () => {
+    // A year range is not a phone number for either of them
+    for (const text of ['Jane Smith\njane@example.com | +44 20 7946 0958', 'Jane Smith\nAcme Corp 2019-2023']) {
+      const { replacements } = piiRedactor.redact(text);
+      const missing = resumeLinter.lint(text).findings.map(finding => finding.message);
+
+      expect(missing.includes('No email address found')).toBe(!replacements.some(({ placeholder }) => placeholder === '[EMAIL]'));
+      expect(missing.includes('No phone number found')).toBe(!replacements.some(({ placeholder }) => placeholder === '[PHONE]'));
+    }
+  });
+
+  it('should flag unquantified bullets, weak verbs and repeated verbs by line', () => {
+    const result = lintBody(`EXPERIENCE
+- Responsible for the billing service used by merchants
+- Led migration to Kubernetes, cutting deploy time by 40%
+- Led the design of the new data pipeline
+- Led onboarding of new engineers across teams`);
+
+    expect(findingsFor(result, 'unquantified-bullet').map(([line]) => line)).toEqual([4, 6, 7]);
+    expect(findingsFor(result, 'weak-verb')).toEqual([[4, 'Bullet opens with the weak phrase "Responsible for"']]);
+    expect(findingsFor(result, 'repeated-verb')).toEqual([[7, '"led" opens 3 bullet points (lines 5, 6, 7)']]);
+  });
+
+  it('should flag passive voice and first-person pronouns', () => {
+    const result = lintBody(`Software Engineer I
+- The API was redesigned to support partners
+- I built my first React dashboard
+- Based in Berlin and was based in Paris`);
+
+    expect(findingsFor(result, 'passive-voice')).toEqual([[4, 'Passive voice: "was redesigned"']]);
+    expect(findingsFor(result, 'first-person')).toEqual([[5, 'First-person pronouns: "I", "my"']]);
+  });
+
+  it('should flag dates that differ from the dominant format', () => {
+    const result = lintBody(`Acme Corp  Jan 2020 - Present
+Globex  Mar 2018 - Dec 2019
+Initech  03/2016 - 12/2016
+Hooli  2014 - 2015`);
+
+    expect(findingsFor(result, 'inconsistent-date-format')).toEqual([
+      [5, 'Date "03/2016" differs from the format used by most dates (e.g. "Jan 2020")'],
+      [6, 'Date "2014 - 2015" differs from the format used by most dates (e.g. "Jan 2020")']
+    ]);
+  });
+
+  it('should flag overlong resumes and typo candidates', () => {
+    const result = lintBody('Improved managment of the the release process', { pages: 3 });
+
+    expect(findingsFor(result, 'resume-length')).toEqual([[null, 'Resume is 3 pages long']]);
+    expect(result.findings.filter(finding => finding.rule === 'typo')).toEqual([
+      expect.objectContaining({ line: 3, message: 'Possible typo: "managment"', suggestion: 'Did you mean "management"?' }),
+      expect.objectContaining({ line: 3, message: 'Repeated word: "the the"' })
+    ]);
+    expect(result.summary).toMatchObject({ total: 3, warnings: 3, byRule: { 'resume-length': 1, typo: 2 } });
+  });
+
+  it('should be reproducible for the same input', () => {
+    const text = `${contactHeader}\n- Helped with the migration of the billing system`;
+
+    expect(resumeLinter.lint(text).findings).toEqual(resumeLinter.lint(text).findings);
+  });
+
+  it('should merge lint results into the completed feedback', () => {
+    const sessionId = sessionManager.createSession({ status: 'analyzing' });
+    const lint = resumeLinter.lint('Jane Smith');
+
+    eventBroadcaster.broadcastLintCompleted(sessionId, lint);
+    eventBroadcaster.broadcastAnalysisCompleted(sessionId, { clarity: { score: 7 } });
+
+    expect(sessionManager.getSession(sessionId).feedback).toEqual({ clarity: { score: 7 }, lint });
+  });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// Mock the file cleanup service to prevent background processes
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const rubricRegistry = require('../services/rubricRegistry');
+const promptTemplates = require('../services/promptTemplates');
+const analysisCache = require('../services/analysisCache');
+const sessionManager = require('../services/sessionManager');
+const BaseAIProvider = require('../services/providers/baseProvider');
+const MockProvider = require('../services/providers/mockProvider');
+const uploadRoutes = require('../routes/upload');
+const aiRoutes = require('../routes/ai');
+
+const resumeText = `Jane Smith
+jane.smith@example.com | (555) 123-4567
+
+SUMMARY
+Engineering leader who grew revenue through platform strategy
+
+EXPERIENCE
+VP Engineering - Acme Corp (2018-2024)
+- Led a team of 80 engineers and a $12M budget`;
+
+/**
+ * Build a rubric file as it would be written to disk
+ */
+const createRubric = (overrides = {}) => ({
+  id: 'custom',
+  version: 1,
+  name: 'Custom',
+  promptTemplate: 'resume-analysis.v1',
+  dimensions: [
+    { key: 'depth', name: 'Depth', weight: 3, description: 'How deep is the experience?' },
+    { key: 'breadth', name: 'Breadth', weight: 1, description: 'How broad is the experience?' }
+  ],
+  ...overrides
+});
+
+/**
+ * Poll a session until the analysis finishes
+ */
+async function waitForSession(sessionId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const session = sessionManager.getSession(sessionId);
+    if (session && ['completed', 'error'].includes(session.status)) {
+      return session;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Session ${sessionId} did not finish`);
+}
+
+describe('rubrics', () => {
+  describe('rubricRegistry', () => {
+    it('should load the bundled rubrics and default to the general rubric', () => {
+      expect(rubricRegistry.list().map(rubric => rubric.id)).toEqual(expect.arrayContaining([
+        'general', 'software-engineer', 'new-graduate', 'executive', 'academic-cv', 'career-changer'
+      ]));
+      expect(rubricRegistry.get()).toEqual(expect.objectContaining({ id: 'general', version: 1 }));
+      expect(rubricRegistry.get('executive', 1).name).toBe('Executive');
+      expect(rubricRegistry.get('executive', 2)).toBeNull();
+      expect(rubricRegistry.get('unknown')).toBeNull();
+    });
+
+    it('should reject invalid rubric files', () => {
+      const parse = (rubric, file = 'custom.v1.json') => () => rubricRegistry.parseRubric(file, JSON.stringify(rubric));
+
+      expect(parse(createRubric())).not.toThrow();
+      expect(parse(createRubric(), 'custom.v2.json')).toThrow('file name must be custom.v1.json');
+      expect(parse(createRubric({ promptTemplate: 'missing.v1' }))).toThrow('unknown prompt template missing.v1');
+      expect(parse(createRubric({ dimensions: [] }))).toThrow('must NOT have fewer than 1 items');
+      expect(parse(createRubric({
+        dimensions: [{ key: 'depth', name: 'Depth', weight: 0, description: 'Depth' }]
+      }))).toThrow('/dimensions/0/weight must be > 0');
+      expect(parse(createRubric({
+        dimensions: [
+          { key: 'depth', name: 'Depth', weight: 1, description: 'Depth' },
+          { key: 'depth', name: 'Depth again', weight: 1, description: 'Depth' }
+        ]
+      }))).toThrow('dimension keys must be unique');
+    });
+
+    it('should weight dimension scores into an overall score out of 100', () => {
+      const rubric = createRubric();
+
+      expect(rubricRegistry.score(rubric, {
+        depth: { score: 8, comment: 'Deep' },
+        breadth: { score: 4, comment: 'Narrow' }
+      })).toEqual(expect.objectContaining({ id: 'custom', version: 1, overallScore: 70 }));
+      expect(rubricRegistry.score(rubric, undefined).overallScore).toBeNull();
+    });
+  });
+
+  describe('promptTemplates', () => {
+    it('should keep sections only when their value is set and not re-scan inserted values', () => {
+      const prompt = promptTemplates.render('resume-analysis.v1', {
+        resumeText: 'Contains {{jobDescription}} literally',
+        feedbackFormat: '{}',
+        focusAreas: '- Depth - How deep?'
+      });
+
+      expect(prompt).toContain('Contains {{jobDescription}} literally');
+      expect(prompt).not.toContain('Job Description:');
+      expect(prompt.replace('Contains {{jobDescription}}', '')).not.toContain('{{');
+      expect(prompt).not.toContain('\n\n\n');
+    });
+
+    it('should throw for unknown templates', () => {
+      expect(() => promptTemplates.render('missing.v1')).toThrow('Unknown prompt template: missing.v1');
+    });
+  });
+
+  describe('providers', () => {
+    const provider = new BaseAIProvider('test');
+    const rubric = rubricRegistry.get('executive');
+
+    it('should build the prompt from the rubric instructions and dimensions', () => {
+      const prompt = provider.createAnalysisPrompt(resumeText, { rubric });
+
+      expect(prompt).toContain(rubric.instructions);
+      expect(prompt).toContain('- Leadership scope - Does the resume show the size of the teams');
+      expect(prompt).toContain('"businessImpact": { "score": [number from 1-10]');
+      expect(prompt).not.toContain('Skills relevance');
+    });
+
+    it('should not ask for dimension scores without a rubric', () => {
+      const prompt = provider.createAnalysisPrompt(resumeText);
+
+      expect(prompt).toContain('Skills relevance');
+      expect(prompt).not.toContain('rubricScores');
+    });
+
+    it('should require a score for every dimension the rubric declares', () => {
+      const feedback = new MockProvider().buildFeedback(resumeText, { rubric });
+      const { strategy, ...incompleteScores } = feedback.rubricScores;
+
+      expect(Object.keys(feedback.rubricScores)).toEqual(['leadership', 'businessImpact', 'strategy', 'executivePresence']);
+      expect(strategy.score).toBeGreaterThanOrEqual(1);
+      expect(() => provider.validateFeedbackStructure(feedback, { rubric })).not.toThrow();
+      expect(() => provider.validateFeedbackStructure({ ...feedback, rubricScores: incompleteScores }, { rubric }))
+        .toThrow('Invalid rubricScores structure: /rubricScores is missing required field: strategy');
+      expect(() => provider.validateFeedbackStructure(feedback, { rubric: rubricRegistry.get('academic-cv') }))
+        .toThrow('Invalid rubricScores structure');
+    });
+  });
+
+  describe('upload', () => {
+    const app = express();
+    app.use('/api', uploadRoutes);
+    app.use('/api', aiRoutes);
+
+    const originalEnv = { ...process.env };
+    let tempDir;
+    let pdfPath;
+
+    beforeAll(async () => {
+      process.env.AI_PROVIDER = 'mock';
+      process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+      process.env.OCR_ENABLED = 'false';
+      fs.mkdirSync(path.join(__dirname, '../uploads'), { recursive: true });
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rubrics-'));
+      pdfPath = path.join(tempDir, 'resume.pdf');
+
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const stream = fs.createWriteStream(pdfPath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        resumeText.split('\n').forEach(line => doc.text(line || ' '));
+        doc.end();
+      });
+    });
+
+    afterEach(() => {
+      analysisCache.clear();
+    });
+
+    afterAll(() => {
+      for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS', 'OCR_ENABLED']) {
+        if (originalEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = originalEnv[key];
+        }
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      sessionManager.clearAllSessions();
+    });
+
+    it('should score the resume with the selected rubric and store its ID and version', async () => {
+      const response = await request(app)
+        .post('/api/upload-and-process')
+        .field('rubric', 'executive')
+        .attach('resume', pdfPath)
+        .expect(200);
+
+      expect(response.body.rubric).toEqual({ id: 'executive', version: 1, name: 'Executive' });
+
+      const session = await waitForSession(response.body.sessionId);
+      expect(session.status).toBe('completed');
+      expect(session.rubric).toEqual({ id: 'executive', version: 1 });
+      expect(session.feedback.rubric).toEqual(expect.objectContaining({
+        id: 'executive',
+        version: 1,
+        overallScore: expect.any(Number)
+      }));
+      expect(session.feedback.rubric.dimensions.map(dimension => dimension.key))
+        .toEqual(['leadership', 'businessImpact', 'strategy', 'executivePresence']);
+    });
+
+    it('should use the general rubric when none is selected', async () => {
+      const response = await request(app).post('/api/upload-and-process').attach('resume', pdfPath).expect(200);
+
+      const session = await waitForSession(response.body.sessionId);
+      expect(session.feedback.rubric).toEqual(expect.objectContaining({ id: 'general', version: 1 }));
+    });
+
+    it('should reject unknown rubrics', async () => {
+      const response = await request(app)
+        .post('/api/upload-and-process')
+        .field('rubric', 'astronaut')
+        .attach('resume', pdfPath)
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_RUBRIC');
+    });
+
+    it('should list the rubrics an upload can select', async () => {
+      const response = await request(app).get('/api/ai/rubrics').expect(200);
+
+      expect(response.body.rubrics.find(rubric => rubric.id === 'general')).toEqual(expect.objectContaining({
+        version: 1,
+        isDefault: true,
+        dimensions: expect.arrayContaining([expect.objectContaining({ key: 'impact', weight: 0.25 })])
+      }));
+    });
+  });
+});
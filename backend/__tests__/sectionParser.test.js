@@ -0,0 +1,148 @@
+const sectionParser = require('../services/sectionParser');
+const resumeLinter = require('../services/resumeLinter');
+
+const resume = `Jane Smith
+jane@example.com | (555) 123-4567
+
+PROFESSIONAL SUMMARY
+Backend engineer with 8 years of experience.
+
+Work Experience
+Acme Corp | Senior Software Engineer | San Francisco, CA    Jan 2020 - Present
+• Built Node.js services handling 2M requests per day
+• Cut PostgreSQL query latency by 30% by rewriting
+reporting queries
+Software Engineer
+Globex Inc
+Mar 2017 – Dec 2019
+- Shipped the billing system
+Initech    2015 - 2017
+Junior Developer
+- Maintained internal tools
+
+EDUCATION
+B.Sc. Computer Science, State University, 2015
+
+Projects
+Open-source rate limiter for Express
+
+Skills & Tools
+Node.js, PostgreSQL, React
+
+Certifications:
+AWS Certified Solutions Architect`;
+
+/**
+ * Get the section of a type from the parsed resume
+ */
+const sectionOf = (sections, type) => sections.find(section => section.type === type);
+
+describe('sectionParser', () => {
+  describe('parse', () => {
+    it('should detect sections in order with their headings', () => {
+      const sections = sectionParser.parse(resume);
+
+      expect(sections.map(section => [section.type, section.heading])).toEqual([
+        ['header', null],
+        ['summary', 'PROFESSIONAL SUMMARY'],
+        ['experience', 'Work Experience'],
+        ['education', 'EDUCATION'],
+        ['projects', 'Projects'],
+        ['skills', 'Skills & Tools'],
+        ['certifications', 'Certifications:']
+      ]);
+    });
+
+    it('should report character offsets and line ranges into the original text', () => {
+      const sections = sectionParser.parse(resume);
+      const skills = sectionOf(sections, 'skills');
+
+      expect(resume.slice(skills.start, skills.end)).toBe('Skills & Tools\nNode.js, PostgreSQL, React');
+      expect(resume.slice(skills.contentStart, skills.end)).toBe('Node.js, PostgreSQL, React');
+      expect(resume.split('\n')[skills.lineStart - 1]).toBe('Skills & Tools');
+      expect(resume.split('\n')[skills.lineEnd - 1]).toBe('Node.js, PostgreSQL, React');
+      expect(sections[0]).toMatchObject({ start: 0, lineStart: 1, lineEnd: 2 });
+    });
+
+    it('should not treat long lines or bullets mentioning a section name as headings', () => {
+      const sections = sectionParser.parse(`Jane Smith
+- Skills
+Experience leading teams of engineers across three time zones and two products`);
+
+      expect(sections.map(section => section.type)).toEqual(['header']);
+    });
+
+    it('should return no sections for empty text', () => {
+      expect(sectionParser.parse('')).toEqual([]);
+    });
+  });
+
+  describe('experience entries', () => {
+    it('should split positions into employer, title, location and dates', () => {
+      const { entries } = sectionOf(sectionParser.parse(resume), 'experience');
+
+      expect(entries.map(({ employer, title, location, dates }) => ({ employer, title, location, dates }))).toEqual([
+        {
+          employer: 'Acme Corp',
+          title: 'Senior Software Engineer',
+          location: 'San Francisco, CA',
+          dates: { raw: 'Jan 2020 - Present', start: 'Jan 2020', end: 'Present', current: true }
+        },
+        {
+          employer: 'Globex Inc',
+          title: 'Software Engineer',
+          location: null,
+          dates: { raw: 'Mar 2017 – Dec 2019', start: 'Mar 2017', end: 'Dec 2019', current: false }
+        },
+        {
+          employer: 'Initech',
+          title: 'Junior Developer',
+          location: null,
+          dates: { raw: '2015 - 2017', start: '2015', end: '2017', current: false }
+        }
+      ]);
+    });
+
+    it('should collect bullets and join wrapped bullet lines', () => {
+      const { entries } = sectionOf(sectionParser.parse(resume), 'experience');
+
+      expect(entries.map(entry => entry.bullets.map(bullet => bullet.text))).toEqual([
+        [
+          'Built Node.js services handling 2M requests per day',
+          'Cut PostgreSQL query latency by 30% by rewriting reporting queries'
+        ],
+        ['Shipped the billing system'],
+        ['Maintained internal tools']
+      ]);
+
+      const wrapped = entries[0].bullets[1];
+      expect(resume.slice(wrapped.start, wrapped.end)).toBe('• Cut PostgreSQL query latency by 30% by rewriting\nreporting queries');
+    });
+
+    it('should read "Title at Company" headers', () => {
+      const sections = sectionParser.parse(`Experience
+Staff Engineer at Hooli, Remote    06/2021 - 08/2023
+- Led the search relevance team`);
+
+      expect(sections[0].entries[0]).toMatchObject({
+        employer: 'Hooli',
+        title: 'Staff Engineer',
+        location: 'Remote',
+        dates: { start: '06/2021', end: '08/2023' }
+      });
+    });
+  });
+
+  it('should label lint findings with the section they fall in', () => {
+    const text = `Jane Smith
+jane@example.com | (555) 123-4567
+
+Experience
+Acme Corp    Jan 2020 - Present
+- Improved managment of releases`;
+    const lint = resumeLinter.lint(text, { sections: sectionParser.parse(text) });
+
+    expect(lint.findings.find(finding => finding.rule === 'typo')).toMatchObject({ line: 6, section: 'experience' });
+    expect(lint.findings.filter(finding => finding.line === null).every(finding => finding.section === null)).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { SessionManager } = require('../services/sessionManager');
+const SQLiteSessionStore = require('../services/sessionStores/sqliteStore');
+const MemorySessionStore = require('../services/sessionStores/memoryStore');
+const { createSessionStore, getAvailableSessionStores } = require('../services/sessionStores');
+
+const testDir = path.join(__dirname, 'test-files-sessions');
+const dbPath = path.join(testDir, 'sessions.db');
+
+describe('Session stores', () => {
+  const managers = [];
+
+  /**
+   * Create a manager on the shared test database, as a server process would on startup
+   */
+  const startManager = () => {
+    const manager = new SessionManager({ store: new SQLiteSessionStore({ filename: dbPath }) });
+    managers.push(manager);
+    return manager;
+  };
+
+  beforeEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    managers.splice(0).forEach(manager => manager.close());
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('createSessionStore', () => {
+    it('should default to the in-memory store', () => {
+      expect(createSessionStore()).toBeInstanceOf(MemorySessionStore);
+    });
+
+    it('should create the SQLite store by name', () => {
+      const store = createSessionStore({ store: 'sqlite', filename: ':memory:' });
+
+      expect(store).toBeInstanceOf(SQLiteSessionStore);
+      store.close();
+    });
+
+    it('should reject unknown stores', () => {
+      expect(() => createSessionStore({ store: 'redis' })).toThrow('Unknown session store: redis');
+      expect(getAvailableSessionStores()).toEqual(['memory', 'sqlite']);
+    });
+  });
+
+  describe('SQLiteSessionStore', () => {
+    it('should round-trip sessions with Date fields', () => {
+      const store = new SQLiteSessionStore({ filename: ':memory:' });
+      const createdAt = new Date('2024-01-15T10:00:00Z');
+
+      store.set('abc', { sessionId: 'abc', status: 'created', createdAt, expiresAt: createdAt, nested: { list: [1, 2] } });
+
+      const session = store.get('abc');
+      expect(session.createdAt).toBeInstanceOf(Date);
+      expect(session.createdAt.getTime()).toBe(createdAt.getTime());
+      expect(session.nested).toEqual({ list: [1, 2] });
+      expect(store.has('abc')).toBe(true);
+      expect(store.size).toBe(1);
+      expect(Array.from(store.keys())).toEqual(['abc']);
+
+      expect(store.delete('abc')).toBe(true);
+      expect(store.get('abc')).toBeUndefined();
+      store.close();
+    });
+
+    it('should keep resume text and contact details out of the database', () => {
+      const store = new SQLiteSessionStore({ filename: ':memory:' });
+      const extractedText = 'Jane Smith\njane.smith@example.com\nEXPERIENCE\nAcme Corp';
+      const session = {
+        sessionId: 'abc',
+        status: 'completed',
+        extractedText,
+        sections: [{ type: 'header', content: 'Jane Smith' }],
+        profile: { name: 'Jane Smith', email: 'jane.smith@example.com' },
+        streamingContent: '{"summary": "Jane Smith"',
+        jobDescription: 'Senior Node.js engineer. Apply to hiring@acme.example or (555) 987-6543.',
+        feedback: { clarity: { score: 8 } }
+      };
+
+      store.set('abc', session);
+
+      const stored = store.deserialize(store.statements.get.get('abc').data);
+      expect(stored).not.toHaveProperty('extractedText');
+      expect(stored).not.toHaveProperty('sections');
+      expect(stored).not.toHaveProperty('profile');
+      expect(stored).not.toHaveProperty('streamingContent');
+      expect(stored.jobDescription).toBe('Senior Node.js engineer. Apply to [EMAIL] or [PHONE].');
+      expect(stored.feedback).toEqual({ clarity: { score: 8 } });
+      // The running process still sees the whole session
+      expect(store.get('abc')).toEqual(session);
+      store.close();
+    });
+  });
+
+  describe('SessionManager with SQLite storage', () => {
+    it('should keep completed analyses across a restart', () => {
+      const firstRun = startManager();
+      const sessionId = firstRun.createSession({ status: 'uploaded' });
+      firstRun.updateSession(sessionId, {
+        status: 'completed',
+        extractedText: 'Jane Smith\nEXPERIENCE',
+        feedback: { clarity: { score: 8 } },
+        completedAt: new Date()
+      });
+      firstRun.close();
+
+      const secondRun = startManager();
+      const session = secondRun.getSession(sessionId);
+
+      expect(session.status).toBe('completed');
+      expect(session.feedback).toEqual({ clarity: { score: 8 } });
+      expect(session.extractedText).toBeUndefined();
+      expect(session.expiresAt).toBeInstanceOf(Date);
+      expect(secondRun.extendSession(sessionId)).toBe(true);
+    });
+
+    it('should mark sessions that were still processing as interrupted', () => {
+      const firstRun = startManager();
+      const sessionId = firstRun.createSession({ status: 'analyzing' });
+      firstRun.close();
+
+      const secondRun = startManager();
+      const session = secondRun.getSession(sessionId);
+
+      expect(session.status).toBe('error');
+      expect(session.errorCode).toBe('SERVER_RESTARTED');
+    });
+
+    it('should clean up expired sessions from the database', () => {
+      const manager = startManager();
+      const expiredId = manager.createSession({ expiresAt: new Date(Date.now() - 1000) });
+      const activeId = manager.createSession();
+
+      expect(manager.cleanupExpiredSessions()).toBe(1);
+      expect(manager.sessionExists(expiredId)).toBe(false);
+      expect(manager.sessionExists(activeId)).toBe(true);
+      expect(manager.getStats()).toEqual({ total: 1, active: 1, expired: 0 });
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const http = require('http');
 const request = require('supertest');
 const express = require('express');
 const EventSource = require('eventsource');
@@ -319,6 +320,26 @@ describe('SSE Integration Tests', () => {
       expect(session.lastStreamUpdate).toBeDefined();
     });
 
+    test('should write streamed content to the session at most once per interval', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      const updateSpy = jest.spyOn(sessionManager, 'updateSession');
+
+      eventBroadcaster.broadcastAnalysisStreaming(testSessionId, 'first ');
+      eventBroadcaster.broadcastAnalysisStreaming(testSessionId, 'second ');
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+      expect(sessionManager.getSession(testSessionId).streamingContent).toBe('first ');
+
+      now.mockReturnValue(10000 + eventBroadcaster.streamWriteIntervalMs);
+      eventBroadcaster.broadcastAnalysisStreaming(testSessionId, 'third');
+      expect(updateSpy).toHaveBeenCalledTimes(2);
+      expect(sessionManager.getSession(testSessionId).streamingContent).toBe('first second third');
+
+      eventBroadcaster.broadcastAnalysisCompleted(testSessionId, {});
+      expect(eventBroadcaster.streams.has(testSessionId)).toBe(false);
+      now.mockRestore();
+      updateSpy.mockRestore();
+    });
+
     test('should broadcast analysis completed event', () => {
       const feedback = {
         clarity: { score: 8, suggestions: ['Improve formatting'] },
@@ -375,6 +396,114 @@ describe('SSE Integration Tests', () => {
     });
   });
 
+  describe('Event Replay', () => {
+    const createMockRes = () => ({
+      writeHead: jest.fn(),
+      write: jest.fn(),
+      on: jest.fn(),
+      destroyed: false,
+      finished: false
+    });
+
+    /**
+     * Open a raw SSE request and collect the stream for a short time
+     */
+    const readEvents = (path, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.get({ port: server.address().port, path, headers }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        setTimeout(() => req.destroy(), 100);
+        // Give the server a turn to handle the disconnect before the test moves on
+        res.on('close', () => setImmediate(() => resolve(body)));
+      });
+      req.on('error', reject);
+    });
+
+    afterEach(() => {
+      sseManager.clearEventLog(testSessionId);
+    });
+
+    test('should log events with increasing IDs while no client is connected', () => {
+      eventBroadcaster.broadcastExtractionStarted(testSessionId);
+      eventBroadcaster.broadcastAnalysisStreaming(testSessionId, 'chunk');
+
+      const log = sseManager.eventLogs.get(testSessionId);
+      expect(log.events.map(event => event.id)).toEqual([1, 2]);
+      expect(log.events.map(event => event.eventType)).toEqual(['extraction.started', 'analysis.streaming']);
+    });
+
+    test('should write id lines for broadcast events', () => {
+      const mockRes = createMockRes();
+      sseManager.createConnection(testSessionId, mockRes);
+
+      eventBroadcaster.broadcastExtractionStarted(testSessionId);
+
+      expect(mockRes.write).toHaveBeenLastCalledWith(expect.stringMatching(/^id: 1\nevent: extraction\.started\n/));
+      sseManager.removeConnection(testSessionId, mockRes);
+    });
+
+    test('should replay only events after the last received ID', () => {
+      eventBroadcaster.broadcastExtractionStarted(testSessionId);
+      eventBroadcaster.broadcastAnalysisStreaming(testSessionId, 'first');
+      eventBroadcaster.broadcastAnalysisStreaming(testSessionId, 'second');
+      const mockRes = createMockRes();
+
+      const replay = sseManager.replayEvents(testSessionId, mockRes, 1);
+
+      expect(replay).toEqual({ replayed: 2, complete: true });
+      expect(mockRes.write.mock.calls.map(([chunk]) => chunk.match(/^id: (\d+)/)[1])).toEqual(['2', '3']);
+    });
+
+    test('should report incomplete replays when the log no longer covers the gap', () => {
+      const originalLimit = sseManager.maxEventsPerSession;
+      sseManager.maxEventsPerSession = 2;
+
+      for (let i = 0; i < 5; i++) {
+        eventBroadcaster.broadcastAnalysisStreaming(testSessionId, `chunk ${i}`);
+      }
+
+      expect(sseManager.replayEvents(testSessionId, createMockRes(), 1)).toEqual({ replayed: 2, complete: false });
+      expect(sseManager.replayEvents(testSessionId, createMockRes(), 99)).toEqual({ replayed: 0, complete: false });
+      sseManager.maxEventsPerSession = originalLimit;
+    });
+
+    test('should replay missed events to a reconnecting client instead of a status snapshot', async () => {
+      eventBroadcaster.broadcastExtractionStarted(testSessionId);
+      eventBroadcaster.broadcastExtractionCompleted(testSessionId, { textLength: 1200 });
+
+      const body = await readEvents(`/api/events/${testSessionId}`, { 'Last-Event-ID': '1' });
+
+      expect(body).toContain('event: connected');
+      expect(body).toContain('id: 2\nevent: extraction.completed');
+      expect(body).not.toContain('event: extraction.started');
+      expect(body).not.toContain('event: session.status');
+    });
+
+    test('should send a status snapshot on first connection', async () => {
+      eventBroadcaster.broadcastExtractionStarted(testSessionId);
+
+      const body = await readEvents(`/api/events/${testSessionId}`);
+
+      expect(body).toContain('event: session.status');
+      expect(body).not.toContain('event: extraction.started');
+    });
+
+    test('should send the same completed payload as the live broadcast to clients that connect later', async () => {
+      eventBroadcaster.broadcastAnalysisCompleted(testSessionId, { clarity: { score: 5 } }, { degraded: true });
+
+      const body = await readEvents(`/api/events/${testSessionId}`);
+      const data = JSON.parse(body.match(/event: analysis\.completed\ndata: (.*)\n/)[1]);
+
+      expect(data).toMatchObject({
+        status: 'completed',
+        message: 'The AI response could not be read; placeholder feedback is shown',
+        feedback: { clarity: { score: 5 } },
+        cached: false,
+        degraded: true
+      });
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle invalid session ID gracefully', () => {
       expect(() => {
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// Mock the file cleanup service to prevent background processes
+jest.mock('../services/fileCleanup', () => ({
+  scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true)
+}));
+
+const StreamingJsonParser = require('../services/streamingJsonParser');
+const sessionManager = require('../services/sessionManager');
+const eventBroadcaster = require('../services/eventBroadcaster');
+const analysisCache = require('../services/analysisCache');
+const uploadRoutes = require('../routes/upload');
+
+const feedback = {
+  clarity: { score: 8, suggestions: ['Use "quotes", {braces} and [brackets] freely'], strengths: [], weaknesses: [] },
+  grammar: { score: 9, corrections: [], improvements: [] },
+  skills: { relevantSkills: ['Node.js'], missingSkills: [], recommendations: [] },
+  improvements: [
+    { category: 'content', priority: 'high', suggestion: 'Quantify results', example: 'Cut costs by 20%' },
+    { category: 'skills', priority: 'low', suggestion: 'Add Docker', example: 'Containerized 3 services' }
+  ]
+};
+
+/**
+ * Stream a text through a parser in fixed-size chunks
+ */
+const parseInChunks = (text, chunkSize, options = { splitArrays: ['improvements'] }) => {
+  const sections = [];
+  const parser = new StreamingJsonParser(section => sections.push(section), options);
+  for (let offset = 0; offset < text.length; offset += chunkSize) {
+    parser.push(text.slice(offset, offset + chunkSize));
+  }
+  return sections;
+};
+
+describe('StreamingJsonParser', () => {
+  it('should report each top-level section and improvement item once complete', () => {
+    const sections = parseInChunks(JSON.stringify(feedback, null, 2), 7);
+
+    expect(sections).toEqual([
+      { key: 'clarity', value: feedback.clarity },
+      { key: 'grammar', value: feedback.grammar },
+      { key: 'skills', value: feedback.skills },
+      { key: 'improvements', index: 0, value: feedback.improvements[0] },
+      { key: 'improvements', index: 1, value: feedback.improvements[1] }
+    ]);
+  });
+
+  it('should give the same sections for any chunking', () => {
+    const text = JSON.stringify(feedback);
+    const expected = parseInChunks(text, text.length);
+
+    for (const chunkSize of [1, 3, 80]) {
+      expect(parseInChunks(text, chunkSize)).toEqual(expected);
+    }
+  });
+
+  it('should report a section before the rest of the object arrives', () => {
+    const sections = [];
+    const parser = new StreamingJsonParser(section => sections.push(section));
+
+    parser.push('{"clarity": {"score": 7, "suggestions": []}, "grammar": {"sco');
+
+    expect(sections).toEqual([{ key: 'clarity', value: { score: 7, suggestions: [] } }]);
+  });
+
+  it('should skip prose and markdown fences around the object', () => {
+    const sections = parseInChunks('Here you go:\n```json\n{"summary": "a, b", "score": 5}\n```\n{"ignored": 1}', 4, {});
+
+    expect(sections).toEqual([
+      { key: 'summary', value: 'a, b' },
+      { key: 'score', value: 5 }
+    ]);
+  });
+
+  it('should report arrays that are not split as one section', () => {
+    const sections = parseInChunks(JSON.stringify({ improvements: feedback.improvements }), 5, {});
+
+    expect(sections).toEqual([{ key: 'improvements', value: feedback.improvements }]);
+  });
+
+  describe('analysis workflow', () => {
+    const app = express();
+    app.use('/api', uploadRoutes);
+
+    const uploadsDir = path.join(__dirname, '../uploads');
+    const originalEnv = { ...process.env };
+    let tempDir;
+    let pdfPath;
+
+    beforeAll(async () => {
+      process.env.AI_PROVIDER = 'mock';
+      process.env.MOCK_AI_CHUNK_DELAY_MS = '0';
+      process.env.OCR_ENABLED = 'false';
+      fs.mkdirSync(uploadsDir, { recursive: true });
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-json-'));
+      pdfPath = path.join(tempDir, 'resume.pdf');
+
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+        const stream = fs.createWriteStream(pdfPath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        ['Jane Smith', 'jane.smith@example.com', 'EXPERIENCE', '- Built Node.js services for 2M users', 'SKILLS', 'Node.js, React']
+          .forEach(line => doc.text(line));
+        doc.end();
+      });
+    });
+
+    afterAll(() => {
+      for (const key of ['AI_PROVIDER', 'MOCK_AI_CHUNK_DELAY_MS', 'OCR_ENABLED']) {
+        if (originalEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = originalEnv[key];
+        }
+      }
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      analysisCache.clear();
+      sessionManager.clearAllSessions();
+    });
+
+    it('should broadcast analysis.section events matching the final feedback', async () => {
+      const sectionSpy = jest.spyOn(eventBroadcaster, 'broadcastAnalysisSection');
+
+      const response = await request(app).post('/api/upload-and-process').attach('resume', pdfPath).expect(200);
+      const { sessionId } = response.body;
+
+      let session;
+      for (let attempt = 0; attempt < 100 && session?.status !== 'completed'; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        session = sessionManager.getSession(sessionId);
+      }
+
+      const sections = sectionSpy.mock.calls.map(([id, section]) => ({ id, ...section }));
+      sectionSpy.mockRestore();
+
+      expect(session.status).toBe('completed');
+      expect(sections.every(section => section.id === sessionId)).toBe(true);
+      expect(sections.filter(section => section.index === undefined).map(section => section.key))
+        .toEqual(['clarity', 'grammar', 'skills', 'rubricScores']);
+      expect(sections.find(section => section.key === 'clarity').value).toEqual(session.feedback.clarity);
+      expect(sections.filter(section => section.key === 'improvements').map(section => section.value))
+        .toEqual(session.feedback.improvements);
+    });
+  });
+});
@@ -6,6 +6,7 @@ const path = require('path');
 // Mock the file cleanup service to prevent background processes
 jest.mock('../services/fileCleanup', () => ({
   scheduleCleanup: jest.fn(),
+  deleteFile: jest.fn(async () => true),
   getUploadStats: jest.fn(() => ({
     fileCount: 0,
     totalSize: 0,
@@ -126,7 +127,7 @@ describe('Upload Integration Tests', () => {
           .attach('resume', textFilePath);
 
         expect(response.status).toBe(400);
-        expect(response.body.error).toBe('Only PDF files are allowed');
+        expect(response.body.error).toBe('Only PDF and DOCX files are allowed');
         expect(response.body.code).toBe('INVALID_FILE_TYPE');
       } catch (error) {
         // Handle ECONNRESET by checking if it's the expected multer error
@@ -220,6 +221,68 @@ describe('Upload Integration Tests', () => {
     });
   });
 
+  describe('POST /api/upload-and-process job description', () => {
+    const createValidPDF = (name) => {
+      const pdfPath = path.join(testFilesDir, name);
+      fs.writeFileSync(pdfPath, Buffer.concat([
+        Buffer.from('%PDF-1.4\n'),
+        Buffer.from('Valid PDF content'),
+        Buffer.from('\n%%EOF')
+      ]));
+      return pdfPath;
+    };
+
+    test('should reject a job description that is too short', async () => {
+      const response = await request(app)
+        .post('/api/upload-and-process')
+        .field('jobDescription', 'Engineer')
+        .attach('resume', createValidPDF('jd-short-resume.pdf'))
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_JOB_DESCRIPTION');
+      expect(response.body.error).toContain('too short');
+    });
+
+    test('should reject job description files that are not PDF or text', async () => {
+      const jdPath = path.join(testFilesDir, 'job.json');
+      fs.writeFileSync(jdPath, '{"title": "Engineer"}');
+
+      try {
+        const response = await request(app)
+          .post('/api/upload-and-process')
+          .attach('resume', createValidPDF('jd-type-resume.pdf'))
+          .attach('jobDescriptionFile', jdPath, { contentType: 'application/json' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_JOB_DESCRIPTION_TYPE');
+      } catch (error) {
+        // Multer may reset the connection while the rejected file is still streaming
+        if (error.code !== 'ECONNRESET') {
+          throw error;
+        }
+      }
+    });
+  });
+
+  describe('Rejected uploads with a job description file', () => {
+    test('should remove the job description file when the resume is invalid', async () => {
+      const resumePath = path.join(testFilesDir, 'jd-invalid-resume.pdf');
+      fs.writeFileSync(resumePath, 'This is not a PDF');
+      const jdPath = path.join(testFilesDir, 'job.txt');
+      fs.writeFileSync(jdPath, 'Senior Backend Engineer with Node.js, PostgreSQL and AWS experience');
+      const before = fs.readdirSync(uploadsDir);
+
+      const response = await request(app)
+        .post('/api/upload-and-process')
+        .attach('resume', resumePath)
+        .attach('jobDescriptionFile', jdPath)
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_PDF');
+      expect(fs.readdirSync(uploadsDir)).toEqual(before);
+    });
+  });
+
   describe('GET /api/stats', () => {
     test('should return upload statistics', async () => {
       const response = await request(app)
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const usageTracker = require('../services/usageTracker');
+const sessionManager = require('../services/sessionManager');
+const MockProvider = require('../services/providers/mockProvider');
+const aiRoutes = require('../routes/ai');
+
+/**
+ * Build a usage record as reported by an AI provider
+ */
+const createUsage = (overrides = {}) => ({
+  purpose: 'analysis',
+  provider: 'gemini',
+  model: 'gemini-2.0-flash',
+  promptTokens: 1000000,
+  completionTokens: 500000,
+  totalTokens: 1500000,
+  estimated: false,
+  success: true,
+  latencyMs: 1200,
+  timestamp: '2026-10-05T10:00:00.000Z',
+  ...overrides
+});
+
+describe('usageTracker', () => {
+  beforeEach(() => {
+    usageTracker.reset();
+  });
+
+  afterEach(() => {
+    sessionManager.clearAllSessions();
+  });
+
+  describe('provider usage reports', () => {
+    it('should estimate tokens when the provider does not report them', async () => {
+      const onUsage = jest.fn();
+      const provider = new MockProvider({ chunkDelayMs: 0 });
+
+      await provider.analyzeResumeStreaming('Jane Smith\nSKILLS\nNode.js', null, { onUsage });
+
+      const [[usage]] = onUsage.mock.calls;
+      expect(usage).toEqual(expect.objectContaining({ provider: 'mock', model: 'mock', estimated: true, success: true }));
+      expect(usage.promptTokens).toBeGreaterThan(0);
+      expect(usage.completionTokens).toBeGreaterThan(0);
+    });
+
+    it('should report every attempt, including repair requests and failures', async () => {
+      const onUsage = jest.fn();
+      const provider = new MockProvider({ chunkDelayMs: 0, scenario: 'server_error,invalid_json,success' });
+
+      await expect(provider.analyzeResumeStreaming('Resume text', null, { onUsage })).rejects.toThrow();
+      await provider.analyzeResumeStreaming('Resume text', null, { onUsage });
+
+      expect(onUsage.mock.calls.map(([usage]) => [usage.purpose, usage.success])).toEqual([
+        ['analysis', false],
+        ['analysis', true],
+        ['repair', true]
+      ]);
+      // The failed request never answered, so nothing was billed
+      expect(onUsage.mock.calls[0][0].totalTokens).toBe(0);
+    });
+  });
+
+  describe('record', () => {
+    it('should price the request and add it to the session', () => {
+      const sessionId = sessionManager.createSession({ status: 'analyzing' });
+
+      usageTracker.record(sessionId, createUsage());
+      usageTracker.record(sessionId, createUsage({ purpose: 'repair', promptTokens: 0, completionTokens: 1000000, totalTokens: 1000000 }));
+
+      const { usage } = sessionManager.getSession(sessionId);
+      expect(usage).toEqual(expect.objectContaining({ requests: expect.any(Array), totalTokens: 2500000, costUsd: 0.7 }));
+      expect(usage.requests).toHaveLength(2);
+      expect(usage.requests[0]).toEqual(expect.objectContaining({ model: 'gemini-2.0-flash', latencyMs: 1200, costUsd: 0.3 }));
+    });
+
+    it('should leave the cost of unpriced models empty', () => {
+      const record = usageTracker.record('no-session', createUsage({ provider: 'openai', model: 'unknown-model' }));
+
+      expect(record.costUsd).toBeNull();
+      expect(usageTracker.getUsage({ from: '2026-10-01', to: '2026-10-31' }).totals.unpricedRequests).toBe(1);
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should break usage down by day and model within the range', () => {
+      usageTracker.record('a', createUsage());
+      usageTracker.record('a', createUsage({ timestamp: '2026-10-05T18:00:00.000Z' }));
+      usageTracker.record('b', createUsage({ model: 'gemini-2.5-flash', timestamp: '2026-10-06T09:00:00.000Z', success: false }));
+      usageTracker.record('c', createUsage({ timestamp: '2026-11-01T09:00:00.000Z' }));
+
+      const { totals, byModel, byDay } = usageTracker.getUsage({ from: '2026-10-01', to: '2026-10-31' });
+
+      expect(totals).toEqual(expect.objectContaining({ requests: 3, failedRequests: 1, totalTokens: 4500000, costUsd: 2.15 }));
+      expect(byDay.map(entry => [entry.date, entry.model, entry.requests])).toEqual([
+        ['2026-10-05', 'gemini-2.0-flash', 2],
+        ['2026-10-06', 'gemini-2.5-flash', 1]
+      ]);
+      expect(byModel.map(entry => [entry.model, entry.costUsd])).toEqual([
+        ['gemini-2.0-flash', 0.6],
+        ['gemini-2.5-flash', 1.55]
+      ]);
+    });
+
+    it('should rebuild the daily totals from the usage log', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+      const originalLogPath = usageTracker.logPath;
+      usageTracker.logPath = path.join(tempDir, 'usage.jsonl');
+
+      try {
+        usageTracker.record('a', createUsage());
+        usageTracker.reset();
+        usageTracker.load();
+
+        expect(usageTracker.getUsage({ from: '2026-10-05', to: '2026-10-05' }).totals.requests).toBe(1);
+      } finally {
+        usageTracker.logPath = originalLogPath;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('usage log', () => {
+    const originalLogPath = process.env.USAGE_LOG_PATH;
+
+    afterEach(() => {
+      process.env.USAGE_LOG_PATH = originalLogPath;
+    });
+
+    it('should keep the usage log in the data directory by default', () => {
+      delete process.env.USAGE_LOG_PATH;
+
+      jest.isolateModules(() => {
+        expect(require('../services/usageTracker').logPath).toBe(path.join(__dirname, '../data/usage.jsonl'));
+      });
+    });
+
+    it('should keep totals in memory only when the log path is empty', () => {
+      process.env.USAGE_LOG_PATH = '';
+
+      jest.isolateModules(() => {
+        expect(require('../services/usageTracker').logPath).toBe('');
+      });
+    });
+  });
+
+  describe('GET /api/ai/usage', () => {
+    const app = express();
+    app.use('/api', aiRoutes);
+
+    it('should report the usage of a month', async () => {
+      usageTracker.record('a', createUsage());
+      usageTracker.record('b', createUsage({ timestamp: '2026-09-30T23:59:00.000Z' }));
+
+      const response = await request(app).get('/api/ai/usage?month=2026-10').expect(200);
+
+      expect(response.body).toEqual(expect.objectContaining({ success: true, from: '2026-10-01', to: '2026-10-31' }));
+      expect(response.body.totals.requests).toBe(1);
+      expect(response.body.pricing['gemini-2.0-flash']).toEqual({ input: 0.1, output: 0.4 });
+    });
+
+    it('should reject invalid date ranges', async () => {
+      const response = await request(app).get('/api/ai/usage?from=2026-10-31&to=2026-10-01').expect(400);
+
+      expect(response.body.code).toBe('INVALID_DATE_RANGE');
+      await request(app).get('/api/ai/usage?month=2026-13').expect(400);
+    });
+  });
+});
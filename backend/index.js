@@ -6,13 +6,25 @@ require("dotenv").config();
 const uploadRoutes = require("./routes/upload");
 const sseRoutes = require("./routes/sse");
 const processRoutes = require("./routes/process");
+const reportRoutes = require("./routes/report");
+const batchRoutes = require("./routes/batch");
+const aiRoutes = require("./routes/ai");
 
 // Import services for graceful shutdown
 const sseManager = require("./services/sseManager");
+const sessionManager = require("./services/sessionManager");
+const batchProcessor = require("./services/batchProcessor");
+
+// Batches do not survive a restart; remove their leftover files before accepting uploads
+batchProcessor.removeStaleBatches();
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind a reverse proxy (Render), req.ip is the proxy's address unless its hops are trusted;
+// per-client analysis limits key on req.ip, so take the caller's address from X-Forwarded-For
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS) || 0);
+
 // Configure CORS to allow multiple frontend origins
 app.use(
   cors({
@@ -45,6 +57,9 @@ app.get("/", (req, res) => {
 app.use("/api", uploadRoutes);
 app.use("/api", sseRoutes);
 app.use("/api", processRoutes);
+app.use("/api", reportRoutes);
+app.use("/api", batchRoutes);
+app.use("/api", aiRoutes);
 
 // NOTE: Static files are now served by the frontend hosting service (Vercel)
 // The backend only provides API endpoints
@@ -80,6 +95,9 @@ const gracefulShutdown = (signal) => {
   
   // Close SSE connections
   sseManager.shutdown();
+
+  // Flush and close the session store
+  sessionManager.close();
   
   // Close HTTP server
   server.close((err) => {
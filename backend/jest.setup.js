@@ -0,0 +1,2 @@
+// Keep the usage totals of test runs in memory instead of the default usage log
+process.env.USAGE_LOG_PATH = '';
@@ -1,49 +1,160 @@
 const fs = require('fs');
 const path = require('path');
+const ZipReader = require('../services/zipReader');
+const analysisCache = require('../services/analysisCache');
+
+// Resume validators keyed by file extension
+const RESUME_VALIDATORS = {
+  '.pdf': { validate: validatePDFFile, error: 'Invalid or corrupted PDF file', code: 'INVALID_PDF' },
+  '.docx': { validate: validateDOCXFile, error: 'Invalid or corrupted DOCX file', code: 'INVALID_DOCX' }
+};
+
+// Bytes read around the end of a PDF to find its trailer
+const PDF_TRAILER_WINDOW = 2048;
+
+/**
+ * Read bytes of an open file as latin1 text
+ * @param {number} fd - File descriptor
+ * @param {number} position - Offset to read from
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {string} - Bytes read
+ */
+function readText(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.toString('latin1', 0, bytesRead);
+}
+
+/**
+ * Read the trailer dictionary of a PDF: the `trailer` section before the last
+ * startxref, or for cross-reference streams (PDF 1.5+) the dictionary of the stream it points to
+ * @param {number} fd - File descriptor
+ * @param {number} size - File size in bytes
+ * @returns {string} - Trailer dictionary source, empty if none was found
+ */
+function readPDFTrailer(fd, size) {
+  const tail = readText(fd, Math.max(0, size - PDF_TRAILER_WINDOW), PDF_TRAILER_WINDOW);
+  const startxref = tail.lastIndexOf('startxref');
+  if (startxref === -1) {
+    return '';
+  }
+
+  const trailer = tail.lastIndexOf('trailer', startxref);
+  if (trailer !== -1) {
+    return tail.slice(trailer, startxref);
+  }
+
+  const offset = parseInt(tail.slice(startxref + 'startxref'.length), 10);
+  if (!Number.isInteger(offset) || offset < 0 || offset >= size) {
+    return '';
+  }
+
+  const xrefStream = readText(fd, offset, PDF_TRAILER_WINDOW);
+  const streamStart = xrefStream.indexOf('stream');
+  return streamStart === -1 ? xrefStream : xrefStream.slice(0, streamStart);
+}
 
 /**
- * Validates PDF file format and integrity
+ * Validates PDF file format and integrity. Also sets file.encrypted when the trailer
+ * references an encryption dictionary: encrypted PDFs are still valid uploads, those
+ * with only an owner password open normally, others need the user's password to extract.
  * @param {Object} file - Multer file object
  * @returns {Promise<boolean>} - True if valid PDF, false otherwise
  */
 async function validatePDFFile(file) {
+  let fd = null;
   try {
     // Check if file exists
     if (!fs.existsSync(file.path)) {
       return false;
     }
 
-    // Read first few bytes to check PDF signature
-    const buffer = Buffer.alloc(8);
-    const fd = fs.openSync(file.path, 'r');
-    fs.readSync(fd, buffer, 0, 8, 0);
-    fs.closeSync(fd);
-
     // PDF files should start with %PDF-
-    const pdfSignature = buffer.toString('ascii', 0, 5);
-    if (pdfSignature !== '%PDF-') {
+    fd = fs.openSync(file.path, 'r');
+    if (readText(fd, 0, 8).slice(0, 5) !== '%PDF-') {
       return false;
     }
 
     // Check file size (should be > 0 and within limits)
-    const stats = fs.statSync(file.path);
+    const stats = fs.fstatSync(fd);
     if (stats.size === 0) {
       return false;
     }
 
+    file.encrypted = /\/Encrypt\b/.test(readPDFTrailer(fd, stats.size));
     return true;
   } catch (error) {
     console.error('PDF validation error:', error);
     return false;
+  } finally {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
   }
 }
 
 /**
- * Middleware to validate uploaded PDF files
+ * Validates DOCX file format and integrity
+ * @param {Object} file - Multer file object
+ * @returns {Promise<boolean>} - True if valid DOCX, false otherwise
+ */
+async function validateDOCXFile(file) {
+  try {
+    // Check if file exists
+    if (!fs.existsSync(file.path)) {
+      return false;
+    }
+
+    // DOCX files are ZIP packages (PK\x03\x04) containing word/document.xml
+    const buffer = fs.readFileSync(file.path);
+    if (!ZipReader.isZip(buffer)) {
+      return false;
+    }
+
+    return new ZipReader(buffer).hasEntry('word/document.xml');
+  } catch (error) {
+    console.error('DOCX validation error:', error);
+    return false;
+  }
+}
+
+/**
+ * Validate a resume file by extension and contents
+ * @param {Object} file - File object with originalname and path
+ * @returns {Promise<Object>} - { valid: true } or { valid: false, error, code }
+ */
+async function validateResumeFile(file) {
+  const validator = RESUME_VALIDATORS[path.extname(file.originalname).toLowerCase()];
+  if (!validator) {
+    return { valid: false, error: 'Only PDF and DOCX files are allowed', code: 'INVALID_FILE_TYPE' };
+  }
+
+  if (!(await validator.validate(file))) {
+    return { valid: false, error: validator.error, code: validator.code };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Remove the files of a rejected upload: the resume and the optional job description
+ * @param {Object} req - Express request
+ */
+function removeUploadedFiles(req) {
+  for (const file of [req.file, req.jobDescriptionFile]) {
+    if (file?.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+}
+
+/**
+ * Middleware to validate uploaded resume files (PDF or DOCX)
  */
 const validatePDFMiddleware = async (req, res, next) => {
   try {
     if (!req.file) {
+      removeUploadedFiles(req);
       return res.status(400).json({
         error: 'No file uploaded',
         code: 'NO_FILE'
@@ -52,40 +163,36 @@ const validatePDFMiddleware = async (req, res, next) => {
 
     // Validate file extension
     const fileExtension = path.extname(req.file.originalname).toLowerCase();
-    if (fileExtension !== '.pdf') {
-      // Clean up uploaded file
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+    const validator = RESUME_VALIDATORS[fileExtension];
+    if (!validator) {
+      // Clean up uploaded files
+      removeUploadedFiles(req);
       return res.status(400).json({
-        error: 'Only PDF files are allowed',
+        error: 'Only PDF and DOCX files are allowed',
         code: 'INVALID_FILE_TYPE'
       });
     }
 
-    // Validate PDF format and integrity
-    const isValidPDF = await validatePDFFile(req.file);
-    if (!isValidPDF) {
+    // Validate file format and integrity
+    const isValidFile = await validator.validate(req.file);
+    if (!isValidFile) {
       // Clean up invalid file
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      removeUploadedFiles(req);
       return res.status(400).json({
-        error: 'Invalid or corrupted PDF file',
-        code: 'INVALID_PDF'
+        error: validator.error,
+        code: validator.code
       });
     }
 
     // Add validation timestamp to file object
     req.file.validatedAt = new Date().toISOString();
+    req.file.hash = analysisCache.hash(fs.readFileSync(req.file.path));
     next();
   } catch (error) {
     console.error('File validation middleware error:', error);
     
-    // Clean up file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    // Clean up files on error
+    removeUploadedFiles(req);
     
     res.status(500).json({
       error: 'File validation failed',
@@ -96,5 +203,7 @@ const validatePDFMiddleware = async (req, res, next) => {
 
 module.exports = {
   validatePDFFile,
+  validateDOCXFile,
+  validateResumeFile,
   validatePDFMiddleware
 };
\ No newline at end of file
@@ -17,14 +17,55 @@ const storage = multer.diskStorage({
     // Generate unique filename with timestamp and random suffix
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const sanitizedOriginalName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-    cb(null, `resume-${uniqueSuffix}-${sanitizedOriginalName}`);
+    const prefix = file.fieldname === 'jobDescriptionFile' ? 'jobdesc' : 'resume';
+    cb(null, `${prefix}-${uniqueSuffix}-${sanitizedOriginalName}`);
   }
 });
 
+// Resumes may be uploaded as PDF or Word (DOCX)
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const RESUME_MIME_TYPES = ['application/pdf', DOCX_MIME_TYPE];
+
+// Some browsers report DOCX files with a generic type; accept those by extension
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'application/zip'];
+
+// Batch uploads may also contain ZIP archives of resumes
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+const MAX_BATCH_FILES = 50;
+
+// Job descriptions may be uploaded as PDF or plain text
+const JOB_DESCRIPTION_MIME_TYPES = ['application/pdf', 'text/plain'];
+
 // File filter function
 const fileFilter = (req, file, cb) => {
+  if (file.fieldname === 'jobDescriptionFile') {
+    if (JOB_DESCRIPTION_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('INVALID_JOB_DESCRIPTION_TYPE'), false);
+    }
+    return;
+  }
+
+  if (file.fieldname === 'resumes') {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const isZip = ZIP_MIME_TYPES.includes(file.mimetype) ||
+      (GENERIC_MIME_TYPES.includes(file.mimetype) && extension === '.zip');
+    const isGenericDocx = GENERIC_MIME_TYPES.includes(file.mimetype) && extension === '.docx';
+
+    if (RESUME_MIME_TYPES.includes(file.mimetype) || isZip || isGenericDocx) {
+      cb(null, true);
+    } else {
+      cb(new Error('INVALID_BATCH_FILE_TYPE'), false);
+    }
+    return;
+  }
+
   // Check MIME type
-  if (file.mimetype === 'application/pdf') {
+  const isGenericDocx = GENERIC_MIME_TYPES.includes(file.mimetype) &&
+    path.extname(file.originalname).toLowerCase() === '.docx';
+
+  if (RESUME_MIME_TYPES.includes(file.mimetype) || isGenericDocx) {
     cb(null, true);
   } else {
     cb(new Error('INVALID_FILE_TYPE'), false);
@@ -43,6 +84,46 @@ const uploadConfig = multer({
   fileFilter: fileFilter
 });
 
+// Multer configuration for analysis uploads: one resume plus an optional job description file
+const analysisUploadConfig = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 2, // Resume and optional job description
+    fields: 5, // Limit number of fields
+    fieldSize: 1024 * 1024 // 1MB field size limit
+  },
+  fileFilter: fileFilter
+}).fields([
+  { name: 'resume', maxCount: 1 },
+  { name: 'jobDescriptionFile', maxCount: 1 }
+]);
+
+// Multer configuration for batch uploads: many resumes and/or ZIP archives plus an optional job description file
+const batchUploadConfig = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+    files: MAX_BATCH_FILES + 1, // Resumes and optional job description
+    fields: 5, // Limit number of fields
+    fieldSize: 1024 * 1024 // 1MB field size limit
+  },
+  fileFilter: fileFilter
+}).fields([
+  { name: 'resumes', maxCount: MAX_BATCH_FILES },
+  { name: 'jobDescriptionFile', maxCount: 1 }
+]);
+
+/**
+ * Expose files from analysisUploadConfig the way single-file routes expect them:
+ * the resume as req.file and the job description as req.jobDescriptionFile
+ */
+const attachUploadedFiles = (req, res, next) => {
+  req.file = req.files?.resume?.[0];
+  req.jobDescriptionFile = req.files?.jobDescriptionFile?.[0];
+  next();
+};
+
 // Error handler for multer errors
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -59,8 +140,13 @@ const handleMulterError = (error, req, res, next) => {
         errorCode = 'TOO_MANY_FILES';
         break;
       case 'LIMIT_UNEXPECTED_FILE':
-        errorMessage = 'Unexpected file field';
-        errorCode = 'UNEXPECTED_FILE';
+        if (error.field === 'resumes') {
+          errorMessage = `Too many files. Up to ${MAX_BATCH_FILES} files allowed per batch`;
+          errorCode = 'TOO_MANY_FILES';
+        } else {
+          errorMessage = 'Unexpected file field';
+          errorCode = 'UNEXPECTED_FILE';
+        }
         break;
       case 'LIMIT_FIELD_COUNT':
         errorMessage = 'Too many fields';
@@ -80,16 +166,34 @@ const handleMulterError = (error, req, res, next) => {
 
   if (error.message === 'INVALID_FILE_TYPE') {
     return res.status(400).json({
-      error: 'Only PDF files are allowed',
+      error: 'Only PDF and DOCX files are allowed',
       code: 'INVALID_FILE_TYPE'
     });
   }
 
+  if (error.message === 'INVALID_BATCH_FILE_TYPE') {
+    return res.status(400).json({
+      error: 'Batch uploads accept PDF, DOCX and ZIP files only',
+      code: 'INVALID_FILE_TYPE'
+    });
+  }
+
+  if (error.message === 'INVALID_JOB_DESCRIPTION_TYPE') {
+    return res.status(400).json({
+      error: 'Job description must be a PDF or plain text file',
+      code: 'INVALID_JOB_DESCRIPTION_TYPE'
+    });
+  }
+
   // Pass other errors to the next error handler
   next(error);
 };
 
 module.exports = {
   uploadConfig,
-  handleMulterError
+  analysisUploadConfig,
+  batchUploadConfig,
+  attachUploadedFiles,
+  handleMulterError,
+  MAX_BATCH_FILES
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+const express = require('express');
+const modelHealth = require('../services/modelHealth');
+const usageTracker = require('../services/usageTracker');
+const rubricRegistry = require('../services/rubricRegistry');
+
+const router = express.Router();
+
+/**
+ * GET /api/ai/health
+ * Circuit breaker state, error rate and latency of each model, and the model
+ * that served the last successful request
+ */
+router.get('/ai/health', (req, res) => {
+  try {
+    const { servingModel, models } = modelHealth.getHealth();
+
+    res.json({
+      success: true,
+      provider: (process.env.AI_PROVIDER || 'gemini').toLowerCase(),
+      servingModel,
+      models,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting AI health:', error);
+    res.status(500).json({
+      error: 'Failed to get AI health',
+      code: 'HEALTH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/ai/rubrics
+ * Scoring rubrics an upload can select, at their latest version
+ */
+router.get('/ai/rubrics', (req, res) => {
+  res.json({
+    success: true,
+    rubrics: rubricRegistry.list()
+  });
+});
+
+/**
+ * Resolve the date range of a usage request: ?month=YYYY-MM, or ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * (either may be left out). Defaults to the current month. Dates are UTC.
+ * @param {Object} query - Request query
+ * @returns {Object|null} - { from, to }, or null if the range is invalid
+ */
+function resolveDateRange(query) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  let month = query.month;
+
+  if (!month && !query.from && !query.to) {
+    month = new Date().toISOString().slice(0, 7);
+  }
+
+  if (month) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return null;
+    }
+    const [year, monthNumber] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    return { from: `${month}-01`, to: `${month}-${String(lastDay).padStart(2, '0')}` };
+  }
+
+  const from = query.from || '0000-01-01';
+  const to = query.to || '9999-12-31';
+  if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+    return null;
+  }
+  return { from, to };
+}
+
+/**
+ * GET /api/ai/usage
+ * Token usage and cost of model requests, by day and model, by model and in total
+ */
+router.get('/ai/usage', (req, res) => {
+  const range = resolveDateRange(req.query);
+  if (!range) {
+    return res.status(400).json({
+      error: 'Use month=YYYY-MM, or from and to as YYYY-MM-DD with from not after to',
+      code: 'INVALID_DATE_RANGE'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...range,
+      ...usageTracker.getUsage(range),
+      pricing: usageTracker.pricing,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting AI usage:', error);
+    res.status(500).json({
+      error: 'Failed to get AI usage',
+      code: 'USAGE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
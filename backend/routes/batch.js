@@ -0,0 +1,265 @@
+const express = require('express');
+const fs = require('fs');
+const { batchUploadConfig, handleMulterError } = require('../middleware/multerConfig');
+const fileCleanupService = require('../services/fileCleanup');
+const sessionManager = require('../services/sessionManager');
+const jobDescriptionService = require('../services/jobDescription');
+const batchProcessor = require('../services/batchProcessor');
+const candidateRanker = require('../services/candidateRanker');
+const pipeline = require('../services/pipeline');
+const analysisQueue = require('../services/analysisQueue');
+const rubricRegistry = require('../services/rubricRegistry');
+const { v4: uuidv4 } = require('uuid');
+
+const router = express.Router();
+
+/**
+ * POST /api/batch/upload-and-process
+ * Batch workflow route - accepts many resumes and/or ZIP archives in the `resumes` field,
+ * creates a batch session with one child session per resume and processes them with a
+ * concurrency limit. Progress for the whole batch is streamed on /api/events/:batchId.
+ * The optional `rubric` field selects the scoring rubric for every resume.
+ */
+router.post('/batch/upload-and-process',
+  // Multer middleware for resumes, ZIP archives and optional job description upload
+  batchUploadConfig,
+
+  // Handle multer errors
+  handleMulterError,
+
+  // Main batch handler
+  async (req, res) => {
+    const uploads = req.files?.resumes || [];
+    const jobDescriptionFile = req.files?.jobDescriptionFile?.[0];
+    const batchId = uuidv4();
+
+    const cleanupUploads = () => Promise.all(uploads.map(file => fileCleanupService.deleteFile(file.path)));
+
+    try {
+      if (uploads.length === 0) {
+        if (jobDescriptionFile) {
+          await fileCleanupService.deleteFile(jobDescriptionFile.path);
+        }
+        return res.status(400).json({
+          error: 'No files uploaded',
+          code: 'NO_FILE'
+        });
+      }
+
+      // Resolve the optional job description before any processing starts
+      let jobDescription = null;
+      try {
+        jobDescription = await jobDescriptionService.resolve({
+          text: req.body?.jobDescription,
+          file: jobDescriptionFile
+        });
+      } catch (error) {
+        await cleanupUploads();
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_JOB_DESCRIPTION'
+        });
+      }
+
+      const rubric = rubricRegistry.get(req.body?.rubric);
+      if (!rubric) {
+        await cleanupUploads();
+        return res.status(400).json({
+          error: `Unknown rubric: ${req.body.rubric}. Available rubrics: ${rubricRegistry.list().map(entry => entry.id).join(', ')}`,
+          code: 'INVALID_RUBRIC'
+        });
+      }
+
+      if (analysisQueue.isFull()) {
+        await cleanupUploads();
+        return res.status(503).json({
+          error: 'The analysis queue is full. Please try again in a few minutes.',
+          code: 'QUEUE_FULL'
+        });
+      }
+
+      // Expand ZIP archives and validate every resume
+      const { files, skipped } = await batchProcessor.prepareFiles(batchId, uploads);
+
+      if (files.length === 0) {
+        fs.rmSync(batchProcessor.getBatchDir(batchId), { recursive: true, force: true });
+        return res.status(400).json({
+          error: 'No valid PDF or DOCX resumes found in the upload',
+          code: 'NO_VALID_FILES',
+          skipped
+        });
+      }
+
+      const items = batchProcessor.createBatch(batchId, files, {
+        skipped,
+        jobDescription: jobDescription ? jobDescription.text : null,
+        rubric: { id: rubric.id, version: rubric.version }
+      });
+
+      // Send immediate response with batch info
+      res.status(200).json({
+        success: true,
+        batchId,
+        sessionId: batchId,
+        message: 'Batch processing started',
+        status: 'processing',
+        analysisMode: jobDescription ? 'job-match' : 'general',
+        rubric: { id: rubric.id, version: rubric.version, name: rubric.name },
+        total: items.length,
+        items: items.map(item => ({ sessionId: item.sessionId, fileName: item.file.originalName })),
+        skipped
+      });
+
+      console.log(`[BATCH] Batch ${batchId} started: ${items.length} resume(s), ${skipped.length} skipped`);
+
+      // Start the batch asynchronously
+      const processFile = (sessionId, file, analysisOptions) => pipeline.run(sessionId, { filePath: file.path, fileHash: file.hash, ...analysisOptions });
+      batchProcessor.runBatch(batchId, items, processFile, {
+        jobDescription: jobDescription ? jobDescription.text : null,
+        rubric: { id: rubric.id, version: rubric.version },
+        force: String(req.body?.force) === 'true',
+        clientId: req.ip
+      }).catch(error => {
+        console.error(`[BATCH] Batch ${batchId} failed:`, error);
+        sessionManager.updateSession(batchId, { status: 'error', lastError: error.message });
+      });
+
+    } catch (error) {
+      console.error('Batch upload handler error:', error);
+      await cleanupUploads();
+
+      res.status(500).json({
+        error: 'Batch upload processing failed',
+        code: 'BATCH_PROCESSING_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/batch/:batchId
+ * Get batch progress, per-file status and the summary once finished
+ */
+router.get('/batch/:batchId', (req, res) => {
+  const { batchId } = req.params;
+
+  const batch = sessionManager.getSession(batchId);
+  if (!batch || batch.type !== 'batch') {
+    return res.status(404).json({
+      error: 'Batch not found',
+      code: 'BATCH_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    batchId,
+    status: batch.status,
+    analysisMode: batch.analysisMode,
+    progress: batch.progress,
+    items: batch.items.map(item => {
+      const session = sessionManager.getSession(item.sessionId);
+      return {
+        ...item,
+        status: session ? session.status : 'expired',
+        error: session?.status === 'error' ? session.lastError : null
+      };
+    }),
+    skipped: batch.skipped,
+    summary: batch.summary || null,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt || null
+  });
+});
+
+/**
+ * Look up a batch that can be ranked, sending the error response otherwise
+ * @param {string} batchId - Batch ID
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Batch session or null if a response was sent
+ */
+function getRankableBatch(batchId, res) {
+  const batch = sessionManager.getSession(batchId);
+  if (!batch || batch.type !== 'batch') {
+    res.status(404).json({
+      error: 'Batch not found',
+      code: 'BATCH_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!batch.jobDescription) {
+    res.status(400).json({
+      error: 'Ranking requires a batch uploaded with a job description',
+      code: 'JOB_DESCRIPTION_REQUIRED'
+    });
+    return null;
+  }
+
+  if (batch.status === 'processing') {
+    res.status(409).json({
+      error: 'Batch analysis is not complete yet',
+      code: 'RANKING_NOT_READY'
+    });
+    return null;
+  }
+
+  return batch;
+}
+
+/**
+ * GET /api/batch/:batchId/ranking
+ * Candidates sorted by fit to the batch's job description, with per-requirement evidence.
+ * Optional `limit` query parameter returns only the top N candidates.
+ */
+router.get('/batch/:batchId/ranking', (req, res) => {
+  const { batchId } = req.params;
+
+  if (!getRankableBatch(batchId, res)) {
+    return;
+  }
+
+  const ranking = batchProcessor.rankBatch(batchId);
+  const limit = parseInt(req.query.limit, 10);
+
+  res.json({
+    success: true,
+    batchId,
+    requirements: ranking.requirements,
+    total: ranking.candidates.length,
+    candidates: limit > 0 ? ranking.candidates.slice(0, limit) : ranking.candidates,
+    unranked: ranking.unranked
+  });
+});
+
+/**
+ * GET /api/batch/:batchId/ranking.csv
+ * Download the candidate ranking as CSV
+ */
+router.get('/batch/:batchId/ranking.csv', (req, res) => {
+  const { batchId } = req.params;
+
+  if (!getRankableBatch(batchId, res)) {
+    return;
+  }
+
+  try {
+    const csv = candidateRanker.toCSV(batchProcessor.rankBatch(batchId));
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="candidate-ranking-${batchId}.csv"`
+    });
+    res.send(csv);
+
+    console.log(`[BATCH] Exported candidate ranking for batch: ${batchId}`);
+  } catch (error) {
+    console.error(`[BATCH] Failed to export ranking for batch ${batchId}:`, error);
+    res.status(500).json({
+      error: 'Failed to export ranking',
+      code: 'RANKING_EXPORT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
-const PDFExtractor = require('../services/pdfExtractor');
-const GeminiService = require('../services/geminiService');
+const fs = require('fs');
+const jobRegistry = require('../services/jobRegistry');
+const pipeline = require('../services/pipeline');
+const analysisQueue = require('../services/analysisQueue');
 const sessionManager = require('../services/sessionManager');
 const eventBroadcaster = require('../services/eventBroadcaster');
-const fileCleanupService = require('../services/fileCleanup');
 
 const router = express.Router();
 
+// Extraction errors that a PDF password resolves
+const PASSWORD_ERROR_CODES = ['PDF_ENCRYPTED', 'PDF_PASSWORD_INCORRECT'];
+
 /**
  * POST /api/process/:sessionId
  * Main processing workflow - orchestrates PDF extraction and AI analysis
@@ -24,6 +28,13 @@ router.post('/process/:sessionId', async (req, res) => {
       });
     }
 
+    if (analysisQueue.isFull()) {
+      return res.status(503).json({
+        error: 'The analysis queue is full. Please try again in a few minutes.',
+        code: 'QUEUE_FULL'
+      });
+    }
+
     // Start processing immediately and return response
     res.status(200).json({
       success: true,
@@ -32,8 +43,15 @@ router.post('/process/:sessionId', async (req, res) => {
       status: 'processing'
     });
 
-    // Run processing workflow asynchronously
-    processResumeWorkflow(sessionId, session);
+    // Run the processing pipeline asynchronously; { "force": true } bypasses the analysis cache
+    pipeline.run(sessionId, {
+      filePath: session.fileInfo?.path,
+      fileHash: session.fileInfo?.hash,
+      jobDescription: session.jobDescription || null,
+      rubric: session.rubric,
+      force: String(req.body?.force) === 'true',
+      clientId: req.ip
+    });
 
   } catch (error) {
     console.error('Process route error:', error);
@@ -45,111 +63,75 @@ router.post('/process/:sessionId', async (req, res) => {
 });
 
 /**
- * Main processing workflow function
- * @param {string} sessionId - Session ID
- * @param {Object} session - Session data
+ * POST /api/process/:sessionId/password
+ * Retry extraction of an encrypted PDF with its password, without re-uploading it.
+ * The password is only used for this extraction and is never stored.
  */
-async function processResumeWorkflow(sessionId, session) {
-  const pdfExtractor = new PDFExtractor();
-  let geminiService;
-  
-  try {
-    // Initialize Gemini service
-    geminiService = new GeminiService();
-  } catch (error) {
-    eventBroadcaster.broadcastError(sessionId, 'AI service initialization failed', {
-      code: 'AI_INIT_ERROR',
-      stage: 'initialization',
-      retryable: false
-    });
-    return;
-  }
+router.post('/process/:sessionId/password', async (req, res) => {
+  const { sessionId } = req.params;
+  const password = req.body?.password;
 
   try {
-    // Step 1: Extract text from PDF
-    eventBroadcaster.broadcastExtractionStarted(sessionId);
-    
-    const filePath = session.fileInfo?.path || `backend/uploads/${session.fileInfo?.filename}`;
-    const extractionResult = await pdfExtractor.extractText(filePath);
-    
-    if (!extractionResult.success) {
-      eventBroadcaster.broadcastError(sessionId, extractionResult.error.message, {
-        code: extractionResult.error.type,
-        stage: 'extraction',
-        retryable: false
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
       });
-      return;
     }
 
-    eventBroadcaster.broadcastExtractionCompleted(sessionId, {
-      text: extractionResult.text,
-      textLength: extractionResult.metadata.textLength,
-      pageCount: extractionResult.metadata.pages,
-      hasText: true
-    });
-
-    // Step 2: Analyze with AI (with retry logic)
-    await analyzeWithRetry(sessionId, extractionResult.text, geminiService);
+    if (typeof password !== 'string' || password.length === 0) {
+      return res.status(400).json({
+        error: 'A password is required',
+        code: 'PASSWORD_REQUIRED'
+      });
+    }
 
-  } catch (error) {
-    console.error(`Processing workflow error for session ${sessionId}:`, error);
-    eventBroadcaster.broadcastError(sessionId, error.message, {
-      code: 'WORKFLOW_ERROR',
-      stage: 'processing',
-      retryable: true
-    });
-  }
-}
+    if (session.status !== 'error' || !PASSWORD_ERROR_CODES.includes(session.errorCode)) {
+      return res.status(409).json({
+        error: 'Session is not waiting for a PDF password',
+        code: 'PASSWORD_NOT_EXPECTED'
+      });
+    }
 
-/**
- * AI analysis with retry logic
- * @param {string} sessionId - Session ID
- * @param {string} resumeText - Extracted resume text
- * @param {GeminiService} geminiService - Gemini service instance
- * @param {number} retryCount - Current retry attempt
- */
-async function analyzeWithRetry(sessionId, resumeText, geminiService, retryCount = 0) {
-  const maxRetries = 3;
-  
-  try {
-    if (retryCount > 0) {
-      eventBroadcaster.broadcastRetryStarted(sessionId, retryCount, 'analysis');
-      // Exponential backoff delay
-      const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    } else {
-      eventBroadcaster.broadcastAnalysisStarted(sessionId);
+    if (!session.fileInfo?.path || !fs.existsSync(session.fileInfo.path)) {
+      return res.status(410).json({
+        error: 'The uploaded file is no longer available. Please upload it again.',
+        code: 'FILE_NOT_FOUND'
+      });
     }
 
-    // Analyze with streaming
-    const feedback = await geminiService.analyzeResumeStreaming(
-      resumeText,
-      (chunk) => {
-        // Broadcast streaming chunks
-        eventBroadcaster.broadcastAnalysisStreaming(sessionId, chunk);
-      }
-    );
+    console.log(`[PROCESS] Password submitted for session: ${sessionId}`);
+    sessionManager.updateSession(sessionId, {
+      status: 'extracting',
+      lastError: null,
+      errorCode: null
+    });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      message: 'Extraction restarted',
+      status: 'processing'
+    });
 
-    // Analysis completed successfully
-    eventBroadcaster.broadcastAnalysisCompleted(sessionId, feedback);
+    pipeline.run(sessionId, {
+      filePath: session.fileInfo.path,
+      fileHash: session.fileInfo.hash,
+      jobDescription: session.jobDescription || null,
+      rubric: session.rubric,
+      password,
+      clientId: req.ip
+    });
 
   } catch (error) {
-    console.error(`AI analysis error (attempt ${retryCount + 1}):`, error);
-    
-    if (retryCount < maxRetries) {
-      // Retry
-      await analyzeWithRetry(sessionId, resumeText, geminiService, retryCount + 1);
-    } else {
-      // Max retries exceeded
-      eventBroadcaster.broadcastError(sessionId, 'AI analysis failed after multiple attempts', {
-        code: 'AI_ANALYSIS_FAILED',
-        stage: 'analysis',
-        retryable: false,
-        retryCount: retryCount + 1
-      });
-    }
+    console.error('Password submission error:', error);
+    res.status(500).json({
+      error: 'Failed to restart extraction',
+      code: 'PASSWORD_SUBMIT_ERROR'
+    });
   }
-}
+});
 
 /**
  * GET /api/process/:sessionId/status
@@ -187,7 +169,8 @@ router.get('/process/:sessionId/status', (req, res) => {
 
 /**
  * POST /api/process/:sessionId/retry
- * Retry failed processing
+ * Retry failed processing. An optional { "password": "..." } opens an encrypted PDF
+ * for this run only, as with POST /api/process/:sessionId/password.
  */
 router.post('/process/:sessionId/retry', async (req, res) => {
   const { sessionId } = req.params;
@@ -218,8 +201,16 @@ router.post('/process/:sessionId/retry', async (req, res) => {
       retryCount: session.retryCount + 1
     });
 
-    // Start processing workflow again
-    processResumeWorkflow(sessionId, session);
+    // Start the processing pipeline again
+    pipeline.run(sessionId, {
+      filePath: session.fileInfo?.path,
+      fileHash: session.fileInfo?.hash,
+      jobDescription: session.jobDescription || null,
+      rubric: session.rubric,
+      password: typeof req.body?.password === 'string' && req.body.password.length > 0 ? req.body.password : undefined,
+      force: String(req.body?.force) === 'true',
+      clientId: req.ip
+    });
 
   } catch (error) {
     console.error('Retry error:', error);
@@ -230,4 +221,45 @@ router.post('/process/:sessionId/retry', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/process/:sessionId/cancel
+ * Cancel running processing: aborts extraction, the AI request and any pending retry
+ */
+router.post('/process/:sessionId/cancel', (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (!jobRegistry.cancel(sessionId)) {
+      return res.status(409).json({
+        error: 'No processing is running for this session',
+        code: 'NOT_PROCESSING'
+      });
+    }
+
+    eventBroadcaster.broadcastAnalysisCancelled(sessionId);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      message: 'Processing cancelled',
+      status: 'cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel processing',
+      code: 'CANCEL_ERROR'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const express = require('express');
+const path = require('path');
+const sessionManager = require('../services/sessionManager');
+const reportGenerator = require('../services/reportGenerator');
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions/:sessionId/report.pdf
+ * Download the completed analysis as a PDF report
+ */
+router.get('/sessions/:sessionId/report.pdf', async (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = sessionManager.getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({
+      error: 'Session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+  }
+
+  if (session.status !== 'completed' || !session.feedback) {
+    return res.status(409).json({
+      error: 'Analysis is not complete yet',
+      code: 'REPORT_NOT_READY'
+    });
+  }
+
+  try {
+    const report = await reportGenerator.generate(session);
+
+    const baseName = path.parse(session.fileInfo?.originalName || 'resume').name.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': report.length,
+      'Content-Disposition': `attachment; filename="${baseName}-feedback-report.pdf"`
+    });
+    res.send(report);
+
+    console.log(`[REPORT] Generated PDF report for session: ${sessionId}`);
+  } catch (error) {
+    console.error(`[REPORT] Failed to generate report for session ${sessionId}:`, error);
+    res.status(500).json({
+      error: 'Failed to generate report',
+      code: 'REPORT_GENERATION_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const sseManager = require('../services/sseManager');
 const sessionManager = require('../services/sessionManager');
 const eventBroadcaster = require('../services/eventBroadcaster');
+const analysisCache = require('../services/analysisCache');
+const jobRegistry = require('../services/jobRegistry');
+const analysisQueue = require('../services/analysisQueue');
 
 const router = express.Router();
 
@@ -48,28 +51,47 @@ router.get('/events/:sessionId', (req, res) => {
     return;
   }
 
-  // Send current session status and any existing results
-  if (session.status === 'completed' && session.feedback) {
-    // Session already completed - send the results immediately
-    sseManager.broadcastToSession(sessionId, 'analysis.completed', {
-      status: 'completed',
-      message: 'Analysis completed successfully',
-      stage: 'analysis',
-      feedback: session.feedback,
-      completedAt: session.completedAt || new Date().toISOString()
-    });
-  } else {
-    // Send current status
-    sseManager.broadcastToSession(sessionId, 'session.status', {
-      status: session.status,
-      message: `Current status: ${session.status}`,
-      sessionData: {
-        sessionId: session.sessionId,
+  // Replay events the client missed while disconnected. Browsers send Last-Event-ID
+  // on automatic reconnects; manual reconnects can pass ?lastEventId= instead.
+  const lastEventIdValue = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  let replay = { replayed: 0, complete: false };
+  if (lastEventIdValue !== undefined) {
+    replay = sseManager.replayEvents(sessionId, res, Number(lastEventIdValue));
+  }
+
+  // Without a complete replay, send this connection a snapshot of the current state
+  if (!replay.complete) {
+    if (session.type === 'batch' && session.summary) {
+      // Batch already finished - send the summary immediately
+      sseManager.sendToConnection(sessionId, res, 'batch.completed', {
+        status: 'completed',
+        message: 'Batch analysis completed',
+        summary: session.summary,
+        completedAt: session.completedAt || new Date().toISOString()
+      });
+    } else if (session.status === 'completed' && session.feedback) {
+      // Session already completed - send the results immediately
+      // Same payload as the live broadcast, so a reconnecting client still sees the cached and degraded flags
+      sseManager.sendToConnection(sessionId, res, 'analysis.completed', eventBroadcaster.createAnalysisCompletedData(
+        session.feedback,
+        { cached: session.cached, degraded: session.degraded },
+        session.completedAt || new Date().toISOString()
+      ));
+    } else {
+      // Send current status
+      sseManager.sendToConnection(sessionId, res, 'session.status', {
         status: session.status,
-        createdAt: session.createdAt,
-        updatedAt: session.updatedAt
-      }
-    });
+        message: `Current status: ${session.status}`,
+        sessionData: {
+          sessionId: session.sessionId,
+          status: session.status,
+          queuePosition: session.queuePosition || null,
+          lint: session.lint || null,
+          createdAt: session.createdAt,
+          updatedAt: session.updatedAt
+        }
+      });
+    }
   }
 
   // Extend session expiration since user is actively connected
@@ -223,7 +245,10 @@ router.get('/sse/stats', (req, res) => {
     const stats = {
       sse: sseManager.getStats(),
       sessions: sessionManager.getStats(),
-      broadcaster: eventBroadcaster.getStats()
+      broadcaster: eventBroadcaster.getStats(),
+      cache: analysisCache.getStats(),
+      jobs: jobRegistry.getStats(),
+      queue: analysisQueue.getStats()
     };
 
     res.json({
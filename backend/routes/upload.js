@@ -1,11 +1,13 @@
 const express = require('express');
-const { uploadConfig, handleMulterError } = require('../middleware/multerConfig');
+const { uploadConfig, analysisUploadConfig, attachUploadedFiles, handleMulterError } = require('../middleware/multerConfig');
 const { validatePDFMiddleware } = require('../middleware/fileValidation');
 const fileCleanupService = require('../services/fileCleanup');
 const sessionManager = require('../services/sessionManager');
 const eventBroadcaster = require('../services/eventBroadcaster');
-const PDFExtractor = require('../services/pdfExtractor');
-const GeminiService = require('../services/geminiService');
+const jobDescriptionService = require('../services/jobDescription');
+const pipeline = require('../services/pipeline');
+const analysisQueue = require('../services/analysisQueue');
+const rubricRegistry = require('../services/rubricRegistry');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
@@ -13,15 +15,21 @@ const router = express.Router();
 /**
  * POST /api/upload-and-process
  * Main processing workflow route - orchestrates upload → extract → analyze → stream
- * This is the primary endpoint that handles the complete resume analysis workflow
+ * This is the primary endpoint that handles the complete resume analysis workflow.
+ * An optional job description can be sent as the `jobDescription` text field or
+ * the `jobDescriptionFile` file field to analyze the resume against that job.
+ * The optional `rubric` field selects the scoring rubric (see GET /api/ai/rubrics).
  */
 router.post('/upload-and-process', 
-  // Multer middleware for file upload
-  uploadConfig.single('resume'),
+  // Multer middleware for resume and optional job description upload
+  analysisUploadConfig,
   
   // Handle multer errors
   handleMulterError,
   
+  // Expose the resume as req.file
+  attachUploadedFiles,
+  
   // Validate PDF file
   validatePDFMiddleware,
   
@@ -33,17 +41,55 @@ router.post('/upload-and-process',
       const file = req.file;
       
       if (!file) {
+        if (req.jobDescriptionFile) {
+          await fileCleanupService.deleteFile(req.jobDescriptionFile.path);
+        }
         return res.status(400).json({
           error: 'No file uploaded',
           code: 'NO_FILE'
         });
       }
 
+      // Resolve the optional job description before any processing starts
+      let jobDescription = null;
+      try {
+        jobDescription = await jobDescriptionService.resolve({
+          text: req.body?.jobDescription,
+          file: req.jobDescriptionFile
+        });
+      } catch (error) {
+        await fileCleanupService.deleteFile(file.path);
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_JOB_DESCRIPTION'
+        });
+      }
+
+      const rubric = rubricRegistry.get(req.body?.rubric);
+      if (!rubric) {
+        await fileCleanupService.deleteFile(file.path);
+        return res.status(400).json({
+          error: `Unknown rubric: ${req.body.rubric}. Available rubrics: ${rubricRegistry.list().map(entry => entry.id).join(', ')}`,
+          code: 'INVALID_RUBRIC'
+        });
+      }
+
+      if (analysisQueue.isFull()) {
+        await fileCleanupService.deleteFile(file.path);
+        return res.status(503).json({
+          error: 'The analysis queue is full. Please try again in a few minutes.',
+          code: 'QUEUE_FULL'
+        });
+      }
+
       // Create session with file information
       console.log(`[UPLOAD] Creating session: ${sessionId}`);
       sessionManager.createSession({
         sessionId,
         status: 'uploaded',
+        analysisMode: jobDescription ? 'job-match' : 'general',
+        jobDescription: jobDescription ? jobDescription.text : null,
+        rubric: { id: rubric.id, version: rubric.version },
         fileInfo: {
           originalName: file.originalname,
           filename: file.filename,
@@ -51,7 +97,9 @@ router.post('/upload-and-process',
           mimetype: file.mimetype,
           path: file.path,
           uploadedAt: new Date().toISOString(),
-          validatedAt: file.validatedAt
+          validatedAt: file.validatedAt,
+          encrypted: file.encrypted || false,
+          hash: file.hash
         }
       });
       console.log(`[UPLOAD] Session created successfully: ${sessionId}`);
@@ -65,26 +113,40 @@ router.post('/upload-and-process',
         sessionId: sessionId,
         message: 'Processing started',
         status: 'processing',
+        analysisMode: jobDescription ? 'job-match' : 'general',
+        rubric: { id: rubric.id, version: rubric.version, name: rubric.name },
         file: {
           originalName: file.originalname,
           size: file.size,
-          uploadedAt: new Date().toISOString()
+          uploadedAt: new Date().toISOString(),
+          encrypted: file.encrypted || false,
+          hash: file.hash
         }
       });
 
       // Log successful upload
       console.log(`File uploaded and processing started: ${file.originalname} (${file.size} bytes) - Session: ${sessionId}`);
 
-      // Start the processing workflow asynchronously
-      processResumeWorkflow(sessionId, file);
+      // Start the processing pipeline asynchronously
+      pipeline.run(sessionId, {
+        filePath: file.path,
+        fileHash: file.hash,
+        jobDescription: jobDescription ? jobDescription.text : null,
+        rubric: { id: rubric.id, version: rubric.version },
+        force: String(req.body?.force) === 'true',
+        clientId: req.ip
+      });
 
     } catch (error) {
       console.error('Upload and process handler error:', error);
       
-      // Clean up file on error
+      // Clean up files on error
       if (req.file && req.file.path) {
         await fileCleanupService.deleteFile(req.file.path);
       }
+      if (req.jobDescriptionFile && req.jobDescriptionFile.path) {
+        await fileCleanupService.deleteFile(req.jobDescriptionFile.path);
+      }
       
       // Update session status to error if session was created
       if (sessionManager.sessionExists(sessionId)) {
@@ -148,7 +210,9 @@ router.post('/upload',
           mimetype: file.mimetype,
           path: file.path,
           uploadedAt: new Date().toISOString(),
-          validatedAt: file.validatedAt
+          validatedAt: file.validatedAt,
+          encrypted: file.encrypted || false,
+          hash: file.hash
         }
       });
       
@@ -162,7 +226,9 @@ router.post('/upload',
           size: file.size,
           mimetype: file.mimetype,
           uploadedAt: new Date().toISOString(),
-          validatedAt: file.validatedAt
+          validatedAt: file.validatedAt,
+          encrypted: file.encrypted || false,
+          hash: file.hash
         },
         message: 'File uploaded and validated successfully'
       };
@@ -191,167 +257,6 @@ router.post('/upload',
   }
 );
 
-/**
- * Main processing workflow function
- * Orchestrates the complete flow: extract → analyze → stream
- * @param {string} sessionId - Session ID
- * @param {Object} file - Uploaded file object
- */
-async function processResumeWorkflow(sessionId, file) {
-  const pdfExtractor = new PDFExtractor();
-  let geminiService;
-  
-  try {
-    // Initialize Gemini service
-    geminiService = new GeminiService();
-  } catch (error) {
-    console.error(`Gemini service initialization failed for session ${sessionId}:`, error);
-    sessionManager.updateSession(sessionId, {
-      status: 'error',
-      lastError: 'AI service initialization failed'
-    });
-    eventBroadcaster.broadcastError(sessionId, 'AI service initialization failed', {
-      code: 'AI_INIT_ERROR',
-      stage: 'initialization',
-      retryable: false
-    });
-    return;
-  }
-
-  try {
-    // Step 1: Update status to extracting
-    sessionManager.updateSession(sessionId, { status: 'extracting' });
-    eventBroadcaster.broadcastExtractionStarted(sessionId);
-    
-    // Extract text from PDF
-    const extractionResult = await pdfExtractor.extractText(file.path);
-    
-    if (!extractionResult.success) {
-      sessionManager.updateSession(sessionId, {
-        status: 'error',
-        lastError: extractionResult.error.message
-      });
-      eventBroadcaster.broadcastError(sessionId, extractionResult.error.message, {
-        code: extractionResult.error.type,
-        stage: 'extraction',
-        retryable: false
-      });
-      return;
-    }
-
-    // Step 2: Extraction completed
-    sessionManager.updateSession(sessionId, { 
-      status: 'extracted',
-      extractedText: extractionResult.text
-    });
-    eventBroadcaster.broadcastExtractionCompleted(sessionId, {
-      text: extractionResult.text,
-      textLength: extractionResult.metadata.textLength,
-      pageCount: extractionResult.metadata.pages,
-      hasText: true
-    });
-
-    // Step 3: Start AI analysis with retry logic
-    await analyzeWithRetry(sessionId, extractionResult.text, geminiService);
-
-  } catch (error) {
-    console.error(`Processing workflow error for session ${sessionId}:`, error);
-    sessionManager.updateSession(sessionId, {
-      status: 'error',
-      lastError: error.message
-    });
-    eventBroadcaster.broadcastError(sessionId, error.message, {
-      code: 'WORKFLOW_ERROR',
-      stage: 'processing',
-      retryable: true
-    });
-  }
-}
-
-/**
- * AI analysis with retry logic
- * @param {string} sessionId - Session ID
- * @param {string} resumeText - Extracted resume text
- * @param {GeminiService} geminiService - Gemini service instance
- * @param {number} retryCount - Current retry attempt
- */
-async function analyzeWithRetry(sessionId, resumeText, geminiService, retryCount = 0) {
-  const maxRetries = 3;
-  
-  try {
-    if (retryCount > 0) {
-      // Update session for retry
-      sessionManager.updateSession(sessionId, { 
-        status: 'retrying',
-        retryCount: retryCount
-      });
-      eventBroadcaster.broadcastRetryStarted(sessionId, retryCount, 'analysis');
-      
-      // Exponential backoff delay
-      const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    } else {
-      // First attempt
-      sessionManager.updateSession(sessionId, { status: 'analyzing' });
-      eventBroadcaster.broadcastAnalysisStarted(sessionId);
-    }
-
-    // Analyze with streaming
-    const feedback = await geminiService.analyzeResumeStreaming(
-      resumeText,
-      (chunk) => {
-        // Broadcast streaming chunks
-        eventBroadcaster.broadcastAnalysisStreaming(sessionId, chunk);
-      }
-    );
-
-    // Analysis completed successfully
-    sessionManager.updateSession(sessionId, {
-      status: 'completed',
-      feedback: feedback,
-      completedAt: new Date().toISOString()
-    });
-    eventBroadcaster.broadcastAnalysisCompleted(sessionId, feedback);
-
-  } catch (error) {
-    console.error(`AI analysis error (attempt ${retryCount + 1}):`, error);
-    
-    // Don't retry for certain error types that won't be fixed by retrying
-    const isRetryableError = !(error.message.includes('model not found') || 
-                              error.message.includes('Unauthorized') || 
-                              error.message.includes('API key'));
-    
-    // If it's a model-related error, try to reinitialize the model
-    if (error.message.includes('model not found') && typeof geminiService.reinitializeModel === 'function') {
-      console.log('Attempting to reinitialize AI model...');
-      const reinitSuccess = geminiService.reinitializeModel();
-      if (reinitSuccess && retryCount < maxRetries) {
-        // If reinitialization was successful, retry the analysis
-        await analyzeWithRetry(sessionId, resumeText, geminiService, retryCount + 1);
-        return;
-      }
-    }
-    
-    if (isRetryableError && retryCount < maxRetries) {
-      // Retry for retryable errors
-      await analyzeWithRetry(sessionId, resumeText, geminiService, retryCount + 1);
-    } else {
-      // Max retries exceeded or non-retryable error
-      sessionManager.updateSession(sessionId, {
-        status: 'error',
-        lastError: error.message,
-        retryCount: retryCount + 1
-      });
-      eventBroadcaster.broadcastError(sessionId, error.message, {
-        code: 'AI_ANALYSIS_FAILED',
-        stage: 'analysis',
-        retryable: isRetryableError,
-        retryCount: retryCount + 1
-      });
-    }
-  }
-}
-
 /**
  * GET /api/upload/stats
  * Get upload directory statistics (for monitoring)
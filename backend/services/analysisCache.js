@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+/**
+ * Analysis Cache
+ * Keeps completed AI feedback keyed by the resume file or text, prompt version, model,
+ * rubric and job description, so analyzing the same resume again costs no model call
+ */
+class AnalysisCache {
+  constructor() {
+    this.enabled = process.env.ANALYSIS_CACHE_ENABLED !== 'false';
+    this.ttlSeconds = parseInt(process.env.ANALYSIS_CACHE_TTL, 10) || 24 * 60 * 60;
+
+    this.cache = new NodeCache({
+      stdTTL: this.ttlSeconds,
+      checkperiod: 600,
+      // Callers merge lint and ATS results into the feedback; keep the cached copy untouched
+      useClones: true
+    });
+  }
+
+  /**
+   * Hash file contents or text
+   * @param {Buffer|string} content - Content to hash
+   * @returns {string} - SHA-256 hex digest
+   */
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Build the cache key of an analysis
+   * @param {Object} params - Key parts
+   * @param {string} params.fileHash - Hash of the uploaded file, if known
+   * @param {string} params.textHash - Hash of the extracted resume text, used when the file hash is unknown
+   * @param {string} params.jobDescription - Job description the resume is matched against, if any
+   * @param {BaseAIProvider} params.provider - Provider that runs the analysis
+   * @param {string} params.model - Model that answered; the provider's current model when empty
+   * @param {Object} params.rubric - Rubric the resume is scored with, if any
+   * @returns {string} - Cache key
+   */
+  createKey({ fileHash, textHash, jobDescription, provider, model, rubric }) {
+    return [
+      // The same file always matches, even when OCR reads it a little differently
+      fileHash || textHash,
+      `v${provider.promptVersion}`,
+      `${provider.name}:${model || provider.getModelName()}`,
+      rubric ? `${rubric.id}@${rubric.version}` : 'unscored',
+      jobDescription ? this.hash(jobDescription) : 'general'
+    ].join(':');
+  }
+
+  /**
+   * Get cached feedback
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Feedback, or null on a miss or when caching is disabled
+   */
+  get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const feedback = this.cache.get(key);
+    if (feedback) {
+      console.log(`[CACHE] Hit for ${key.slice(0, 12)}`);
+    }
+    return feedback || null;
+  }
+
+  /**
+   * Cache completed feedback
+   * @param {string} key - Cache key
+   * @param {Object} feedback - AI feedback, before lint and ATS results are merged in
+   */
+  set(key, feedback) {
+    if (this.enabled) {
+      this.cache.set(key, feedback);
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} - Entry count, hits, misses and configuration
+   */
+  getStats() {
+    const { keys, hits, misses } = this.cache.getStats();
+    return { enabled: this.enabled, ttlSeconds: this.ttlSeconds, entries: keys, hits, misses };
+  }
+
+  /**
+   * Remove every cached analysis
+   */
+  clear() {
+    this.cache.flushAll();
+  }
+}
+
+// Create singleton instance
+const analysisCache = new AnalysisCache();
+
+module.exports = analysisCache;
@@ -0,0 +1,154 @@
+const eventBroadcaster = require('./eventBroadcaster');
+
+/**
+ * Analysis Queue
+ * Limits how many AI analyses run at once, so a burst of uploads waits its
+ * turn instead of hitting provider rate limits together. Waiting jobs start
+ * in arrival order, skipping clients that already have maxPerClient analyses
+ * running, and are told their place in line through queue.position events.
+ */
+class AnalysisQueue {
+  constructor() {
+    this.concurrency = Number(process.env.ANALYSIS_CONCURRENCY) || 3;
+    this.maxPerClient = Number(process.env.ANALYSIS_MAX_PER_CLIENT) || 2;
+    this.maxWaiting = Number(process.env.ANALYSIS_QUEUE_SIZE) || 50;
+
+    this.waiting = [];
+    this.runningCount = 0;
+    this.runningByClient = new Map();
+  }
+
+  /**
+   * Wait for an analysis slot
+   * @param {string} sessionId - Session ID
+   * @param {string} clientId - Client the job belongs to (e.g. IP address); defaults to the session
+   * @param {AbortSignal} signal - Removes the job from the queue when aborted
+   * @returns {Promise<Function>} - Resolves with a function that frees the slot
+   */
+  acquire(sessionId, clientId, signal) {
+    signal?.throwIfAborted();
+
+    const job = { sessionId, clientId: clientId || sessionId, signal };
+
+    if (this.canStart(job)) {
+      return Promise.resolve(this.start(job));
+    }
+
+    if (this.isFull()) {
+      const error = new Error('The analysis queue is full. Please try again in a few minutes.');
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.onAbort = () => {
+        this.waiting = this.waiting.filter(entry => entry !== job);
+        reject(signal.reason);
+        this.broadcastPositions();
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+
+      this.waiting.push(job);
+      console.log(`[QUEUE] Session ${sessionId} queued at position ${this.waiting.length}`);
+      this.broadcastPositions();
+    });
+  }
+
+  /**
+   * Check whether a job may start now
+   * @param {Object} job - Queued job
+   * @returns {boolean} - True if a worker is free and the client is under its cap
+   */
+  canStart(job) {
+    return this.runningCount < this.concurrency &&
+      (this.runningByClient.get(job.clientId) || 0) < this.maxPerClient;
+  }
+
+  /**
+   * Mark a job as running
+   * @param {Object} job - Job to start
+   * @returns {Function} - Frees the slot; calling it again has no effect
+   */
+  start(job) {
+    this.runningCount++;
+    this.runningByClient.set(job.clientId, (this.runningByClient.get(job.clientId) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      this.runningCount--;
+      const clientCount = this.runningByClient.get(job.clientId) - 1;
+      if (clientCount > 0) {
+        this.runningByClient.set(job.clientId, clientCount);
+      } else {
+        this.runningByClient.delete(job.clientId);
+      }
+
+      this.dispatch();
+    };
+  }
+
+  /**
+   * Start waiting jobs while workers are free, oldest first
+   */
+  dispatch() {
+    let started = false;
+
+    for (const job of [...this.waiting]) {
+      if (this.runningCount >= this.concurrency) {
+        break;
+      }
+      if (!this.canStart(job)) {
+        continue;
+      }
+
+      this.waiting = this.waiting.filter(entry => entry !== job);
+      job.signal?.removeEventListener('abort', job.onAbort);
+      console.log(`[QUEUE] Session ${job.sessionId} left the queue`);
+      job.resolve(this.start(job));
+      started = true;
+    }
+
+    if (started) {
+      this.broadcastPositions();
+    }
+  }
+
+  /**
+   * Tell every waiting session its current place in line
+   */
+  broadcastPositions() {
+    this.waiting.forEach((job, index) => {
+      eventBroadcaster.broadcastQueuePosition(job.sessionId, index + 1, this.waiting.length);
+    });
+  }
+
+  /**
+   * Check whether the queue accepts no more waiting jobs
+   * @returns {boolean} - True if the queue is full
+   */
+  isFull() {
+    return this.waiting.length >= this.maxWaiting;
+  }
+
+  /**
+   * Get queue statistics (for monitoring)
+   * @returns {Object} - Running and waiting job counts with the limits
+   */
+  getStats() {
+    return {
+      running: this.runningCount,
+      waiting: this.waiting.length,
+      concurrency: this.concurrency,
+      maxPerClient: this.maxPerClient,
+      maxWaiting: this.maxWaiting
+    };
+  }
+}
+
+module.exports = new AnalysisQueue();
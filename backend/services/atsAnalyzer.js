@@ -0,0 +1,358 @@
+const layoutExtractor = require('./layoutExtractor');
+const sectionParser = require('./sectionParser');
+const resumeLinter = require('./resumeLinter');
+
+// Private-use, replacement and control characters: glyphs that could not be mapped to Unicode
+const UNREADABLE_PATTERN = /[\uE000-\uF8FF\uFFFD\u0000-\u0008\u000E-\u001F]/g;
+const PAGE_NUMBER_PATTERN = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+const CORE_SECTIONS = ['experience', 'education', 'skills'];
+
+const CHECK_LABELS = {
+  images: 'Text in images',
+  fonts: 'Font encoding',
+  layout: 'Tables and text boxes',
+  headersFooters: 'Headers and footers',
+  headings: 'Section headings',
+  contact: 'Contact information'
+};
+
+/**
+ * ATS Parseability Analyzer
+ * Simulates how an applicant tracking system reads a resume, using the page
+ * internals collected during PDF extraction (text positions, fonts and images)
+ */
+class ATSAnalyzer {
+  constructor() {
+    this.minPageText = 100; // Pages with images and less text than this are likely scanned
+    this.maxUnreadableRatio = 0.1; // Share of a font's characters that may fail to decode
+    this.minTableRows = 3; // Aligned rows of three or more cells that count as a table
+    this.marginGapRatio = 2.5; // Gap, relative to the usual line gap, that sets a header or footer apart from the body
+    this.penalties = { fail: 25, warn: 10 };
+  }
+
+  /**
+   * Run all ATS checks
+   * @param {Object} input - Extraction output
+   * @param {string} input.text - Extracted text
+   * @param {Array<Object>} input.sections - Sections from sectionParser
+   * @param {Array<Object>|null} input.pages - Page items, fonts and image counts; null when not a PDF
+   * @returns {Object} - { score, rating, checks, analyzedAt }
+   */
+  analyze({ text = '', sections = [], pages = null }) {
+    const positioned = pages
+      ? pages.map(page => ({ ...page, positioned: layoutExtractor.normalizeItems(page.items) }))
+      : null;
+
+    const checks = [
+      this.checkImages(positioned),
+      this.checkFonts(pages),
+      this.checkLayout(positioned),
+      this.checkHeadersFooters(positioned),
+      this.checkHeadings(text, sections),
+      this.checkContact(text)
+    ];
+
+    const score = Math.max(0, checks.reduce((total, check) => total - (this.penalties[check.status] || 0), 100));
+
+    return {
+      score,
+      rating: score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor',
+      checks,
+      analyzedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build a check result
+   * @param {string} id - Check ID
+   * @param {string} status - pass, warn, fail or skipped
+   * @param {string} message - Human readable result
+   * @param {string[]} details - Specific problems found
+   * @returns {Object} - Check
+   */
+  createCheck(id, status, message, details = []) {
+    return { id, label: CHECK_LABELS[id], status, message, details };
+  }
+
+  /**
+   * Flag images, which ATS cannot read text from
+   * @param {Array<Object>|null} pages - Pages with positioned items
+   * @returns {Object} - Check
+   */
+  checkImages(pages) {
+    if (!pages) {
+      return this.createCheck('images', 'skipped', 'Only available for PDF files');
+    }
+
+    const imagePages = pages
+      .map((page, index) => ({
+        number: index + 1,
+        images: page.imageCount || 0,
+        textLength: page.positioned.reduce((total, item) => total + item.text.trim().length, 0)
+      }))
+      .filter(page => page.images > 0);
+
+    if (imagePages.length === 0) {
+      return this.createCheck('images', 'pass', 'No images found');
+    }
+
+    const scanned = imagePages.filter(page => page.textLength < this.minPageText);
+    const details = imagePages.map(page => `Page ${page.number}: ${page.images} image${page.images === 1 ? '' : 's'}` +
+      (page.textLength < this.minPageText ? ', almost no selectable text' : ''));
+
+    return scanned.length > 0
+      ? this.createCheck('images', 'fail', 'Some pages appear to be images; ATS cannot read text inside them', details)
+      : this.createCheck('images', 'warn', 'Images found; any text inside them will be ignored', details);
+  }
+
+  /**
+   * Flag fonts whose glyphs cannot be mapped back to text (no usable ToUnicode map)
+   * @param {Array<Object>|null} pages - Pages with raw items and fonts
+   * @returns {Object} - Check
+   */
+  checkFonts(pages) {
+    if (!pages) {
+      return this.createCheck('fonts', 'skipped', 'Only available for PDF files');
+    }
+
+    const usage = new Map();
+
+    for (const page of pages) {
+      for (const item of page.items) {
+        const font = (page.fonts && page.fonts[item.fontName]) || {};
+        const name = font.name || item.fontName || 'unknown';
+        const stats = usage.get(name) || { characters: 0, unreadable: 0 };
+
+        stats.characters += item.str.replace(/\s/g, '').length;
+        stats.unreadable += (item.str.match(UNREADABLE_PATTERN) || []).length;
+        usage.set(name, stats);
+      }
+    }
+
+    const unreadable = [...usage.entries()]
+      .filter(([, stats]) => stats.characters > 0 && stats.unreadable / stats.characters > this.maxUnreadableRatio)
+      .map(([name, stats]) => `${this.cleanFontName(name)}: ${Math.round((stats.unreadable / stats.characters) * 100)}% of characters cannot be read`);
+
+    return unreadable.length > 0
+      ? this.createCheck('fonts', 'fail', 'Some fonts have no ToUnicode map, so their text extracts as gibberish', unreadable)
+      : this.createCheck('fonts', 'pass', `All ${usage.size} font${usage.size === 1 ? '' : 's'} extract as readable text`);
+  }
+
+  /**
+   * Strip the subset prefix from an embedded font name ("ABCDEF+Calibri")
+   * @param {string} name - Font name
+   * @returns {string} - Font family name
+   */
+  cleanFontName(name) {
+    return name.replace(/^[A-Z]{6}\+/, '');
+  }
+
+  /**
+   * Flag multi-column layouts (text boxes) and tables, which ATS often read out of order
+   * @param {Array<Object>|null} pages - Pages with positioned items
+   * @returns {Object} - Check
+   */
+  checkLayout(pages) {
+    if (!pages) {
+      return this.createCheck('layout', 'skipped', 'Only available for PDF files');
+    }
+
+    const details = [];
+
+    pages.forEach((page, index) => {
+      // Table cells also form columns, so only report columns on pages without a table
+      const columns = layoutExtractor.findColumnDividers(page.positioned).length + 1;
+      if (this.hasTable(page.positioned)) {
+        details.push(`Page ${index + 1}: table layout`);
+      } else if (columns > 1) {
+        details.push(`Page ${index + 1}: ${columns} columns or side-by-side text boxes`);
+      }
+    });
+
+    return details.length > 0
+      ? this.createCheck('layout', 'warn', 'Columns, text boxes or tables may be read out of order', details)
+      : this.createCheck('layout', 'pass', 'Single-column layout without tables');
+  }
+
+  /**
+   * Whether a page has several rows of three or more cells starting at the same positions
+   * @param {Array<Object>} items - Positioned items
+   * @returns {boolean} - True if a table-like grid is found
+   */
+  hasTable(items) {
+    const rows = layoutExtractor.groupLines(items)
+      .map(line => this.getCellStarts(line.items))
+      .filter(starts => starts.length >= 3);
+
+    const alignedRows = rows.filter(starts => rows.some(other => other !== starts &&
+      starts.filter(x => other.some(otherX => Math.abs(otherX - x) <= 3)).length >= 3));
+
+    return alignedRows.length >= this.minTableRows;
+  }
+
+  /**
+   * Left edges of the cells of a line, where cells are separated by wide gaps
+   * @param {Array<Object>} items - Items of one line, left to right
+   * @returns {number[]} - Cell x positions
+   */
+  getCellStarts(items) {
+    return items
+      .filter((item, index) => index === 0 ||
+        item.x - (items[index - 1].x + items[index - 1].width) > item.fontSize * 1.5)
+      .map(item => item.x);
+  }
+
+  /**
+   * Flag content in page headers and footers, which many ATS skip
+   * @param {Array<Object>|null} pages - Pages with positioned items
+   * @returns {Object} - Check
+   */
+  checkHeadersFooters(pages) {
+    if (!pages) {
+      return this.createCheck('headersFooters', 'skipped', 'Only available for PDF files');
+    }
+
+    const repeated = layoutExtractor.findRepeatedMarginLines(pages.map(page => ({ ...page, items: page.positioned })));
+
+    const marginLines = pages.flatMap((page, index) => {
+      const lines = [...repeated[index], ...this.findDetachedMarginLines(page)]
+        .sort((a, b) => b.y - a.y)
+        .filter((line, position, all) => position === 0 || line.y !== all[position - 1].y);
+
+      return lines
+        .filter(line => !PAGE_NUMBER_PATTERN.test(line.text))
+        .map(line => ({ page: index + 1, text: line.text }));
+    });
+
+    if (marginLines.length === 0) {
+      return this.createCheck('headersFooters', 'pass', 'No content in page headers or footers');
+    }
+
+    const details = marginLines.map(line => `Page ${line.page}: "${line.text}"`);
+    const hasContact = marginLines.some(line => this.findMissingContact(line.text).length < 2);
+
+    return hasContact
+      ? this.createCheck('headersFooters', 'fail', 'Contact details sit in the page header or footer, which many ATS skip', details)
+      : this.createCheck('headersFooters', 'warn', 'Text in the page header or footer may be skipped', details);
+  }
+
+  /**
+   * Find lines at the top or bottom of a page set apart from the body by a
+   * wide gap, as header and footer areas are
+   * @param {Object} page - Page with positioned items and height
+   * @returns {Array<Object>} - Header and footer lines
+   */
+  findDetachedMarginLines(page) {
+    const lines = layoutExtractor.groupLines(page.positioned);
+    if (lines.length < 4) {
+      return [];
+    }
+
+    const gaps = lines.slice(1).map((line, index) => lines[index].y - line.y);
+    const minGap = this.median(gaps) * this.marginGapRatio;
+    const zone = page.height * layoutExtractor.marginZoneRatio;
+    const maxLines = layoutExtractor.maxMarginLines;
+
+    const headerEnd = gaps.slice(0, maxLines)
+      .findIndex((gap, index) => gap >= minGap && page.height - lines[index].y <= zone);
+
+    let footerStart = -1;
+    for (let count = 1; count <= maxLines && footerStart < 0; count++) {
+      const gapIndex = lines.length - 1 - count;
+      if (gapIndex >= 0 && gaps[gapIndex] >= minGap && lines[gapIndex + 1].y <= zone) {
+        footerStart = gapIndex + 1;
+      }
+    }
+
+    return [
+      ...(headerEnd >= 0 ? lines.slice(0, headerEnd + 1) : []),
+      ...(footerStart >= 0 ? lines.slice(footerStart) : [])
+    ];
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {number[]} values - Values
+   * @returns {number} - Median
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Flag headings ATS will not recognize and missing core sections
+   * @param {string} text - Extracted text
+   * @param {Array<Object>} sections - Sections from sectionParser
+   * @returns {Object} - Check
+   */
+  checkHeadings(text, sections) {
+    const header = sections.find(section => section.type === 'header');
+    const headerEnd = header ? header.lineEnd : 0;
+    const found = new Set(sections.map(section => section.type));
+
+    const unusual = text.split('\n')
+      .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+      .filter(line => line.number > headerEnd && this.looksLikeHeading(line.text) && !sectionParser.getHeadingType(line.text))
+      .map(line => `Unrecognized heading "${line.text}" (line ${line.number})`);
+
+    const missing = CORE_SECTIONS
+      .filter(type => !found.has(type))
+      .map(type => `No ${type} section heading found`);
+
+    const details = [...unusual, ...missing];
+
+    return details.length > 0
+      ? this.createCheck('headings', 'warn', 'Use standard headings such as Experience, Education and Skills', details)
+      : this.createCheck('headings', 'pass', 'Standard section headings found');
+  }
+
+  /**
+   * Whether a line is formatted like a heading: short and all caps, or ending in a colon
+   * @param {string} line - Trimmed line
+   * @returns {boolean} - True for heading-like lines
+   */
+  looksLikeHeading(line) {
+    if (!line || line.length > 40 || /[\d@|]/.test(line)) {
+      return false;
+    }
+
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    const isAllCaps = letters.length >= 3 && letters === letters.toUpperCase();
+    const isLabel = /^[A-Z][A-Za-z&/ ]+:$/.test(line) && line.split(/\s+/).length <= 4;
+
+    return isAllCaps || isLabel;
+  }
+
+  /**
+   * Check that contact details are present in the extracted text
+   * @param {string} text - Extracted text
+   * @returns {Object} - Check
+   */
+  checkContact(text) {
+    const missing = this.findMissingContact(text);
+
+    if (missing.length === 0) {
+      return this.createCheck('contact', 'pass', 'Email address and phone number found in the text');
+    }
+
+    // A missing email is an error finding; a missing phone number only a warning
+    return this.createCheck('contact', missing.some(finding => finding.severity === 'error') ? 'fail' : 'warn',
+      'Contact details could not be found in the extracted text', missing.map(finding => finding.message));
+  }
+
+  /**
+   * Find which of email and phone number are missing from a text
+   * @param {string} text - Text to search
+   * @returns {Array<Object>} - Contact lint findings for the missing details
+   */
+  findMissingContact(text) {
+    return resumeLinter.checkContactInfo(text).filter(finding => finding.severity !== 'info');
+  }
+}
+
+// Create singleton instance
+const atsAnalyzer = new ATSAnalyzer();
+
+module.exports = atsAnalyzer;
@@ -0,0 +1,432 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const ZipReader = require('./zipReader');
+const analysisCache = require('./analysisCache');
+const sessionManager = require('./sessionManager');
+const sseManager = require('./sseManager');
+const eventBroadcaster = require('./eventBroadcaster');
+const candidateRanker = require('./candidateRanker');
+const { validateResumeFile } = require('../middleware/fileValidation');
+const { MAX_BATCH_FILES } = require('../middleware/multerConfig');
+
+const RESUME_EXTENSIONS = ['.pdf', '.docx'];
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Child stage events mirrored onto the batch stream (streaming chunks are left out on purpose)
+const FORWARDED_EVENTS = [
+  'extraction.started',
+  'extraction.completed',
+  'analysis.started',
+  'retry.started',
+  'analysis.completed',
+  'error.occurred'
+];
+
+/**
+ * Batch Processing Service
+ * Expands multi-file and ZIP uploads into child sessions, runs them through the
+ * single-resume workflow with a concurrency limit and aggregates progress on the
+ * batch (parent) session's SSE stream
+ */
+class BatchProcessor {
+  constructor() {
+    this.batchesDir = path.join(__dirname, '../uploads/batches');
+    this.concurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+    this.maxFiles = MAX_BATCH_FILES;
+    this.maxFileSize = 10 * 1024 * 1024; // Same limit as single uploads
+    this.maxArchiveSize = 100 * 1024 * 1024; // Total uncompressed size extracted from one ZIP archive
+    this.shortlistSize = 5;
+    this.childToBatch = new Map(); // child sessionId -> { batchId, fileName }
+
+    sseManager.on('event', (sessionId, eventType, data) => {
+      this.forwardChildEvent(sessionId, eventType, data);
+    });
+  }
+
+  /**
+   * Remove batch files left behind by a previous process. Batches do not survive
+   * a restart, so this runs once at server startup, before any batch is accepted.
+   */
+  removeStaleBatches() {
+    if (!fs.existsSync(this.batchesDir)) {
+      return;
+    }
+
+    fs.rmSync(this.batchesDir, { recursive: true, force: true });
+    console.log(`[BATCH] Removed batch files left by a previous process from ${this.batchesDir}`);
+  }
+
+  /**
+   * Move uploaded files into a private batch directory, expanding ZIP archives
+   * and validating every resume. Uploaded originals are removed.
+   * @param {string} batchId - Batch ID
+   * @param {Array<Object>} uploadedFiles - Multer file objects
+   * @returns {Promise<Object>} - { files, skipped }
+   */
+  async prepareFiles(batchId, uploadedFiles = []) {
+    const batchDir = this.getBatchDir(batchId);
+    fs.mkdirSync(batchDir, { recursive: true });
+
+    const candidates = [];
+    const skipped = [];
+
+    for (const upload of uploadedFiles) {
+      try {
+        if (path.extname(upload.originalname).toLowerCase() === '.zip') {
+          candidates.push(...this.extractZip(upload, batchDir, skipped, this.maxFiles - candidates.length));
+        } else {
+          const target = path.join(batchDir, this.createFilename(upload.originalname));
+          fs.renameSync(upload.path, target);
+          candidates.push({
+            originalName: upload.originalname,
+            path: target,
+            size: upload.size,
+            mimetype: upload.mimetype
+          });
+        }
+      } catch (error) {
+        skipped.push({ originalName: upload.originalname, reason: error.message });
+      } finally {
+        if (fs.existsSync(upload.path)) {
+          fs.unlinkSync(upload.path);
+        }
+      }
+    }
+
+    const files = [];
+
+    for (const candidate of candidates) {
+      if (files.length >= this.maxFiles) {
+        skipped.push({ originalName: candidate.originalName, reason: `Batch limit of ${this.maxFiles} files reached` });
+        fs.unlinkSync(candidate.path);
+        continue;
+      }
+
+      const validation = await validateResumeFile({ originalname: candidate.originalName, path: candidate.path });
+      if (validation.valid) {
+        files.push({ ...candidate, validatedAt: new Date().toISOString(), hash: analysisCache.hash(fs.readFileSync(candidate.path)) });
+      } else {
+        skipped.push({ originalName: candidate.originalName, reason: validation.error });
+        fs.unlinkSync(candidate.path);
+      }
+    }
+
+    return { files, skipped };
+  }
+
+  /**
+   * Extract resume entries from an uploaded ZIP archive
+   * @param {Object} upload - Multer file object of the archive
+   * @param {string} batchDir - Directory to extract into
+   * @param {Array<Object>} skipped - Collects entries that were not extracted
+   * @param {number} maxFiles - Number of resumes the batch still has room for
+   * @returns {Array<Object>} - Extracted file descriptors
+   */
+  extractZip(upload, batchDir, skipped, maxFiles) {
+    let zip;
+    try {
+      zip = new ZipReader(fs.readFileSync(upload.path), { maxEntrySize: this.maxFileSize });
+    } catch (error) {
+      throw new Error(`Invalid or corrupted ZIP file: ${error.message}`);
+    }
+
+    const extracted = [];
+    let extractedSize = 0;
+
+    for (const entryName of zip.getEntryNames()) {
+      const baseName = path.posix.basename(entryName);
+
+      // Skip macOS resource forks and hidden files
+      if (entryName.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+        continue;
+      }
+
+      const originalName = `${path.basename(upload.originalname)}/${entryName}`;
+      const extension = path.extname(baseName).toLowerCase();
+
+      if (!RESUME_EXTENSIONS.includes(extension)) {
+        skipped.push({ originalName, reason: 'Only PDF and DOCX files are allowed' });
+        continue;
+      }
+
+      // Stop before inflating anything the batch has no room for
+      if (extracted.length >= maxFiles) {
+        skipped.push({
+          originalName: path.basename(upload.originalname),
+          reason: `Batch limit of ${this.maxFiles} files reached; remaining archive entries were not extracted`
+        });
+        break;
+      }
+
+      // The declared size can understate the entry, so the budget is checked again after inflating
+      if (extractedSize + zip.entries.get(entryName).uncompressedSize > this.maxArchiveSize) {
+        skipped.push({ originalName, reason: 'Archive exceeds the total uncompressed size limit' });
+        continue;
+      }
+
+      try {
+        const data = zip.readEntry(entryName);
+        if (extractedSize + data.length > this.maxArchiveSize) {
+          skipped.push({ originalName, reason: 'Archive exceeds the total uncompressed size limit' });
+          continue;
+        }
+        extractedSize += data.length;
+
+        const target = path.join(batchDir, this.createFilename(baseName));
+        fs.writeFileSync(target, data);
+        extracted.push({ originalName, path: target, size: data.length, mimetype: MIME_TYPES[extension] });
+      } catch (error) {
+        skipped.push({ originalName, reason: error.message });
+      }
+    }
+
+    return extracted;
+  }
+
+  /**
+   * Create the batch session and one child session per file
+   * @param {string} batchId - Batch ID
+   * @param {Array<Object>} files - Prepared files
+   * @param {Object} options - Batch options (skipped files, jobDescription, rubric)
+   * @returns {Array<Object>} - Child items ({ sessionId, file })
+   */
+  createBatch(batchId, files, options = {}) {
+    const analysisMode = options.jobDescription ? 'job-match' : 'general';
+
+    const items = files.map(file => {
+      const sessionId = uuidv4();
+
+      sessionManager.createSession({
+        sessionId,
+        status: 'queued',
+        batchId,
+        analysisMode,
+        jobDescription: options.jobDescription || null,
+        rubric: options.rubric || null,
+        fileInfo: {
+          originalName: file.originalName,
+          filename: path.basename(file.path),
+          size: file.size,
+          mimetype: file.mimetype,
+          path: file.path,
+          uploadedAt: new Date().toISOString(),
+          validatedAt: file.validatedAt,
+          hash: file.hash
+        }
+      });
+      this.childToBatch.set(sessionId, { batchId, fileName: file.originalName });
+
+      return { sessionId, file };
+    });
+
+    sessionManager.createSession({
+      sessionId: batchId,
+      type: 'batch',
+      status: 'processing',
+      analysisMode,
+      jobDescription: options.jobDescription || null,
+      rubric: options.rubric || null,
+      items: items.map(item => ({ sessionId: item.sessionId, fileName: item.file.originalName })),
+      skipped: options.skipped || [],
+      progress: { total: items.length, completed: 0, failed: 0, remaining: items.length, percent: 0 }
+    });
+
+    console.log(`[BATCH] Created batch ${batchId} with ${items.length} file(s), ${(options.skipped || []).length} skipped`);
+    return items;
+  }
+
+  /**
+   * Process all child sessions with a concurrency limit
+   * @param {string} batchId - Batch ID
+   * @param {Array<Object>} items - Child items from createBatch
+   * @param {Function} processFile - Workflow (sessionId, file, analysisOptions) => Promise
+   * @param {Object} analysisOptions - Analysis options (e.g. jobDescription)
+   * @returns {Promise<Object>} - Batch summary
+   */
+  async runBatch(batchId, items, processFile, analysisOptions = {}) {
+    const progress = { total: items.length, completed: 0, failed: 0, remaining: items.length, percent: 0 };
+    const queue = [...items];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift();
+
+        try {
+          await processFile(item.sessionId, { ...item.file, originalname: item.file.originalName }, analysisOptions);
+        } catch (error) {
+          console.error(`[BATCH] Unexpected error for ${item.file.originalName} in batch ${batchId}:`, error);
+          sessionManager.updateSession(item.sessionId, { status: 'error', lastError: error.message });
+        }
+
+        const session = sessionManager.getSession(item.sessionId);
+        if (session?.status === 'completed') {
+          progress.completed++;
+        } else {
+          progress.failed++;
+        }
+        progress.remaining = progress.total - progress.completed - progress.failed;
+        progress.percent = Math.round(((progress.total - progress.remaining) / progress.total) * 100);
+
+        eventBroadcaster.broadcastBatchProgress(batchId, { ...progress });
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+
+      const summary = this.buildSummary(batchId);
+      eventBroadcaster.broadcastBatchCompleted(batchId, summary);
+      return summary;
+    } finally {
+      items.forEach(item => this.childToBatch.delete(item.sessionId));
+      fs.rmSync(this.getBatchDir(batchId), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Summarize the results of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Object} - Summary with per-file results and averages
+   */
+  buildSummary(batchId) {
+    const batch = sessionManager.getSession(batchId);
+    if (!batch) {
+      return null;
+    }
+
+    const results = batch.items.map(({ sessionId, fileName }) => {
+      const session = sessionManager.getSession(sessionId);
+      // Placeholder scores of degraded feedback would skew the averages
+      const feedback = session?.degraded ? null : session?.feedback;
+
+      return {
+        sessionId,
+        fileName,
+        status: session?.status === 'completed' ? 'completed' : 'failed',
+        degraded: session?.degraded || false,
+        clarityScore: feedback?.clarity?.score ?? null,
+        grammarScore: feedback?.grammar?.score ?? null,
+        matchScore: feedback?.jobFit?.matchScore ?? null,
+        error: session?.status === 'completed' ? null : (session?.lastError || 'Session expired')
+      };
+    });
+
+    const completed = results.filter(result => result.status === 'completed');
+    const average = key => {
+      const values = completed.map(result => result[key]).filter(value => typeof value === 'number');
+      return values.length > 0
+        ? Math.round(values.reduce((total, value) => total + value, 0) / values.length * 10) / 10
+        : null;
+    };
+
+    // Skills most often reported as missing across the batch
+    const missingSkillCounts = new Map();
+    for (const result of completed) {
+      const missingSkills = sessionManager.getSession(result.sessionId)?.feedback?.skills?.missingSkills || [];
+      for (const skill of missingSkills) {
+        missingSkillCounts.set(skill, (missingSkillCounts.get(skill) || 0) + 1);
+      }
+    }
+
+    // Recruiter mode: shortlist the strongest candidates for the job description
+    const shortlist = batch.jobDescription
+      ? this.rankBatch(batchId).candidates.slice(0, this.shortlistSize).map(candidate => ({
+        rank: candidate.rank,
+        sessionId: candidate.sessionId,
+        fileName: candidate.fileName,
+        score: candidate.score,
+        mustHavesMet: candidate.mustHavesMet,
+        mustHavesTotal: candidate.mustHavesTotal
+      }))
+      : null;
+
+    return {
+      total: results.length,
+      completed: completed.length,
+      failed: results.length - completed.length,
+      skipped: batch.skipped,
+      averageScores: {
+        clarity: average('clarityScore'),
+        grammar: average('grammarScore'),
+        jobMatch: average('matchScore')
+      },
+      commonMissingSkills: Array.from(missingSkillCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([skill, count]) => ({ skill, count })),
+      shortlist,
+      results
+    };
+  }
+
+  /**
+   * Rank the batch's candidates against its job description
+   * @param {string} batchId - Batch ID
+   * @returns {Object|null} - Ranking from candidateRanker, or null without a batch or job description
+   */
+  rankBatch(batchId) {
+    const batch = sessionManager.getSession(batchId);
+    if (!batch || !batch.jobDescription) {
+      return null;
+    }
+
+    const candidates = batch.items.map(({ sessionId, fileName }) => {
+      const session = sessionManager.getSession(sessionId);
+      return {
+        sessionId,
+        fileName,
+        text: session?.extractedText || null,
+        aiMatchScore: session?.feedback?.jobFit?.matchScore ?? null,
+        error: session ? session.lastError : 'Session expired'
+      };
+    });
+
+    return candidateRanker.rank(batch.jobDescription, candidates);
+  }
+
+  /**
+   * Mirror child stage events onto the batch stream
+   * @param {string} sessionId - Session the event was broadcast to
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event data
+   */
+  forwardChildEvent(sessionId, eventType, data) {
+    const child = this.childToBatch.get(sessionId);
+    if (!child || !FORWARDED_EVENTS.includes(eventType)) {
+      return;
+    }
+
+    eventBroadcaster.broadcastBatchItemStatus(child.batchId, {
+      sessionId,
+      fileName: child.fileName,
+      event: eventType,
+      status: data.status,
+      message: data.message
+    });
+  }
+
+  /**
+   * Get the directory holding a batch's files
+   * @param {string} batchId - Batch ID
+   * @returns {string} - Directory path
+   */
+  getBatchDir(batchId) {
+    return path.join(this.batchesDir, batchId);
+  }
+
+  /**
+   * Create a unique, sanitized filename for a batch file
+   * @param {string} originalName - Original file name
+   * @returns {string} - Filename
+   */
+  createFilename(originalName) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `resume-${uniqueSuffix}-${path.basename(originalName).replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+  }
+}
+
+module.exports = new BatchProcessor();
@@ -0,0 +1,224 @@
+const { stringify } = require('csv-stringify/sync');
+const jobDescriptionService = require('./jobDescription');
+
+const STATUS_WEIGHTS = { met: 1, partial: 0.5, missing: 0 };
+const TYPE_WEIGHTS = { 'must-have': 2, 'nice-to-have': 1 };
+
+/**
+ * Reduce a token to a rough stem so "tuning"/"tuned" or "APIs"/"API" match
+ * @param {string} token - Lowercase token
+ * @returns {string} - Stem
+ */
+const stem = (token) => token
+  .replace(/ies$/, 'y')
+  .replace(/(?<=\w{3})(ing|ed)$/, '')
+  .replace(/(?<=\w{3}[^s])s$/, '');
+
+/**
+ * Candidate Ranking Service
+ * Scores a set of extracted resumes against one job description with the same
+ * deterministic rules for every candidate, so results are comparable, and backs
+ * each requirement with quoted lines from the resume
+ */
+class CandidateRanker {
+  constructor() {
+    this.maxEvidenceLines = 2;
+    this.maxQuoteLength = 200;
+    this.requirementWeight = 0.7; // Remaining weight goes to keyword coverage
+    this.metThreshold = 2 / 3; // Share of a requirement's keywords needed to count it as met
+  }
+
+  /**
+   * Rank candidates against a job description
+   * @param {string} jobDescription - Job description text
+   * @param {Array<Object>} candidates - { sessionId, fileName, text, aiMatchScore }
+   * @returns {Object} - { requirements, candidates, unranked }
+   */
+  rank(jobDescription, candidates = []) {
+    const requirements = this.getRequirements(jobDescription);
+    const ranked = [];
+    const unranked = [];
+
+    for (const candidate of candidates) {
+      if (!candidate.text) {
+        unranked.push({
+          sessionId: candidate.sessionId,
+          fileName: candidate.fileName,
+          reason: candidate.error || 'No extracted text available'
+        });
+        continue;
+      }
+
+      ranked.push({
+        sessionId: candidate.sessionId,
+        fileName: candidate.fileName,
+        aiMatchScore: candidate.aiMatchScore ?? null,
+        ...this.scoreCandidate(jobDescription, requirements, candidate.text)
+      });
+    }
+
+    ranked.sort((a, b) =>
+      b.score - a.score ||
+      (b.aiMatchScore ?? -1) - (a.aiMatchScore ?? -1) ||
+      a.fileName.localeCompare(b.fileName)
+    );
+    ranked.forEach((candidate, index) => {
+      candidate.rank = index + 1;
+    });
+
+    return {
+      requirements,
+      candidates: ranked,
+      unranked
+    };
+  }
+
+  /**
+   * Get the requirements to rank against, falling back to the job description's
+   * top keywords when it has no bulleted requirements
+   * @param {string} jobDescription - Job description text
+   * @returns {Array<{requirement: string, type: string}>} - Requirements
+   */
+  getRequirements(jobDescription = '') {
+    const requirements = jobDescriptionService.extractRequirements(jobDescription);
+    if (requirements.length > 0) {
+      return requirements;
+    }
+
+    return jobDescriptionService.extractKeywords(jobDescription)
+      .slice(0, 10)
+      .map(keyword => ({ requirement: keyword, type: 'must-have' }));
+  }
+
+  /**
+   * Score one resume against the requirements
+   * @param {string} jobDescription - Job description text
+   * @param {Array<Object>} requirements - Requirements from getRequirements
+   * @param {string} text - Extracted resume text
+   * @returns {Object} - Score breakdown and per-requirement evidence
+   */
+  scoreCandidate(jobDescription, requirements, text) {
+    const lines = text.split('\n')
+      .map((line, index) => ({ lineNumber: index + 1, text: line.trim() }))
+      .filter(line => line.text);
+
+    const evidence = requirements.map(({ requirement, type }) => ({
+      requirement,
+      type,
+      ...this.findEvidence(requirement, lines)
+    }));
+
+    const weightTotal = evidence.reduce((total, item) => total + TYPE_WEIGHTS[item.type], 0);
+    const requirementScore = weightTotal > 0
+      ? Math.round(evidence.reduce((total, item) => total + TYPE_WEIGHTS[item.type] * STATUS_WEIGHTS[item.status], 0) / weightTotal * 100)
+      : 0;
+
+    const keywordCoverage = jobDescriptionService.computeKeywordCoverage(jobDescription, text);
+    const mustHaves = evidence.filter(item => item.type === 'must-have');
+
+    return {
+      score: Math.round(requirementScore * this.requirementWeight + keywordCoverage.coveragePercent * (1 - this.requirementWeight)),
+      requirementScore,
+      keywordCoverage: keywordCoverage.coveragePercent,
+      mustHavesMet: mustHaves.filter(item => item.status === 'met').length,
+      mustHavesTotal: mustHaves.length,
+      missingKeywords: keywordCoverage.missing,
+      evidence
+    };
+  }
+
+  /**
+   * Find the resume lines that best support a requirement
+   * @param {string} requirement - Requirement text
+   * @param {Array<{lineNumber: number, text: string}>} lines - Non-empty resume lines
+   * @returns {Object} - { status, matchedKeywords, missingKeywords, quotes }
+   */
+  findEvidence(requirement, lines) {
+    const keywords = jobDescriptionService.extractKeywords(requirement);
+
+    const scored = lines
+      .map(line => {
+        const stems = new Set((line.text.toLowerCase().match(/[a-z0-9+#./-]+/g) || []).map(stem));
+        return { ...line, hits: keywords.filter(keyword => stems.has(stem(keyword))) };
+      })
+      .filter(line => line.hits.length > 0)
+      .sort((a, b) => b.hits.length - a.hits.length || a.lineNumber - b.lineNumber);
+
+    const matchedKeywords = keywords.filter(keyword => scored.some(line => line.hits.includes(keyword)));
+
+    let status = 'missing';
+    if (keywords.length > 0 && matchedKeywords.length / keywords.length >= this.metThreshold) {
+      status = 'met';
+    } else if (matchedKeywords.length > 0) {
+      status = 'partial';
+    }
+
+    return {
+      status,
+      matchedKeywords,
+      missingKeywords: keywords.filter(keyword => !matchedKeywords.includes(keyword)),
+      quotes: scored.slice(0, this.maxEvidenceLines).map(line => ({
+        line: line.lineNumber,
+        text: line.text.length > this.maxQuoteLength ? `${line.text.slice(0, this.maxQuoteLength)}…` : line.text
+      }))
+    };
+  }
+
+  /**
+   * Serialize a ranking as CSV, one row per candidate and one column per requirement
+   * @param {Object} ranking - Result of rank()
+   * @returns {string} - CSV text
+   */
+  toCSV(ranking) {
+    const requirementColumns = ranking.requirements.map((requirement, index) => ({
+      key: `requirement_${index + 1}`,
+      header: `${requirement.type === 'must-have' ? 'Must' : 'Nice'}: ${requirement.requirement}`
+    }));
+
+    const columns = [
+      { key: 'rank', header: 'Rank' },
+      { key: 'fileName', header: 'File' },
+      { key: 'score', header: 'Score' },
+      { key: 'requirementScore', header: 'Requirement Score' },
+      { key: 'keywordCoverage', header: 'Keyword Coverage %' },
+      { key: 'aiMatchScore', header: 'AI Match Score' },
+      { key: 'mustHaves', header: 'Must-Haves Met' },
+      { key: 'missingKeywords', header: 'Missing Keywords' },
+      { key: 'note', header: 'Note' },
+      ...requirementColumns
+    ];
+
+    const rows = ranking.candidates.map(candidate => {
+      const row = {
+        rank: candidate.rank,
+        fileName: candidate.fileName,
+        score: candidate.score,
+        requirementScore: candidate.requirementScore,
+        keywordCoverage: candidate.keywordCoverage,
+        aiMatchScore: candidate.aiMatchScore ?? '',
+        mustHaves: `${candidate.mustHavesMet}/${candidate.mustHavesTotal}`,
+        missingKeywords: candidate.missingKeywords.join('; ')
+      };
+
+      candidate.evidence.forEach((item, index) => {
+        const quotes = item.quotes.map(quote => `L${quote.line}: "${quote.text}"`).join(' | ');
+        row[`requirement_${index + 1}`] = quotes ? `${item.status} - ${quotes}` : item.status;
+      });
+
+      return row;
+    });
+
+    const unrankedRows = ranking.unranked.map(candidate => ({
+      rank: '',
+      fileName: candidate.fileName,
+      note: `Not ranked: ${candidate.reason}`
+    }));
+
+    return stringify([...rows, ...unrankedRows], { header: true, columns });
+  }
+}
+
+// Create singleton instance
+const candidateRanker = new CandidateRanker();
+
+module.exports = candidateRanker;
@@ -0,0 +1,229 @@
+const ZipReader = require('./zipReader');
+
+const DOCUMENT_ENTRY = 'word/document.xml';
+const APP_PROPERTIES_ENTRY = 'docProps/app.xml';
+const CORE_PROPERTIES_ENTRY = 'docProps/core.xml';
+
+const WORDS_PER_PAGE = 500; // Page estimate when docProps/app.xml has no page count
+
+const XML_ENTITIES = {
+  '&lt;': '<',
+  '&gt;': '>',
+  '&amp;': '&',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+/**
+ * DOCX Parsing Service
+ * Extracts paragraph text from Word (OOXML) documents while keeping
+ * headings, list items and table rows on their own lines
+ */
+class DocxParser {
+  /**
+   * Check whether a buffer is a DOCX package
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} - True if the buffer is a ZIP containing word/document.xml
+   */
+  isDocx(buffer) {
+    if (!ZipReader.isZip(buffer)) {
+      return false;
+    }
+
+    try {
+      return new ZipReader(buffer).hasEntry(DOCUMENT_ENTRY);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a DOCX package
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} - Parsed text, page count and document info
+   */
+  parse(buffer) {
+    let zip;
+    try {
+      zip = new ZipReader(buffer);
+    } catch (error) {
+      throw new Error(`Invalid DOCX file: ${error.message}`);
+    }
+
+    const documentXml = zip.readEntryText(DOCUMENT_ENTRY);
+    if (!documentXml) {
+      throw new Error('Invalid DOCX file: word/document.xml is missing');
+    }
+
+    // Contact details are often placed in the page header, so keep header text first
+    const headerLines = zip.getEntryNames()
+      .filter(name => /^word\/header\d*\.xml$/.test(name))
+      .sort()
+      .flatMap(name => this.extractBlocks(zip.readEntryText(name)));
+
+    const bodyLines = this.extractBlocks(documentXml);
+    const uniqueHeaderLines = [...new Set(headerLines)].filter(line => line && !bodyLines.includes(line));
+
+    const text = [...uniqueHeaderLines, ...bodyLines]
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return {
+      text,
+      pages: this.readPageCount(zip.readEntryText(APP_PROPERTIES_ENTRY), text),
+      info: this.readCoreProperties(zip.readEntryText(CORE_PROPERTIES_ENTRY))
+    };
+  }
+
+  /**
+   * Split WordprocessingML into text lines, one per paragraph or table row
+   * @param {string} xml - Part XML (document, header or footer)
+   * @returns {string[]} - Text lines
+   */
+  extractBlocks(xml) {
+    if (!xml) {
+      return [];
+    }
+
+    const lines = [];
+    const blockPattern = /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g;
+    let match;
+
+    while ((match = blockPattern.exec(xml)) !== null) {
+      const block = match[0];
+
+      if (block.startsWith('<w:tbl>')) {
+        lines.push(...this.extractTableRows(block));
+      } else {
+        lines.push(this.extractParagraph(block));
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Convert a table into lines, joining cell text with a separator
+   * @param {string} tableXml - w:tbl element
+   * @returns {string[]} - One line per non-empty row
+   */
+  extractTableRows(tableXml) {
+    const rows = tableXml.match(/<w:tr\b[\s\S]*?<\/w:tr>/g) || [];
+
+    return rows
+      .map(row => (row.match(/<w:tc\b[\s\S]*?<\/w:tc>/g) || [])
+        .map(cell => (cell.match(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g) || [])
+          .map(paragraph => this.extractParagraph(paragraph, { plain: true }))
+          .filter(Boolean)
+          .join(' '))
+        .filter(Boolean)
+        .join(' | '))
+      .filter(Boolean);
+  }
+
+  /**
+   * Extract the text of a single paragraph
+   * @param {string} paragraphXml - w:p element
+   * @param {Object} options - Extraction options
+   * @param {boolean} options.plain - Skip heading spacing and list markers
+   * @returns {string} - Paragraph text
+   */
+  extractParagraph(paragraphXml, options = {}) {
+    let text = '';
+    const runPattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g;
+    let match;
+
+    while ((match = runPattern.exec(paragraphXml)) !== null) {
+      if (match[1] !== undefined) {
+        text += this.decodeEntities(match[1]);
+      } else if (match[0].startsWith('<w:tab')) {
+        text += '\t';
+      } else {
+        text += '\n';
+      }
+    }
+
+    text = text.trim();
+    if (!text || options.plain) {
+      return text;
+    }
+
+    const style = (paragraphXml.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+
+    if (/^(heading|title)/i.test(style)) {
+      return `\n${text}`;
+    }
+
+    if (/<w:numPr>/.test(paragraphXml) || /^list/i.test(style)) {
+      return `• ${text}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Read the page count recorded by Word, falling back to an estimate
+   * @param {string|null} appXml - docProps/app.xml contents
+   * @param {string} text - Extracted text
+   * @returns {number} - Page count
+   */
+  readPageCount(appXml, text) {
+    const pages = parseInt((appXml?.match(/<Pages>(\d+)<\/Pages>/) || [])[1], 10);
+    if (pages > 0) {
+      return pages;
+    }
+
+    const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+    return Math.max(1, Math.ceil(wordCount / WORDS_PER_PAGE));
+  }
+
+  /**
+   * Read document properties, using the same keys pdf.js reports for PDFs
+   * @param {string|null} coreXml - docProps/core.xml contents
+   * @returns {Object} - Document info
+   */
+  readCoreProperties(coreXml) {
+    const info = {};
+    if (!coreXml) {
+      return info;
+    }
+
+    const properties = {
+      Title: 'dc:title',
+      Author: 'dc:creator',
+      Subject: 'dc:subject',
+      CreationDate: 'dcterms:created',
+      ModDate: 'dcterms:modified'
+    };
+
+    for (const [key, tag] of Object.entries(properties)) {
+      const match = coreXml.match(new RegExp(`<${tag}\\b[^>]*>([^<]*)</${tag}>`));
+      if (match && match[1].trim()) {
+        info[key] = this.decodeEntities(match[1].trim());
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Decode XML character entities
+   * @param {string} text - Encoded text
+   * @returns {string} - Decoded text
+   */
+  decodeEntities(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, entity => {
+      if (XML_ENTITIES[entity]) {
+        return XML_ENTITIES[entity];
+      }
+
+      const codePoint = entity[2] === 'x'
+        ? parseInt(entity.slice(3, -1), 16)
+        : parseInt(entity.slice(2, -1), 10);
+      return String.fromCodePoint(codePoint);
+    });
+  }
+}
+
+module.exports = new DocxParser();
@@ -12,13 +12,26 @@ class EventBroadcaster {
       UPLOAD_COMPLETED: 'upload.completed',
       EXTRACTION_STARTED: 'extraction.started',
       EXTRACTION_COMPLETED: 'extraction.completed',
+      LINT_COMPLETED: 'lint.completed',
+      QUEUE_POSITION: 'queue.position',
       ANALYSIS_STARTED: 'analysis.started',
       ANALYSIS_STREAMING: 'analysis.streaming',
+      ANALYSIS_SECTION: 'analysis.section',
       ANALYSIS_COMPLETED: 'analysis.completed',
+      ANALYSIS_CANCELLED: 'analysis.cancelled',
       ERROR_OCCURRED: 'error.occurred',
       RETRY_STARTED: 'retry.started',
-      SESSION_UPDATED: 'session.updated'
+      SESSION_UPDATED: 'session.updated',
+      BATCH_ITEM_STATUS: 'batch.item.status',
+      BATCH_PROGRESS: 'batch.progress',
+      BATCH_COMPLETED: 'batch.completed'
     };
+
+    // Content streamed so far per session (sessionId -> { content, writtenAt }). A persistent
+    // session store rewrites the whole session on every update, so it is written at most once
+    // per interval rather than for every chunk.
+    this.streams = new Map();
+    this.streamWriteIntervalMs = 1000;
   }
 
   /**
@@ -110,7 +123,11 @@ class EventBroadcaster {
       extractionInfo: {
         textLength: extractionResult.textLength || 0,
         pageCount: extractionResult.pageCount || 0,
-        hasText: extractionResult.hasText || false
+        hasText: extractionResult.hasText || false,
+        extractionMode: extractionResult.extractionMode || null,
+        extractionMethod: extractionResult.extractionMethod || 'text',
+        ocrConfidence: extractionResult.ocrConfidence ?? null,
+        sections: (extractionResult.sections || []).map(section => section.type)
       }
     };
 
@@ -118,6 +135,9 @@ class EventBroadcaster {
     sessionManager.updateStatus(sessionId, 'extracted');
     sessionManager.updateSession(sessionId, { 
       extractedText: extractionResult.text,
+      sections: extractionResult.sections || [],
+      profile: extractionResult.profile || null,
+      ats: extractionResult.ats || null,
       extractionInfo: eventData.extractionInfo
     });
 
@@ -127,6 +147,49 @@ class EventBroadcaster {
     console.log(`Broadcast: Text extraction completed for session ${sessionId}`);
   }
 
+  /**
+   * Broadcast rule-based lint results, available before AI analysis starts
+   * @param {string} sessionId - Session ID
+   * @param {Object} lint - Result of resumeLinter.lint
+   */
+  broadcastLintCompleted(sessionId, lint = {}) {
+    const eventData = {
+      status: 'extracted',
+      message: `Quick checks found ${lint.summary?.total || 0} issue(s)`,
+      stage: 'lint',
+      lint
+    };
+
+    // Kept on the session so it can be merged into the AI feedback
+    sessionManager.updateSession(sessionId, { lint });
+
+    sseManager.broadcastToSession(sessionId, this.eventTypes.LINT_COMPLETED, eventData);
+
+    console.log(`Broadcast: Lint completed for session ${sessionId}`);
+  }
+
+  /**
+   * Broadcast the place of a session waiting in the analysis queue
+   * @param {string} sessionId - Session ID
+   * @param {number} position - Place in line, starting at 1
+   * @param {number} queueLength - Number of sessions waiting
+   */
+  broadcastQueuePosition(sessionId, position, queueLength) {
+    const eventData = {
+      status: 'queued',
+      message: `Waiting for analysis: #${position} in line`,
+      stage: 'analysis',
+      position,
+      queueLength
+    };
+
+    // Update session status
+    sessionManager.updateSession(sessionId, { status: 'queued', queuePosition: position });
+
+    // Broadcast event
+    sseManager.broadcastToSession(sessionId, this.eventTypes.QUEUE_POSITION, eventData);
+  }
+
   /**
    * Broadcast AI analysis started event
    * @param {string} sessionId - Session ID
@@ -139,7 +202,7 @@ class EventBroadcaster {
     };
 
     // Update session status
-    sessionManager.updateStatus(sessionId, 'analyzing');
+    sessionManager.updateSession(sessionId, { status: 'analyzing', queuePosition: null });
 
     // Broadcast event
     sseManager.broadcastToSession(sessionId, this.eventTypes.ANALYSIS_STARTED, eventData);
@@ -167,13 +230,26 @@ class EventBroadcaster {
     };
 
     // Update session with streaming content
-    const session = sessionManager.getSession(sessionId);
-    if (session) {
-      const currentContent = session.streamingContent || '';
-      sessionManager.updateSession(sessionId, {
-        streamingContent: currentContent + content,
-        lastStreamUpdate: new Date()
-      });
+    let stream = this.streams.get(sessionId);
+    if (!stream) {
+      const session = sessionManager.getSession(sessionId);
+      if (session) {
+        stream = { content: session.streamingContent || '', writtenAt: 0 };
+        this.streams.set(sessionId, stream);
+      }
+    }
+
+    if (stream) {
+      stream.content += content;
+
+      const now = Date.now();
+      if (now - stream.writtenAt >= this.streamWriteIntervalMs) {
+        stream.writtenAt = now;
+        sessionManager.updateSession(sessionId, {
+          streamingContent: stream.content,
+          lastStreamUpdate: new Date(now)
+        });
+      }
     }
 
     // Broadcast event
@@ -181,23 +257,73 @@ class EventBroadcaster {
   }
 
   /**
-   * Broadcast AI analysis completed event
+   * Broadcast a feedback section as soon as it is complete in the analysis stream
    * @param {string} sessionId - Session ID
-   * @param {Object} feedback - Complete feedback object
+   * @param {Object} section - Section from StreamingJsonParser
+   * @param {string} section.key - Top-level feedback key (e.g. clarity, jobFit, improvements)
+   * @param {number} section.index - Position of the item, for sections streamed item by item
+   * @param {*} section.value - Parsed section value
    */
-  broadcastAnalysisCompleted(sessionId, feedback = {}) {
+  broadcastAnalysisSection(sessionId, section) {
     const eventData = {
+      status: 'streaming',
+      stage: 'analysis',
+      section: section.key,
+      index: section.index ?? null,
+      value: section.value
+    };
+
+    sseManager.broadcastToSession(sessionId, this.eventTypes.ANALYSIS_SECTION, eventData);
+  }
+
+  /**
+   * Build the analysis completed event data, shared by the live broadcast and
+   * the snapshot sent to clients that connect after the analysis finished
+   * @param {Object} feedback - Complete feedback object
+   * @param {Object} options - Result flags (cached, degraded)
+   * @param {string} completedAt - When the analysis completed
+   * @returns {Object} - Event data
+   */
+  createAnalysisCompletedData(feedback, options = {}, completedAt) {
+    return {
       status: 'completed',
-      message: 'AI analysis completed successfully',
+      message: options.degraded
+        ? 'The AI response could not be read; placeholder feedback is shown'
+        : 'AI analysis completed successfully',
       stage: 'analysis',
       feedback: feedback,
-      completedAt: new Date().toISOString()
+      cached: options.cached || false,
+      degraded: options.degraded || false,
+      completedAt
     };
+  }
+
+  /**
+   * Broadcast AI analysis completed event
+   * @param {string} sessionId - Session ID
+   * @param {Object} feedback - Complete feedback object
+   * @param {Object} options - Result flags
+   * @param {boolean} options.cached - Feedback was reused from the analysis cache
+   * @param {boolean} options.degraded - Feedback is the fallback for an unusable AI response
+   */
+  broadcastAnalysisCompleted(sessionId, feedback = {}, options = {}) {
+    // Merge the rule-based lint results and ATS report recorded after extraction
+    const session = sessionManager.getSession(sessionId);
+    for (const key of ['lint', 'ats']) {
+      if (session?.[key] && !feedback[key]) {
+        feedback = { ...feedback, [key]: session[key] };
+      }
+    }
+
+    const eventData = this.createAnalysisCompletedData(feedback, options, new Date().toISOString());
 
     // Update session status
+    this.streams.delete(sessionId);
     sessionManager.updateStatus(sessionId, 'completed');
     sessionManager.updateSession(sessionId, { 
       feedback,
+      cached: options.cached || false,
+      degraded: options.degraded || false,
       completedAt: new Date(),
       streamingContent: null // Clear streaming content
     });
@@ -231,6 +357,7 @@ class EventBroadcaster {
     };
 
     // Update session status
+    this.streams.delete(sessionId);
     sessionManager.updateStatus(sessionId, 'error');
     sessionManager.updateSession(sessionId, { 
       lastError: errorMessage,
@@ -244,6 +371,32 @@ class EventBroadcaster {
     console.log(`Broadcast: Error occurred for session ${sessionId}: ${errorMessage}`);
   }
 
+  /**
+   * Broadcast analysis cancelled event
+   * @param {string} sessionId - Session ID
+   */
+  broadcastAnalysisCancelled(sessionId) {
+    const eventData = {
+      status: 'cancelled',
+      message: 'Analysis cancelled',
+      cancelledAt: new Date().toISOString()
+    };
+
+    // Update session status
+    this.streams.delete(sessionId);
+    sessionManager.updateStatus(sessionId, 'cancelled');
+    sessionManager.updateSession(sessionId, {
+      lastError: 'Analysis cancelled',
+      errorCode: 'ANALYSIS_CANCELLED',
+      streamingContent: null
+    });
+
+    // Broadcast event
+    sseManager.broadcastToSession(sessionId, this.eventTypes.ANALYSIS_CANCELLED, eventData);
+
+    console.log(`Broadcast: Analysis cancelled for session ${sessionId}`);
+  }
+
   /**
    * Broadcast retry started event
    * @param {string} sessionId - Session ID
@@ -300,6 +453,62 @@ class EventBroadcaster {
     sseManager.broadcastToSession(sessionId, this.eventTypes.SESSION_UPDATED, eventData);
   }
 
+  /**
+   * Broadcast a status change of one file in a batch on the batch stream
+   * @param {string} batchId - Batch session ID
+   * @param {Object} item - Item details (sessionId, fileName, stage event and status)
+   */
+  broadcastBatchItemStatus(batchId, item = {}) {
+    const eventData = {
+      status: 'processing',
+      message: `${item.fileName}: ${item.status}`,
+      item
+    };
+
+    sseManager.broadcastToSession(batchId, this.eventTypes.BATCH_ITEM_STATUS, eventData);
+  }
+
+  /**
+   * Broadcast aggregated batch progress
+   * @param {string} batchId - Batch session ID
+   * @param {Object} progress - Progress counters
+   */
+  broadcastBatchProgress(batchId, progress = {}) {
+    const eventData = {
+      status: 'processing',
+      message: `Processed ${progress.completed + progress.failed} of ${progress.total} resumes`,
+      progress
+    };
+
+    sessionManager.updateSession(batchId, { progress });
+
+    sseManager.broadcastToSession(batchId, this.eventTypes.BATCH_PROGRESS, eventData);
+  }
+
+  /**
+   * Broadcast batch completed event with its summary
+   * @param {string} batchId - Batch session ID
+   * @param {Object} summary - Batch summary
+   */
+  broadcastBatchCompleted(batchId, summary = {}) {
+    const eventData = {
+      status: 'completed',
+      message: 'Batch analysis completed',
+      summary,
+      completedAt: new Date().toISOString()
+    };
+
+    sessionManager.updateSession(batchId, {
+      status: 'completed',
+      summary,
+      completedAt: new Date()
+    });
+
+    sseManager.broadcastToSession(batchId, this.eventTypes.BATCH_COMPLETED, eventData);
+
+    console.log(`Broadcast: Batch completed for ${batchId}`);
+  }
+
   /**
    * Get available event types
    * @returns {Object} - Event types object
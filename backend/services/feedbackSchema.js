@@ -0,0 +1,205 @@
+const Ajv = require('ajv');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const CATEGORIES = ['formatting', 'content', 'skills', 'experience'];
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const score = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+
+/**
+ * JSON Schema of the feedback object the analysis prompt asks for.
+ * Extra properties are allowed; missing or mistyped ones are not.
+ */
+const FEEDBACK_SCHEMA = {
+  type: 'object',
+  required: ['clarity', 'grammar', 'skills', 'improvements'],
+  properties: {
+    clarity: {
+      type: 'object',
+      required: ['score', 'suggestions', 'strengths', 'weaknesses'],
+      properties: {
+        score: score(1, 10),
+        suggestions: stringArray,
+        strengths: stringArray,
+        weaknesses: stringArray
+      }
+    },
+    grammar: {
+      type: 'object',
+      required: ['score', 'corrections', 'improvements'],
+      properties: {
+        score: score(1, 10),
+        corrections: stringArray,
+        improvements: stringArray
+      }
+    },
+    skills: {
+      type: 'object',
+      required: ['relevantSkills', 'missingSkills', 'recommendations'],
+      properties: {
+        relevantSkills: stringArray,
+        missingSkills: stringArray,
+        recommendations: stringArray
+      }
+    },
+    improvements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'priority', 'suggestion', 'example'],
+        properties: {
+          category: { enum: CATEGORIES },
+          priority: { enum: PRIORITIES },
+          suggestion: { type: 'string' },
+          example: { type: 'string' }
+        }
+      }
+    },
+    jobFit: {
+      type: 'object',
+      required: ['matchScore', 'summary', 'keywordCoverage', 'requirements', 'tailoredImprovements'],
+      properties: {
+        matchScore: score(0, 100),
+        summary: { type: 'string' },
+        keywordCoverage: {
+          type: 'object',
+          required: ['matched', 'missing', 'coveragePercent'],
+          properties: {
+            matched: stringArray,
+            missing: stringArray,
+            coveragePercent: score(0, 100)
+          }
+        },
+        requirements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['requirement', 'type', 'status', 'evidence'],
+            properties: {
+              requirement: { type: 'string' },
+              type: { enum: ['must-have', 'nice-to-have'] },
+              status: { enum: ['met', 'partial', 'missing'] },
+              evidence: { type: 'string' }
+            }
+          }
+        },
+        tailoredImprovements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['priority', 'suggestion', 'example'],
+            properties: {
+              priority: { enum: PRIORITIES },
+              suggestion: { type: 'string' },
+              example: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the schema of the rubricScores section: one score and comment per dimension
+ * @param {Object} rubric - Rubric the feedback was requested with
+ * @returns {Object} - JSON Schema
+ */
+const rubricScoresSchema = (rubric) => ({
+  type: 'object',
+  required: rubric.dimensions.map(dimension => dimension.key),
+  properties: Object.fromEntries(rubric.dimensions.map(dimension => [dimension.key, {
+    type: 'object',
+    required: ['score', 'comment'],
+    properties: {
+      score: score(1, 10),
+      comment: { type: 'string' }
+    }
+  }]))
+});
+
+/**
+ * Feedback Schema
+ * Validates parsed model output against the feedback JSON Schema
+ */
+class FeedbackSchema {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true });
+    // Compiled validators by job match mode and rubric version
+    this.validators = new Map();
+  }
+
+  /**
+   * Get the validator for the sections an analysis must include
+   * @param {Object} options - Analysis options the feedback was requested with
+   * @returns {Function} - Compiled Ajv validator
+   */
+  getValidator(options = {}) {
+    const { jobDescription, rubric } = options;
+    const key = `${jobDescription ? 'job-match' : 'general'}:${rubric ? `${rubric.id}@${rubric.version}` : 'none'}`;
+
+    if (!this.validators.has(key)) {
+      const schema = { ...FEEDBACK_SCHEMA, required: [...FEEDBACK_SCHEMA.required], properties: { ...FEEDBACK_SCHEMA.properties } };
+      // Job match analyses must also include the jobFit section
+      if (jobDescription) {
+        schema.required.push('jobFit');
+      }
+      // Rubric analyses must score every dimension the rubric declares
+      if (rubric) {
+        schema.required.push('rubricScores');
+        schema.properties.rubricScores = rubricScoresSchema(rubric);
+      }
+      this.validators.set(key, this.ajv.compile(schema));
+    }
+
+    return this.validators.get(key);
+  }
+
+  /**
+   * Validate feedback
+   * @param {Object} feedback - Parsed feedback object
+   * @param {Object} options - Analysis options the feedback was requested with
+   * @param {string} options.jobDescription - Job description, which makes jobFit required
+   * @param {Object} options.rubric - Rubric, which makes a score for each of its dimensions required
+   * @returns {Object} - { valid, errors: [{ path, message }] }
+   */
+  validate(feedback, options = {}) {
+    const validate = this.getValidator(options);
+
+    if (validate(feedback)) {
+      return { valid: true, errors: [] };
+    }
+
+    return {
+      valid: false,
+      errors: validate.errors.map(error => ({
+        path: error.instancePath || '/',
+        message: this.describeError(error)
+      }))
+    };
+  }
+
+  /**
+   * Turn an Ajv error into a readable message
+   * @param {Object} error - Ajv error object
+   * @returns {string} - Message such as "/clarity/score must be <= 10"
+   */
+  describeError(error) {
+    const path = error.instancePath || 'feedback';
+
+    if (error.keyword === 'required') {
+      return error.instancePath
+        ? `${path} is missing required field: ${error.params.missingProperty}`
+        : `Missing required field: ${error.params.missingProperty}`;
+    }
+    if (error.keyword === 'enum') {
+      return `${path} must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${path} ${error.message}`;
+  }
+}
+
+// Create singleton instance
+const feedbackSchema = new FeedbackSchema();
+
+module.exports = feedbackSchema;
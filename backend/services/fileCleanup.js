@@ -59,6 +59,11 @@ class FileCleanupService {
           const stats = fs.statSync(filePath);
           const fileAge = now - stats.mtime.getTime();
 
+          // Directories (e.g. batch uploads) are removed by their owners
+          if (stats.isDirectory()) {
+            continue;
+          }
+
           // Delete files older than maxFileAge
           if (fileAge > this.maxFileAge) {
             await this.deleteFile(filePath);
@@ -1,7 +1,17 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseAIProvider = require('./providers/baseProvider');
+const modelHealth = require('./modelHealth');
 
-class GeminiService {
+/**
+ * Google Gemini provider
+ * Streams analysis from the Gemini API with fallback across model versions.
+ * Requests go to the first model whose circuit breaker (see modelHealth) is
+ * not open, and a failed request moves this instance to the next model.
+ */
+class GeminiService extends BaseAIProvider {
   constructor() {
+    super('gemini');
+
     if (!process.env.GEMINI_API_KEY) {
       throw new Error('GEMINI_API_KEY environment variable is required');
     }
@@ -44,17 +54,25 @@ class GeminiService {
   }
   
   /**
-   * Initialize the first available model from the fallback list
+   * Initialize the first available model from the fallback list, skipping
+   * models whose circuit breaker is open unless every breaker is open
    * @returns {GenerativeModel} Initialized model
    */
   initializeModel() {
-    for (const modelOption of this.modelOptions) {
+    let candidates = this.modelOptions.filter(modelOption => modelHealth.isAvailable(modelOption.name));
+    if (candidates.length === 0) {
+      console.warn('[HEALTH] Every Gemini model circuit is open, trying them in order of preference');
+      candidates = this.modelOptions;
+    }
+
+    for (const modelOption of candidates) {
       try {
         const model = this.genAI.getGenerativeModel({ 
           model: modelOption.name,
           generationConfig: modelOption.generationConfig
         });
         console.log(`Successfully initialized model: ${modelOption.name}`);
+        this.modelName = modelOption.name;
         return model;
       } catch (error) {
         console.warn(`Failed to initialize model ${modelOption.name}:`, error.message);
@@ -66,226 +84,149 @@ class GeminiService {
   }
 
   /**
-   * Reinitialize the model with the next available fallback
-   * @returns {boolean} True if reinitialization was successful
+   * Reinitialize the model after a model-level failure. The failed request
+   * already moved to the next model whose breaker is not open, if any.
+   * @returns {boolean} True if a healthy model is ready for the next attempt
    */
   reinitializeModel() {
-    try {
-      this.model = this.initializeModel();
-      return true;
-    } catch (error) {
-      console.error('Failed to reinitialize model:', error.message);
-      return false;
-    }
+    return modelHealth.isAvailable(this.modelName);
   }
 
   /**
-   * Create structured prompt for resume analysis
-   * @param {string} resumeText - Extracted text from PDF resume
-   * @returns {string} Formatted prompt for AI analysis
+   * Switch to the next model in the fallback list whose breaker is not open
+   * @returns {boolean} True if another model was selected
    */
-  createAnalysisPrompt(resumeText) {
-    return `You are an expert resume reviewer and career advisor. Please analyze the following resume and provide comprehensive feedback in the exact JSON format specified below.
-
-Resume Text:
-${resumeText}
+  failover() {
+    const currentIndex = this.modelOptions.findIndex(modelOption => modelOption.name === this.modelName);
 
-Please provide your analysis in the following JSON structure:
+    for (let offset = 1; offset < this.modelOptions.length; offset++) {
+      const modelOption = this.modelOptions[(currentIndex + offset) % this.modelOptions.length];
+      if (!modelHealth.isAvailable(modelOption.name)) {
+        continue;
+      }
 
-{
-  "clarity": {
-    "score": [number from 1-10],
-    "suggestions": ["specific suggestion 1", "specific suggestion 2"],
-    "strengths": ["strength 1", "strength 2"],
-    "weaknesses": ["weakness 1", "weakness 2"]
-  },
-  "grammar": {
-    "score": [number from 1-10],
-    "corrections": ["correction 1", "correction 2"],
-    "improvements": ["improvement 1", "improvement 2"]
-  },
-  "skills": {
-    "relevantSkills": ["skill 1", "skill 2"],
-    "missingSkills": ["missing skill 1", "missing skill 2"],
-    "recommendations": ["recommendation 1", "recommendation 2"]
-  },
-  "improvements": [
-    {
-      "category": "formatting|content|skills|experience",
-      "priority": "high|medium|low",
-      "suggestion": "specific actionable suggestion",
-      "example": "concrete example of how to implement this suggestion"
+      try {
+        this.model = this.genAI.getGenerativeModel({
+          model: modelOption.name,
+          generationConfig: modelOption.generationConfig
+        });
+        console.log(`[HEALTH] Failing over from ${this.modelName} to ${modelOption.name}`);
+        this.modelName = modelOption.name;
+        return true;
+      } catch (error) {
+        console.warn(`Failed to initialize model ${modelOption.name}:`, error.message);
+      }
     }
-  ]
-}
-
-Focus on:
-1. Clarity and formatting - Is the resume well-structured and easy to read?
-2. Grammar and writing quality - Are there any grammatical errors or awkward phrasing?
-3. Skills relevance - What skills are highlighted and what might be missing?
-4. Specific improvements - Actionable suggestions with examples
 
-Provide only the JSON response, no additional text.`;
+    return false;
   }
 
   /**
-   * Analyze resume with streaming support
-   * @param {string} resumeText - Extracted text from PDF resume
-   * @param {Function} onChunk - Callback for streaming chunks
-   * @returns {Promise<Object>} Parsed feedback object
+   * Run a model request, recording its outcome and latency for the current
+   * model and failing over to the next model when it fails. A model that became
+   * unavailable since it was selected (e.g. another request holds its half-open
+   * trial) is swapped for the next available one before the request is sent.
+   * @param {Function} request - Async function performing the request on this.model
+   * @param {AbortSignal} signal - Request signal; cancelled requests are not recorded
+   * @returns {Promise<*>} Result of the request
    */
-  async analyzeResumeStreaming(resumeText, onChunk) {
-    try {
-      const prompt = this.createAnalysisPrompt(resumeText);
-      
-      // Generate streaming response
-      const result = await this.model.generateContentStream(prompt);
-      
-      let fullResponse = '';
-      
-      // Process streaming chunks
-      for await (const chunk of result.stream) {
-        const chunkText = chunk.text();
-        fullResponse += chunkText;
-        
-        // Call the chunk callback if provided
-        if (onChunk && typeof onChunk === 'function') {
-          onChunk(chunkText);
-        }
-      }
-      
-      // Parse the complete response
-      const feedback = this.parseResponse(fullResponse);
-      return feedback;
-      
-    } catch (error) {
-      console.error('Error in Gemini AI analysis:', error);
-      
-      // Provide more specific error messages
-      if (error.status === 404) {
-        throw new Error('AI model not found. Please check if the model name is correct and available.');
-      } else if (error.status === 401) {
-        throw new Error('Unauthorized access to AI service. Please check your API key.');
-      } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.status >= 500) {
-        throw new Error('AI service temporarily unavailable. Please try again later.');
+  async trackRequest(request, signal) {
+    while (!modelHealth.beginRequest(this.modelName)) {
+      if (!this.failover()) {
+        const error = new Error('No Gemini model is available');
+        error.status = 503;
+        throw error;
       }
-      
-      throw new Error(`AI analysis failed: ${error.message}`);
     }
-  }
 
-  /**
-   * Parse AI response into structured feedback object
-   * @param {string} response - Raw AI response
-   * @returns {Object} Parsed feedback object
-   */
-  parseResponse(response) {
+    const modelName = this.modelName;
+    const startedAt = Date.now();
+
     try {
-      // Clean the response - remove any markdown formatting or extra text
-      let cleanResponse = response.trim();
-      
-      // Find JSON content between curly braces
-      const jsonStart = cleanResponse.indexOf('{');
-      const jsonEnd = cleanResponse.lastIndexOf('}');
-      
-      if (jsonStart === -1 || jsonEnd === -1) {
-        throw new Error('No valid JSON found in response');
-      }
-      
-      const jsonString = cleanResponse.substring(jsonStart, jsonEnd + 1);
-      const parsed = JSON.parse(jsonString);
-      
-      // Validate the structure matches our expected format
-      this.validateFeedbackStructure(parsed);
-      
-      return parsed;
-      
+      const result = await request();
+      modelHealth.recordSuccess(modelName, Date.now() - startedAt);
+      return result;
     } catch (error) {
-      console.error('Error parsing AI response:', error);
-      console.error('Raw response:', response);
-      
-      // Return fallback structure if parsing fails
-      return this.getFallbackFeedback();
+      if (signal?.aborted) {
+        modelHealth.cancelRequest(modelName);
+      } else {
+        modelHealth.recordFailure(modelName, error, Date.now() - startedAt);
+        this.failover();
+      }
+      throw error;
     }
   }
 
   /**
-   * Validate that feedback object has expected structure
-   * @param {Object} feedback - Parsed feedback object
-   * @throws {Error} If structure is invalid
+   * Read the token counts of a response. Thinking tokens are billed as output.
+   * @param {Object} usageMetadata - usageMetadata of a response or stream chunk
+   * @returns {Object|null} { promptTokens, completionTokens }, or null if not reported
    */
-  validateFeedbackStructure(feedback) {
-    const requiredFields = ['clarity', 'grammar', 'skills', 'improvements'];
-    
-    for (const field of requiredFields) {
-      if (!feedback[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
-    }
-    
-    // Validate clarity structure
-    if (!feedback.clarity.score || !Array.isArray(feedback.clarity.suggestions)) {
-      throw new Error('Invalid clarity structure');
-    }
-    
-    // Validate grammar structure
-    if (!feedback.grammar.score || !Array.isArray(feedback.grammar.corrections)) {
-      throw new Error('Invalid grammar structure');
-    }
-    
-    // Validate skills structure
-    if (!Array.isArray(feedback.skills.relevantSkills)) {
-      throw new Error('Invalid skills structure');
-    }
-    
-    // Validate improvements structure
-    if (!Array.isArray(feedback.improvements)) {
-      throw new Error('Invalid improvements structure');
+  getTokenUsage(usageMetadata) {
+    if (!usageMetadata) {
+      return null;
     }
+
+    return {
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      completionTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0)
+    };
   }
 
   /**
-   * Get fallback feedback structure when parsing fails
-   * @returns {Object} Fallback feedback object
+   * Analyze resume with streaming support
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Function} onChunk - Callback for streaming chunks
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {Promise<Object>} { feedback, degraded }
    */
-  getFallbackFeedback() {
-    return {
-      clarity: {
-        score: 5,
-        suggestions: ['Unable to analyze clarity - please try again'],
-        strengths: [],
-        weaknesses: []
-      },
-      grammar: {
-        score: 5,
-        corrections: ['Unable to analyze grammar - please try again'],
-        improvements: []
-      },
-      skills: {
-        relevantSkills: [],
-        missingSkills: [],
-        recommendations: ['Unable to analyze skills - please try again']
-      },
-      improvements: [
-        {
-          category: 'content',
-          priority: 'medium',
-          suggestion: 'Analysis failed - please try uploading your resume again',
-          example: 'Ensure your PDF is not password protected and contains readable text'
+  async analyzeResumeStreaming(resumeText, onChunk, options = {}) {
+    try {
+      const prompt = this.createAnalysisPrompt(resumeText, options);
+      
+      // Usage is recorded inside trackRequest, so it names the model the request was sent to
+      const fullResponse = await this.trackRequest(() => this.withUsage(options, 'analysis', prompt, async (usage) => {
+        // Generate streaming response
+        const result = await this.model.generateContentStream(prompt, { signal: options.signal });
+
+        // Process streaming chunks
+        for await (const chunk of result.stream) {
+          const chunkText = chunk.text();
+          usage.text += chunkText;
+          // Each chunk carries the counts so far; the last one has the totals
+          usage.tokens = this.getTokenUsage(chunk.usageMetadata) || usage.tokens;
+
+          // Call the chunk callback if provided
+          if (onChunk && typeof onChunk === 'function') {
+            onChunk(chunkText);
+          }
         }
-      ]
-    };
+
+        return usage.text;
+      }), options.signal);
+      
+      // Parse the complete response
+      return await this.parseResponseWithRepair(fullResponse, options);
+      
+    } catch (error) {
+      console.error('Error in Gemini AI analysis:', error);
+      throw this.normalizeError(error);
+    }
   }
 
   /**
-   * Non-streaming analysis method for compatibility
-   * @param {string} resumeText - Extracted text from PDF resume
-   * @returns {Promise<Object>} Parsed feedback object
+   * Generate a complete, non-streaming answer to a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Request options (e.g. signal, onUsage and purpose)
+   * @returns {Promise<string>} Raw model output
    */
-  async analyzeResume(resumeText) {
-    return this.analyzeResumeStreaming(resumeText);
+  async generateText(prompt, options = {}) {
+    return this.trackRequest(() => this.withUsage(options, options.purpose || 'generation', prompt, async (usage) => {
+      const result = await this.model.generateContent(prompt, { signal: options.signal });
+      usage.text = result.response.text();
+      usage.tokens = this.getTokenUsage(result.response.usageMetadata);
+      return usage.text;
+    }), options.signal);
   }
 }
 
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PDFExtractor = require('./pdfExtractor');
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'across', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being', 'both', 'but', 'by',
+  'can', 'candidate', 'company', 'do', 'each', 'etc', 'for', 'from', 'has', 'have', 'help', 'how', 'if', 'in',
+  'including', 'into', 'is', 'it', 'its', 'job', 'like', 'looking', 'may', 'more', 'most', 'must', 'new', 'not',
+  'of', 'on', 'or', 'other', 'our', 'own', 'per', 'plus', 'preferred', 'required', 'requirements', 'role', 'should',
+  'such', 'team', 'than', 'that', 'the', 'their', 'them', 'these', 'they', 'this', 'to', 'us', 'using', 'we', 'well',
+  'what', 'when', 'who', 'will', 'with', 'within', 'work', 'working', 'would', 'you', 'your', 'years', 'year',
+  'experience', 'ability', 'strong', 'skills', 'knowledge', 'understanding', 'responsibilities', 'qualifications',
+  'bonus', 'nice', 'ideal', 'great', 'good', 'excellent', 'familiarity', 'proficiency', 'proven', 'demonstrated'
+]);
+
+const NICE_TO_HAVE_HEADING = /(nice[\s-]to[\s-]have|preferred|bonus|desired|plus)/i;
+const MUST_HAVE_HEADING = /(requirements|required|must[\s-]have|qualifications|what you('ll)? need|you have)/i;
+
+/**
+ * Job Description Service
+ * Resolves job descriptions submitted as text or files and derives the
+ * keywords and requirements used for job-fit analysis
+ */
+class JobDescriptionService {
+  constructor() {
+    this.minLength = 50; // Minimum characters for a meaningful job description
+    this.maxLength = 20000; // Keep prompts within model context limits
+    this.maxKeywords = 25;
+  }
+
+  /**
+   * Resolve job description text from a text field or an uploaded file
+   * @param {Object} source - Job description source
+   * @param {string} source.text - Job description submitted as text
+   * @param {Object} source.file - Multer file object for an uploaded job description
+   * @returns {Promise<Object|null>} - { text, source } or null if none was provided
+   * @throws {Error} If the job description cannot be read or is invalid
+   */
+  async resolve({ text, file } = {}) {
+    let jobDescription = typeof text === 'string' ? text : '';
+    let source = 'text';
+
+    if (file) {
+      try {
+        jobDescription = await this.readFile(file);
+        source = 'file';
+      } finally {
+        // The uploaded job description is only needed for its text
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+
+    jobDescription = jobDescription.replace(/\r\n/g, '\n').trim();
+
+    if (!jobDescription) {
+      return null;
+    }
+
+    if (jobDescription.length < this.minLength) {
+      throw new Error(`Job description is too short (${jobDescription.length} characters). Please provide at least ${this.minLength} characters.`);
+    }
+
+    if (jobDescription.length > this.maxLength) {
+      throw new Error(`Job description is too long. Maximum length is ${this.maxLength} characters.`);
+    }
+
+    return { text: jobDescription, source };
+  }
+
+  /**
+   * Read job description text from an uploaded PDF or plain text file
+   * @param {Object} file - Multer file object
+   * @returns {Promise<string>} - Job description text
+   */
+  async readFile(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (file.mimetype === 'application/pdf' || extension === '.pdf') {
+      const extractionResult = await new PDFExtractor().extractText(file.path);
+      if (!extractionResult.success) {
+        throw new Error(`Could not read job description PDF: ${extractionResult.error.message}`);
+      }
+      return extractionResult.text;
+    }
+
+    return fs.readFile(file.path, 'utf8');
+  }
+
+  /**
+   * Extract the most frequent meaningful keywords from text
+   * @param {string} text - Text to extract keywords from
+   * @returns {string[]} - Keywords ordered by frequency
+   */
+  extractKeywords(text = '') {
+    const counts = new Map();
+    const tokens = text.toLowerCase().match(/[a-z][a-z0-9+#./-]*[a-z0-9+#]|[a-z]/g) || [];
+
+    for (const token of tokens) {
+      if (token.length < 2 || STOP_WORDS.has(token)) {
+        continue;
+      }
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, this.maxKeywords)
+      .map(([keyword]) => keyword);
+  }
+
+  /**
+   * Compute which job description keywords appear in the resume
+   * @param {string} jobDescription - Job description text
+   * @param {string} resumeText - Resume text
+   * @returns {Object} - { matched, missing, coveragePercent }
+   */
+  computeKeywordCoverage(jobDescription, resumeText = '') {
+    const keywords = this.extractKeywords(jobDescription);
+    const resumeTokens = new Set(resumeText.toLowerCase().match(/[a-z0-9+#./-]+/g) || []);
+
+    const matched = keywords.filter(keyword => resumeTokens.has(keyword));
+    const missing = keywords.filter(keyword => !resumeTokens.has(keyword));
+
+    return {
+      matched,
+      missing,
+      coveragePercent: keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) : 0
+    };
+  }
+
+  /**
+   * Split a job description into must-have and nice-to-have requirements
+   * based on its headings and bullet points
+   * @param {string} jobDescription - Job description text
+   * @returns {Array<{requirement: string, type: string}>} - Requirements
+   */
+  extractRequirements(jobDescription = '') {
+    const requirements = [];
+    let currentType = 'must-have';
+
+    for (const rawLine of jobDescription.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) {
+        continue;
+      }
+
+      const isBullet = /^([•\-*]|\d+[.)])\s+/.test(line);
+
+      if (!isBullet && line.length < 60) {
+        // Short non-bullet lines are treated as section headings
+        if (NICE_TO_HAVE_HEADING.test(line)) {
+          currentType = 'nice-to-have';
+        } else if (MUST_HAVE_HEADING.test(line)) {
+          currentType = 'must-have';
+        }
+        continue;
+      }
+
+      if (isBullet) {
+        requirements.push({
+          requirement: line.replace(/^([•\-*]|\d+[.)])\s+/, ''),
+          type: NICE_TO_HAVE_HEADING.test(line) ? 'nice-to-have' : currentType
+        });
+      }
+    }
+
+    return requirements;
+  }
+}
+
+// Create singleton instance
+const jobDescriptionService = new JobDescriptionService();
+
+module.exports = jobDescriptionService;
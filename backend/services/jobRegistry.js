@@ -0,0 +1,73 @@
+/**
+ * Job Registry
+ * Tracks the processing job running for each session, so it can be cancelled.
+ * Each job owns an AbortController whose signal is passed to extraction, the
+ * AI provider requests and the retry backoff timers.
+ */
+class JobRegistry {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a new job for a session. A job still running for the same
+   * session is aborted, since its results would be overwritten anyway.
+   * @param {string} sessionId - Session ID
+   * @returns {AbortSignal} - Signal that aborts when the job is cancelled
+   */
+  start(sessionId) {
+    this.cancel(sessionId);
+
+    const controller = new AbortController();
+    this.jobs.set(sessionId, controller);
+    return controller.signal;
+  }
+
+  /**
+   * Abort the job running for a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - True if a running job was aborted
+   */
+  cancel(sessionId) {
+    const controller = this.jobs.get(sessionId);
+    if (!controller) {
+      return false;
+    }
+
+    this.jobs.delete(sessionId);
+    controller.abort(new Error('Analysis cancelled'));
+    console.log(`[JOBS] Cancelled job for session ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Unregister a job once it has finished. A newer job for the same
+   * session is left in place.
+   * @param {string} sessionId - Session ID
+   * @param {AbortSignal} signal - Signal returned by start
+   */
+  finish(sessionId, signal) {
+    if (this.jobs.get(sessionId)?.signal === signal) {
+      this.jobs.delete(sessionId);
+    }
+  }
+
+  /**
+   * Check whether a job is running for a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - Running state
+   */
+  isRunning(sessionId) {
+    return this.jobs.has(sessionId);
+  }
+
+  /**
+   * Get the number of running jobs (for monitoring)
+   * @returns {Object} - Job statistics
+   */
+  getStats() {
+    return { running: this.jobs.size };
+  }
+}
+
+module.exports = new JobRegistry();
@@ -0,0 +1,151 @@
+const CLOSERS = { '{': '}', '[': ']' };
+
+/**
+ * JSON Repair
+ * Local fix-ups for the JSON object in a model response: surrounding prose and
+ * markdown fences, trailing commas, and output cut off mid-object
+ */
+class JsonRepair {
+  /**
+   * Repair the first JSON object in a text
+   * @param {string} text - Raw model response
+   * @returns {Object|null} - { json, changes } with the repaired JSON text and the fixes
+   *   applied ('truncation', 'trailing-commas'), or null if the text has no object
+   */
+  repair(text = '') {
+    const start = text.indexOf('{');
+    if (start === -1) {
+      return null;
+    }
+
+    const changes = [];
+    let json = this.extractObject(text.slice(start));
+
+    if (json === null) {
+      json = this.closeTruncated(text.slice(start));
+      changes.push('truncation');
+    }
+
+    const withoutCommas = this.removeTrailingCommas(json);
+    if (withoutCommas !== json) {
+      changes.push('trailing-commas');
+    }
+
+    return { json: withoutCommas, changes };
+  }
+
+  /**
+   * Walk JSON text outside of string literals
+   * @param {string} text - JSON text
+   * @param {Function} visit - Called with (char, index) for every character outside a string,
+   *   including each string's opening quote; returning true stops the walk
+   */
+  scan(text, visit) {
+    let inString = false;
+    let escaped = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      }
+      if (visit(char, index)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Cut a text at the end of the object it starts with, dropping any prose after it
+   * @param {string} text - Text starting with "{"
+   * @returns {string|null} - The balanced object, or null if it never closes
+   */
+  extractObject(text) {
+    let depth = 0;
+    let end = -1;
+
+    this.scan(text, (char, index) => {
+      if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          end = index;
+          return true;
+        }
+      }
+      return false;
+    });
+
+    return end === -1 ? null : text.slice(0, end + 1);
+  }
+
+  /**
+   * Close an object that was cut off. The unfinished member is dropped rather
+   * than completed, so no partial strings or numbers end up in the result.
+   * @param {string} text - Truncated JSON text starting with "{"
+   * @returns {string} - JSON text with every open object and array closed
+   */
+  closeTruncated(text) {
+    const stack = [];
+    // Last point where everything before it is complete, with the brackets open there
+    let safe = { index: 1, open: ['{'] };
+
+    this.scan(text, (char, index) => {
+      if (char === '{' || char === '[') {
+        stack.push(char);
+        safe = { index: index + 1, open: [...stack] };
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        safe = { index: index + 1, open: [...stack] };
+      } else if (char === ',') {
+        safe = { index, open: [...stack] };
+      }
+      return false;
+    });
+
+    const closers = safe.open.reverse().map(bracket => CLOSERS[bracket]).join('');
+    return text.slice(0, safe.index).replace(/[\s,]+$/, '') + closers;
+  }
+
+  /**
+   * Remove commas directly before a closing bracket
+   * @param {string} json - JSON text
+   * @returns {string} - JSON text without trailing commas
+   */
+  removeTrailingCommas(json) {
+    const dropped = new Set();
+    let lastComma = -1;
+
+    this.scan(json, (char, index) => {
+      if (char === ',') {
+        lastComma = index;
+      } else if ((char === '}' || char === ']') && lastComma !== -1) {
+        dropped.add(lastComma);
+        lastComma = -1;
+      } else if (!/\s/.test(char)) {
+        lastComma = -1;
+      }
+      return false;
+    });
+
+    return [...dropped].reduceRight((result, index) => result.slice(0, index) + result.slice(index + 1), json);
+  }
+}
+
+// Create singleton instance
+const jsonRepair = new JsonRepair();
+
+module.exports = jsonRepair;
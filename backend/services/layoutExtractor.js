@@ -0,0 +1,357 @@
+// Short text containing a year, e.g. a right-aligned "Jan 2020 - Present"
+const DATE_FIELD_PATTERN = /^(?=.*\b(?:19|20)\d{2}\b).{4,30}$/;
+
+/**
+ * Layout-aware PDF Text Reconstruction
+ * Rebuilds reading order from the positions of pdf.js text items so that
+ * multi-column resumes are read column by column, and strips headers and
+ * footers repeated across pages
+ */
+class LayoutExtractor {
+  constructor() {
+    this.minGutterWidth = 12; // Points of empty horizontal space between two columns
+    this.maxSpanningRatio = 0.1; // Share of items allowed to cross a gutter, e.g. full-width headings
+    this.minColumnLines = 3; // Lines each side of a gutter needs to count as a column
+    this.marginZoneRatio = 0.12; // Share of the page height at the top and bottom searched for headers and footers
+    this.maxMarginLines = 2; // Lines at each edge of a page that can be a header or footer
+  }
+
+  /**
+   * Rebuild document text from positioned page items
+   * @param {Array<{items: Array<Object>, width: number, height: number}>} pages - pdf.js text items and page size per page
+   * @returns {Object} - { text, columns (count per page), removedLines }
+   */
+  extract(pages) {
+    const positioned = pages.map(page => ({ ...page, items: this.normalizeItems(page.items) }));
+    const { pages: content, removedLines } = this.removeRepeatedMargins(positioned);
+
+    const rendered = content.map(page => this.renderPage(page.items));
+
+    return {
+      text: rendered.map(page => page.text).join('\n\n'),
+      columns: rendered.map(page => page.columns),
+      removedLines
+    };
+  }
+
+  /**
+   * Render page items as plain text: in content stream
+   * order, starting a new line whenever the baseline changes
+   * @param {Array<Object>} items - pdf.js text items
+   * @returns {string} - Page text
+   */
+  renderPlain(items) {
+    let lastY;
+    let text = '';
+
+    for (const item of items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+
+    return text;
+  }
+
+  /**
+   * Convert pdf.js text items into positioned items, dropping whitespace-only items
+   * @param {Array<Object>} items - pdf.js text items
+   * @returns {Array<Object>} - { text, x, y, width, fontSize }; y is measured from the page bottom
+   */
+  normalizeItems(items) {
+    return items
+      .filter(item => item.str && item.str.trim())
+      .map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || 0,
+        fontSize: Math.abs(item.transform[3]) || item.height || 10
+      }));
+  }
+
+  /**
+   * Remove lines repeated at the top or bottom of most pages (running headers,
+   * footers and page numbers)
+   * @param {Array<Object>} pages - Pages with positioned items
+   * @returns {Object} - { pages, removedLines }
+   */
+  removeRepeatedMargins(pages) {
+    let removedLines = 0;
+
+    const cleaned = this.findRepeatedMarginLines(pages).map((lines, pageIndex) => {
+      const removed = new Set(lines.flatMap(line => line.items));
+      removedLines += lines.length;
+
+      return { ...pages[pageIndex], items: pages[pageIndex].items.filter(item => !removed.has(item)) };
+    });
+
+    return { pages: cleaned, removedLines };
+  }
+
+  /**
+   * Find the lines at the top or bottom edge that repeat on most pages
+   * @param {Array<Object>} pages - Pages with positioned items
+   * @returns {Array<Array<Object>>} - Repeated lines per page
+   */
+  findRepeatedMarginLines(pages) {
+    if (pages.length < 2) {
+      return pages.map(() => []);
+    }
+
+    const candidates = pages.map(page => this.getMarginLines(page));
+    const pagesByKey = new Map();
+
+    candidates.forEach((lines, pageIndex) => {
+      for (const line of lines) {
+        const key = this.getRepeatKey(line.text);
+        pagesByKey.set(key, (pagesByKey.get(key) || new Set()).add(pageIndex));
+      }
+    });
+
+    const minPages = Math.max(2, Math.ceil(pages.length / 2));
+
+    return candidates.map(lines => lines.filter(line => pagesByKey.get(this.getRepeatKey(line.text)).size >= minPages));
+  }
+
+  /**
+   * Get the lines at the top and bottom edge of a page
+   * @param {Object} page - Page with positioned items and height
+   * @returns {Array<Object>} - Lines that may be a header or footer
+   */
+  getMarginLines(page) {
+    const lines = this.groupLines(page.items);
+    const zone = page.height * this.marginZoneRatio;
+
+    const top = lines.slice(0, this.maxMarginLines).filter(line => page.height - line.y <= zone);
+    const bottom = lines.slice(-this.maxMarginLines).filter(line => line.y <= zone && !top.includes(line));
+
+    return [...top, ...bottom];
+  }
+
+  /**
+   * Key used to match a header or footer across pages; digits are ignored so
+   * "Page 1 of 3" and "Page 2 of 3" match
+   * @param {string} text - Line text
+   * @returns {string} - Normalized key
+   */
+  getRepeatKey(text) {
+    return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Render one page in reading order
+   * @param {Array<Object>} items - Positioned items
+   * @returns {Object} - { text, columns }
+   */
+  renderPage(items) {
+    const dividers = this.findColumnDividers(items);
+
+    const blocks = this.splitBands(items, dividers).flatMap(band => {
+      if (band.spanning) {
+        return [band.items];
+      }
+
+      // Read each column of the band top to bottom, left column first
+      const bounds = [-Infinity, ...dividers, Infinity];
+      return bounds.slice(1)
+        .map((right, index) => band.items.filter(item => item.x >= bounds[index] && item.x < right))
+        .filter(column => column.length > 0);
+    });
+
+    return {
+      text: blocks.map(block => this.groupLines(block).map(line => line.text).join('\n')).join('\n\n'),
+      columns: dividers.length + 1
+    };
+  }
+
+  /**
+   * Find the x positions of empty vertical gutters that separate columns
+   * @param {Array<Object>} items - Positioned items of one page
+   * @returns {number[]} - Divider x positions, left to right
+   */
+  findColumnDividers(items) {
+    if (items.length < this.minColumnLines * 2) {
+      return [];
+    }
+
+    const left = Math.floor(Math.min(...items.map(item => item.x)));
+    const right = Math.ceil(Math.max(...items.map(item => item.x + item.width)));
+
+    // Number of items covering each point across the text area
+    const coverage = new Array(right - left).fill(0);
+    for (const item of items) {
+      const end = Math.min(coverage.length, Math.ceil(item.x + item.width) - left);
+      for (let x = Math.max(0, Math.floor(item.x) - left); x < end; x++) {
+        coverage[x]++;
+      }
+    }
+
+    const maxSpanning = Math.floor(items.length * this.maxSpanningRatio);
+
+    return this.findGutters(coverage, maxSpanning)
+      .map(gutter => left + gutter)
+      .filter(divider => this.isColumnDivider(items, divider, maxSpanning));
+  }
+
+  /**
+   * Find the centres of sparsely covered runs at least minGutterWidth wide
+   * @param {number[]} coverage - Items covering each point
+   * @param {number} maxSpanning - Coverage still treated as empty
+   * @returns {number[]} - Gutter centres as offsets into coverage
+   */
+  findGutters(coverage, maxSpanning) {
+    const gutters = [];
+    let runStart = null;
+
+    for (let x = 0; x <= coverage.length; x++) {
+      const isEmpty = x < coverage.length && coverage[x] <= maxSpanning;
+
+      if (isEmpty && runStart === null) {
+        runStart = x;
+      } else if (!isEmpty && runStart !== null) {
+        // Runs touching either edge of the text area are margins, not gutters
+        if (runStart > 0 && x < coverage.length && x - runStart >= this.minGutterWidth) {
+          gutters.push(this.findEmptiestCentre(coverage, runStart, x));
+        }
+        runStart = null;
+      }
+    }
+
+    return gutters;
+  }
+
+  /**
+   * Centre of the least covered stretch of a run
+   * @param {number[]} coverage - Items covering each point
+   * @param {number} start - Run start offset
+   * @param {number} end - Run end offset (exclusive)
+   * @returns {number} - Offset of the centre
+   */
+  findEmptiestCentre(coverage, start, end) {
+    const run = coverage.slice(start, end);
+    const lowest = Math.min(...run);
+    const first = run.indexOf(lowest);
+    const last = run.lastIndexOf(lowest);
+
+    return start + Math.round((first + last) / 2);
+  }
+
+  /**
+   * Whether a gutter splits the page into two real columns rather than, say,
+   * separating right-aligned dates from their titles
+   * @param {Array<Object>} items - Positioned items
+   * @param {number} divider - Gutter x position
+   * @param {number} maxSpanning - Items allowed to cross the gutter
+   * @returns {boolean} - True when both sides hold enough lines of their own
+   */
+  isColumnDivider(items, divider, maxSpanning) {
+    const spanning = items.filter(item => this.crossesDivider(item, [divider]));
+    const leftLines = this.groupLines(items.filter(item => item.x + item.width <= divider));
+    const rightLines = this.groupLines(items.filter(item => item.x >= divider));
+
+    return spanning.length <= maxSpanning &&
+      leftLines.length >= this.minColumnLines &&
+      rightLines.length >= this.minColumnLines &&
+      !rightLines.every(line => DATE_FIELD_PATTERN.test(line.text));
+  }
+
+  /**
+   * Whether an item extends across any divider
+   * @param {Object} item - Positioned item
+   * @param {number[]} dividers - Divider x positions
+   * @returns {boolean} - True if the item spans columns
+   */
+  crossesDivider(item, dividers) {
+    return dividers.some(divider => item.x < divider && item.x + item.width > divider);
+  }
+
+  /**
+   * Split a page into horizontal bands separated by items that span columns,
+   * so a full-width heading is read before the columns beneath it
+   * @param {Array<Object>} items - Positioned items
+   * @param {number[]} dividers - Divider x positions
+   * @returns {Array<{spanning: boolean, items: Array<Object>}>} - Bands, top to bottom
+   */
+  splitBands(items, dividers) {
+    const bands = [];
+    let current = null;
+
+    for (const item of [...items].sort((a, b) => b.y - a.y || a.x - b.x)) {
+      if (this.crossesDivider(item, dividers)) {
+        bands.push({ spanning: true, items: [item] });
+        current = null;
+      } else {
+        if (!current) {
+          current = { spanning: false, items: [] };
+          bands.push(current);
+        }
+        current.items.push(item);
+      }
+    }
+
+    return bands;
+  }
+
+  /**
+   * Whether two lines sit on the same baseline
+   * @param {Object} a - Line or item
+   * @param {Object} b - Line or item
+   * @returns {boolean} - True if the baselines are within half a font size
+   */
+  isSameBaseline(a, b) {
+    return Math.abs(a.y - b.y) <= Math.min(a.fontSize, b.fontSize) * 0.5;
+  }
+
+  /**
+   * Group items sharing a baseline into lines, top to bottom
+   * @param {Array<Object>} items - Positioned items
+   * @returns {Array<Object>} - Lines with y, fontSize, items (left to right) and text
+   */
+  groupLines(items) {
+    const lines = [];
+
+    for (const item of [...items].sort((a, b) => b.y - a.y || a.x - b.x)) {
+      const line = lines[lines.length - 1];
+      if (line && this.isSameBaseline(line, item)) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+      }
+    }
+
+    return lines.map(line => {
+      const ordered = line.items.sort((a, b) => a.x - b.x);
+      return { ...line, items: ordered, text: this.joinItems(ordered) };
+    });
+  }
+
+  /**
+   * Join the items of one line, inserting spaces where there is a visible gap
+   * @param {Array<Object>} items - Items ordered left to right
+   * @returns {string} - Line text
+   */
+  joinItems(items) {
+    return items.reduce((text, item, index) => {
+      if (index === 0) {
+        return item.text;
+      }
+
+      const previous = items[index - 1];
+      const gap = item.x - (previous.x + previous.width);
+
+      if (gap > item.fontSize * 1.5) {
+        // Wide gaps separate fields such as a title and right-aligned dates
+        return `${text.trimEnd()}   ${item.text.trimStart()}`;
+      }
+      if (gap > item.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+        return `${text} ${item.text}`;
+      }
+      return text + item.text;
+    }, '').trim();
+  }
+}
+
+// Create singleton instance
+const layoutExtractor = new LayoutExtractor();
+
+module.exports = layoutExtractor;
@@ -0,0 +1,210 @@
+// Outcomes kept per model for the error rate and average latency
+const WINDOW_SIZE = 20;
+
+/**
+ * Model Health Tracker
+ * Records the outcome and latency of every model request and runs a circuit
+ * breaker per model. A model's breaker opens after failureThreshold failures
+ * in a row (or at once when the model does not exist), so requests go to the
+ * next model. After cooldownMs it is half-open: a single trial request is let
+ * through (other callers see the model as unavailable until it resolves), and
+ * it closes the breaker on success and opens it again on failure.
+ * Shared by all provider instances, since one is created per analysis.
+ */
+class ModelHealthTracker {
+  constructor() {
+    this.failureThreshold = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+    this.cooldownMs = Number(process.env.CIRCUIT_COOLDOWN_MS) || 30 * 1000;
+    this.models = new Map();
+    this.servingModel = null;
+  }
+
+  /**
+   * Get the health record of a model, creating it on first use
+   * @param {string} model - Model name
+   * @returns {Object} - Health record
+   */
+  getRecord(model) {
+    if (!this.models.has(model)) {
+      this.models.set(model, {
+        model,
+        state: 'closed',
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        recent: [], // { success, latencyMs }
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      });
+    }
+    return this.models.get(model);
+  }
+
+  /**
+   * Check whether requests may be sent to a model. An open breaker whose
+   * cooldown has passed becomes half-open and lets a single trial request through.
+   * @param {string} model - Model name
+   * @returns {boolean} - True if the breaker is closed, or half-open with no trial request running
+   */
+  isAvailable(model) {
+    const record = this.models.get(model);
+    if (!record) {
+      return true;
+    }
+
+    if (record.state === 'open' && Date.now() - record.openedAt >= this.cooldownMs) {
+      record.state = 'half-open';
+      console.log(`[HEALTH] Circuit for ${model} is half-open`);
+    }
+
+    return record.state === 'closed' || (record.state === 'half-open' && !record.trialInFlight);
+  }
+
+  /**
+   * Claim a model for a request about to be sent. On a half-open breaker the
+   * request becomes the trial, and the model stays unavailable until
+   * recordSuccess, recordFailure or cancelRequest resolves it.
+   * @param {string} model - Model name
+   * @returns {boolean} - False if the model is not available, and the request must go elsewhere
+   */
+  beginRequest(model) {
+    if (!this.isAvailable(model)) {
+      return false;
+    }
+
+    const record = this.models.get(model);
+    if (record?.state === 'half-open') {
+      record.trialInFlight = true;
+      console.log(`[HEALTH] Sending trial request to ${model}`);
+    }
+    return true;
+  }
+
+  /**
+   * Release the trial of a request that was cancelled before it had an outcome
+   * @param {string} model - Model name
+   */
+  cancelRequest(model) {
+    const record = this.models.get(model);
+    if (record) {
+      record.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} model - Model name
+   * @param {number} latencyMs - Request duration
+   */
+  recordSuccess(model, latencyMs) {
+    const record = this.getRecord(model);
+
+    this.addOutcome(record, { success: true, latencyMs });
+    record.trialInFlight = false;
+    record.consecutiveFailures = 0;
+    record.lastSuccessAt = new Date().toISOString();
+    this.servingModel = model;
+
+    if (record.state !== 'closed') {
+      record.state = 'closed';
+      record.openedAt = null;
+      console.log(`[HEALTH] Circuit for ${model} closed`);
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {string} model - Model name
+   * @param {Error} error - Request error; its status tells how the model failed
+   * @param {number} latencyMs - Request duration
+   */
+  recordFailure(model, error, latencyMs) {
+    // An invalid API key fails every model alike, so it says nothing about this one
+    if (error.status === 401 || error.status === 403) {
+      this.cancelRequest(model);
+      return;
+    }
+
+    const record = this.getRecord(model);
+
+    this.addOutcome(record, { success: false, latencyMs });
+    record.trialInFlight = false;
+    record.failures++;
+    record.consecutiveFailures++;
+    record.lastError = error.message;
+    record.lastFailureAt = new Date().toISOString();
+
+    // A model that does not exist will not recover, and a failed trial reopens the breaker
+    if (error.status === 404 || record.state === 'half-open' || record.consecutiveFailures >= this.failureThreshold) {
+      this.open(record);
+    }
+  }
+
+  /**
+   * Add a request outcome to a record
+   * @param {Object} record - Health record
+   * @param {Object} outcome - { success, latencyMs }
+   */
+  addOutcome(record, outcome) {
+    record.requests++;
+    record.recent.push(outcome);
+    if (record.recent.length > WINDOW_SIZE) {
+      record.recent.shift();
+    }
+  }
+
+  /**
+   * Open the breaker of a model
+   * @param {Object} record - Health record
+   */
+  open(record) {
+    if (record.state !== 'open') {
+      console.warn(`[HEALTH] Circuit for ${record.model} opened after: ${record.lastError}`);
+    }
+    record.state = 'open';
+    record.openedAt = Date.now();
+  }
+
+  /**
+   * Get the health of every model that has been used
+   * @returns {Object} - Per-model state, error rate and latency, and the model that last served a request
+   */
+  getHealth() {
+    const models = Array.from(this.models.values()).map(record => {
+      const latencies = record.recent.filter(outcome => outcome.success).map(outcome => outcome.latencyMs);
+
+      return {
+        model: record.model,
+        state: record.state,
+        requests: record.requests,
+        failures: record.failures,
+        consecutiveFailures: record.consecutiveFailures,
+        errorRate: record.recent.length > 0
+          ? Math.round((record.recent.filter(outcome => !outcome.success).length / record.recent.length) * 100) / 100
+          : 0,
+        averageLatencyMs: latencies.length > 0
+          ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+          : null,
+        retryAt: record.state === 'open' ? new Date(record.openedAt + this.cooldownMs).toISOString() : null,
+        lastError: record.lastError,
+        lastSuccessAt: record.lastSuccessAt,
+        lastFailureAt: record.lastFailureAt
+      };
+    });
+
+    return { servingModel: this.servingModel, models };
+  }
+
+  /**
+   * Forget all recorded health
+   */
+  reset() {
+    this.models.clear();
+    this.servingModel = null;
+  }
+}
+
+module.exports = new ModelHealthTracker();
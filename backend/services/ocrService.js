@@ -0,0 +1,127 @@
+const { createCanvas } = require('@napi-rs/canvas');
+const { createWorker } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const { openDocument } = require('./pdfjs');
+
+/**
+ * OCR Service
+ * Renders PDF pages to images and recognizes their text with a bundled,
+ * offline Tesseract engine, for scanned resumes that have no text layer
+ */
+class OCRService {
+  constructor() {
+    this.maxPages = parseInt(process.env.OCR_MAX_PAGES, 10) || 5;
+    this.renderScale = 2; // 144 DPI, enough for body text
+
+    // Canvases pdf.js creates for intermediate drawing (image masks, patterns)
+    this.canvasFactory = {
+      create: (width, height) => {
+        const canvas = createCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+      },
+      reset: (canvasAndContext, width, height) => {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+      },
+      destroy: (canvasAndContext) => {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+      }
+    };
+  }
+
+  /**
+   * Recognize the text of a PDF
+   * @param {Buffer} dataBuffer - PDF file contents
+   * @param {Object} options - Recognition options
+   * @param {string} options.password - Password for an encrypted PDF
+   * @param {AbortSignal} options.signal - Stops recognition before the next page when aborted
+   * @returns {Promise<Object>} - { text, confidence (0-100), pages }
+   */
+  async recognize(dataBuffer, options = {}) {
+    const images = await this.renderPages(dataBuffer, options.password);
+
+    // Language data ships with @tesseract.js-data/eng, so nothing is downloaded
+    const worker = await createWorker(englishData.code, 1, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: 'none'
+    });
+
+    try {
+      const pages = [];
+      for (const image of images) {
+        options.signal?.throwIfAborted();
+        const { data } = await worker.recognize(image);
+        pages.push({ text: data.text.trim(), confidence: data.confidence });
+      }
+
+      return {
+        text: pages.map(page => page.text).join('\n\n'),
+        confidence: this.averageConfidence(pages),
+        pages: pages.length
+      };
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * Render PDF pages to PNG images
+   * @param {Buffer} dataBuffer - PDF file contents
+   * @param {string} [password] - Password for an encrypted PDF
+   * @returns {Promise<Buffer[]>} - One PNG per page, up to maxPages
+   */
+  async renderPages(dataBuffer, password) {
+    const loadingTask = openDocument(dataBuffer, {
+      ...(password && { password }),
+      canvasFactory: this.canvasFactory,
+      disableFontFace: true
+    });
+
+    try {
+      const pdf = await loadingTask.promise;
+      const images = [];
+      const pageCount = Math.min(pdf.numPages, this.maxPages);
+
+      for (let number = 1; number <= pageCount; number++) {
+        const page = await pdf.getPage(number);
+        const viewport = page.getViewport({ scale: this.renderScale });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        const context = canvas.getContext('2d');
+
+        // Pages are transparent by default; OCR expects dark text on white
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvasContext: context, viewport }).promise;
+        images.push(canvas.toBuffer('image/png'));
+        page.cleanup();
+      }
+
+      return images;
+    } finally {
+      await loadingTask.destroy();
+    }
+  }
+
+  /**
+   * Average page confidence weighted by the amount of text on each page
+   * @param {Array<{text: string, confidence: number}>} pages - Recognized pages
+   * @returns {number} - Confidence from 0 to 100
+   */
+  averageConfidence(pages) {
+    const totalLength = pages.reduce((total, page) => total + page.text.length, 0);
+    if (totalLength === 0) {
+      return 0;
+    }
+
+    const weighted = pages.reduce((total, page) => total + page.confidence * page.text.length, 0);
+    return Math.round(weighted / totalLength);
+  }
+}
+
+// Create singleton instance
+const ocrService = new OCRService();
+
+module.exports = ocrService;
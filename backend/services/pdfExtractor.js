@@ -1,22 +1,43 @@
-const pdfParse = require('pdf-parse');
 const fs = require('fs').promises;
+const docxParser = require('./docxParser');
+const ZipReader = require('./zipReader');
+const sectionParser = require('./sectionParser');
+const layoutExtractor = require('./layoutExtractor');
+const atsAnalyzer = require('./atsAnalyzer');
+const profileParser = require('./profileParser');
+const ocrService = require('./ocrService');
+const analysisCache = require('./analysisCache');
+const { openDocument, OPS, PasswordResponses } = require('./pdfjs');
+
+const EXTRACTION_MODES = ['auto', 'layout', 'simple'];
+const IMAGE_OPS = new Set(Object.keys(OPS).filter(name => /^paint.*(Image|Jpeg)/.test(name)).map(name => OPS[name]));
 
 /**
  * PDF Text Extraction Service
- * Handles PDF text extraction with comprehensive error handling
+ * Handles PDF and DOCX text extraction with comprehensive error handling
  */
 class PDFExtractor {
   constructor() {
     this.minTextLength = 50; // Minimum characters for meaningful content
     this.maxFileSize = 10 * 1024 * 1024; // 10MB limit
+    this.fontLoadTimeout = 1000; // ms to wait for pdf.js to resolve a font
+    // auto uses layout-aware text only when a page has columns or repeated headers/footers
+    this.extractionMode = EXTRACTION_MODES.includes(process.env.PDF_EXTRACTION_MODE)
+      ? process.env.PDF_EXTRACTION_MODE
+      : 'auto';
+    // Scanned PDFs without a text layer are recognized with OCR instead of being rejected
+    this.ocrEnabled = process.env.OCR_ENABLED !== 'false';
   }
 
   /**
-   * Extract text from PDF file
-   * @param {string} filePath - Path to the PDF file
-   * @returns {Promise<Object>} - Extraction result with text and metadata
+   * Extract text from a PDF or DOCX file
+   * @param {string} filePath - Path to the PDF or DOCX file
+   * @param {Object} options - Extraction options
+   * @param {string} options.password - Password for an encrypted PDF
+   * @param {AbortSignal} options.signal - Stops OCR when the job is cancelled
+   * @returns {Promise<Object>} - Extraction result with text, detected sections, contact profile, ATS report and metadata
    */
-  async extractText(filePath) {
+  async extractText(filePath, options = {}) {
     try {
       // Validate file exists and get stats
       const stats = await fs.stat(filePath);
@@ -29,35 +50,47 @@ class PDFExtractor {
         throw new Error('PDF file is empty.');
       }
 
-      // Read the PDF file
+      // Read the file; DOCX packages are ZIP archives and are detected by signature
       const dataBuffer = await fs.readFile(filePath);
-      
-      // Parse PDF with options
-      const options = {
-        // Preserve whitespace and formatting where possible
-        normalizeWhitespace: false,
-        // Don't render pages as images
-        disableCombineTextItems: false
-      };
-
-      const data = await pdfParse(dataBuffer, options);
+      const isDocx = ZipReader.isZip(dataBuffer);
+      let data = isDocx
+        ? this.parseDocx(dataBuffer)
+        : await this.parsePDF(dataBuffer, options.password);
       
       // Validate extracted content
-      const extractedText = data.text.trim();
+      let extractedText = data.text.trim();
       const validationResult = this.validateExtractedText(extractedText);
       
       if (!validationResult.isValid) {
-        throw new Error(validationResult.error);
+        const ocrData = !isDocx && this.ocrEnabled ? await this.recognizeText(dataBuffer, options.password, options.signal) : null;
+
+        if (!ocrData || !this.validateExtractedText(ocrData.text).isValid) {
+          throw new Error(validationResult.error);
+        }
+
+        data = { ...data, ...ocrData };
+        extractedText = ocrData.text;
       }
 
+      const sections = sectionParser.parse(extractedText);
+
       return {
         success: true,
         text: extractedText,
+        sections,
+        profile: profileParser.parse(extractedText, sections),
+        ats: atsAnalyzer.analyze({ text: extractedText, sections, pages: data.pages || null }),
         metadata: {
           pages: data.numpages,
           info: data.info,
           textLength: extractedText.length,
           wordCount: this.countWords(extractedText),
+          // Identifies the same resume across uploads, e.g. for the analysis cache
+          textHash: analysisCache.hash(extractedText),
+          extractionMethod: data.extractionMethod || 'text',
+          ocrConfidence: data.ocrConfidence ?? null,
+          extractionMode: data.extractionMode,
+          layout: data.layout || null,
           extractedAt: new Date().toISOString()
         }
       };
@@ -67,6 +100,139 @@ class PDFExtractor {
     }
   }
 
+  /**
+   * Parse PDF contents
+   * @param {Buffer} dataBuffer - PDF file contents
+   * @param {string} [password] - Password for an encrypted PDF
+   * @returns {Promise<Object>} - Parsed text, page count and document info
+   */
+  async parsePDF(dataBuffer, password) {
+    // A password is only passed when given: pdf.js rejects any password for PDFs that open without one
+    const loadingTask = openDocument(dataBuffer, password ? { password } : {});
+
+    try {
+      const pdf = await loadingTask.promise;
+      const pages = [];
+      let text = '';
+
+      // Collect positioned text items alongside the plain text; pages are separated by a blank line
+      for (let number = 1; number <= pdf.numPages; number++) {
+        const pageData = await pdf.getPage(number);
+        text += `\n\n${await this.renderPage(pageData, pages)}`;
+        pageData.cleanup();
+      }
+
+      const { info } = await pdf.getMetadata();
+
+      return { text, numpages: pdf.numPages, info, ...this.applyLayout(text, pages), pages };
+    } finally {
+      await loadingTask.destroy();
+    }
+  }
+
+  /**
+   * Recognize the text of a PDF without a usable text layer
+   * @param {Buffer} dataBuffer - PDF file contents
+   * @param {string} [password] - Password for an encrypted PDF
+   * @param {AbortSignal} [signal] - Stops recognition when the job is cancelled
+   * @returns {Promise<Object|null>} - Text and OCR details, or null if recognition failed
+   */
+  async recognizeText(dataBuffer, password, signal) {
+    try {
+      const { text, confidence } = await ocrService.recognize(dataBuffer, { password, signal });
+
+      return {
+        text: text.trim(),
+        extractionMethod: 'ocr',
+        ocrConfidence: confidence,
+        // Layout modes only apply to the text layer
+        extractionMode: null,
+        layout: null
+      };
+    } catch (error) {
+      console.error('[OCR] Recognition failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Render one PDF page to plain text and keep its positioned items, fonts and image count
+   * @param {Object} pageData - pdf.js page
+   * @param {Array<Object>} pages - Collects { items, width, height, fonts, imageCount } per page
+   * @returns {Promise<string>} - Page text in content stream order
+   */
+  async renderPage(pageData, pages) {
+    // pdf.js merges items on the same line
+    const textContent = await pageData.getTextContent();
+    const viewport = pageData.getViewport({ scale: 1 });
+    // Loading the operator list also makes pdf.js resolve the page's fonts
+    const operatorList = await pageData.getOperatorList();
+
+    const fonts = {};
+    for (const fontId of Object.keys(textContent.styles)) {
+      const font = await this.getFont(pageData, fontId);
+      fonts[fontId] = { name: font ? font.name : null, embedded: font ? !font.missingFile : null };
+    }
+
+    pages.push({
+      items: textContent.items,
+      width: viewport.width,
+      height: viewport.height,
+      fonts,
+      imageCount: operatorList.fnArray.filter(fn => IMAGE_OPS.has(fn)).length
+    });
+    return layoutExtractor.renderPlain(textContent.items);
+  }
+
+  /**
+   * Get a font pdf.js loaded for a page
+   * @param {Object} pageData - pdf.js page
+   * @param {string} fontId - Font ID from the text content styles
+   * @returns {Promise<Object|null>} - Font, or null if it did not resolve in time
+   */
+  getFont(pageData, fontId) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), this.fontLoadTimeout);
+      pageData.commonObjs.get(fontId, font => {
+        clearTimeout(timer);
+        resolve(font);
+      });
+    });
+  }
+
+  /**
+   * Choose between plain and layout-aware text according to the extraction mode
+   * @param {string} text - Text in content stream order
+   * @param {Array<Object>} pages - Positioned items per page
+   * @returns {Object} - { text, extractionMode, layout }
+   */
+  applyLayout(text, pages) {
+    if (this.extractionMode === 'simple' || pages.length === 0) {
+      return { text, extractionMode: 'simple', layout: null };
+    }
+
+    const layout = layoutExtractor.extract(pages);
+    const useLayout = this.extractionMode === 'layout' ||
+      layout.columns.some(columns => columns > 1) ||
+      layout.removedLines > 0;
+
+    return {
+      text: useLayout ? layout.text : text,
+      extractionMode: useLayout ? 'layout' : 'simple',
+      layout: { columns: layout.columns, removedLines: layout.removedLines }
+    };
+  }
+
+  /**
+   * Parse DOCX contents into the same shape parsePDF returns
+   * @param {Buffer} dataBuffer - DOCX file contents
+   * @returns {Object} - Parsed text, page count and document info
+   */
+  parseDocx(dataBuffer) {
+    const { text, pages, info } = docxParser.parse(dataBuffer);
+    return { text, numpages: pages, info, extractionMode: 'docx' };
+  }
+
   /**
    * Validate that extracted text is meaningful
    * @param {string} text - Extracted text to validate
@@ -124,9 +290,15 @@ class PDFExtractor {
     if (error.message.includes('Invalid PDF')) {
       errorType = 'INVALID_PDF';
       userMessage = 'The uploaded file is not a valid PDF or is corrupted.';
-    } else if (error.message.includes('password') || error.message.includes('encrypted')) {
-      errorType = 'PASSWORD_PROTECTED';
-      userMessage = 'This PDF is password-protected. Please upload an unprotected version.';
+    } else if (error.message.includes('Invalid DOCX')) {
+      errorType = 'INVALID_DOCX';
+      userMessage = 'The uploaded file is not a valid DOCX document or is corrupted.';
+    } else if (error.name === 'PasswordException' && error.code === PasswordResponses.INCORRECT_PASSWORD) {
+      errorType = 'PDF_PASSWORD_INCORRECT';
+      userMessage = 'The password for this PDF is incorrect. Please try again.';
+    } else if (error.name === 'PasswordException' || error.message.includes('password') || error.message.includes('encrypted')) {
+      errorType = 'PDF_ENCRYPTED';
+      userMessage = 'This PDF is password-protected. Enter its password to continue.';
     } else if (error.message.includes('too large')) {
       errorType = 'FILE_TOO_LARGE';
       userMessage = error.message;
@@ -0,0 +1,34 @@
+const path = require('path');
+const { DOMMatrix, Path2D } = require('@napi-rs/canvas');
+
+// pdf.js draws glyphs with these browser globals; provide them before it loads
+globalThis.DOMMatrix ??= DOMMatrix;
+globalThis.Path2D ??= Path2D;
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Font data for the standard 14 fonts, which PDFs may use without embedding them
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Open a PDF with pdf.js, for text extraction and OCR alike.
+ * Uploads are untrusted: fonts are never compiled to JavaScript (isEvalSupported: false),
+ * which closes the glyph compilation path of CVE-2024-4367.
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {Object} [options] - Additional pdf.js getDocument parameters, e.g. password
+ * @returns {Object} - pdf.js loading task; destroy it to release the document
+ */
+function openDocument(dataBuffer, options = {}) {
+  return pdfjs.getDocument({
+    // pdf.js misreads some Buffer inputs ("bad XRef entry"); give it a plain byte array
+    data: Uint8Array.from(dataBuffer),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    ...options,
+    isEvalSupported: false
+  });
+}
+
+module.exports = {
+  openDocument,
+  OPS: pdfjs.OPS,
+  PasswordResponses: pdfjs.PasswordResponses
+};
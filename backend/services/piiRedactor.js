@@ -0,0 +1,175 @@
+const profileParser = require('./profileParser');
+const sectionParser = require('./sectionParser');
+
+// Placeholder per profile field, in replacement order: URLs before the names they may contain
+const PLACEHOLDERS = [
+  { field: 'linkedin', placeholder: 'LINKEDIN_URL' },
+  { field: 'github', placeholder: 'GITHUB_URL' },
+  { field: 'portfolio', placeholder: 'PORTFOLIO_URL' },
+  { field: 'email', placeholder: 'EMAIL' },
+  { field: 'phone', placeholder: 'PHONE' },
+  { field: 'name', placeholder: 'CANDIDATE_NAME' },
+  { field: 'location', placeholder: 'LOCATION' }
+];
+
+/**
+ * PII Redactor
+ * Replaces candidate contact details with placeholders before resume text is
+ * sent to an AI provider, and puts the original values back into its response
+ */
+class PIIRedactor {
+  /**
+   * Whether redaction is switched on with PII_REDACTION
+   * @returns {boolean} - True if resume text must be redacted before analysis
+   */
+  isEnabled() {
+    return process.env.PII_REDACTION === 'true';
+  }
+
+  /**
+   * Replace contact details in resume text with placeholders
+   * @param {string} text - Extracted resume text
+   * @param {Object} profile - Profile from profileParser.parse
+   * @returns {Object} - { text, replacements: [{ placeholder, value }] }
+   */
+  redact(text, profile = {}) {
+    const values = this.collectValues(text, profile);
+    const replacements = [];
+    let redacted = text;
+
+    for (const { placeholder, value } of values) {
+      // Whole values only, so a short name does not match inside longer words
+      const pattern = new RegExp(`(?<!\\w)${this.escapeRegExp(value)}(?!\\w)`, 'gi');
+      if (!pattern.test(redacted)) {
+        continue;
+      }
+
+      const count = replacements.filter(replacement => replacement.type === placeholder).length;
+      const token = `[${placeholder}${count > 0 ? `_${count + 1}` : ''}]`;
+      redacted = redacted.replace(pattern, token);
+      replacements.push({ type: placeholder, placeholder: token, value });
+    }
+
+    if (replacements.length > 0) {
+      console.log(`[PII] Redacted ${replacements.length} value(s)`);
+    }
+
+    return {
+      text: redacted,
+      replacements: replacements.map(({ placeholder, value }) => ({ placeholder, value }))
+    };
+  }
+
+  /**
+   * Collect the values to redact: the profile fields, plus every other email
+   * address, phone number and header URL in the text
+   * @param {string} text - Extracted resume text
+   * @param {Object} profile - Parsed profile
+   * @returns {Array<{placeholder: string, value: string}>} - Values in replacement order
+   */
+  collectValues(text, profile) {
+    const extra = {
+      portfolio: profileParser.findUrls(profileParser.getHeaderLines(text, sectionParser.parse(text)).join('\n')),
+      email: profileParser.findEmails(text),
+      phone: profileParser.findPhones(text)
+    };
+
+    const values = PLACEHOLDERS.flatMap(({ field, placeholder }) =>
+      [profile[field], ...(extra[field] || [])]
+        .filter(Boolean)
+        .map(value => ({ placeholder, value })));
+
+    // Drop duplicates, e.g. the profile email found again by the email pattern
+    return values.filter((entry, index) =>
+      values.findIndex(other => other.value.toLowerCase() === entry.value.toLowerCase()) === index);
+  }
+
+  /**
+   * Put original values back in place of placeholders
+   * @param {*} value - String, array or object (e.g. AI feedback) to restore
+   * @param {Array<Object>} replacements - Replacements returned by redact
+   * @returns {*} - Copy of the value with placeholders restored
+   */
+  restore(value, replacements = []) {
+    if (replacements.length === 0) {
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      return replacements.reduce((restored, { placeholder, value: original }) =>
+        restored.split(placeholder).join(original), value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item, replacements));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item, replacements)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Wrap a streaming chunk handler so placeholders are restored before the
+   * chunks are shown. A placeholder split across chunks is held back until it completes.
+   * @param {Array<Object>} replacements - Replacements returned by redact
+   * @param {Function} onChunk - Handler receiving restored chunks
+   * @returns {Function} - Chunk handler, with a flush() method for the end of the stream
+   */
+  createChunkRestorer(replacements, onChunk) {
+    let pending = '';
+
+    const handleChunk = (chunk) => {
+      const text = pending + chunk;
+      const heldFrom = this.findPartialPlaceholder(text, replacements);
+
+      pending = text.slice(heldFrom);
+      if (heldFrom > 0) {
+        onChunk(this.restore(text.slice(0, heldFrom), replacements));
+      }
+    };
+
+    handleChunk.flush = () => {
+      if (pending) {
+        onChunk(this.restore(pending, replacements));
+        pending = '';
+      }
+    };
+
+    return handleChunk;
+  }
+
+  /**
+   * Find where a text ends with the beginning of a placeholder
+   * @param {string} text - Streamed text so far
+   * @param {Array<Object>} replacements - Replacements returned by redact
+   * @returns {number} - Offset of the partial placeholder, or the text length if there is none
+   */
+  findPartialPlaceholder(text, replacements) {
+    const start = text.lastIndexOf('[');
+    if (start === -1) {
+      return text.length;
+    }
+
+    const tail = text.slice(start);
+    const isPartial = replacements.some(({ placeholder }) => placeholder.length > tail.length && placeholder.startsWith(tail));
+
+    return isPartial ? start : text.length;
+  }
+
+  /**
+   * Escape a literal value for use in a regular expression
+   * @param {string} value - Literal text
+   * @returns {string} - Escaped pattern source
+   */
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// Create singleton instance
+const piiRedactor = new PIIRedactor();
+
+module.exports = piiRedactor;
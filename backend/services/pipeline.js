@@ -0,0 +1,389 @@
+const fs = require('fs');
+const { setTimeout: sleep } = require('timers/promises');
+const PDFExtractor = require('./pdfExtractor');
+const resumeLinter = require('./resumeLinter');
+const piiRedactor = require('./piiRedactor');
+const analysisCache = require('./analysisCache');
+const StreamingJsonParser = require('./streamingJsonParser');
+const jobRegistry = require('./jobRegistry');
+const analysisQueue = require('./analysisQueue');
+const usageTracker = require('./usageTracker');
+const rubricRegistry = require('./rubricRegistry');
+const eventBroadcaster = require('./eventBroadcaster');
+const { createAIProvider } = require('./providers');
+
+/**
+ * Create an error carrying the code reported in the error.occurred event
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error with a code
+ */
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decide whether a failed analysis attempt is worth retrying. A missing model
+ * is retried only if the provider could switch to another model.
+ * @param {Error} error - Error raised by the AI provider
+ * @param {Object} context - Pipeline context
+ * @returns {boolean} - True if the analysis should be retried
+ */
+function isRetryableAnalysisError(error, context) {
+  if (error.message.includes('model not found')) {
+    console.log('[PIPELINE] Attempting to reinitialize AI model...');
+    return context.aiProvider.reinitializeModel();
+  }
+
+  return !(error.message.includes('Unauthorized') || error.message.includes('API key'));
+}
+
+/**
+ * Build the analysis cache key of a session's resume
+ * @param {Object} context - Pipeline context
+ * @param {string} model - Model that answered; the provider's current model when empty
+ * @returns {string} - Cache key
+ */
+function createCacheKey(context, model) {
+  return analysisCache.createKey({
+    fileHash: context.input.fileHash,
+    textHash: context.extraction.metadata.textHash,
+    jobDescription: context.input.jobDescription,
+    provider: context.aiProvider,
+    model,
+    rubric: context.rubric
+  });
+}
+
+/**
+ * Pipeline stages, run in order. Each stage declares:
+ * - run(context, signal): does the work, storing its results on the context
+ * - skip(context): optional, returns true when the stage is not needed
+ * - events: broadcaster calls made when the stage starts, is retried and completes
+ * - timeoutMs: limit for a single attempt
+ * - queued: wait for a slot in the analysis queue first, held until the stage ends
+ * - retry: optional policy { maxRetries, delayMs(attempt), isRetryable(error, context) }
+ * - errorCode / retryable: reported when the stage fails, unless the error has its own code
+ */
+const STAGES = [
+  {
+    name: 'validation',
+    timeoutMs: 10 * 1000,
+    errorCode: 'VALIDATION_ERROR',
+    retryable: false,
+    run: (context) => {
+      const { filePath, rubric } = context.input;
+      if (!filePath || !fs.existsSync(filePath)) {
+        throw codedError('The uploaded file is no longer available. Please upload it again.', 'FILE_NOT_FOUND');
+      }
+
+      context.rubric = rubricRegistry.get(rubric?.id, rubric?.version);
+      if (!context.rubric) {
+        throw codedError(`Rubric ${rubric.id} version ${rubric.version || 'latest'} is no longer available`, 'RUBRIC_NOT_FOUND');
+      }
+
+      try {
+        context.aiProvider = createAIProvider();
+      } catch (error) {
+        console.error(`[PIPELINE] AI provider initialization failed for session ${context.sessionId}:`, error);
+        throw codedError('AI service initialization failed', 'AI_INIT_ERROR');
+      }
+    }
+  },
+  {
+    name: 'extraction',
+    // OCR of a scanned resume takes a few seconds per page
+    timeoutMs: Number(process.env.EXTRACTION_TIMEOUT_MS) || 2 * 60 * 1000,
+    errorCode: 'EXTRACTION_ERROR',
+    retryable: false,
+    events: {
+      started: (context) => eventBroadcaster.broadcastExtractionStarted(context.sessionId),
+      completed: (context) => {
+        const extraction = context.extraction;
+
+        eventBroadcaster.broadcastExtractionCompleted(context.sessionId, {
+          text: extraction.text,
+          textLength: extraction.metadata.textLength,
+          pageCount: extraction.metadata.pages,
+          hasText: true,
+          extractionMode: extraction.metadata.extractionMode,
+          extractionMethod: extraction.metadata.extractionMethod,
+          ocrConfidence: extraction.metadata.ocrConfidence,
+          sections: extraction.sections,
+          profile: extraction.profile,
+          ats: extraction.ats
+        });
+
+        // Rule-based checks give instant feedback that does not depend on the AI provider
+        try {
+          eventBroadcaster.broadcastLintCompleted(context.sessionId, resumeLinter.lint(extraction.text, {
+            pages: extraction.metadata.pages,
+            sections: extraction.sections
+          }));
+        } catch (error) {
+          console.error(`[LINT] Lint failed for session ${context.sessionId}:`, error);
+        }
+      }
+    },
+    run: async (context, signal) => {
+      const result = await new PDFExtractor().extractText(context.input.filePath, {
+        password: context.input.password,
+        signal
+      });
+
+      if (!result.success) {
+        throw codedError(result.error.message, result.error.type);
+      }
+
+      context.extraction = result;
+    }
+  },
+  {
+    name: 'analysis',
+    queued: true,
+    timeoutMs: Number(process.env.ANALYSIS_TIMEOUT_MS) || 3 * 60 * 1000,
+    errorCode: 'AI_ANALYSIS_FAILED',
+    retry: {
+      maxRetries: 3,
+      // Exponential backoff: 1s, 2s, 4s, capped at 10s
+      delayMs: (attempt) => Math.min(1000 * Math.pow(2, attempt - 1), 10000),
+      isRetryable: isRetryableAnalysisError
+    },
+    events: {
+      started: (context) => eventBroadcaster.broadcastAnalysisStarted(context.sessionId),
+      retry: (context, attempt) => eventBroadcaster.broadcastRetryStarted(context.sessionId, attempt, 'analysis')
+    },
+    // Reuse the feedback of an earlier analysis of the same text by the model that would answer now, unless forced
+    skip: (context) => {
+      const cachedFeedback = context.input.force ? null : analysisCache.get(createCacheKey(context));
+      if (cachedFeedback) {
+        context.feedback = cachedFeedback;
+        context.cached = true;
+      }
+      return context.cached;
+    },
+    run: async (context, signal) => {
+      const { sessionId, extraction } = context;
+
+      // Contact details are left out when PII redaction is on, and the placeholders in the
+      // streamed and final response are swapped back for the redacted values
+      const redaction = piiRedactor.isEnabled() ? piiRedactor.redact(extraction.text, extraction.profile) : null;
+      const replacements = redaction ? redaction.replacements : [];
+
+      // Feedback sections are broadcast as soon as each one is complete; improvements one by one
+      const sectionStream = new StreamingJsonParser(
+        section => eventBroadcaster.broadcastAnalysisSection(sessionId, section),
+        { splitArrays: ['improvements'] }
+      );
+      const onChunk = piiRedactor.createChunkRestorer(replacements, (chunk) => {
+        eventBroadcaster.broadcastAnalysisStreaming(sessionId, chunk);
+        sectionStream.push(chunk);
+      });
+
+      const { feedback, degraded } = await context.aiProvider.analyzeResumeStreaming(
+        redaction ? redaction.text : extraction.text,
+        onChunk,
+        {
+          jobDescription: context.input.jobDescription,
+          rubric: context.rubric,
+          signal,
+          // Every model request is recorded, including failed attempts that are retried and repair requests
+          onUsage: (usage) => {
+            usageTracker.record(sessionId, usage);
+            // A failed attempt can fail over to another model, so note the one that answered
+            if (usage.purpose === 'analysis' && usage.success) {
+              context.model = usage.model;
+            }
+          }
+        }
+      );
+      signal.throwIfAborted();
+      onChunk.flush();
+
+      context.feedback = piiRedactor.restore(feedback, replacements);
+      context.fallback = degraded;
+    }
+  },
+  {
+    name: 'postprocessing',
+    timeoutMs: 10 * 1000,
+    errorCode: 'WORKFLOW_ERROR',
+    retryable: true,
+    events: {
+      completed: (context) => eventBroadcaster.broadcastAnalysisCompleted(
+        context.sessionId,
+        context.feedback,
+        context.cached ? { cached: true } : { degraded: context.degraded }
+      )
+    },
+    run: (context) => {
+      if (context.cached) {
+        return;
+      }
+
+      // Fallback feedback only holds placeholder scores: flag it, and do not reuse it
+      context.degraded = context.fallback;
+
+      // The rubric ID and version are kept with the result, with its weighted overall score
+      context.feedback = {
+        ...context.feedback,
+        rubric: rubricRegistry.score(context.rubric, context.feedback.rubricScores)
+      };
+
+      if (!context.degraded) {
+        analysisCache.set(createCacheKey(context, context.model), context.feedback);
+      }
+    }
+  }
+];
+
+/**
+ * Resume Processing Pipeline
+ * Runs a session through validation → extraction → analysis → post-processing.
+ * Stage events, retries with backoff, per-attempt timeouts, waiting in the
+ * analysis queue and cancellation (see jobRegistry) are handled here, so
+ * routes only start a run.
+ */
+class ResumePipeline {
+  constructor() {
+    this.stages = STAGES;
+  }
+
+  /**
+   * Process a session. Never rejects: failures are reported through error.occurred.
+   * @param {string} sessionId - Session ID
+   * @param {Object} input - Pipeline input
+   * @param {string} input.filePath - Path of the uploaded resume
+   * @param {string} input.fileHash - SHA-256 hash of the uploaded file, recorded at validation
+   * @param {string} input.password - Password for an encrypted PDF
+   * @param {string} input.jobDescription - Job description text to analyze the resume against
+   * @param {Object} input.rubric - { id, version } of the rubric to score with; the latest
+   *   version when version is empty, the default rubric when empty
+   * @param {boolean} input.force - Run a new analysis even if a cached one exists
+   * @param {string} input.clientId - Client that started the run, for the per-client queue cap
+   * @returns {Promise<void>}
+   */
+  async run(sessionId, input = {}) {
+    // Registered so the run can be aborted through POST /api/process/:sessionId/cancel
+    const signal = jobRegistry.start(sessionId);
+    const context = {
+      sessionId,
+      input,
+      aiProvider: null,
+      rubric: null,
+      extraction: null,
+      // Model that answered the analysis request
+      model: null,
+      feedback: null,
+      // Set by the analysis stage when the provider answered with the fallback feedback
+      fallback: false,
+      cached: false,
+      degraded: false
+    };
+    let stage = null;
+
+    try {
+      for (stage of this.stages) {
+        if (stage.skip?.(context)) {
+          continue;
+        }
+
+        const release = stage.queued ? await analysisQueue.acquire(sessionId, input.clientId, signal) : null;
+        try {
+          await this.runStage(stage, context, signal);
+        } finally {
+          release?.();
+        }
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        console.log(`[PIPELINE] Session ${sessionId} cancelled during ${stage.name}`);
+        return;
+      }
+
+      console.error(`[PIPELINE] Stage ${stage.name} failed for session ${sessionId}:`, error.message);
+      eventBroadcaster.broadcastError(sessionId, error.message, {
+        code: error.code || stage.errorCode,
+        stage: stage.name,
+        retryable: error.retryable ?? stage.retryable,
+        retryCount: error.attempts || 0
+      });
+    } finally {
+      jobRegistry.finish(sessionId, signal);
+    }
+  }
+
+  /**
+   * Run one stage, retrying it as its retry policy allows
+   * @param {Object} stage - Stage definition
+   * @param {Object} context - Pipeline context
+   * @param {AbortSignal} signal - Aborts when the run is cancelled
+   * @returns {Promise<void>}
+   * @throws {Error} - The last error, with attempts (and retryable, for stages with a retry policy) set
+   */
+  async runStage(stage, context, signal) {
+    const maxRetries = stage.retry?.maxRetries || 0;
+
+    for (let attempt = 0; ; attempt++) {
+      if (attempt > 0) {
+        stage.events?.retry?.(context, attempt);
+        await sleep(stage.retry.delayMs(attempt), undefined, { signal });
+      } else {
+        stage.events?.started?.(context);
+      }
+
+      try {
+        await this.runWithTimeout(stage, context, signal);
+        break;
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+
+        console.error(`[PIPELINE] ${stage.name} attempt ${attempt + 1} failed for session ${context.sessionId}:`, error.message);
+
+        const retryable = stage.retry ? stage.retry.isRetryable(error, context) : false;
+        if (!retryable || attempt >= maxRetries) {
+          error.attempts = attempt + 1;
+          if (stage.retry) {
+            error.retryable = retryable;
+          }
+          throw error;
+        }
+      }
+    }
+
+    stage.events?.completed?.(context);
+  }
+
+  /**
+   * Run a single attempt of a stage, failing it once the stage timeout passes
+   * @param {Object} stage - Stage definition
+   * @param {Object} context - Pipeline context
+   * @param {AbortSignal} signal - Aborts when the run is cancelled
+   * @returns {Promise<void>}
+   */
+  async runWithTimeout(stage, context, signal) {
+    const timeout = AbortSignal.timeout(stage.timeoutMs);
+    const attemptSignal = AbortSignal.any([signal, timeout]);
+
+    // Stages that cannot be interrupted are abandoned rather than awaited
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.aborted
+        ? signal.reason
+        : codedError(`${stage.name} timed out after ${stage.timeoutMs / 1000}s`, 'STAGE_TIMEOUT'));
+      attemptSignal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      await Promise.race([stage.run(context, attemptSignal), aborted]);
+    } finally {
+      attemptSignal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+module.exports = new ResumePipeline();
@@ -0,0 +1,146 @@
+const sectionParser = require('./sectionParser');
+
+// The only email and phone patterns: redaction, linting and the mock provider all detect through findEmails and findPhones
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/g;
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:[\w-]+\.)?linkedin\.com\/(?:in|pub)\/[\w%-]+\/?/i;
+const GITHUB_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/[\w-]+\/?/i;
+// Explicit URLs, or bare domains with the endings personal sites usually have
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s|,;()<>]+|\b[\w-]+(?:\.[\w-]+)*\.(?:com|dev|io|me|net|org|site|app|page|tech|xyz|co)(?:\/[^\s|,;()<>]*)?/gi;
+
+const HEADER_SEPARATOR = /\s*(?:\||·|•|\t|\s{2,}|\s[-–—]\s)\s*/;
+const NAME_PATTERN = /^[A-Z][\p{L}'.-]*(?:\s+[A-Z][\p{L}'.-]*){1,3}$/u;
+const LOCATION_PATTERN = /^(?:[Rr]emote|[A-Z][\p{L}.]+(?:\s[A-Z][\p{L}.]+)*,\s?[A-Z][\p{L}.]+(?:\s[A-Z][\p{L}.]+)*)$/u;
+
+/**
+ * Contact Profile Parser
+ * Pulls the candidate's name, contact details and profile links out of
+ * extracted resume text
+ */
+class ProfileParser {
+  constructor() {
+    this.maxHeaderLines = 6; // Header lines searched when no section heading is found
+    this.minPhoneDigits = 7;
+  }
+
+  /**
+   * Parse the contact profile of a resume
+   * @param {string} text - Extracted resume text
+   * @param {Array<Object>} sections - Sections from sectionParser.parse
+   * @returns {Object} - { name, email, phone, location, linkedin, github, portfolio }; missing fields are null
+   */
+  parse(text = '', sections = []) {
+    const headerLines = this.getHeaderLines(text, sections);
+    const headerFields = headerLines.flatMap(line => line.split(HEADER_SEPARATOR)).filter(Boolean);
+
+    const linkedin = this.findFirst(text, LINKEDIN_PATTERN);
+    const github = this.findFirst(text, GITHUB_PATTERN);
+
+    return {
+      name: this.findName(headerLines),
+      email: this.findEmails(text)[0] || null,
+      phone: this.findPhones(text)[0] || null,
+      location: headerFields.find(field => LOCATION_PATTERN.test(field)) || null,
+      linkedin,
+      github,
+      portfolio: this.findPortfolio(headerLines.join('\n'), [linkedin, github])
+    };
+  }
+
+  /**
+   * Get the lines above the first section heading, where contact details sit
+   * @param {string} text - Extracted resume text
+   * @param {Array<Object>} sections - Detected sections
+   * @returns {string[]} - Header lines
+   */
+  getHeaderLines(text, sections) {
+    const header = sections.find(section => section.type === 'header');
+    const firstSection = sections[0];
+
+    const headerText = header
+      ? text.slice(header.start, header.end)
+      : firstSection ? text.slice(0, firstSection.start) : text;
+
+    return sectionParser.splitLines(headerText)
+      .map(line => line.text)
+      .slice(0, this.maxHeaderLines);
+  }
+
+  /**
+   * Find the candidate's name: the first header field that reads as a name
+   * @param {string[]} headerLines - Header lines
+   * @returns {string|null} - Name
+   */
+  findName(headerLines) {
+    for (const line of headerLines) {
+      const field = line.split(HEADER_SEPARATOR)[0].trim();
+      if (NAME_PATTERN.test(field) && !sectionParser.getHeadingType(field) && !LOCATION_PATTERN.test(field)) {
+        return field;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find all email addresses in a text
+   * @param {string} text - Text to search
+   * @returns {string[]} - Distinct addresses in order of appearance
+   */
+  findEmails(text) {
+    return [...new Set(text.match(EMAIL_PATTERN) || [])];
+  }
+
+  /**
+   * Find all phone numbers in a text, ignoring short digit runs such as years
+   * @param {string} text - Text to search
+   * @returns {string[]} - Distinct numbers in order of appearance
+   */
+  findPhones(text) {
+    const phones = (text.match(PHONE_PATTERN) || [])
+      .map(phone => phone.trim())
+      .filter(phone => phone.replace(/\D/g, '').length >= this.minPhoneDigits);
+
+    return [...new Set(phones)];
+  }
+
+  /**
+   * Find all URLs and bare domains in a text, excluding email addresses
+   * @param {string} text - Text to search
+   * @returns {string[]} - Distinct URLs in order of appearance
+   */
+  findUrls(text) {
+    const withoutEmails = text.replace(EMAIL_PATTERN, ' ');
+    const urls = (withoutEmails.match(URL_PATTERN) || []).map(url => url.replace(/[.)]+$/, ''));
+
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Find a personal website among the header URLs
+   * @param {string} headerText - Header text
+   * @param {Array<string|null>} profileUrls - LinkedIn and GitHub URLs already found
+   * @returns {string|null} - Portfolio URL
+   */
+  findPortfolio(headerText, profileUrls) {
+    const known = profileUrls.filter(Boolean);
+
+    return this.findUrls(headerText)
+      .find(url => !LINKEDIN_PATTERN.test(url) && !GITHUB_PATTERN.test(url) && !known.some(profile => profile.includes(url))) || null;
+  }
+
+  /**
+   * Find the first match of a pattern
+   * @param {string} text - Text to search
+   * @param {RegExp} pattern - Pattern without the global flag
+   * @returns {string|null} - Match with trailing slash removed
+   */
+  findFirst(text, pattern) {
+    const match = text.match(pattern);
+    return match ? match[0].replace(/\/$/, '') : null;
+  }
+}
+
+// Create singleton instance
+const profileParser = new ProfileParser();
+
+module.exports = profileParser;
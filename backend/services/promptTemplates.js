@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '../prompts');
+
+/**
+ * Prompt Templates
+ * Loads the prompt text files in PROMPT_TEMPLATE_DIR (backend/prompts by default).
+ * A template is named after its file without the extension, with the version
+ * in the name (e.g. resume-analysis.v1), so a changed prompt is added as a new
+ * file and rubrics pinned to the old one keep using it.
+ *
+ * Templates use two tags:
+ * - {{name}} is replaced with a value; values are inserted as-is and never re-scanned for tags
+ * - {{#name}}...{{/name}} keeps its content only when the value is set
+ * A tag alone on its line takes the line with it.
+ */
+class PromptTemplates {
+  constructor() {
+    this.directory = process.env.PROMPT_TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR;
+    this.templates = new Map();
+    this.load();
+  }
+
+  /**
+   * Read every .txt template in the template directory
+   */
+  load() {
+    this.templates.clear();
+
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.txt')).sort()) {
+      const name = path.basename(file, '.txt');
+      this.templates.set(name, fs.readFileSync(path.join(this.directory, file), 'utf8').trimEnd());
+    }
+
+    console.log(`[PROMPTS] Loaded ${this.templates.size} prompt template(s) from ${this.directory}`);
+  }
+
+  /**
+   * Check whether a template exists
+   * @param {string} name - Template name, e.g. resume-analysis.v1
+   * @returns {boolean} - True if the template was loaded
+   */
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * Fill in a template
+   * @param {string} name - Template name, e.g. resume-analysis.v1
+   * @param {Object} values - Values by tag name
+   * @returns {string} - Rendered prompt
+   * @throws {Error} - If the template does not exist
+   */
+  render(name, values = {}) {
+    if (!this.templates.has(name)) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    return this.templates.get(name)
+      // Standalone section tags: drop the line break that follows them
+      .replace(/^[ \t]*(\{\{[#/]\w+\}\})[ \t]*\n/gm, '$1')
+      .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, content) => (values[key] ? content : ''))
+      .replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] === undefined || values[key] === null ? '' : String(values[key])));
+  }
+}
+
+module.exports = new PromptTemplates();
@@ -0,0 +1,406 @@
+const feedbackSchema = require('../feedbackSchema');
+const jsonRepair = require('../jsonRepair');
+const promptTemplates = require('../promptTemplates');
+const rubricRegistry = require('../rubricRegistry');
+
+// Bump whenever the prompt or the feedback structure changes, so analyses cached
+// for the previous prompt are not reused
+const PROMPT_VERSION = 2;
+
+// Templates in backend/prompts shared by every rubric
+const FEEDBACK_FORMAT_TEMPLATE = 'feedback-format.v1';
+const REPAIR_TEMPLATE = 'repair.v1';
+
+// Rough ratio used to estimate token counts when a provider does not report them
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Base AI Provider
+ * Shared prompt building, response parsing and error normalization for every
+ * analysis backend. Concrete providers only implement the model call itself.
+ */
+class BaseAIProvider {
+  constructor(name) {
+    this.name = name;
+    this.promptVersion = PROMPT_VERSION;
+  }
+
+  /**
+   * Get the name of the model that answers analysis requests
+   * @returns {string} Model name, or the provider name for providers without model choice
+   */
+  getModelName() {
+    return this.modelName || this.name;
+  }
+
+  /**
+   * Create structured prompt for resume analysis from the rubric's prompt template
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Object} options - Analysis options
+   * @param {string} options.jobDescription - Optional job description to match against
+   * @param {Object} options.rubric - Rubric whose dimensions are scored; without one, the
+   *   default rubric's focus areas are used and no dimension scores are asked for
+   * @returns {string} Formatted prompt for AI analysis
+   */
+  createAnalysisPrompt(resumeText, options = {}) {
+    const { jobDescription, rubric } = options;
+    const focusRubric = rubric || rubricRegistry.get();
+
+    return promptTemplates.render(focusRubric.promptTemplate, {
+      instructions: focusRubric.instructions,
+      resumeText,
+      jobDescription,
+      feedbackFormat: this.getFeedbackFormat(options),
+      focusAreas: focusRubric.dimensions.map(dimension => `- ${dimension.name} - ${dimension.description}`).join('\n'),
+      scored: !!rubric
+    });
+  }
+
+  /**
+   * Get the JSON structure the model must answer with
+   * @param {Object} options - Analysis options
+   * @param {string} options.jobDescription - Optional job description, which adds the jobFit section
+   * @param {Object} options.rubric - Optional rubric, which adds the rubricScores section
+   * @returns {string} JSON structure with placeholder values
+   */
+  getFeedbackFormat(options = {}) {
+    const { jobDescription, rubric } = options;
+
+    return promptTemplates.render(FEEDBACK_FORMAT_TEMPLATE, {
+      jobDescription,
+      rubricScores: rubric
+        ? rubric.dimensions
+          .map(dimension => `    "${dimension.key}": { "score": [number from 1-10], "comment": "one sentence explaining the score" }`)
+          .join(',\n')
+        : null
+    });
+  }
+
+  /**
+   * Create a prompt asking the model to fix a response that failed validation
+   * @param {string} response - Raw AI response
+   * @param {string[]} errors - Validation errors of the response
+   * @param {Object} options - Analysis options the response was requested with
+   * @returns {string} Formatted repair prompt
+   */
+  createRepairPrompt(response, errors, options = {}) {
+    return promptTemplates.render(REPAIR_TEMPLATE, {
+      errors: errors.map(error => `- ${error}`).join('\n'),
+      feedbackFormat: this.getFeedbackFormat(options),
+      response
+    });
+  }
+
+  /**
+   * Analyze resume with streaming support
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Function} onChunk - Callback for streaming chunks
+   * @param {Object} options - Analysis options (e.g. jobDescription, a signal that aborts the request,
+   *   and onUsage, called with the token usage of every model request)
+   * @returns {Promise<Object>} { feedback, degraded }; degraded is true when the response was
+   *   unusable and feedback holds the fallback placeholders
+   */
+  async analyzeResumeStreaming(resumeText, onChunk, options = {}) {
+    throw new Error(`analyzeResumeStreaming is not implemented by provider: ${this.name}`);
+  }
+
+  /**
+   * Generate a complete, non-streaming answer to a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the request when the job is cancelled
+   * @param {Function} options.onUsage - Called with the token usage of the request
+   * @param {string} options.purpose - What the request is for, recorded with its usage
+   * @returns {Promise<string>} Raw model output
+   */
+  async generateText(prompt, options = {}) {
+    throw new Error(`generateText is not implemented by provider: ${this.name}`);
+  }
+
+  /**
+   * Non-streaming analysis method for compatibility
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {Promise<Object>} Parsed feedback object
+   */
+  async analyzeResume(resumeText, options = {}) {
+    const { feedback } = await this.analyzeResumeStreaming(resumeText, null, options);
+    return feedback;
+  }
+
+  /**
+   * Reinitialize the underlying model after a model-level failure.
+   * Providers without fallback models have nothing to switch to.
+   * @returns {boolean} True if reinitialization was successful
+   */
+  reinitializeModel() {
+    return false;
+  }
+
+  /**
+   * Run a model request and report its token usage through options.onUsage,
+   * whether it succeeds or fails. The request fills in the usage object it is
+   * given: usage.text with the response received so far, and usage.tokens with
+   * { promptTokens, completionTokens } when the provider reports them.
+   * @param {Object} options - Request options
+   * @param {string} purpose - What the request is for (analysis, repair, ...)
+   * @param {string} prompt - Prompt text, used to estimate prompt tokens
+   * @param {Function} request - Async function receiving the usage object
+   * @returns {Promise<*>} Result of the request
+   */
+  async withUsage(options, purpose, prompt, request) {
+    // Read before the request, since a failed request may switch models
+    const model = this.getModelName();
+    const startedAt = Date.now();
+    const usage = { text: '', tokens: null };
+    let failed = false;
+
+    try {
+      return await request(usage);
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      if (typeof options.onUsage === 'function') {
+        try {
+          options.onUsage(this.createUsageRecord({ purpose, model, prompt, usage, failed, latencyMs: Date.now() - startedAt }));
+        } catch (error) {
+          console.error(`[USAGE] Failed to record ${this.name} usage:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the usage record of a model request, estimating token counts the
+   * provider did not report. A request that failed before any response was
+   * received is assumed not to be billed.
+   * @param {Object} request - { purpose, model, prompt, usage, failed, latencyMs }
+   * @returns {Object} Usage record
+   */
+  createUsageRecord({ purpose, model, prompt, usage, failed, latencyMs }) {
+    const billed = !failed || usage.text.length > 0;
+    const promptTokens = usage.tokens?.promptTokens ?? (billed ? this.estimateTokens(prompt) : 0);
+    const completionTokens = usage.tokens?.completionTokens ?? this.estimateTokens(usage.text);
+
+    return {
+      purpose,
+      provider: this.name,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: !usage.tokens,
+      success: !failed,
+      latencyMs,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Estimate the token count of a text
+   * @param {string} text - Text sent to or received from a model
+   * @returns {number} Estimated token count
+   */
+  estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+  }
+
+  /**
+   * Throw an error carrying the HTTP status of a failed provider request
+   * @param {Response} response - Fetch response
+   * @returns {Promise<void>}
+   */
+  async assertOk(response) {
+    if (response.ok) {
+      return;
+    }
+
+    const body = await response.text().catch(() => '');
+    const error = new Error(`${this.name} request failed with status ${response.status}${body ? `: ${body}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  /**
+   * Read a streaming HTTP body line by line
+   * @param {ReadableStream} body - Fetch response body
+   * @returns {AsyncGenerator<string>} Non-empty lines
+   */
+  async *readStreamLines(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) {
+          yield line;
+        }
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      yield buffer.trim();
+    }
+  }
+
+  /**
+   * Convert a provider error into the messages the processing workflow
+   * uses to decide whether a retry is worthwhile
+   * @param {Error} error - Error raised by the provider call
+   * @returns {Error} Normalized error
+   */
+  normalizeError(error) {
+    if (error.status === 404) {
+      return new Error('AI model not found. Please check if the model name is correct and available.');
+    } else if (error.status === 401 || error.status === 403) {
+      return new Error('Unauthorized access to AI service. Please check your API key.');
+    } else if (error.status === 429) {
+      return new Error('Rate limit exceeded. Please try again later.');
+    } else if (error.status >= 500) {
+      return new Error('AI service temporarily unavailable. Please try again later.');
+    }
+
+    return new Error(`AI analysis failed: ${error.message}`);
+  }
+
+  /**
+   * Parse AI response into structured feedback object, fixing it locally if needed
+   * @param {string} response - Raw AI response
+   * @param {Object} options - Analysis options the response was requested with
+   * @returns {Object} { feedback, degraded }; an unusable response gives the fallback feedback with degraded set
+   */
+  parseResponse(response, options = {}) {
+    const { feedback, errors } = this.parseFeedback(response, options);
+    if (feedback) {
+      return { feedback, degraded: false };
+    }
+
+    console.error(`[AI] Unusable ${this.name} response: ${errors.join('; ')}`);
+    console.error('Raw response:', response);
+    return { feedback: this.getFallbackFeedback(), degraded: true };
+  }
+
+  /**
+   * Parse AI response into structured feedback object. A response that cannot be
+   * fixed locally is sent back to the model once with its validation errors.
+   * @param {string} response - Raw AI response
+   * @param {Object} options - Analysis options the response was requested with
+   * @returns {Promise<Object>} { feedback, degraded }; a response that stays unusable gives the
+   *   fallback feedback with degraded set
+   */
+  async parseResponseWithRepair(response, options = {}) {
+    const { feedback, errors } = this.parseFeedback(response, options);
+    if (feedback) {
+      return { feedback, degraded: false };
+    }
+
+    console.warn(`[AI] Invalid ${this.name} response, asking the model to fix it: ${errors.join('; ')}`);
+
+    try {
+      const repairedResponse = await this.generateText(this.createRepairPrompt(response, errors, options), {
+        signal: options.signal,
+        onUsage: options.onUsage,
+        purpose: 'repair'
+      });
+      return this.parseResponse(repairedResponse, options);
+    } catch (error) {
+      // A cancelled job has no use for the fallback feedback
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      console.error(`[AI] Repair request to ${this.name} failed:`, error.message);
+      return { feedback: this.getFallbackFeedback(), degraded: true };
+    }
+  }
+
+  /**
+   * Extract, repair and validate the feedback JSON in an AI response
+   * @param {string} response - Raw AI response
+   * @param {Object} options - Analysis options the response was requested with
+   * @returns {Object} { feedback, errors }; feedback is null when the response is invalid
+   */
+  parseFeedback(response, options = {}) {
+    // Drops prose and markdown around the object, trailing commas and cut-off members
+    const repaired = jsonRepair.repair(response || '');
+    if (!repaired) {
+      return { feedback: null, errors: ['No JSON object found in response'] };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(repaired.json);
+    } catch (error) {
+      return { feedback: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const { valid, errors } = feedbackSchema.validate(parsed, options);
+    if (!valid) {
+      return { feedback: null, errors: errors.map(error => error.message) };
+    }
+
+    if (repaired.changes.length > 0) {
+      console.log(`[AI] Repaired ${this.name} response locally: ${repaired.changes.join(', ')}`);
+    }
+    return { feedback: parsed, errors: [] };
+  }
+
+  /**
+   * Validate that feedback object matches the feedback schema
+   * @param {Object} feedback - Parsed feedback object
+   * @param {Object} options - Analysis options the feedback was requested with
+   * @throws {Error} If structure is invalid
+   */
+  validateFeedbackStructure(feedback, options = {}) {
+    const { valid, errors } = feedbackSchema.validate(feedback, options);
+    if (valid) {
+      return;
+    }
+
+    // Name the section that failed, e.g. "Invalid clarity structure: /clarity/score must be <= 10"
+    const [{ path, message }] = errors;
+    const section = path.split('/')[1];
+    throw new Error(section ? `Invalid ${section} structure: ${message}` : message);
+  }
+
+  /**
+   * Get fallback feedback structure when parsing fails
+   * @returns {Object} Fallback feedback object
+   */
+  getFallbackFeedback() {
+    return {
+      clarity: {
+        score: 5,
+        suggestions: ['Unable to analyze clarity - please try again'],
+        strengths: [],
+        weaknesses: []
+      },
+      grammar: {
+        score: 5,
+        corrections: ['Unable to analyze grammar - please try again'],
+        improvements: []
+      },
+      skills: {
+        relevantSkills: [],
+        missingSkills: [],
+        recommendations: ['Unable to analyze skills - please try again']
+      },
+      improvements: [
+        {
+          category: 'content',
+          priority: 'medium',
+          suggestion: 'Analysis failed - please try uploading your resume again',
+          example: 'Ensure your PDF is not password protected and contains readable text'
+        }
+      ]
+    };
+  }
+}
+
+module.exports = BaseAIProvider;
@@ -0,0 +1,63 @@
+const GeminiService = require('../geminiService');
+const OpenAICompatibleProvider = require('./openaiProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * AI Provider Registry
+ * Maps provider names to factories so routes never depend on a specific vendor.
+ * The active provider is chosen with the AI_PROVIDER environment variable.
+ */
+const providers = new Map([
+  ['gemini', () => new GeminiService()],
+  ['openai', (options) => new OpenAICompatibleProvider(options)],
+  ['ollama', (options) => new OllamaProvider(options)],
+  ['mock', (options) => new MockProvider(options)]
+]);
+
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Register an additional provider factory
+ * @param {string} name - Provider name used in AI_PROVIDER
+ * @param {Function} factory - Function receiving options and returning a provider instance
+ */
+function registerProvider(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Provider name and factory function are required');
+  }
+
+  providers.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Create the configured AI provider
+ * @param {Object} options - Provider options
+ * @param {string} options.provider - Provider name, overrides AI_PROVIDER
+ * @returns {BaseAIProvider} Provider instance
+ * @throws {Error} If the provider is unknown or fails to initialize
+ */
+function createAIProvider(options = {}) {
+  const name = (options.provider || process.env.AI_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}. Available providers: ${getAvailableProviders().join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Get names of all registered providers
+ * @returns {string[]} Provider names
+ */
+function getAvailableProviders() {
+  return Array.from(providers.keys());
+}
+
+module.exports = {
+  createAIProvider,
+  registerProvider,
+  getAvailableProviders
+};
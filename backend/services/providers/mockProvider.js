@@ -0,0 +1,351 @@
+const BaseAIProvider = require('./baseProvider');
+const jobDescriptionService = require('../jobDescription');
+const profileParser = require('../profileParser');
+
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Express', 'Python', 'Java', 'Go',
+  'SQL', 'MongoDB', 'PostgreSQL', 'AWS', 'Docker', 'Kubernetes', 'Git', 'REST', 'GraphQL', 'Jest'
+];
+
+const SUGGESTED_SKILLS = ['TypeScript', 'Docker', 'AWS', 'CI/CD', 'System Design'];
+
+/**
+ * Scripted scenarios. Each analysis call consumes the next entry of
+ * MOCK_AI_SCENARIO (comma separated); the last entry repeats once the script runs out.
+ */
+const SCENARIOS = {
+  success: {},
+  slow_stream: { chunkDelayMs: 1500 },
+  malformed_json: { malformed: true },
+  invalid_json: { invalid: true },
+  rate_limit: { status: 429, message: 'Resource has been exhausted (mock)' },
+  server_error: { status: 503, message: 'Service unavailable (mock)' },
+  unauthorized: { status: 401, message: 'API key not valid (mock)' },
+  model_not_found: { status: 404, message: 'Model not found (mock)' }
+};
+
+/**
+ * Deterministic offline provider
+ * Produces feedback derived only from the resume text so development and CI
+ * runs work without network access or API keys
+ */
+class MockProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super('mock');
+
+    const script = options.scenario || process.env.MOCK_AI_SCENARIO || 'success';
+    this.script = (Array.isArray(script) ? script : script.split(','))
+      .map(entry => entry.trim())
+      .filter(Boolean);
+
+    for (const entry of this.script) {
+      if (!SCENARIOS[entry]) {
+        throw new Error(`Unknown mock AI scenario: ${entry}. Available scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+      }
+    }
+
+    this.chunkDelayMs = Number(options.chunkDelayMs ?? process.env.MOCK_AI_CHUNK_DELAY_MS ?? 50);
+    this.chunkSize = Number(options.chunkSize || 80);
+    this.callCount = 0;
+    // Resume and options of the last analysis, which a repair prompt is answered for
+    this.lastRequest = { resumeText: '', options: {} };
+  }
+
+  /**
+   * Get the scenario for the next analysis call
+   * @returns {Object} Scenario definition with its name
+   */
+  nextScenario() {
+    const index = Math.min(this.callCount, this.script.length - 1);
+    this.callCount++;
+    const name = this.script[index];
+    return { name, ...SCENARIOS[name] };
+  }
+
+  /**
+   * Analyze resume with streaming support
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Function} onChunk - Callback for streaming chunks
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {Promise<Object>} { feedback, degraded }
+   */
+  async analyzeResumeStreaming(resumeText, onChunk, options = {}) {
+    const scenario = this.nextScenario();
+    this.lastRequest = { resumeText, options };
+
+    try {
+      // No usage is reported, so token counts are estimated from the prompt a real provider would send
+      const prompt = this.createAnalysisPrompt(resumeText, options);
+      const fullResponse = await this.withUsage(options, 'analysis', prompt, async (usage) => {
+        const response = this.renderResponse(scenario, resumeText, options);
+        const delay = scenario.chunkDelayMs ?? this.chunkDelayMs;
+
+        for (let offset = 0; offset < response.length; offset += this.chunkSize) {
+          if (delay > 0) {
+            await this.wait(delay, options.signal);
+          }
+          options.signal?.throwIfAborted();
+
+          const chunkText = response.slice(offset, offset + this.chunkSize);
+          usage.text += chunkText;
+
+          if (onChunk && typeof onChunk === 'function') {
+            onChunk(chunkText);
+          }
+        }
+
+        return usage.text;
+      });
+
+      return await this.parseResponseWithRepair(fullResponse, options);
+
+    } catch (error) {
+      console.error(`Error in mock AI analysis (scenario: ${scenario.name}):`, error.message);
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Wait between chunks; cancelling ends the wait right away, as it stops a real stream
+   * @param {number} delayMs - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Abort signal of the request
+   * @returns {Promise<void>}
+   */
+  wait(delayMs, signal) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, delayMs);
+      signal?.addEventListener('abort', done);
+    });
+  }
+
+  /**
+   * Answer a follow-up prompt, such as a request to fix an invalid response,
+   * with the feedback for the last analyzed resume. Consumes the next scenario.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Request options (e.g. signal, onUsage and purpose)
+   * @returns {Promise<string>} Raw model output
+   */
+  async generateText(prompt, options = {}) {
+    const scenario = this.nextScenario();
+
+    try {
+      return await this.withUsage(options, options.purpose || 'generation', prompt, async (usage) => {
+        options.signal?.throwIfAborted();
+        usage.text = this.renderResponse(scenario, this.lastRequest.resumeText, this.lastRequest.options);
+        return usage.text;
+      });
+    } catch (error) {
+      console.error(`Error in mock AI generation (scenario: ${scenario.name}):`, error.message);
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Produce the raw model output for a scenario
+   * @param {Object} scenario - Scenario from nextScenario
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {string} Raw response text
+   * @throws {Error} For scenarios that simulate a failed request
+   */
+  renderResponse(scenario, resumeText, options = {}) {
+    if (scenario.status) {
+      const error = new Error(scenario.message);
+      error.status = scenario.status;
+      throw error;
+    }
+
+    if (scenario.invalid) {
+      return 'I am unable to provide a structured analysis of this resume right now.';
+    }
+
+    const fullResponse = JSON.stringify(this.buildFeedback(resumeText, options), null, 2);
+    if (scenario.malformed) {
+      // Drop the closing braces and add a trailing comma, like a truncated model response
+      return fullResponse.slice(0, Math.floor(fullResponse.length * 0.7)) + ',';
+    }
+    return fullResponse;
+  }
+
+  /**
+   * Build feedback from simple text heuristics
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {Object} Feedback object matching validateFeedbackStructure
+   */
+  buildFeedback(resumeText = '', options = {}) {
+    const text = resumeText || '';
+    const lowerText = text.toLowerCase();
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const bulletLines = lines.filter(line => /^[•\-*]/.test(line));
+    const quantifiedBullets = bulletLines.filter(line => /\d/.test(line));
+
+    const hasEmail = profileParser.findEmails(text).length > 0;
+    const hasPhone = profileParser.findPhones(text).length > 0;
+    const hasSections = ['experience', 'education', 'skills'].filter(section => lowerText.includes(section));
+
+    const relevantSkills = KNOWN_SKILLS.filter(skill => lowerText.includes(skill.toLowerCase()));
+    const missingSkills = SUGGESTED_SKILLS.filter(skill => !lowerText.includes(skill.toLowerCase())).slice(0, 3);
+
+    const clarityScore = this.clampScore(4 + hasSections.length + (hasEmail ? 1 : 0) + (hasPhone ? 1 : 0) + (bulletLines.length > 2 ? 1 : 0));
+    const grammarScore = this.clampScore(9 - (/\b(i|me|my)\b/i.test(text) ? 1 : 0) - (words.length < 150 ? 1 : 0));
+
+    const strengths = [];
+    const weaknesses = [];
+
+    if (hasSections.length === 3) {
+      strengths.push('Includes the standard Experience, Education and Skills sections');
+    } else {
+      weaknesses.push('Some standard sections (Experience, Education, Skills) are missing or unlabeled');
+    }
+
+    if (hasEmail && hasPhone) {
+      strengths.push('Contact information is easy to find');
+    } else {
+      weaknesses.push('Contact information is incomplete');
+    }
+
+    if (quantifiedBullets.length > 0) {
+      strengths.push(`${quantifiedBullets.length} bullet point(s) include measurable results`);
+    } else {
+      weaknesses.push('Bullet points rarely quantify impact');
+    }
+
+    const improvements = [
+      {
+        category: 'content',
+        priority: quantifiedBullets.length === 0 ? 'high' : 'medium',
+        suggestion: 'Quantify achievements in your experience bullet points',
+        example: 'Reduced API response time by 35% by introducing request caching'
+      },
+      {
+        category: 'skills',
+        priority: missingSkills.length > 2 ? 'medium' : 'low',
+        suggestion: `Consider highlighting experience with ${missingSkills[0] || 'in-demand tools'}`,
+        example: `Add a project that demonstrates ${missingSkills[0] || 'a relevant technology'} in practice`
+      },
+      {
+        category: 'formatting',
+        priority: words.length > 800 ? 'high' : 'low',
+        suggestion: words.length > 800 ? 'Trim the resume to the most relevant content' : 'Keep the current concise length',
+        example: 'Limit each role to 3-5 bullet points focused on outcomes'
+      }
+    ];
+
+    const feedback = {
+      clarity: {
+        score: clarityScore,
+        suggestions: ['Lead each section with your most relevant achievements', 'Use consistent date formatting across roles'],
+        strengths,
+        weaknesses
+      },
+      grammar: {
+        score: grammarScore,
+        corrections: /\b(i|me|my)\b/i.test(text) ? ['Remove first-person pronouns from bullet points'] : [],
+        improvements: ['Start bullet points with strong action verbs']
+      },
+      skills: {
+        relevantSkills,
+        missingSkills,
+        recommendations: missingSkills.map(skill => `Show hands-on ${skill} experience through a project or certification`)
+      },
+      improvements
+    };
+
+    if (options.jobDescription) {
+      feedback.jobFit = this.buildJobFit(text, options.jobDescription);
+    }
+
+    if (options.rubric) {
+      feedback.rubricScores = this.buildRubricScores(text, options.rubric, Math.round((clarityScore + grammarScore) / 2));
+    }
+
+    return feedback;
+  }
+
+  /**
+   * Score each rubric dimension, one point higher when the resume mentions the dimension's subject
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Object} rubric - Rubric whose dimensions are scored
+   * @param {number} baseScore - Score of a dimension the resume does not mention
+   * @returns {Object} rubricScores section
+   */
+  buildRubricScores(resumeText, rubric, baseScore) {
+    const lowerText = resumeText.toLowerCase();
+
+    return Object.fromEntries(rubric.dimensions.map(dimension => {
+      const mentioned = dimension.name.toLowerCase().split(/\W+/)
+        .some(word => word.length > 4 && lowerText.includes(word));
+
+      return [dimension.key, {
+        score: this.clampScore(baseScore + (mentioned ? 1 : 0)),
+        comment: `${dimension.name} is ${mentioned ? 'addressed' : 'not clearly shown'} in the resume`
+      }];
+    }));
+  }
+
+  /**
+   * Build job fit feedback from keyword overlap with the job description
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {string} jobDescription - Job description text
+   * @returns {Object} Job fit section
+   */
+  buildJobFit(resumeText, jobDescription) {
+    const keywordCoverage = jobDescriptionService.computeKeywordCoverage(jobDescription, resumeText);
+    const resumeLines = resumeText.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const requirements = jobDescriptionService.extractRequirements(jobDescription).map(({ requirement, type }) => {
+      const keywords = jobDescriptionService.extractKeywords(requirement);
+      const evidenceLine = resumeLines.find(line =>
+        keywords.some(keyword => line.toLowerCase().includes(keyword))
+      );
+      const matchedCount = keywords.filter(keyword => resumeText.toLowerCase().includes(keyword)).length;
+
+      let status = 'missing';
+      if (keywords.length > 0 && matchedCount === keywords.length) {
+        status = 'met';
+      } else if (matchedCount > 0) {
+        status = 'partial';
+      }
+
+      return { requirement, type, status, evidence: evidenceLine || '' };
+    });
+
+    const mustHaves = requirements.filter(requirement => requirement.type === 'must-have');
+    const requirementScore = mustHaves.length > 0
+      ? mustHaves.reduce((total, requirement) => total + (requirement.status === 'met' ? 1 : requirement.status === 'partial' ? 0.5 : 0), 0) / mustHaves.length * 100
+      : keywordCoverage.coveragePercent;
+    const matchScore = Math.round((requirementScore + keywordCoverage.coveragePercent) / 2);
+
+    return {
+      matchScore,
+      summary: `The resume covers ${keywordCoverage.coveragePercent}% of the job's key terms and meets ${mustHaves.filter(requirement => requirement.status === 'met').length} of ${mustHaves.length} must-have requirements.`,
+      keywordCoverage,
+      requirements,
+      tailoredImprovements: keywordCoverage.missing.slice(0, 3).map((keyword, index) => ({
+        priority: index === 0 ? 'high' : 'medium',
+        suggestion: `Show evidence of "${keyword}", which the job description emphasizes`,
+        example: `Add a bullet describing a result you achieved using ${keyword}`
+      }))
+    };
+  }
+
+  /**
+   * Clamp a score into the 1-10 range
+   * @param {number} score - Raw score
+   * @returns {number} Clamped score
+   */
+  clampScore(score) {
+    return Math.max(1, Math.min(10, score));
+  }
+}
+
+MockProvider.SCENARIOS = Object.keys(SCENARIOS);
+
+module.exports = MockProvider;
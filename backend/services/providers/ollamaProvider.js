@@ -0,0 +1,126 @@
+const BaseAIProvider = require('./baseProvider');
+
+/**
+ * Ollama provider
+ * Streams analysis from a local Ollama-style HTTP endpoint so resumes never leave the host
+ */
+class OllamaProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super('ollama');
+
+    this.baseUrl = (options.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.modelName = options.model || process.env.OLLAMA_MODEL || 'llama3.1';
+    this.generationConfig = {
+      temperature: 0.7,
+      top_p: 0.8,
+      top_k: 40,
+      num_predict: 4096
+    };
+  }
+
+  /**
+   * Read the token counts of a response
+   * @param {Object} message - Final stream message or complete response
+   * @returns {Object|null} { promptTokens, completionTokens }, or null if not reported
+   */
+  getTokenUsage(message) {
+    if (message.prompt_eval_count === undefined && message.eval_count === undefined) {
+      return null;
+    }
+
+    return { promptTokens: message.prompt_eval_count || 0, completionTokens: message.eval_count || 0 };
+  }
+
+  /**
+   * Analyze resume with streaming support
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Function} onChunk - Callback for streaming chunks
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {Promise<Object>} { feedback, degraded }
+   */
+  async analyzeResumeStreaming(resumeText, onChunk, options = {}) {
+    try {
+      const prompt = this.createAnalysisPrompt(resumeText, options);
+
+      const fullResponse = await this.withUsage(options, 'analysis', prompt, async (usage) => {
+        const response = await fetch(`${this.baseUrl}/api/generate`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model: this.modelName,
+            prompt,
+            stream: true,
+            format: 'json',
+            options: this.generationConfig
+          }),
+          signal: options.signal
+        });
+
+        await this.assertOk(response);
+
+        // Newline-delimited JSON: one object per line, the last one has done: true and the token counts
+        for await (const line of this.readStreamLines(response.body)) {
+          const message = JSON.parse(line);
+
+          if (message.error) {
+            throw new Error(message.error);
+          }
+
+          const chunkText = message.response || '';
+          if (chunkText) {
+            usage.text += chunkText;
+
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(chunkText);
+            }
+          }
+
+          if (message.done) {
+            usage.tokens = this.getTokenUsage(message);
+            break;
+          }
+        }
+
+        return usage.text;
+      });
+
+      return await this.parseResponseWithRepair(fullResponse, options);
+
+    } catch (error) {
+      console.error('Error in Ollama AI analysis:', error);
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Generate a complete, non-streaming answer to a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Request options (e.g. signal, onUsage and purpose)
+   * @returns {Promise<string>} Raw model output
+   */
+  async generateText(prompt, options = {}) {
+    return this.withUsage(options, options.purpose || 'generation', prompt, async (usage) => {
+      const response = await fetch(`${this.baseUrl}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: this.modelName,
+          prompt,
+          stream: false,
+          format: 'json',
+          options: this.generationConfig
+        }),
+        signal: options.signal
+      });
+
+      await this.assertOk(response);
+
+      const data = await response.json();
+      usage.text = data.response || '';
+      usage.tokens = this.getTokenUsage(data);
+      return usage.text;
+    });
+  }
+}
+
+module.exports = OllamaProvider;
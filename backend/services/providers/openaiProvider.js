@@ -0,0 +1,135 @@
+const BaseAIProvider = require('./baseProvider');
+
+/**
+ * OpenAI-compatible provider
+ * Streams analysis from any endpoint implementing the OpenAI chat completions API
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, etc.)
+ */
+class OpenAICompatibleProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super('openai');
+
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.modelName = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.generationConfig = {
+      temperature: 0.7,
+      top_p: 0.8,
+      max_tokens: 4096
+    };
+
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is required');
+    }
+  }
+
+  /**
+   * Read the token counts of a response
+   * @param {Object} usage - usage object of a response or final stream chunk
+   * @returns {Object|null} { promptTokens, completionTokens }, or null if not reported
+   */
+  getTokenUsage(usage) {
+    return usage ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 } : null;
+  }
+
+  /**
+   * Analyze resume with streaming support
+   * @param {string} resumeText - Extracted text from PDF resume
+   * @param {Function} onChunk - Callback for streaming chunks
+   * @param {Object} options - Analysis options (e.g. jobDescription)
+   * @returns {Promise<Object>} { feedback, degraded }
+   */
+  async analyzeResumeStreaming(resumeText, onChunk, options = {}) {
+    try {
+      const prompt = this.createAnalysisPrompt(resumeText, options);
+
+      const fullResponse = await this.withUsage(options, 'analysis', prompt, async (usage) => {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.apiKey}`
+          },
+          body: JSON.stringify({
+            model: this.modelName,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true,
+            // Adds a final chunk with the token usage of the request
+            stream_options: { include_usage: true },
+            ...this.generationConfig
+          }),
+          signal: options.signal
+        });
+
+        await this.assertOk(response);
+
+        // Server-sent events: each payload line is "data: {json}" and the stream ends with "data: [DONE]"
+        for await (const line of this.readStreamLines(response.body)) {
+          if (!line.startsWith('data:')) {
+            continue;
+          }
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') {
+            break;
+          }
+
+          const data = JSON.parse(payload);
+          usage.tokens = this.getTokenUsage(data.usage) || usage.tokens;
+
+          const chunkText = data.choices?.[0]?.delta?.content || '';
+          if (!chunkText) {
+            continue;
+          }
+
+          usage.text += chunkText;
+
+          if (onChunk && typeof onChunk === 'function') {
+            onChunk(chunkText);
+          }
+        }
+
+        return usage.text;
+      });
+
+      return await this.parseResponseWithRepair(fullResponse, options);
+
+    } catch (error) {
+      console.error('Error in OpenAI-compatible AI analysis:', error);
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Generate a complete, non-streaming answer to a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Request options (e.g. signal, onUsage and purpose)
+   * @returns {Promise<string>} Raw model output
+   */
+  async generateText(prompt, options = {}) {
+    return this.withUsage(options, options.purpose || 'generation', prompt, async (usage) => {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model: this.modelName,
+          messages: [{ role: 'user', content: prompt }],
+          ...this.generationConfig
+        }),
+        signal: options.signal
+      });
+
+      await this.assertOk(response);
+
+      const data = await response.json();
+      usage.text = data.choices?.[0]?.message?.content || '';
+      usage.tokens = this.getTokenUsage(data.usage);
+      return usage.text;
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
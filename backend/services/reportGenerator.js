@@ -0,0 +1,480 @@
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  brand: '#1d4ed8',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#e5e7eb',
+  headerFill: '#f3f4f6',
+  good: '#15803d',
+  fair: '#b45309',
+  poor: '#b91c1c'
+};
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+
+/**
+ * PDF Feedback Report Service
+ * Renders completed session feedback as a downloadable, branded PDF report
+ */
+class ReportGenerator {
+  /**
+   * Generate a report for a completed session
+   * @param {Object} session - Session with feedback
+   * @returns {Promise<Buffer>} - PDF contents
+   */
+  generate(session) {
+    if (!session || !session.feedback) {
+      return Promise.reject(new Error('Session has no feedback to report'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: 'Resume Feedback Report',
+          Author: 'Resume Analyzer',
+          Subject: session.fileInfo?.originalName || 'Resume analysis'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.renderReport(doc, session);
+        this.renderFooters(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Render all report sections
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} session - Session with feedback
+   */
+  renderReport(doc, session) {
+    const { feedback } = session;
+
+    this.renderHeader(doc, session);
+    this.renderScoreSummary(doc, feedback);
+
+    if (feedback.jobFit) {
+      this.renderJobFit(doc, feedback.jobFit);
+    }
+
+    this.renderClarity(doc, feedback.clarity || {});
+    this.renderGrammar(doc, feedback.grammar || {});
+    this.renderSkills(doc, feedback.skills || {});
+    this.renderImprovements(doc, feedback.improvements || []);
+
+    if (feedback.lint?.findings?.length > 0) {
+      this.renderLint(doc, feedback.lint);
+    }
+
+    if (feedback.ats?.checks) {
+      this.renderAts(doc, feedback.ats);
+    }
+  }
+
+  /**
+   * Render the branded title band
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} session - Session data
+   */
+  renderHeader(doc, session) {
+    const completedAt = session.completedAt ? new Date(session.completedAt) : new Date();
+
+    doc.rect(0, 0, doc.page.width, 90).fill(COLORS.brand);
+    doc.fillColor('#ffffff')
+      .font('Helvetica-Bold').fontSize(22)
+      .text('Resume Feedback Report', PAGE_MARGIN, 28);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Resume Analyzer  |  ${completedAt.toISOString().slice(0, 10)}`, PAGE_MARGIN, 58);
+
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+    doc.y = 110;
+
+    if (session.fileInfo?.originalName) {
+      doc.text(`Resume: ${session.fileInfo.originalName}`);
+    }
+    doc.text(`Analysis: ${session.analysisMode === 'job-match' ? 'Matched against a job description' : 'General review'}`);
+    if (session.degraded) {
+      doc.fillColor(COLORS.poor)
+        .text('The AI response could not be read, so the scores below are placeholders rather than an assessment. Run the analysis again.')
+        .fillColor(COLORS.text);
+    }
+    doc.moveDown();
+  }
+
+  /**
+   * Render the headline scores
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} feedback - Feedback object
+   */
+  renderScoreSummary(doc, feedback) {
+    const scores = [
+      { label: 'Clarity', value: feedback.clarity?.score, max: 10 },
+      { label: 'Grammar', value: feedback.grammar?.score, max: 10 }
+    ];
+
+    if (feedback.jobFit) {
+      scores.push({ label: 'Job match', value: feedback.jobFit.matchScore, max: 100 });
+    }
+
+    const boxWidth = 150;
+    const boxHeight = 60;
+    const top = doc.y;
+
+    scores.forEach((score, index) => {
+      const left = PAGE_MARGIN + index * (boxWidth + 15);
+      const ratio = typeof score.value === 'number' ? score.value / score.max : 0;
+
+      doc.roundedRect(left, top, boxWidth, boxHeight, 6).lineWidth(1).stroke(COLORS.border);
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+        .text(score.label.toUpperCase(), left + 12, top + 10, { width: boxWidth - 24 });
+      doc.fillColor(this.getScoreColor(ratio)).font('Helvetica-Bold').fontSize(22)
+        .text(typeof score.value === 'number' ? `${score.value}/${score.max}` : 'N/A', left + 12, top + 26, { width: boxWidth - 24 });
+    });
+
+    doc.fillColor(COLORS.text);
+    doc.x = PAGE_MARGIN;
+    doc.y = top + boxHeight + 20;
+  }
+
+  /**
+   * Render job fit feedback
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} jobFit - Job fit section
+   */
+  renderJobFit(doc, jobFit) {
+    this.renderSectionTitle(doc, 'Job Fit');
+
+    if (jobFit.summary) {
+      this.renderParagraph(doc, jobFit.summary);
+    }
+
+    const coverage = jobFit.keywordCoverage || {};
+    this.renderTable(doc, ['Matched keywords', 'Missing keywords'], this.zipColumns(coverage.matched || [], coverage.missing || []));
+
+    if (Array.isArray(jobFit.requirements) && jobFit.requirements.length > 0) {
+      this.renderTable(
+        doc,
+        ['Requirement', 'Type', 'Status'],
+        jobFit.requirements.map(requirement => [requirement.requirement, requirement.type, requirement.status]),
+        [0.6, 0.2, 0.2]
+      );
+    }
+
+    if (Array.isArray(jobFit.tailoredImprovements) && jobFit.tailoredImprovements.length > 0) {
+      this.renderSubheading(doc, 'Tailoring suggestions');
+      this.sortByPriority(jobFit.tailoredImprovements).forEach(improvement => {
+        this.renderImprovement(doc, improvement);
+      });
+    }
+  }
+
+  /**
+   * Render clarity feedback
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} clarity - Clarity section
+   */
+  renderClarity(doc, clarity) {
+    this.renderSectionTitle(doc, 'Clarity', clarity.score);
+    this.renderList(doc, 'Strengths', clarity.strengths);
+    this.renderList(doc, 'Weaknesses', clarity.weaknesses);
+    this.renderList(doc, 'Suggestions', clarity.suggestions);
+  }
+
+  /**
+   * Render grammar feedback
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} grammar - Grammar section
+   */
+  renderGrammar(doc, grammar) {
+    this.renderSectionTitle(doc, 'Grammar', grammar.score);
+    this.renderList(doc, 'Corrections', grammar.corrections);
+    this.renderList(doc, 'Improvements', grammar.improvements);
+  }
+
+  /**
+   * Render skills tables
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} skills - Skills section
+   */
+  renderSkills(doc, skills) {
+    this.renderSectionTitle(doc, 'Skills');
+    this.renderTable(doc, ['Relevant skills', 'Skills to add'], this.zipColumns(skills.relevantSkills || [], skills.missingSkills || []));
+    this.renderList(doc, 'Recommendations', skills.recommendations);
+  }
+
+  /**
+   * Render rule-based resume checks
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} lint - Lint results
+   */
+  renderLint(doc, lint) {
+    this.renderSectionTitle(doc, 'Resume Checks');
+    this.renderTable(
+      doc,
+      ['Line', 'Severity', 'Finding'],
+      lint.findings.map(finding => [
+        finding.line ? String(finding.line) : '—',
+        finding.severity,
+        finding.suggestion ? `${finding.message}. ${finding.suggestion}` : finding.message
+      ]),
+      [0.1, 0.15, 0.75]
+    );
+  }
+
+  /**
+   * Render the ATS parseability report
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} ats - Result of atsAnalyzer.analyze
+   */
+  renderAts(doc, ats) {
+    this.renderSectionTitle(doc, `ATS Parseability: ${ats.score}/100`);
+    this.renderTable(
+      doc,
+      ['Check', 'Result', 'Details'],
+      ats.checks.map(check => [
+        check.label,
+        check.status,
+        [check.message, ...check.details].join('. ')
+      ]),
+      [0.25, 0.12, 0.63]
+    );
+  }
+
+  /**
+   * Render prioritized improvements
+   * @param {PDFDocument} doc - PDF document
+   * @param {Array} improvements - Improvement suggestions
+   */
+  renderImprovements(doc, improvements) {
+    this.renderSectionTitle(doc, 'Prioritized Improvements');
+
+    if (improvements.length === 0) {
+      this.renderParagraph(doc, 'No further improvements suggested.');
+      return;
+    }
+
+    this.sortByPriority(improvements).forEach(improvement => {
+      this.renderImprovement(doc, improvement);
+    });
+  }
+
+  /**
+   * Render a single improvement with its priority and example
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} improvement - Improvement suggestion
+   */
+  renderImprovement(doc, improvement) {
+    const priority = (improvement.priority || 'low').toLowerCase();
+    const label = [priority.toUpperCase(), improvement.category].filter(Boolean).join(' · ');
+
+    this.ensureSpace(doc, 60);
+    doc.fillColor(this.getPriorityColor(priority)).font('Helvetica-Bold').fontSize(9).text(label);
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(improvement.suggestion || '');
+
+    if (improvement.example) {
+      doc.fillColor(COLORS.muted).font('Helvetica-Oblique').fontSize(9)
+        .text(`Example: ${improvement.example}`, { indent: 10 });
+    }
+
+    doc.fillColor(COLORS.text).moveDown(0.6);
+  }
+
+  /**
+   * Render a section title, optionally with a 1-10 score
+   * @param {PDFDocument} doc - PDF document
+   * @param {string} title - Section title
+   * @param {number} score - Optional score
+   */
+  renderSectionTitle(doc, title, score) {
+    this.ensureSpace(doc, 80);
+    doc.moveDown(0.5);
+
+    const top = doc.y;
+    doc.fillColor(COLORS.brand).font('Helvetica-Bold').fontSize(14).text(title, PAGE_MARGIN, top);
+
+    if (typeof score === 'number') {
+      doc.fillColor(this.getScoreColor(score / 10)).fontSize(12)
+        .text(`${score}/10`, PAGE_MARGIN, top + 2, { align: 'right' });
+    }
+
+    const lineY = doc.y + 2;
+    doc.moveTo(PAGE_MARGIN, lineY).lineTo(doc.page.width - PAGE_MARGIN, lineY).lineWidth(1).stroke(COLORS.border);
+    doc.x = PAGE_MARGIN;
+    doc.y = lineY + 8;
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+  }
+
+  /**
+   * Render a smaller heading inside a section
+   * @param {PDFDocument} doc - PDF document
+   * @param {string} text - Heading text
+   */
+  renderSubheading(doc, text) {
+    this.ensureSpace(doc, 40);
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(text);
+    doc.font('Helvetica').fontSize(10).moveDown(0.2);
+  }
+
+  /**
+   * Render a paragraph of body text
+   * @param {PDFDocument} doc - PDF document
+   * @param {string} text - Paragraph text
+   */
+  renderParagraph(doc, text) {
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(text);
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Render a titled bullet list, skipped when empty
+   * @param {PDFDocument} doc - PDF document
+   * @param {string} title - List title
+   * @param {Array<string>} items - List items
+   */
+  renderList(doc, title, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return;
+    }
+
+    this.renderSubheading(doc, title);
+    doc.list(items.map(item => String(item)), { bulletRadius: 1.5, textIndent: 10, bulletIndent: 4 });
+    doc.x = PAGE_MARGIN;
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Render a bordered table with a header row
+   * @param {PDFDocument} doc - PDF document
+   * @param {Array<string>} headers - Column headers
+   * @param {Array<Array<string>>} rows - Table rows
+   * @param {Array<number>} columnRatios - Column widths as fractions of the content width
+   */
+  renderTable(doc, headers, rows, columnRatios = headers.map(() => 1 / headers.length)) {
+    const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+    const widths = columnRatios.map(ratio => ratio * tableWidth);
+    const padding = 5;
+
+    const drawRow = (cells, isHeader) => {
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const height = Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(String(cell ?? ''), { width: widths[index] - padding * 2 })
+      )) + padding * 2;
+
+      this.ensureSpace(doc, height);
+      const top = doc.y;
+      let left = PAGE_MARGIN;
+
+      cells.forEach((cell, index) => {
+        if (isHeader) {
+          doc.rect(left, top, widths[index], height).fill(COLORS.headerFill);
+        }
+        doc.rect(left, top, widths[index], height).lineWidth(0.5).stroke(COLORS.border);
+        doc.fillColor(COLORS.text).text(String(cell ?? ''), left + padding, top + padding, { width: widths[index] - padding * 2 });
+        left += widths[index];
+      });
+
+      doc.x = PAGE_MARGIN;
+      doc.y = top + height;
+    };
+
+    drawRow(headers, true);
+    (rows.length > 0 ? rows : [headers.map(() => '—')]).forEach(row => drawRow(row, false));
+
+    doc.font('Helvetica').fontSize(10).moveDown();
+  }
+
+  /**
+   * Add page numbers to every buffered page
+   * @param {PDFDocument} doc - PDF document
+   */
+  renderFooters(doc) {
+    const range = doc.bufferedPageRange();
+
+    for (let index = range.start; index < range.start + range.count; index++) {
+      doc.switchToPage(index);
+      // Drawing inside the bottom margin would otherwise trigger an automatic page break
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8)
+        .text(
+          `Generated by Resume Analyzer  |  Page ${index + 1} of ${range.count}`,
+          PAGE_MARGIN,
+          doc.page.height - FOOTER_HEIGHT,
+          { width: doc.page.width - PAGE_MARGIN * 2, align: 'center', lineBreak: false }
+        );
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  /**
+   * Start a new page if the remaining space is too small
+   * @param {PDFDocument} doc - PDF document
+   * @param {number} height - Space needed in points
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Pair two lists into table rows
+   * @param {Array} left - Left column values
+   * @param {Array} right - Right column values
+   * @returns {Array<Array>} - Rows
+   */
+  zipColumns(left, right) {
+    return Array.from({ length: Math.max(left.length, right.length) }, (_, index) => [left[index] || '', right[index] || '']);
+  }
+
+  /**
+   * Sort suggestions by priority, high first
+   * @param {Array} items - Items with a priority field
+   * @returns {Array} - Sorted copy
+   */
+  sortByPriority(items) {
+    return [...items].sort((a, b) =>
+      (PRIORITY_ORDER[(a.priority || '').toLowerCase()] ?? 3) - (PRIORITY_ORDER[(b.priority || '').toLowerCase()] ?? 3)
+    );
+  }
+
+  /**
+   * Get the color for a score ratio
+   * @param {number} ratio - Score as a fraction of its maximum
+   * @returns {string} - Color
+   */
+  getScoreColor(ratio) {
+    if (ratio >= 0.8) return COLORS.good;
+    if (ratio >= 0.6) return COLORS.fair;
+    return COLORS.poor;
+  }
+
+  /**
+   * Get the color for a priority label
+   * @param {string} priority - Priority
+   * @returns {string} - Color
+   */
+  getPriorityColor(priority) {
+    if (priority === 'high') return COLORS.poor;
+    if (priority === 'medium') return COLORS.fair;
+    return COLORS.good;
+  }
+}
+
+module.exports = new ReportGenerator();
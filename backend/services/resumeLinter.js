@@ -0,0 +1,411 @@
+const profileParser = require('./profileParser');
+
+const BULLET_PATTERN = /^([•\-*▪◦●‣–]|\d+[.)])\s+/;
+
+const PROFILE_PATTERN = /(linkedin\.com|github\.com|gitlab\.com|https?:\/\/)/i;
+
+const QUANTIFIER_PATTERN = /\d|%|\$|€|£|\b(one|two|three|four|five|six|seven|eight|nine|ten|dozens?|hundreds?|thousands?|millions?|billions?|double[ds]?|tripled?|halved)\b/i;
+
+// Weak openers and stronger replacements
+const WEAK_VERBS = [
+  { pattern: /^(was )?responsible for\b/i, suggestion: 'Led, Owned, Managed' },
+  { pattern: /^(duties|tasks) included\b/i, suggestion: 'Delivered, Executed, Ran' },
+  { pattern: /^(was )?(tasked with|in charge of)\b/i, suggestion: 'Led, Directed, Owned' },
+  { pattern: /^(helped|help with|helping)\b/i, suggestion: 'Contributed to, Enabled, Supported' },
+  { pattern: /^(assisted|assisting)\b/i, suggestion: 'Supported, Partnered with, Enabled' },
+  { pattern: /^(worked on|worked with|working on)\b/i, suggestion: 'Built, Developed, Delivered' },
+  { pattern: /^(participated in|involved in|was involved in)\b/i, suggestion: 'Contributed to, Drove, Shaped' },
+  { pattern: /^(handled|did|made|got)\b/i, suggestion: 'Resolved, Produced, Achieved' }
+];
+
+const PASSIVE_PATTERN = /\b(?:is|are|was|were|been|being|be)\s+(?:\w+ly\s+)?(\w+(?:ed|en))\b/gi;
+// Words ending in -ed/-en that usually act as adjectives after "be"
+const PASSIVE_EXCEPTIONS = new Set([
+  'based', 'located', 'interested', 'experienced', 'skilled', 'detailed', 'dedicated', 'motivated', 'organized',
+  'qualified', 'certified', 'licensed', 'registered', 'required', 'needed', 'open', 'often', 'even', 'seen',
+  'excited', 'passionate', 'talented', 'varied', 'advanced', 'limited', 'focused', 'committed', 'engaged'
+]);
+
+const FIRST_PERSON_PATTERN = /(?<![\w/])(?:I(?![\w/])(?!\s*(?:$|[,|]))|[Mm]e|[Mm]y|[Mm]ine|[Mm]yself)(?![\w/])/g;
+
+const DATE_FORMATS = [
+  { format: 'month-name', label: 'Jan 2020', pattern: /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.?\s+(?:19|20)\d{2}\b/ },
+  { format: 'numeric', label: '01/2020', pattern: /\b(?:0?[1-9]|1[0-2])\/(?:19|20)\d{2}\b/ },
+  { format: 'iso', label: '2020-01', pattern: /\b(?:19|20)\d{2}-(?:0[1-9]|1[0-2])\b/ },
+  { format: 'year-only', label: '2019 - 2021', pattern: /\b(?:19|20)\d{2}\s*[-–—]\s*(?:(?:19|20)\d{2}|present|current|now)\b/i }
+];
+
+// Common misspellings in resumes and their corrections
+const COMMON_MISSPELLINGS = {
+  accomodate: 'accommodate',
+  acheive: 'achieve',
+  acheived: 'achieved',
+  achived: 'achieved',
+  adress: 'address',
+  analisys: 'analysis',
+  begining: 'beginning',
+  buisness: 'business',
+  calender: 'calendar',
+  collegue: 'colleague',
+  commited: 'committed',
+  comunication: 'communication',
+  definately: 'definitely',
+  developement: 'development',
+  enviroment: 'environment',
+  existance: 'existence',
+  experiance: 'experience',
+  goverment: 'government',
+  immediatly: 'immediately',
+  independant: 'independent',
+  knowlege: 'knowledge',
+  liase: 'liaise',
+  maintainance: 'maintenance',
+  managment: 'management',
+  neccessary: 'necessary',
+  occured: 'occurred',
+  oppurtunity: 'opportunity',
+  profesional: 'professional',
+  recieve: 'receive',
+  recieved: 'received',
+  recomend: 'recommend',
+  relevent: 'relevant',
+  responsibilites: 'responsibilities',
+  seperate: 'separate',
+  succesful: 'successful',
+  sucessful: 'successful',
+  untill: 'until',
+  wich: 'which',
+  writting: 'writing'
+};
+
+const REPEATED_WORD_PATTERN = /\b([a-z]+)\s+\1\b/gi;
+
+/**
+ * Resume Linter
+ * Deterministic, rule-based checks over extracted resume text that run without
+ * AI. Every finding references the line it was found on (null for checks that
+ * apply to the whole document).
+ */
+class ResumeLinter {
+  constructor() {
+    this.maxPages = 2;
+    this.maxVerbRepeats = 2; // Same opening verb allowed this many times
+    this.maxFindingsPerRule = 10;
+    this.minBulletLength = 25; // Shorter bullets are usually headings or skill lists
+    this.rules = [
+      'contact-info',
+      'unquantified-bullet',
+      'weak-verb',
+      'repeated-verb',
+      'passive-voice',
+      'first-person',
+      'inconsistent-date-format',
+      'resume-length',
+      'typo'
+    ];
+  }
+
+  /**
+   * Run all lint rules over resume text
+   * @param {string} text - Extracted resume text
+   * @param {Object} options - Lint options
+   * @param {number} options.pages - Page count of the source document
+   * @param {Array<Object>} options.sections - Sections from sectionParser, used to label findings
+   * @returns {Object} - { findings, summary, rules, lintedAt }
+   */
+  lint(text = '', options = {}) {
+    const lines = text.split('\n').map((line, index) => ({ number: index + 1, text: line.trim() }));
+    const bullets = lines
+      .filter(line => BULLET_PATTERN.test(line.text))
+      .map(line => ({ ...line, content: line.text.replace(BULLET_PATTERN, '') }));
+
+    const findings = [
+      ...this.checkContactInfo(text),
+      ...this.checkUnquantifiedBullets(bullets),
+      ...this.checkWeakVerbs(bullets),
+      ...this.checkRepeatedVerbs(bullets),
+      ...this.checkPassiveVoice(lines),
+      ...this.checkFirstPerson(lines),
+      ...this.checkDateFormats(lines),
+      ...this.checkLength(options.pages),
+      ...this.checkTypos(lines)
+    ]
+      .sort((a, b) => (a.line ?? 0) - (b.line ?? 0))
+      .map(finding => ({ ...finding, section: this.findSection(finding.line, options.sections) }));
+
+    return {
+      findings,
+      summary: this.summarize(findings),
+      rules: this.rules,
+      lintedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Find the resume section a line belongs to
+   * @param {number|null} lineNumber - 1-based line number
+   * @param {Array<Object>} sections - Sections from sectionParser
+   * @returns {string|null} - Section type or null for document-wide findings
+   */
+  findSection(lineNumber, sections = []) {
+    if (!lineNumber) {
+      return null;
+    }
+
+    const section = sections.find(candidate => lineNumber >= candidate.lineStart && lineNumber <= candidate.lineEnd);
+    return section ? section.type : null;
+  }
+
+  /**
+   * Build a finding
+   * @param {string} rule - Rule ID
+   * @param {string} severity - error, warning or info
+   * @param {string} message - Human readable message
+   * @param {Object|null} line - Line the finding refers to, or null for the whole document
+   * @param {string} suggestion - How to fix it
+   * @returns {Object} - Finding
+   */
+  createFinding(rule, severity, message, line = null, suggestion = null) {
+    return {
+      rule,
+      severity,
+      message,
+      line: line ? line.number : null,
+      excerpt: line ? line.text : null,
+      suggestion
+    };
+  }
+
+  /**
+   * Check for email, phone and profile links
+   * @param {string} text - Resume text
+   * @returns {Array<Object>} - Findings
+   */
+  checkContactInfo(text) {
+    const findings = [];
+
+    // Detected the way PII redaction finds them, so the two always agree
+    if (profileParser.findEmails(text).length === 0) {
+      findings.push(this.createFinding('contact-info', 'error', 'No email address found',
+        null, 'Add a professional email address to the header'));
+    }
+    if (profileParser.findPhones(text).length === 0) {
+      findings.push(this.createFinding('contact-info', 'warning', 'No phone number found',
+        null, 'Add a phone number to the header'));
+    }
+    if (!PROFILE_PATTERN.test(text)) {
+      findings.push(this.createFinding('contact-info', 'info', 'No LinkedIn, GitHub or portfolio link found',
+        null, 'Link a profile or portfolio that backs up your experience'));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Flag bullet points without numbers or measurable results
+   * @param {Array<Object>} bullets - Bullet lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkUnquantifiedBullets(bullets) {
+    return this.limit(bullets
+      .filter(bullet => bullet.content.length >= this.minBulletLength && !QUANTIFIER_PATTERN.test(bullet.content))
+      .map(bullet => this.createFinding('unquantified-bullet', 'info', 'Bullet point has no quantified result',
+        bullet, 'Add a number, percentage or scale (e.g. "for 40k users", "cut costs by 15%")')));
+  }
+
+  /**
+   * Flag bullet points that open with weak verbs
+   * @param {Array<Object>} bullets - Bullet lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkWeakVerbs(bullets) {
+    const findings = [];
+
+    for (const bullet of bullets) {
+      const weakVerb = WEAK_VERBS.find(({ pattern }) => pattern.test(bullet.content));
+      if (weakVerb) {
+        const opener = bullet.content.match(weakVerb.pattern)[0];
+        findings.push(this.createFinding('weak-verb', 'warning', `Bullet opens with the weak phrase "${opener}"`,
+          bullet, `Start with a strong action verb such as ${weakVerb.suggestion}`));
+      }
+    }
+
+    return this.limit(findings);
+  }
+
+  /**
+   * Flag action verbs that open too many bullet points
+   * @param {Array<Object>} bullets - Bullet lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkRepeatedVerbs(bullets) {
+    const byVerb = new Map();
+
+    for (const bullet of bullets) {
+      const verb = (bullet.content.match(/^[A-Za-z]+/) || [''])[0].toLowerCase();
+      if (verb.length > 2) {
+        byVerb.set(verb, [...(byVerb.get(verb) || []), bullet]);
+      }
+    }
+
+    const findings = [];
+
+    for (const [verb, verbBullets] of byVerb) {
+      if (verbBullets.length <= this.maxVerbRepeats) {
+        continue;
+      }
+
+      const lineNumbers = verbBullets.map(bullet => bullet.number).join(', ');
+      for (const bullet of verbBullets.slice(this.maxVerbRepeats)) {
+        findings.push(this.createFinding('repeated-verb', 'info',
+          `"${verb}" opens ${verbBullets.length} bullet points (lines ${lineNumbers})`,
+          bullet, 'Vary your action verbs so each accomplishment stands out'));
+      }
+    }
+
+    return this.limit(findings);
+  }
+
+  /**
+   * Flag passive voice constructions
+   * @param {Array<Object>} lines - Resume lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkPassiveVoice(lines) {
+    const findings = [];
+
+    for (const line of lines) {
+      for (const match of line.text.matchAll(PASSIVE_PATTERN)) {
+        if (!PASSIVE_EXCEPTIONS.has(match[1].toLowerCase())) {
+          findings.push(this.createFinding('passive-voice', 'warning', `Passive voice: "${match[0]}"`,
+            line, 'Rewrite in the active voice, starting with what you did'));
+          break;
+        }
+      }
+    }
+
+    return this.limit(findings);
+  }
+
+  /**
+   * Flag first-person pronouns
+   * @param {Array<Object>} lines - Resume lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkFirstPerson(lines) {
+    const findings = [];
+
+    for (const line of lines) {
+      const pronouns = line.text.match(FIRST_PERSON_PATTERN);
+      if (pronouns) {
+        findings.push(this.createFinding('first-person', 'info',
+          `First-person pronoun${pronouns.length > 1 ? 's' : ''}: ${[...new Set(pronouns)].map(pronoun => `"${pronoun}"`).join(', ')}`,
+          line, 'Drop pronouns and start with the action verb'));
+      }
+    }
+
+    return this.limit(findings);
+  }
+
+  /**
+   * Flag dates that do not use the resume's dominant date format
+   * @param {Array<Object>} lines - Resume lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkDateFormats(lines) {
+    const dated = lines
+      .map(line => ({ line, dateFormat: DATE_FORMATS.find(({ pattern }) => pattern.test(line.text)) }))
+      .filter(({ dateFormat }) => dateFormat);
+
+    const counts = new Map();
+    for (const { dateFormat } of dated) {
+      counts.set(dateFormat, (counts.get(dateFormat) || 0) + 1);
+    }
+
+    if (counts.size < 2) {
+      return [];
+    }
+
+    // Ties go to the format used first
+    const dominant = Array.from(counts.entries()).reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+
+    return this.limit(dated
+      .filter(({ dateFormat }) => dateFormat !== dominant)
+      .map(({ line, dateFormat }) => this.createFinding('inconsistent-date-format', 'warning',
+        `Date "${line.text.match(dateFormat.pattern)[0]}" differs from the format used by most dates (e.g. "${dominant.label}")`,
+        line, `Write every date in the "${dominant.label}" format`)));
+  }
+
+  /**
+   * Flag resumes longer than the recommended page count
+   * @param {number} pages - Page count
+   * @returns {Array<Object>} - Findings
+   */
+  checkLength(pages) {
+    if (!pages || pages <= this.maxPages) {
+      return [];
+    }
+
+    return [this.createFinding('resume-length', 'warning', `Resume is ${pages} pages long`,
+      null, `Trim it to ${this.maxPages} pages or fewer by cutting older or less relevant roles`)];
+  }
+
+  /**
+   * Flag common misspellings and accidentally repeated words
+   * @param {Array<Object>} lines - Resume lines
+   * @returns {Array<Object>} - Findings
+   */
+  checkTypos(lines) {
+    const findings = [];
+
+    for (const line of lines) {
+      for (const word of line.text.match(/[A-Za-z]+/g) || []) {
+        const correction = COMMON_MISSPELLINGS[word.toLowerCase()];
+        if (correction) {
+          findings.push(this.createFinding('typo', 'warning', `Possible typo: "${word}"`,
+            line, `Did you mean "${correction}"?`));
+        }
+      }
+
+      for (const match of line.text.matchAll(REPEATED_WORD_PATTERN)) {
+        findings.push(this.createFinding('typo', 'warning', `Repeated word: "${match[0]}"`,
+          line, `Remove the duplicate "${match[1]}"`));
+      }
+    }
+
+    return this.limit(findings);
+  }
+
+  /**
+   * Cap the number of findings reported for a single rule
+   * @param {Array<Object>} findings - Findings of one rule
+   * @returns {Array<Object>} - At most maxFindingsPerRule findings
+   */
+  limit(findings) {
+    return findings.slice(0, this.maxFindingsPerRule);
+  }
+
+  /**
+   * Count findings by severity and rule
+   * @param {Array<Object>} findings - Findings
+   * @returns {Object} - Summary
+   */
+  summarize(findings) {
+    const summary = { total: findings.length, errors: 0, warnings: 0, info: 0, byRule: {} };
+
+    for (const finding of findings) {
+      if (finding.severity === 'error') summary.errors++;
+      else if (finding.severity === 'warning') summary.warnings++;
+      else summary.info++;
+
+      summary.byRule[finding.rule] = (summary.byRule[finding.rule] || 0) + 1;
+    }
+
+    return summary;
+  }
+}
+
+// Create singleton instance
+const resumeLinter = new ResumeLinter();
+
+module.exports = resumeLinter;
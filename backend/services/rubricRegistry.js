@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const promptTemplates = require('./promptTemplates');
+
+const DEFAULT_RUBRIC_DIR = path.join(__dirname, '../rubrics');
+const DEFAULT_RUBRIC = 'general';
+
+/**
+ * JSON Schema of a rubric file. Dimension keys become property names in the
+ * rubricScores section of the feedback, so they must be plain identifiers.
+ */
+const RUBRIC_SCHEMA = {
+  type: 'object',
+  required: ['id', 'version', 'name', 'promptTemplate', 'dimensions'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+    version: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    promptTemplate: { type: 'string' },
+    instructions: { type: 'string' },
+    dimensions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['key', 'name', 'weight', 'description'],
+        properties: {
+          key: { type: 'string', pattern: '^[a-zA-Z][a-zA-Z0-9]*$' },
+          name: { type: 'string', minLength: 1 },
+          weight: { type: 'number', exclusiveMinimum: 0 },
+          description: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Rubric Registry
+ * Loads the scoring rubrics in RUBRIC_DIR (backend/rubrics by default). Each
+ * file holds one version of one rubric and is named <id>.v<version>.json.
+ * A rubric declares the prompt template it uses, extra reviewer instructions
+ * and the weighted dimensions the model scores in the rubricScores section.
+ * New uploads get the latest version of a rubric; the id and version stored
+ * with a session let a re-run use the version it started with.
+ */
+class RubricRegistry {
+  constructor() {
+    this.directory = process.env.RUBRIC_DIR || DEFAULT_RUBRIC_DIR;
+    this.validateRubric = new Ajv({ allErrors: true }).compile(RUBRIC_SCHEMA);
+    // id -> Map(version -> rubric)
+    this.rubrics = new Map();
+    this.load();
+  }
+
+  /**
+   * Read and validate every rubric file in the rubric directory
+   * @throws {Error} - If a rubric file is invalid, or the default rubric is missing
+   */
+  load() {
+    this.rubrics.clear();
+
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.json')).sort()) {
+      const rubric = this.parseRubric(file, fs.readFileSync(path.join(this.directory, file), 'utf8'));
+
+      if (!this.rubrics.has(rubric.id)) {
+        this.rubrics.set(rubric.id, new Map());
+      }
+      this.rubrics.get(rubric.id).set(rubric.version, rubric);
+    }
+
+    if (!this.rubrics.has(DEFAULT_RUBRIC)) {
+      throw new Error(`Default rubric "${DEFAULT_RUBRIC}" not found in ${this.directory}`);
+    }
+
+    console.log(`[RUBRICS] Loaded ${this.rubrics.size} rubric(s) from ${this.directory}`);
+  }
+
+  /**
+   * Parse and validate a rubric file
+   * @param {string} file - File name, which must match the rubric id and version
+   * @param {string} content - File content
+   * @returns {Object} - Rubric
+   * @throws {Error} - If the rubric is invalid
+   */
+  parseRubric(file, content) {
+    let rubric;
+    try {
+      rubric = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid rubric ${file}: ${error.message}`);
+    }
+
+    if (!this.validateRubric(rubric)) {
+      const [error] = this.validateRubric.errors;
+      throw new Error(`Invalid rubric ${file}: ${error.instancePath || 'rubric'} ${error.message}`);
+    }
+    if (file !== `${rubric.id}.v${rubric.version}.json`) {
+      throw new Error(`Invalid rubric ${file}: file name must be ${rubric.id}.v${rubric.version}.json`);
+    }
+    if (!promptTemplates.has(rubric.promptTemplate)) {
+      throw new Error(`Invalid rubric ${file}: unknown prompt template ${rubric.promptTemplate}`);
+    }
+
+    const keys = rubric.dimensions.map(dimension => dimension.key);
+    if (new Set(keys).size !== keys.length) {
+      throw new Error(`Invalid rubric ${file}: dimension keys must be unique`);
+    }
+
+    return rubric;
+  }
+
+  /**
+   * Get a rubric
+   * @param {string} id - Rubric ID; the default rubric when empty
+   * @param {number} version - Rubric version; the latest when empty
+   * @returns {Object|null} - Rubric, or null if there is no such rubric or version
+   */
+  get(id, version) {
+    const versions = this.rubrics.get(id || DEFAULT_RUBRIC);
+    if (!versions) {
+      return null;
+    }
+
+    if (version) {
+      return versions.get(Number(version)) || null;
+    }
+    return versions.get(Math.max(...versions.keys()));
+  }
+
+  /**
+   * Get the latest version of every rubric
+   * @returns {Array<Object>} - Rubric summaries with their dimensions
+   */
+  list() {
+    return Array.from(this.rubrics.keys()).map(id => {
+      const rubric = this.get(id);
+      return {
+        id: rubric.id,
+        version: rubric.version,
+        name: rubric.name,
+        description: rubric.description || '',
+        isDefault: rubric.id === DEFAULT_RUBRIC,
+        dimensions: rubric.dimensions.map(({ key, name, weight, description }) => ({ key, name, weight, description }))
+      };
+    });
+  }
+
+  /**
+   * Combine the dimension scores of feedback into the rubric result stored with it
+   * @param {Object} rubric - Rubric the feedback was requested with
+   * @param {Object} rubricScores - rubricScores section of the feedback, if any
+   * @returns {Object} - { id, version, name, overallScore, dimensions }; overallScore is the
+   *   weighted average scaled to 0-100, or null when the dimensions were not scored
+   */
+  score(rubric, rubricScores) {
+    const dimensions = rubric.dimensions.map(({ key, name, weight }) => ({
+      key,
+      name,
+      weight,
+      score: rubricScores?.[key]?.score ?? null,
+      comment: rubricScores?.[key]?.comment || ''
+    }));
+
+    const scored = dimensions.every(dimension => typeof dimension.score === 'number');
+    const totalWeight = dimensions.reduce((sum, dimension) => sum + dimension.weight, 0);
+    const overallScore = scored
+      ? Math.round(dimensions.reduce((sum, dimension) => sum + dimension.score * dimension.weight, 0) / totalWeight * 10)
+      : null;
+
+    return { id: rubric.id, version: rubric.version, name: rubric.name, overallScore, dimensions };
+  }
+}
+
+module.exports = new RubricRegistry();
@@ -0,0 +1,304 @@
+// Heading aliases per section type, compared after normalizeHeading
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'career summary', 'executive summary', 'profile', 'professional profile',
+    'about', 'about me', 'objective', 'career objective'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment',
+    'employment history', 'work history', 'career history', 'professional background'],
+  education: ['education', 'academic background', 'education and training', 'academic qualifications'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies',
+    'skills and tools', 'technologies', 'tools and technologies', 'skills and technologies'],
+  projects: ['projects', 'personal projects', 'selected projects', 'key projects', 'side projects', 'open source'],
+  certifications: ['certifications', 'certificates', 'certification', 'licenses and certifications',
+    'certifications and licenses', 'courses and certifications'],
+  awards: ['awards', 'honors', 'awards and honors', 'honors and awards', 'achievements'],
+  publications: ['publications', 'papers'],
+  languages: ['languages'],
+  volunteering: ['volunteering', 'volunteer experience', 'volunteer work'],
+  interests: ['interests', 'hobbies', 'hobbies and interests'],
+  contact: ['contact', 'contact information', 'contact details', 'personal details', 'personal information'],
+  references: ['references']
+};
+
+const HEADING_TO_TYPE = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([type, headings]) => headings.map(heading => [heading, type]))
+);
+
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4}-\\d{2}|\\d{4})`;
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now|today)`, 'i');
+const SINGLE_DATE_PATTERN = new RegExp(`(?:^|\\s)(${MONTH}\\s+\\d{4})$`, 'i');
+
+const BULLET_PATTERN = /^([•\-*▪◦●‣–]|\d+[.)])\s+/;
+const FIELD_SEPARATOR = /\s*(?:\||·|•|\t|\s{2,}|\s[-–—]\s|,\s(?=[A-Z])(?![A-Z]{2}\b))\s*/;
+const LOCATION_PATTERN = /^([Rr]emote|[Hh]ybrid|[A-Z][a-zA-Z.]+(?:\s[A-Z][a-zA-Z.]+)*,\s?(?:[A-Z]{2}|[A-Z][a-z]+))$/;
+const TITLE_KEYWORDS = /\b(engineer|developer|programmer|manager|analyst|designer|intern|lead|director|consultant|specialist|scientist|architect|coordinator|assistant|officer|administrator|associate|head|vp|vice president|president|founder|co-founder|owner|teacher|nurse|researcher|technician|representative|accountant|editor|writer|advisor|strategist|recruiter|supervisor|executive|chief|cto|ceo|cfo|principal|staff|senior|junior|fellow|instructor|professor)\b/i;
+
+/**
+ * Resume Section Parser
+ * Splits extracted resume text into labelled sections with character offsets
+ * and breaks experience sections into individual positions
+ */
+class SectionParser {
+  constructor() {
+    this.maxHeadingLength = 40;
+    this.maxHeaderLineLength = 80; // Longer lines are treated as descriptions, not entry headers
+    this.maxHeaderLinesAbove = 2; // e.g. title and employer on the lines above the dates
+  }
+
+  /**
+   * Detect the sections of a resume
+   * @param {string} text - Extracted resume text
+   * @returns {Array<Object>} - Sections ordered by position; offsets index into text
+   */
+  parse(text = '') {
+    const lines = this.splitLines(text);
+    const headings = lines
+      .map((line, index) => ({ line, index, type: this.getHeadingType(line.text) }))
+      .filter(heading => heading.type);
+
+    const sections = [];
+
+    // Content before the first heading is the contact/name block
+    const firstHeadingIndex = headings.length > 0 ? headings[0].index : lines.length;
+    if (firstHeadingIndex > 0) {
+      sections.push(this.createSection('header', null, lines.slice(0, firstHeadingIndex)));
+    }
+
+    headings.forEach((heading, position) => {
+      const endIndex = position + 1 < headings.length ? headings[position + 1].index : lines.length;
+      const section = this.createSection(heading.type, heading.line, lines.slice(heading.index + 1, endIndex));
+
+      if (heading.type === 'experience') {
+        section.entries = this.parseExperience(lines.slice(heading.index + 1, endIndex));
+      }
+
+      sections.push(section);
+    });
+
+    return sections;
+  }
+
+  /**
+   * Split text into non-empty lines with character offsets of their trimmed content
+   * @param {string} text - Text to split
+   * @returns {Array<{text: string, start: number, end: number, number: number}>} - Lines
+   */
+  splitLines(text) {
+    const lines = [];
+    let offset = 0;
+
+    text.split('\n').forEach((rawLine, index) => {
+      const trimmed = rawLine.trim();
+      if (trimmed) {
+        const start = offset + rawLine.indexOf(trimmed);
+        lines.push({ text: trimmed, start, end: start + trimmed.length, number: index + 1 });
+      }
+      offset += rawLine.length + 1;
+    });
+
+    return lines;
+  }
+
+  /**
+   * Normalize a candidate heading line for alias lookup
+   * @param {string} line - Line text
+   * @returns {string} - Lowercase heading without punctuation
+   */
+  normalizeHeading(line) {
+    return line
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get the section type a line introduces
+   * @param {string} line - Line text
+   * @returns {string|null} - Section type or null if the line is not a heading
+   */
+  getHeadingType(line) {
+    if (line.length > this.maxHeadingLength || BULLET_PATTERN.test(line)) {
+      return null;
+    }
+
+    return HEADING_TO_TYPE.get(this.normalizeHeading(line)) || null;
+  }
+
+  /**
+   * Build a section from its heading and content lines
+   * @param {string} type - Section type
+   * @param {Object|null} headingLine - Heading line, null for the header block
+   * @param {Array<Object>} contentLines - Lines up to the next heading
+   * @returns {Object} - Section
+   */
+  createSection(type, headingLine, contentLines) {
+    const first = headingLine || contentLines[0];
+    const last = contentLines.length > 0 ? contentLines[contentLines.length - 1] : headingLine;
+
+    return {
+      type,
+      heading: headingLine ? headingLine.text : null,
+      start: first.start,
+      end: last.end,
+      contentStart: contentLines.length > 0 ? contentLines[0].start : last.end,
+      lineStart: first.number,
+      lineEnd: last.number
+    };
+  }
+
+  /**
+   * Split an experience section into positions
+   * @param {Array<Object>} lines - Section content lines
+   * @returns {Array<Object>} - Entries with employer, title, location, dates and bullets
+   */
+  parseExperience(lines) {
+    const dateIndexes = lines
+      .map((line, index) => (this.findDates(line.text) ? index : -1))
+      .filter(index => index >= 0);
+
+    // Each dated line anchors one entry whose header may span up to two lines above it
+    // and one line below it; everything up to the next entry's header is its bullets
+    const headers = [];
+    let previousHeaderEnd = 0;
+
+    for (const dateIndex of dateIndexes) {
+      let start = dateIndex;
+      while (start - 1 >= previousHeaderEnd && dateIndex - (start - 1) <= this.maxHeaderLinesAbove && this.isHeaderLine(lines[start - 1])) {
+        start--;
+      }
+
+      const fields = lines.slice(start, dateIndex + 1).flatMap(line => this.splitFields(line.text));
+      let end = dateIndex + 1;
+
+      // A title or employer on its own line below the dates
+      if (end < lines.length && this.isHeaderLine(lines[end]) && this.countNameFields(fields) < 2) {
+        fields.push(...this.splitFields(lines[end].text));
+        end++;
+      }
+
+      headers.push({ start, end, fields, dateLine: lines[dateIndex] });
+      previousHeaderEnd = end;
+    }
+
+    return headers.map((header, position) => {
+      const entryEnd = position + 1 < headers.length ? headers[position + 1].start : lines.length;
+      return this.parseEntry(header, lines.slice(header.start, entryEnd), lines.slice(header.end, entryEnd));
+    });
+  }
+
+  /**
+   * Build one experience entry
+   * @param {Object} header - Header fields, range and date line
+   * @param {Array<Object>} lines - All lines of the entry
+   * @param {Array<Object>} bodyLines - Lines after the header
+   * @returns {Object} - Entry
+   */
+  parseEntry(header, lines, bodyLines) {
+    const bullets = [];
+
+    for (const line of bodyLines) {
+      const previous = bullets[bullets.length - 1];
+      const isContinuation = previous && !BULLET_PATTERN.test(line.text) && /^[a-z(]/.test(line.text);
+
+      if (isContinuation) {
+        // Bullet text wrapped onto the next line
+        previous.text = `${previous.text} ${line.text}`;
+        previous.end = line.end;
+      } else {
+        bullets.push({ text: line.text.replace(BULLET_PATTERN, ''), start: line.start, end: line.end, line: line.number });
+      }
+    }
+
+    const last = lines[lines.length - 1];
+
+    return {
+      ...this.assignFields(header.fields),
+      dates: this.findDates(header.dateLine.text),
+      start: lines[0].start,
+      end: last.end,
+      lineStart: lines[0].number,
+      lineEnd: last.number,
+      bullets
+    };
+  }
+
+  /**
+   * Find a date range (or single start date) in a line
+   * @param {string} text - Line text
+   * @returns {Object|null} - { raw, start, end, current }
+   */
+  findDates(text) {
+    const range = text.match(DATE_RANGE_PATTERN);
+    if (range) {
+      return {
+        raw: range[0],
+        start: range[1],
+        end: range[2],
+        current: /^(present|current|now|today)$/i.test(range[2])
+      };
+    }
+
+    const single = text.match(SINGLE_DATE_PATTERN);
+    return single ? { raw: single[1], start: single[1], end: null, current: false } : null;
+  }
+
+  /**
+   * Whether a line looks like part of an entry header rather than a description
+   * @param {Object|null} line - Line
+   * @returns {boolean} - True for short, non-bullet, non-sentence lines without dates
+   */
+  isHeaderLine(line) {
+    return Boolean(line) &&
+      line.text.length <= this.maxHeaderLineLength &&
+      !BULLET_PATTERN.test(line.text) &&
+      !/[.;]$/.test(line.text) &&
+      !this.findDates(line.text);
+  }
+
+  /**
+   * Split a header line into fields, dropping dates
+   * @param {string} text - Line text
+   * @returns {string[]} - Fields
+   */
+  splitFields(text) {
+    const withoutDates = text.replace(DATE_RANGE_PATTERN, ' ').replace(SINGLE_DATE_PATTERN, ' ');
+
+    return withoutDates
+      .split(/\s+at\s+/i)
+      .flatMap(part => part.split(FIELD_SEPARATOR))
+      .map(part => part.trim().replace(/^[,|–—-]+|[,|–—-]+$/g, '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Count fields that could be an employer or title (not locations)
+   * @param {string[]} fields - Header fields
+   * @returns {number} - Count
+   */
+  countNameFields(fields) {
+    return fields.filter(field => !LOCATION_PATTERN.test(field)).length;
+  }
+
+  /**
+   * Decide which header fields are the employer, title and location
+   * @param {string[]} fields - Header fields in reading order
+   * @returns {Object} - { employer, title, location }
+   */
+  assignFields(fields) {
+    const location = fields.find(field => LOCATION_PATTERN.test(field)) || null;
+    const names = fields.filter(field => field !== location);
+
+    const titleIndex = names.findIndex(field => TITLE_KEYWORDS.test(field));
+    const title = titleIndex >= 0 ? names[titleIndex] : (names[1] || null);
+    const employer = names.find(field => field !== title) || null;
+
+    return { employer, title, location };
+  }
+}
+
+// Create singleton instance
+const sectionParser = new SectionParser();
+
+module.exports = sectionParser;
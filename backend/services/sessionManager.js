@@ -1,19 +1,78 @@
 const { v4: uuidv4 } = require("uuid");
+const { createSessionStore } = require("./sessionStores");
+const MemorySessionStore = require("./sessionStores/memoryStore");
+
+// Statuses that mean processing has finished and nothing is left running
+const FINAL_STATUSES = ["completed", "error", "cancelled"];
 
 /**
  * Session Management System
- * Handles in-memory session storage with status tracking, cleanup, and expiration
+ * Handles session storage with status tracking, cleanup, and expiration.
+ * Storage is delegated to a session store adapter (in-memory by default, see SESSION_STORE).
  */
 class SessionManager {
-  constructor() {
-    this.sessions = new Map();
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.store - Session store instance, overrides SESSION_STORE
+   */
+  constructor(options = {}) {
+    this.sessions = options.store || this.createStore();
     this.cleanupInterval = null;
     this.defaultExpirationTime = 60 * 60 * 1000; // 60 minutes in milliseconds (extended for better UX)
 
+    if (this.sessions.persistent) {
+      this.recoverInterruptedSessions();
+    }
+
     // Start cleanup process
     this.startCleanupProcess();
   }
 
+  /**
+   * Create the configured session store, falling back to memory if it cannot be opened
+   * @returns {Object} - Session store
+   */
+  createStore() {
+    try {
+      const store = createSessionStore();
+      console.log(`[SESSION] Using ${store.name} session store`);
+      return store;
+    } catch (error) {
+      console.error(`[SESSION] Failed to open session store, falling back to memory: ${error.message}`);
+      return new MemorySessionStore();
+    }
+  }
+
+  /**
+   * Mark sessions that were mid-processing when the server stopped as failed,
+   * so clients see a retryable error instead of waiting forever
+   * @returns {number} - Number of sessions marked as interrupted
+   */
+  recoverInterruptedSessions() {
+    let recoveredCount = 0;
+
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (FINAL_STATUSES.includes(session.status) || this.isSessionExpired(session)) {
+        continue;
+      }
+
+      this.sessions.set(sessionId, {
+        ...session,
+        status: "error",
+        lastError: "Processing was interrupted by a server restart. Please try again.",
+        errorCode: "SERVER_RESTARTED",
+        updatedAt: new Date(),
+      });
+      recoveredCount++;
+    }
+
+    if (recoveredCount > 0) {
+      console.log(`[SESSION] Marked ${recoveredCount} interrupted session(s) as failed after restart`);
+    }
+
+    return recoveredCount;
+  }
+
   /**
    * Create a new session with unique ID
    * @param {Object} initialData - Initial session data
@@ -54,7 +113,7 @@ class SessionManager {
     console.log(`[SESSION] Retrieving session ${sessionId}, found in map: ${!!session}`);
 
     if (!session) {
-      console.log(`[SESSION] Session not found: ${sessionId}, available sessions: ${Array.from(this.sessions.keys()).join(', ')}`);
+      console.log(`[SESSION] Session not found: ${sessionId}`);
       return null;
     }
 
@@ -246,6 +305,8 @@ class SessionManager {
         console.log(`Cleaned up ${cleanedCount} expired sessions`);
       }
     }, intervalMs);
+    // Housekeeping only: it must not keep the process (or a test run) alive
+    this.cleanupInterval.unref();
   }
 
   /**
@@ -258,6 +319,14 @@ class SessionManager {
     }
   }
 
+  /**
+   * Stop the cleanup process and close the session store
+   */
+  close() {
+    this.stopCleanupProcess();
+    this.sessions.close();
+  }
+
   /**
    * Clear all sessions (useful for testing)
    */
@@ -285,4 +354,5 @@ class SessionManager {
 // Create singleton instance
 const sessionManager = new SessionManager();
 
-module.exports = sessionManager;
\ No newline at end of file
+module.exports = sessionManager;
+module.exports.SessionManager = SessionManager;
\ No newline at end of file
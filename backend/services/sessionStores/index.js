@@ -0,0 +1,62 @@
+const MemorySessionStore = require('./memoryStore');
+const SQLiteSessionStore = require('./sqliteStore');
+
+/**
+ * Session Store Registry
+ * Storage adapters behind SessionManager. The active store is chosen with the
+ * SESSION_STORE environment variable; the in-memory store is the default.
+ *
+ * Every store exposes the same synchronous, Map-like interface:
+ * get, set, has, delete, keys, values, entries, clear, size and close.
+ */
+const stores = new Map([
+  ['memory', () => new MemorySessionStore()],
+  ['sqlite', (options) => new SQLiteSessionStore(options)]
+]);
+
+const DEFAULT_STORE = 'memory';
+
+/**
+ * Register an additional session store factory
+ * @param {string} name - Store name used in SESSION_STORE
+ * @param {Function} factory - Function receiving options and returning a store instance
+ */
+function registerSessionStore(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Session store name and factory function are required');
+  }
+
+  stores.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Create the configured session store
+ * @param {Object} options - Store options
+ * @param {string} options.store - Store name, overrides SESSION_STORE
+ * @returns {Object} Store instance
+ * @throws {Error} If the store is unknown or fails to open
+ */
+function createSessionStore(options = {}) {
+  const name = (options.store || process.env.SESSION_STORE || DEFAULT_STORE).toLowerCase();
+  const factory = stores.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown session store: ${name}. Available stores: ${getAvailableSessionStores().join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Get names of all registered session stores
+ * @returns {string[]} Store names
+ */
+function getAvailableSessionStores() {
+  return Array.from(stores.keys());
+}
+
+module.exports = {
+  createSessionStore,
+  registerSessionStore,
+  getAvailableSessionStores
+};
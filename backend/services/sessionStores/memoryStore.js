@@ -0,0 +1,95 @@
+/**
+ * In-memory session store
+ * Default storage adapter; sessions are lost when the process restarts
+ */
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object|undefined} - Stored session
+   */
+  get(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Store a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session data
+   * @returns {MemorySessionStore} - The store
+   */
+  set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+    return this;
+  }
+
+  /**
+   * Check whether a session is stored
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - Existence status
+   */
+  has(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - True if a session was removed
+   */
+  delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Iterate over stored session IDs
+   * @returns {Iterator<string>} - Session IDs
+   */
+  keys() {
+    return this.sessions.keys();
+  }
+
+  /**
+   * Iterate over stored sessions
+   * @returns {Iterator<Object>} - Sessions
+   */
+  values() {
+    return this.sessions.values();
+  }
+
+  /**
+   * Iterate over [sessionId, session] pairs
+   * @returns {Iterator<Array>} - Entries
+   */
+  entries() {
+    return this.sessions.entries();
+  }
+
+  /**
+   * Remove all sessions
+   */
+  clear() {
+    this.sessions.clear();
+  }
+
+  /**
+   * Number of stored sessions, including expired ones not yet cleaned up
+   * @returns {number} - Session count
+   */
+  get size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Release resources (nothing to do for memory storage)
+   */
+  close() {}
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const piiRedactor = require('../piiRedactor');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../../data/sessions.db');
+
+// Resume text and the details parsed from it; kept in memory only, never written to the database
+const MEMORY_ONLY_FIELDS = ['extractedText', 'sections', 'profile', 'streamingContent'];
+
+/**
+ * SQLite session store
+ * Persists sessions to a single database file so completed analyses survive restarts.
+ * Sessions are stored as JSON; Date fields are tagged so they round-trip as Dates.
+ * The resume text and profile are not stored, and job descriptions are stored with
+ * contact details redacted, so the file holds no more candidate PII than needed.
+ */
+class SQLiteSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filename - Database file path (or ':memory:')
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.persistent = true;
+    this.filename = options.filename || process.env.SESSION_DB_PATH || DEFAULT_DB_PATH;
+    // sessionId -> { fields: memory-only fields, jobDescription: the original and its redacted copy }
+    this.unstored = new Map();
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite session store requires the better-sqlite3 package');
+    }
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        session_id TEXT PRIMARY KEY,
+        status TEXT,
+        data TEXT NOT NULL,
+        expires_at INTEGER,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM sessions WHERE session_id = ?'),
+      set: this.db.prepare(`
+        INSERT INTO sessions (session_id, status, data, expires_at, updated_at)
+        VALUES (@sessionId, @status, @data, @expiresAt, @updatedAt)
+        ON CONFLICT(session_id) DO UPDATE SET
+          status = excluded.status,
+          data = excluded.data,
+          expires_at = excluded.expires_at,
+          updated_at = excluded.updated_at
+      `),
+      has: this.db.prepare('SELECT 1 FROM sessions WHERE session_id = ?'),
+      delete: this.db.prepare('DELETE FROM sessions WHERE session_id = ?'),
+      all: this.db.prepare('SELECT session_id, data FROM sessions ORDER BY rowid'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM sessions'),
+      clear: this.db.prepare('DELETE FROM sessions')
+    };
+  }
+
+  /**
+   * Serialize a session, tagging Date values
+   * @param {Object} session - Session data
+   * @returns {string} - JSON text
+   */
+  serialize(session) {
+    return JSON.stringify(session, function (key, value) {
+      // `this[key]` is the raw value; `value` has already been through Date#toJSON
+      return this[key] instanceof Date ? { $date: value } : value;
+    });
+  }
+
+  /**
+   * Deserialize a session, restoring tagged Date values
+   * @param {string} data - JSON text
+   * @returns {Object} - Session data
+   */
+  deserialize(data) {
+    return JSON.parse(data, (key, value) =>
+      value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+        ? new Date(value.$date)
+        : value
+    );
+  }
+
+  /**
+   * Split a session into the data written to the database and the fields kept in memory
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session data
+   * @returns {Object} - Session data to write
+   */
+  toStored(sessionId, session) {
+    const stored = { ...session };
+    const fields = {};
+
+    for (const field of MEMORY_ONLY_FIELDS) {
+      if (field in stored) {
+        fields[field] = stored[field];
+        delete stored[field];
+      }
+    }
+
+    // Kept so a retry after a restart still matches the job, without the recruiter's contact details
+    let jobDescription = this.unstored.get(sessionId)?.jobDescription;
+    if (typeof session.jobDescription === 'string') {
+      if (jobDescription?.original !== session.jobDescription) {
+        jobDescription = { original: session.jobDescription, redacted: piiRedactor.redact(session.jobDescription).text };
+      }
+      fields.jobDescription = jobDescription.original;
+      stored.jobDescription = jobDescription.redacted;
+    }
+
+    this.unstored.set(sessionId, { fields, jobDescription });
+    return stored;
+  }
+
+  /**
+   * Add the fields kept in memory back to a session read from the database
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Stored session data
+   * @returns {Object} - Session data
+   */
+  fromStored(sessionId, session) {
+    return { ...session, ...this.unstored.get(sessionId)?.fields };
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object|undefined} - Stored session
+   */
+  get(sessionId) {
+    const row = this.statements.get.get(sessionId);
+    return row ? this.fromStored(sessionId, this.deserialize(row.data)) : undefined;
+  }
+
+  /**
+   * Store a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session data
+   * @returns {SQLiteSessionStore} - The store
+   */
+  set(sessionId, session) {
+    const expiresAt = session.expiresAt ? new Date(session.expiresAt).getTime() : null;
+
+    this.statements.set.run({
+      sessionId,
+      status: session.status || null,
+      data: this.serialize(this.toStored(sessionId, session)),
+      expiresAt: Number.isNaN(expiresAt) ? null : expiresAt,
+      updatedAt: Date.now()
+    });
+    return this;
+  }
+
+  /**
+   * Check whether a session is stored
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - Existence status
+   */
+  has(sessionId) {
+    return !!this.statements.has.get(sessionId);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - True if a session was removed
+   */
+  delete(sessionId) {
+    this.unstored.delete(sessionId);
+    return this.statements.delete.run(sessionId).changes > 0;
+  }
+
+  /**
+   * Iterate over stored session IDs
+   * @returns {Iterator<string>} - Session IDs
+   */
+  *keys() {
+    for (const [sessionId] of this.entries()) {
+      yield sessionId;
+    }
+  }
+
+  /**
+   * Iterate over stored sessions
+   * @returns {Iterator<Object>} - Sessions
+   */
+  *values() {
+    for (const [, session] of this.entries()) {
+      yield session;
+    }
+  }
+
+  /**
+   * Iterate over [sessionId, session] pairs
+   * Rows are read up front so callers may delete while iterating
+   * @returns {Iterator<Array>} - Entries
+   */
+  *entries() {
+    const rows = this.statements.all.all();
+    for (const row of rows) {
+      yield [row.session_id, this.fromStored(row.session_id, this.deserialize(row.data))];
+    }
+  }
+
+  /**
+   * Remove all sessions
+   */
+  clear() {
+    this.unstored.clear();
+    this.statements.clear.run();
+  }
+
+  /**
+   * Number of stored sessions, including expired ones not yet cleaned up
+   * @returns {number} - Session count
+   */
+  get size() {
+    return this.statements.count.get().count;
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SQLiteSessionStore;
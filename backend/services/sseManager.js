@@ -8,6 +8,9 @@ class SSEManager extends EventEmitter {
   constructor() {
     super();
     this.connections = new Map(); // sessionId -> Set of response objects
+    this.eventLogs = new Map(); // sessionId -> { lastId, lastEventAt, events }
+    this.maxEventsPerSession = parseInt(process.env.SSE_EVENT_LOG_SIZE, 10) || 500;
+    this.eventLogTtl = 60 * 60 * 1000; // Keep logs as long as a session normally lives
     this.connectionCleanupInterval = null;
     this.heartbeatInterval = null;
     
@@ -87,8 +90,104 @@ class SSEManager extends EventEmitter {
     console.log(`SSE connection closed for session: ${sessionId}`);
   }
 
+  /**
+   * Append an event to the session's bounded event log
+   * @param {string} sessionId - Session ID
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event data
+   * @returns {number} - Event ID
+   */
+  recordEvent(sessionId, eventType, data) {
+    let log = this.eventLogs.get(sessionId);
+    if (!log) {
+      log = { lastId: 0, lastEventAt: 0, events: [] };
+      this.eventLogs.set(sessionId, log);
+    }
+
+    const id = ++log.lastId;
+    log.lastEventAt = Date.now();
+    log.events.push({ id, eventType, data });
+
+    if (log.events.length > this.maxEventsPerSession) {
+      log.events.shift();
+    }
+
+    return id;
+  }
+
+  /**
+   * Replay logged events newer than lastEventId to a single connection
+   * @param {string} sessionId - Session ID
+   * @param {Object} res - Express response object
+   * @param {number} lastEventId - Last event ID the client received
+   * @returns {Object} - Number of replayed events and whether the client is now fully caught up
+   */
+  replayEvents(sessionId, res, lastEventId) {
+    const log = this.eventLogs.get(sessionId);
+    if (!log || !Number.isInteger(lastEventId) || lastEventId < 0 || lastEventId > log.lastId) {
+      // Unknown position (e.g. the log was lost in a restart): the caller must send a snapshot
+      return { replayed: 0, complete: false };
+    }
+
+    const missed = log.events.filter(event => event.id > lastEventId);
+    const oldestId = log.events.length > 0 ? log.events[0].id : log.lastId + 1;
+
+    for (const event of missed) {
+      this.sendEvent(res, event.eventType, event.data, event.id);
+    }
+
+    console.log(`Replayed ${missed.length} SSE event(s) after ID ${lastEventId} for session: ${sessionId}`);
+
+    return {
+      replayed: missed.length,
+      complete: oldestId <= lastEventId + 1
+    };
+  }
+
+  /**
+   * Send an event to one connection without logging it (e.g. per-connection status snapshots)
+   * @param {string} sessionId - Session ID
+   * @param {Object} res - Express response object
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event data
+   */
+  sendToConnection(sessionId, res, eventType, data) {
+    this.sendEvent(res, eventType, {
+      sessionId,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
+  }
+
+  /**
+   * Remove the event log for a session
+   * @param {string} sessionId - Session ID
+   */
+  clearEventLog(sessionId) {
+    this.eventLogs.delete(sessionId);
+  }
+
+  /**
+   * Remove event logs that have been idle longer than the TTL and have no connections
+   * @returns {number} - Number of logs removed
+   */
+  pruneEventLogs() {
+    const cutoff = Date.now() - this.eventLogTtl;
+    let prunedCount = 0;
+
+    for (const [sessionId, log] of this.eventLogs.entries()) {
+      if (log.lastEventAt < cutoff && this.getConnectionCount(sessionId) === 0) {
+        this.eventLogs.delete(sessionId);
+        prunedCount++;
+      }
+    }
+
+    return prunedCount;
+  }
+
   /**
    * Broadcast event to all connections for a session
+   * The event is logged first so clients that are not connected can replay it later
    * @param {string} sessionId - Session ID
    * @param {string} eventType - Event type
    * @param {Object} data - Event data
@@ -98,24 +197,27 @@ class SSEManager extends EventEmitter {
       return;
     }
 
-    const sessionConnections = this.connections.get(sessionId);
-    if (!sessionConnections || sessionConnections.size === 0) {
-      return;
-    }
-
     const eventData = {
       sessionId,
       timestamp: new Date().toISOString(),
       ...data
     };
 
+    const eventId = this.recordEvent(sessionId, eventType, eventData);
+    this.emit('event', sessionId, eventType, eventData);
+
+    const sessionConnections = this.connections.get(sessionId);
+    if (!sessionConnections || sessionConnections.size === 0) {
+      return;
+    }
+
     // Send to all connections for this session
     const deadConnections = [];
     
     for (const res of sessionConnections) {
       try {
         if (!res.destroyed && !res.finished) {
-          this.sendEvent(res, eventType, eventData);
+          this.sendEvent(res, eventType, eventData, eventId);
         } else {
           deadConnections.push(res);
         }
@@ -136,14 +238,16 @@ class SSEManager extends EventEmitter {
    * @param {Object} res - Express response object
    * @param {string} eventType - Event type
    * @param {Object} data - Event data
+   * @param {number} id - Optional event ID, echoed back by EventSource as Last-Event-ID
    */
-  sendEvent(res, eventType, data) {
+  sendEvent(res, eventType, data, id = null) {
     if (!res || res.destroyed || res.finished) {
       return;
     }
 
     try {
-      const eventString = `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+      const idLine = id !== null ? `id: ${id}\n` : '';
+      const eventString = `${idLine}event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
       res.write(eventString);
     } catch (error) {
       console.error('Error writing SSE event:', error);
@@ -240,7 +344,10 @@ class SSEManager extends EventEmitter {
 
     this.connectionCleanupInterval = setInterval(() => {
       this.cleanupDeadConnections();
+      this.pruneEventLogs();
     }, 30000); // Clean up every 30 seconds
+    // Housekeeping only: it must not keep the process (or a test run) alive
+    this.connectionCleanupInterval.unref();
   }
 
   /**
@@ -254,6 +361,7 @@ class SSEManager extends EventEmitter {
     this.heartbeatInterval = setInterval(() => {
       this.sendHeartbeat();
     }, 30000); // Send heartbeat every 30 seconds
+    this.heartbeatInterval.unref();
   }
 
   /**
@@ -323,6 +431,7 @@ class SSEManager extends EventEmitter {
     return {
       totalSessions: this.connections.size,
       totalConnections: this.getTotalConnectionCount(),
+      eventLogs: this.eventLogs.size,
       sessionsWithConnections: Array.from(this.connections.keys()).map(sessionId => ({
         sessionId,
         connectionCount: this.getConnectionCount(sessionId)
@@ -0,0 +1,174 @@
+/**
+ * Streaming JSON Parser
+ * Reads a JSON object as it streams in and reports each top-level member as
+ * soon as its value is complete. Members listed in splitArrays are reported
+ * one array item at a time instead, e.g. each entry of "improvements".
+ */
+class StreamingJsonParser {
+  /**
+   * @param {Function} onSection - Called with { key, value } per member, or { key, index, value } per split array item
+   * @param {Object} options - Parser options
+   * @param {string[]} options.splitArrays - Top-level array members reported item by item
+   */
+  constructor(onSection, options = {}) {
+    this.onSection = onSection;
+    this.splitArrays = new Set(options.splitArrays || []);
+
+    this.text = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.done = false;
+
+    this.stringStart = -1;
+    this.currentKey = null; // Top-level key whose value is being read
+    this.valueStart = -1;
+    this.itemStart = -1;
+    this.itemIndex = 0;
+  }
+
+  /**
+   * Feed the next chunk of the stream
+   * @param {string} chunk - Streamed text
+   */
+  push(chunk) {
+    if (this.done || !chunk) {
+      return;
+    }
+
+    this.text += chunk;
+
+    for (; this.position < this.text.length && !this.done; this.position++) {
+      this.read(this.text[this.position], this.position);
+    }
+  }
+
+  /**
+   * Advance the parser state by one character
+   * @param {string} char - Character
+   * @param {number} index - Offset of the character in the stream
+   */
+  read(char, index) {
+    if (this.inString) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (char === '\\') {
+        this.escaped = true;
+      } else if (char === '"') {
+        this.inString = false;
+        this.endString(index);
+      }
+      return;
+    }
+
+    // Prose or a markdown fence before the object is skipped
+    if (this.depth === 0 && char !== '{') {
+      return;
+    }
+
+    if (char === '"') {
+      this.inString = true;
+      this.stringStart = index;
+    } else if (char === '{' || char === '[') {
+      this.openBracket(char, index);
+    } else if (char === '}' || char === ']') {
+      this.closeBracket(index);
+    } else if (char === ',' && this.depth === 1) {
+      // End of a scalar member
+      this.emitMember(index);
+    } else if (char === ':' && this.depth === 1) {
+      this.valueStart = index + 1;
+    }
+  }
+
+  /**
+   * Record a top-level key once its closing quote is read
+   * @param {number} index - Offset of the closing quote
+   */
+  endString(index) {
+    if (this.depth === 1 && this.valueStart === -1) {
+      this.currentKey = this.parse(this.text.slice(this.stringStart, index + 1));
+    }
+  }
+
+  /**
+   * Handle an opening bracket
+   * @param {string} char - "{" or "["
+   * @param {number} index - Offset of the bracket
+   */
+  openBracket(char, index) {
+    this.depth++;
+
+    // An object directly inside a split array starts a new item
+    if (this.depth === 3 && char === '{' && this.splitArrays.has(this.currentKey) && this.itemStart === -1) {
+      this.itemStart = index;
+    }
+  }
+
+  /**
+   * Handle a closing bracket
+   * @param {number} index - Offset of the bracket
+   */
+  closeBracket(index) {
+    this.depth--;
+
+    if (this.depth === 2 && this.itemStart !== -1) {
+      const value = this.parse(this.text.slice(this.itemStart, index + 1));
+      if (value !== undefined) {
+        this.onSection({ key: this.currentKey, index: this.itemIndex, value });
+      }
+      this.itemIndex++;
+      this.itemStart = -1;
+    } else if (this.depth === 1) {
+      // An object or array member is complete; split arrays were already reported item by item
+      if (this.splitArrays.has(this.currentKey)) {
+        this.resetMember();
+      } else {
+        this.emitMember(index + 1);
+      }
+    } else if (this.depth === 0) {
+      this.emitMember(index);
+      this.done = true;
+    }
+  }
+
+  /**
+   * Report the member being read, if it has a value
+   * @param {number} end - Offset just past the end of the value
+   */
+  emitMember(end) {
+    if (this.currentKey !== null && this.valueStart !== -1) {
+      const raw = this.text.slice(this.valueStart, end).trim();
+      const value = raw ? this.parse(raw) : undefined;
+      if (value !== undefined) {
+        this.onSection({ key: this.currentKey, value });
+      }
+    }
+    this.resetMember();
+  }
+
+  /**
+   * Forget the current member after it has been reported
+   */
+  resetMember() {
+    this.currentKey = null;
+    this.valueStart = -1;
+    this.itemIndex = 0;
+  }
+
+  /**
+   * Parse a complete JSON value
+   * @param {string} json - JSON text
+   * @returns {*} - Parsed value, or undefined if it is not valid JSON
+   */
+  parse(json) {
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
+
+module.exports = StreamingJsonParser;
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const sessionManager = require('./sessionManager');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, '../data/usage.jsonl');
+
+// USD per million tokens. Keys are model names, or provider names for every
+// model of a provider. Override or extend with AI_PRICING.
+const DEFAULT_PRICING = {
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  ollama: { input: 0, output: 0 },
+  mock: { input: 0, output: 0 }
+};
+
+/**
+ * Load model pricing, merging AI_PRICING (a JSON object in the same shape as
+ * DEFAULT_PRICING) over the defaults
+ * @returns {Object} - Pricing by model or provider name
+ */
+function loadPricing() {
+  if (!process.env.AI_PRICING) {
+    return { ...DEFAULT_PRICING };
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING) };
+  } catch (error) {
+    console.error(`[USAGE] Ignoring invalid AI_PRICING: ${error.message}`);
+    return { ...DEFAULT_PRICING };
+  }
+}
+
+/**
+ * Create empty usage totals
+ * @returns {Object} - Totals with every counter at zero
+ */
+function createTotals() {
+  return {
+    requests: 0,
+    failedRequests: 0,
+    estimatedRequests: 0,
+    unpricedRequests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0
+  };
+}
+
+/**
+ * Add a usage record to totals
+ * @param {Object} totals - Totals to update
+ * @param {Object} record - Usage record
+ */
+function addToTotals(totals, record) {
+  totals.requests++;
+  totals.failedRequests += record.success ? 0 : 1;
+  totals.estimatedRequests += record.estimated ? 1 : 0;
+  totals.unpricedRequests += record.costUsd === null ? 1 : 0;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.costUsd = roundCost(totals.costUsd + (record.costUsd || 0));
+}
+
+/**
+ * Round a dollar amount to a millionth of a dollar
+ * @param {number} amount - Amount in USD
+ * @returns {number} - Rounded amount
+ */
+function roundCost(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Usage Tracker
+ * Records the tokens, latency and cost of every model request. Each record is
+ * added to its session (under usage) and to daily totals per model, which
+ * outlive the session. Records are also appended to a JSON lines usage log
+ * (USAGE_LOG_PATH, empty to keep totals in memory only) that is read back on
+ * startup, so totals survive restarts.
+ */
+class UsageTracker {
+  constructor() {
+    this.pricing = loadPricing();
+    this.logPath = process.env.USAGE_LOG_PATH ?? DEFAULT_LOG_PATH;
+    // "date|provider|model" -> { date, provider, model, ...totals }
+    this.daily = new Map();
+
+    if (this.logPath) {
+      this.load();
+    }
+  }
+
+  /**
+   * Get the price of a model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {Object|null} - { input, output } in USD per million tokens, or null if unpriced
+   */
+  getPrice(provider, model) {
+    return this.pricing[model] || this.pricing[provider] || null;
+  }
+
+  /**
+   * Calculate the cost of a model request
+   * @param {Object} usage - Usage record from the AI provider
+   * @returns {number|null} - Cost in USD, or null if the model has no price
+   */
+  calculateCost(usage) {
+    const price = this.getPrice(usage.provider, usage.model);
+    if (!price) {
+      return null;
+    }
+
+    return roundCost((usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6);
+  }
+
+  /**
+   * Record the usage of a model request made for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} usage - Usage record from the AI provider
+   * @returns {Object} - The record with its cost
+   */
+  record(sessionId, usage) {
+    const record = { ...usage, costUsd: this.calculateCost(usage) };
+
+    this.addToDaily(record);
+    this.addToSession(sessionId, record);
+
+    if (this.logPath) {
+      try {
+        fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+        fs.appendFileSync(this.logPath, `${JSON.stringify({ sessionId, ...record })}\n`);
+      } catch (error) {
+        console.error(`[USAGE] Failed to write usage log: ${error.message}`);
+      }
+    }
+
+    console.log(`[USAGE] Session ${sessionId}: ${record.model} ${record.purpose}, ${record.totalTokens} tokens${record.estimated ? ' (estimated)' : ''}, ${record.latencyMs}ms`);
+    return record;
+  }
+
+  /**
+   * Add a record to its session's request list and totals
+   * @param {string} sessionId - Session ID
+   * @param {Object} record - Usage record with its cost
+   */
+  addToSession(sessionId, record) {
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+
+    // Extend the session's running totals and request list instead of rebuilding them from every request;
+    // the session keeps the list under requests, in place of the request count
+    const { requests = [], ...totals } = session.usage || {};
+    const updated = { ...createTotals(), ...totals, requests: requests.length };
+    addToTotals(updated, record);
+    requests.push(record);
+
+    sessionManager.updateSession(sessionId, { usage: { ...updated, requests } });
+  }
+
+  /**
+   * Add a record to the totals of its day and model
+   * @param {Object} record - Usage record with its cost
+   */
+  addToDaily(record) {
+    const date = record.timestamp.slice(0, 10);
+    const key = `${date}|${record.provider}|${record.model}`;
+
+    if (!this.daily.has(key)) {
+      this.daily.set(key, { date, provider: record.provider, model: record.model, ...createTotals() });
+    }
+    addToTotals(this.daily.get(key), record);
+  }
+
+  /**
+   * Rebuild the daily totals from the usage log
+   */
+  load() {
+    if (!fs.existsSync(this.logPath)) {
+      return;
+    }
+
+    try {
+      const lines = fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        try {
+          this.addToDaily(JSON.parse(line));
+        } catch (error) {
+          console.warn(`[USAGE] Skipping unreadable usage log line: ${error.message}`);
+        }
+      }
+      console.log(`[USAGE] Loaded ${lines.length} usage record(s) from ${this.logPath}`);
+    } catch (error) {
+      console.error(`[USAGE] Failed to read usage log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get usage between two dates, by day and model, by model and in total
+   * @param {Object} range - Date range
+   * @param {string} range.from - First day, YYYY-MM-DD (inclusive)
+   * @param {string} range.to - Last day, YYYY-MM-DD (inclusive)
+   * @returns {Object} - { totals, byModel, byDay }
+   */
+  getUsage({ from, to }) {
+    const byDay = Array.from(this.daily.values())
+      .filter(entry => entry.date >= from && entry.date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.model.localeCompare(b.model))
+      .map(entry => ({ ...entry }));
+
+    const totals = createTotals();
+    const models = new Map();
+
+    for (const entry of byDay) {
+      const key = `${entry.provider}|${entry.model}`;
+      if (!models.has(key)) {
+        models.set(key, { provider: entry.provider, model: entry.model, ...createTotals() });
+      }
+
+      for (const target of [totals, models.get(key)]) {
+        for (const counter of Object.keys(createTotals())) {
+          target[counter] += entry[counter];
+        }
+        target.costUsd = roundCost(target.costUsd);
+      }
+    }
+
+    return { totals, byModel: Array.from(models.values()), byDay };
+  }
+
+  /**
+   * Forget all recorded usage (the usage log file is left untouched)
+   */
+  reset() {
+    this.daily.clear();
+  }
+}
+
+module.exports = new UsageTracker();
@@ -0,0 +1,172 @@
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_MIN_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+/**
+ * ZIP Archive Reader
+ * Minimal in-memory reader for the ZIP containers used by DOCX files and batch uploads.
+ * Supports stored and deflated entries; ZIP64 and encrypted archives are rejected.
+ */
+class ZipReader {
+  /**
+   * @param {Buffer} buffer - Complete ZIP archive contents
+   * @param {Object} options - Reader options
+   * @param {number} options.maxEntrySize - Maximum uncompressed size of a single entry in bytes
+   */
+  constructor(buffer, options = {}) {
+    this.buffer = buffer;
+    this.maxEntrySize = options.maxEntrySize || 50 * 1024 * 1024; // Guard against zip bombs
+    this.entries = this.readCentralDirectory();
+  }
+
+  /**
+   * Check whether a buffer starts with the ZIP local file header signature
+   * @param {Buffer} buffer - Buffer to check
+   * @returns {boolean} - True if the buffer looks like a ZIP archive
+   */
+  static isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 &&
+      buffer.readUInt32LE(0) === LOCAL_FILE_HEADER_SIGNATURE;
+  }
+
+  /**
+   * Locate the end of central directory record
+   * @returns {number} - Offset of the record
+   * @throws {Error} If the record cannot be found
+   */
+  findEndOfCentralDirectory() {
+    const minOffset = Math.max(0, this.buffer.length - END_OF_CENTRAL_DIRECTORY_MIN_SIZE - MAX_COMMENT_LENGTH);
+
+    for (let offset = this.buffer.length - END_OF_CENTRAL_DIRECTORY_MIN_SIZE; offset >= minOffset; offset--) {
+      if (this.buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+        return offset;
+      }
+    }
+
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+  }
+
+  /**
+   * Read all entries from the central directory
+   * @returns {Map<string, Object>} - Entry name -> entry metadata
+   */
+  readCentralDirectory() {
+    if (!Buffer.isBuffer(this.buffer) || this.buffer.length < END_OF_CENTRAL_DIRECTORY_MIN_SIZE) {
+      throw new Error('Invalid ZIP archive: file is too small');
+    }
+
+    const eocdOffset = this.findEndOfCentralDirectory();
+    const entryCount = this.buffer.readUInt16LE(eocdOffset + 10);
+    let offset = this.buffer.readUInt32LE(eocdOffset + 16);
+
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+      throw new Error('Invalid ZIP archive: ZIP64 archives are not supported');
+    }
+
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > this.buffer.length || this.buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error('Invalid ZIP archive: corrupted central directory');
+      }
+
+      const flags = this.buffer.readUInt16LE(offset + 8);
+      const nameLength = this.buffer.readUInt16LE(offset + 28);
+      const extraLength = this.buffer.readUInt16LE(offset + 30);
+      const commentLength = this.buffer.readUInt16LE(offset + 32);
+      const name = this.buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      entries.set(name, {
+        name,
+        encrypted: (flags & 0x1) === 0x1,
+        compressionMethod: this.buffer.readUInt16LE(offset + 10),
+        compressedSize: this.buffer.readUInt32LE(offset + 20),
+        uncompressedSize: this.buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: this.buffer.readUInt32LE(offset + 42),
+        isDirectory: name.endsWith('/')
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get names of all file entries (directories excluded)
+   * @returns {string[]} - Entry names
+   */
+  getEntryNames() {
+    return Array.from(this.entries.values())
+      .filter(entry => !entry.isDirectory)
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Check if an entry exists
+   * @param {string} name - Entry name
+   * @returns {boolean} - Existence status
+   */
+  hasEntry(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Read and decompress an entry
+   * @param {string} name - Entry name
+   * @returns {Buffer|null} - Entry contents or null if the entry does not exist
+   */
+  readEntry(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.encrypted) {
+      throw new Error(`Invalid ZIP archive: entry ${name} is encrypted`);
+    }
+
+    if (entry.uncompressedSize > this.maxEntrySize) {
+      throw new Error(`Invalid ZIP archive: entry ${name} is too large`);
+    }
+
+    const headerOffset = entry.localHeaderOffset;
+    if (headerOffset + 30 > this.buffer.length || this.buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error(`Invalid ZIP archive: corrupted local header for ${name}`);
+    }
+
+    const nameLength = this.buffer.readUInt16LE(headerOffset + 26);
+    const extraLength = this.buffer.readUInt16LE(headerOffset + 28);
+    const dataStart = headerOffset + 30 + nameLength + extraLength;
+    const data = this.buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.compressionMethod === COMPRESSION_STORED) {
+      return Buffer.from(data);
+    }
+
+    if (entry.compressionMethod === COMPRESSION_DEFLATE) {
+      return zlib.inflateRawSync(data, { maxOutputLength: this.maxEntrySize });
+    }
+
+    throw new Error(`Invalid ZIP archive: unsupported compression method ${entry.compressionMethod} for ${name}`);
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {string} name - Entry name
+   * @returns {string|null} - Entry text or null if the entry does not exist
+   */
+  readEntryText(name) {
+    const data = this.readEntry(name);
+    return data ? data.toString('utf8') : null;
+  }
+}
+
+module.exports = ZipReader;
@@ -7,6 +7,9 @@ function App() {
   const [sessionId, setSessionId] = useState(null)
   const [status, setStatus] = useState('idle')
   const [feedback, setFeedback] = useState(null)
+  const [degraded, setDegraded] = useState(false)
+  // Feedback sections received while the analysis is still streaming
+  const [partialFeedback, setPartialFeedback] = useState(null)
   const [error, setError] = useState(null)
 
   const handleUploadSuccess = (uploadSessionId) => {
@@ -22,10 +25,29 @@ function App() {
 
   const handleStatusUpdate = (newStatus) => {
     setStatus(newStatus)
+    if (newStatus === 'retrying' || newStatus === 'cancelled') {
+      setPartialFeedback(null)
+    }
   }
 
-  const handleFeedbackReceived = (feedbackData) => {
+  const handleSectionReceived = ({ key, index, value }) => {
+    setPartialFeedback(prev => {
+      const next = { ...prev }
+      if (index === null || index === undefined) {
+        next[key] = value
+      } else {
+        const items = [...(next[key] || [])]
+        items[index] = value
+        next[key] = items
+      }
+      return next
+    })
+  }
+
+  const handleFeedbackReceived = (feedbackData, details = {}) => {
     setFeedback(feedbackData)
+    setPartialFeedback(null)
+    setDegraded(details.degraded || false)
     setStatus('completed')
   }
 
@@ -38,6 +60,8 @@ function App() {
     setSessionId(null)
     setStatus('idle')
     setFeedback(null)
+    setPartialFeedback(null)
+    setDegraded(false)
     setError(null)
   }
 
@@ -49,7 +73,7 @@ function App() {
             Resume Analyzer
           </h1>
           <p className="text-gray-600">
-            Upload your PDF resume to get AI-powered feedback and suggestions
+            Upload your PDF or Word resume to get AI-powered feedback and suggestions
           </p>
         </header>
 
@@ -70,15 +94,19 @@ function App() {
               error={error}
               onStatusUpdate={handleStatusUpdate}
               onFeedbackReceived={handleFeedbackReceived}
+              onSectionReceived={handleSectionReceived}
               onError={handleError}
               onReset={handleReset}
             />
           )}
 
-          {/* Feedback Display */}
-          {feedback && (
+          {/* Feedback Display, filled in section by section while the analysis streams */}
+          {(feedback || partialFeedback) && (
             <FeedbackDisplay 
-              feedback={feedback}
+              feedback={feedback || partialFeedback}
+              streaming={!feedback}
+              degraded={degraded}
+              sessionId={sessionId}
               onReset={handleReset}
             />
           )}
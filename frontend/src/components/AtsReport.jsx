@@ -0,0 +1,50 @@
+import { CheckCircle, AlertTriangle, XCircle, MinusCircle } from 'lucide-react'
+
+const STATUS_DISPLAY = {
+  pass: { icon: CheckCircle, color: 'text-green-600' },
+  warn: { icon: AlertTriangle, color: 'text-yellow-600' },
+  fail: { icon: XCircle, color: 'text-red-600' },
+  skipped: { icon: MinusCircle, color: 'text-gray-400' }
+}
+
+function AtsReport({ ats }) {
+  return (
+    <div>
+      <div className="mb-4">
+        <div className="flex justify-between text-sm mb-1">
+          <span className="text-gray-600">Parseability score</span>
+          <span className="font-medium text-gray-900">{ats.score}/100</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className={`h-2 rounded-full ${ats.score >= 80 ? 'bg-green-500' : ats.score >= 50 ? 'bg-yellow-500' : 'bg-red-500'}`}
+            style={{ width: `${ats.score}%` }}
+          />
+        </div>
+      </div>
+      <ul className="space-y-3">
+        {ats.checks.map((check) => {
+          const status = STATUS_DISPLAY[check.status] || STATUS_DISPLAY.skipped
+          const StatusIcon = status.icon
+          return (
+            <li key={check.id} className="text-sm text-gray-700 flex items-start">
+              <StatusIcon className={`w-4 h-4 mr-2 mt-0.5 flex-shrink-0 ${status.color}`} />
+              <div>
+                <span className="font-medium text-gray-900">{check.label}:</span> {check.message}
+                {check.details?.length > 0 && (
+                  <ul className="mt-1 space-y-0.5">
+                    {check.details.map((detail, index) => (
+                      <li key={index} className="text-xs text-gray-500">{detail}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default AtsReport
@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { Button } from '@/components/ui/button'
 import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card'
+import { resumeAPI } from '@/services/api'
 import { 
   CheckCircle, 
   AlertCircle, 
@@ -10,15 +11,29 @@ import {
   Lightbulb,
   RefreshCw,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Target,
+  XCircle,
+  MinusCircle,
+  Download,
+  ListChecks,
+  ScanText,
+  Loader2,
+  ClipboardList
 } from 'lucide-react'
+import LintFindings from '@/components/LintFindings'
+import AtsReport from '@/components/AtsReport'
 
-function FeedbackDisplay({ feedback, onReset }) {
+function FeedbackDisplay({ feedback, streaming, degraded, sessionId, onReset }) {
   const [expandedSections, setExpandedSections] = useState({
     clarity: true,
     grammar: true,
     skills: true,
-    improvements: true
+    improvements: true,
+    jobFit: true,
+    rubric: true,
+    lint: true,
+    ats: true
   })
 
   const toggleSection = (section) => {
@@ -59,6 +74,48 @@ function FeedbackDisplay({ feedback, onReset }) {
     }
   }
 
+  const getMatchScoreColor = (score) => {
+    if (score >= 75) return 'text-green-600 bg-green-100'
+    if (score >= 50) return 'text-yellow-600 bg-yellow-100'
+    return 'text-red-600 bg-red-100'
+  }
+
+  const getRequirementStatus = (status) => {
+    switch (status) {
+      case 'met': return { icon: CheckCircle, color: 'text-green-600', label: 'Met' }
+      case 'partial': return { icon: MinusCircle, color: 'text-yellow-600', label: 'Partially met' }
+      default: return { icon: XCircle, color: 'text-red-600', label: 'Missing' }
+    }
+  }
+
+  const renderRequirements = (requirements, title) => {
+    if (requirements.length === 0) return null
+
+    return (
+      <div className="mb-4">
+        <h4 className="font-medium text-gray-900 mb-2">{title}</h4>
+        <ul className="space-y-2">
+          {requirements.map((requirement, index) => {
+            const requirementStatus = getRequirementStatus(requirement.status)
+            const StatusIcon = requirementStatus.icon
+            return (
+              <li key={index} className="text-sm text-gray-700 flex items-start">
+                <StatusIcon className={`w-4 h-4 mr-2 mt-0.5 flex-shrink-0 ${requirementStatus.color}`} />
+                <div>
+                  <span>{requirement.requirement}</span>
+                  <span className={`ml-2 text-xs ${requirementStatus.color}`}>({requirementStatus.label})</span>
+                  {requirement.evidence && (
+                    <p className="mt-1 text-xs text-gray-500 italic">"{requirement.evidence}"</p>
+                  )}
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      </div>
+    )
+  }
+
   if (!feedback) {
     return null
   }
@@ -68,14 +125,177 @@ function FeedbackDisplay({ feedback, onReset }) {
       <CardHeader className="flex flex-row items-start justify-between pb-4">
         <div>
           <CardTitle>Resume Analysis Results</CardTitle>
-          <CardDescription>AI-powered feedback on your resume</CardDescription>
+          <CardDescription>
+            {streaming ? 'Sections appear here as the AI finishes them' : 'AI-powered feedback on your resume'}
+          </CardDescription>
         </div>
-        <Button variant="outline" size="sm" onClick={onReset}>
-          <RefreshCw className="w-4 h-4 mr-2" />
-          Analyze New Resume
-        </Button>
+        {!streaming && (
+          <div className="flex gap-2">
+            {sessionId && (
+              <Button variant="outline" size="sm" asChild>
+                <a href={resumeAPI.getReportUrl(sessionId)} download>
+                  <Download className="w-4 h-4 mr-2" />
+                  Download report
+                </a>
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={onReset}>
+              <RefreshCw className="w-4 h-4 mr-2" />
+              Analyze New Resume
+            </Button>
+          </div>
+        )}
       </CardHeader>
       <CardContent>
+        {/* The AI response was unusable, so the scores below are placeholders */}
+        {degraded && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+            <AlertCircle className="w-5 h-5 text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+            <div className="text-sm text-red-800">
+              <p className="font-medium">This analysis is incomplete</p>
+              <p>The AI response could not be read, so these scores are placeholders rather than an assessment of your resume. Please analyze it again.</p>
+            </div>
+          </div>
+        )}
+
+        {/* Job Fit Section */}
+        {feedback.jobFit && (
+          <Card className="mb-6">
+            <CardHeader className="cursor-pointer" onClick={() => toggleSection('jobFit')}>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <Target className="w-5 h-5 text-indigo-600 mr-3" />
+                  <CardTitle className="text-lg text-indigo-900">Job Fit</CardTitle>
+                  <div className={`ml-4 px-3 py-1 rounded-full text-sm font-medium ${getMatchScoreColor(feedback.jobFit.matchScore)}`}>
+                    {feedback.jobFit.matchScore}% match
+                  </div>
+                </div>
+                {expandedSections.jobFit ? (
+                  <ChevronUp className="w-5 h-5 text-indigo-600" />
+                ) : (
+                  <ChevronDown className="w-5 h-5 text-indigo-600" />
+                )}
+              </div>
+            </CardHeader>
+            {expandedSections.jobFit && (
+              <CardContent>
+                {feedback.jobFit.summary && (
+                  <p className="text-sm text-gray-700 mb-4">{feedback.jobFit.summary}</p>
+                )}
+
+                {/* Keyword Coverage */}
+                {feedback.jobFit.keywordCoverage && (
+                  <div className="mb-4">
+                    <h4 className="font-medium text-gray-900 mb-2">
+                      Keyword Coverage ({feedback.jobFit.keywordCoverage.coveragePercent ?? 0}%)
+                    </h4>
+                    <div className="flex flex-wrap gap-2">
+                      {(feedback.jobFit.keywordCoverage.matched || []).map((keyword, index) => (
+                        <span key={`matched-${index}`} className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm">
+                          {keyword}
+                        </span>
+                      ))}
+                      {(feedback.jobFit.keywordCoverage.missing || []).map((keyword, index) => (
+                        <span key={`missing-${index}`} className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-sm line-through">
+                          {keyword}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Requirements */}
+                {renderRequirements(
+                  feedback.jobFit.requirements.filter(requirement => requirement.type !== 'nice-to-have'),
+                  'Must-have Requirements'
+                )}
+                {renderRequirements(
+                  feedback.jobFit.requirements.filter(requirement => requirement.type === 'nice-to-have'),
+                  'Nice-to-have Requirements'
+                )}
+
+                {/* Tailored Improvements */}
+                {feedback.jobFit.tailoredImprovements && feedback.jobFit.tailoredImprovements.length > 0 && (
+                  <div>
+                    <h4 className="font-medium text-gray-900 mb-2 flex items-center">
+                      <Lightbulb className="w-4 h-4 text-indigo-600 mr-2" />
+                      Tailor Your Resume for This Job
+                    </h4>
+                    <div className="space-y-3">
+                      {feedback.jobFit.tailoredImprovements.map((improvement, index) => (
+                        <div key={index} className="p-3 bg-white border rounded-lg">
+                          <div className="flex items-start justify-between mb-2">
+                            <p className="text-sm text-gray-700">{improvement.suggestion}</p>
+                            <span className={`ml-2 px-2 py-1 rounded-full text-xs font-medium border flex-shrink-0 ${getPriorityColor(improvement.priority)}`}>
+                              {getPriorityText(improvement.priority)}
+                            </span>
+                          </div>
+                          {improvement.example && (
+                            <div className="bg-gray-50 p-2 rounded border-l-4 border-indigo-400">
+                              <p className="text-sm text-gray-600">
+                                <strong>Example:</strong> {improvement.example}
+                              </p>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            )}
+          </Card>
+        )}
+
+        {/* Rubric Section */}
+        {feedback.rubric && (
+          <Card className="mb-6">
+            <CardHeader className="cursor-pointer" onClick={() => toggleSection('rubric')}>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <ClipboardList className="w-5 h-5 text-teal-600 mr-3" />
+                  <CardTitle className="text-lg">{feedback.rubric.name} Rubric</CardTitle>
+                  <span className="ml-2 text-xs text-gray-500">v{feedback.rubric.version}</span>
+                  {feedback.rubric.overallScore !== null && (
+                    <div className={`ml-4 px-3 py-1 rounded-full text-sm font-medium ${getMatchScoreColor(feedback.rubric.overallScore)}`}>
+                      {feedback.rubric.overallScore}/100
+                    </div>
+                  )}
+                </div>
+                {expandedSections.rubric ? (
+                  <ChevronUp className="w-5 h-5 text-teal-600" />
+                ) : (
+                  <ChevronDown className="w-5 h-5 text-teal-600" />
+                )}
+              </div>
+            </CardHeader>
+            {expandedSections.rubric && (
+              <CardContent>
+                <div className="space-y-3">
+                  {feedback.rubric.dimensions.map(dimension => (
+                    <div key={dimension.key} className="p-3 bg-white border rounded-lg">
+                      <div className="flex items-center justify-between mb-1">
+                        <h4 className="font-medium text-gray-900">{dimension.name}</h4>
+                        <div className="flex items-center">
+                          <span className="mr-2 text-xs text-gray-500">weight {dimension.weight}</span>
+                          {dimension.score !== null && (
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getScoreColor(dimension.score)}`}>
+                              {dimension.score}/10
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      {dimension.comment && (
+                        <p className="text-sm text-gray-700">{dimension.comment}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            )}
+          </Card>
+        )}
+
         {/* Clarity Section */}
         {feedback.clarity && (
           <Card className="mb-6">
@@ -347,16 +567,80 @@ function FeedbackDisplay({ feedback, onReset }) {
           </Card>
         )}
 
+        {/* Resume Checks Section */}
+        {feedback.lint && (
+          <Card className="mb-6">
+            <CardHeader className="cursor-pointer" onClick={() => toggleSection('lint')}>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <ListChecks className="w-5 h-5 text-slate-600 mr-3" />
+                  <CardTitle className="text-lg text-slate-900">Resume Checks</CardTitle>
+                  <span className="ml-4 px-3 py-1 bg-slate-200 text-slate-800 rounded-full text-sm font-medium">
+                    {feedback.lint.summary?.total || 0} found
+                  </span>
+                </div>
+                {expandedSections.lint ? (
+                  <ChevronUp className="w-5 h-5 text-slate-600" />
+                ) : (
+                  <ChevronDown className="w-5 h-5 text-slate-600" />
+                )}
+              </div>
+            </CardHeader>
+            {expandedSections.lint && (
+              <CardContent>
+                <LintFindings findings={feedback.lint.findings} />
+              </CardContent>
+            )}
+          </Card>
+        )}
+
+        {/* ATS Compatibility Section */}
+        {feedback.ats && (
+          <Card className="mb-6">
+            <CardHeader className="cursor-pointer" onClick={() => toggleSection('ats')}>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <ScanText className="w-5 h-5 text-teal-600 mr-3" />
+                  <CardTitle className="text-lg text-teal-900">ATS Compatibility</CardTitle>
+                  <div className={`ml-4 px-3 py-1 rounded-full text-sm font-medium ${getMatchScoreColor(feedback.ats.score)}`}>
+                    {feedback.ats.score}/100
+                  </div>
+                </div>
+                {expandedSections.ats ? (
+                  <ChevronUp className="w-5 h-5 text-teal-600" />
+                ) : (
+                  <ChevronDown className="w-5 h-5 text-teal-600" />
+                )}
+              </div>
+            </CardHeader>
+            {expandedSections.ats && (
+              <CardContent>
+                <AtsReport ats={feedback.ats} />
+              </CardContent>
+            )}
+          </Card>
+        )}
+
+        {/* More sections are still streaming in */}
+        {streaming && (
+          <div className="flex items-center text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Waiting for the remaining feedback...
+          </div>
+        )}
+
         {/* Summary */}
-        <Card className="mt-6">
-          <CardContent className="p-6">
-            <h3 className="font-medium text-gray-900 mb-2">Summary</h3>
-            <p className="text-sm text-gray-600">
-              Your resume has been analyzed across multiple dimensions. Focus on the high-priority improvements first, 
-              then work through medium and low-priority suggestions to enhance your resume's effectiveness.
-            </p>
-          </CardContent>
-        </Card>
+        {!streaming && (
+          <Card className="mt-6">
+            <CardContent className="p-6">
+              <h3 className="font-medium text-gray-900 mb-2">Summary</h3>
+              <p className="text-sm text-gray-600">
+                Your resume has been analyzed across multiple dimensions. Focus on the high-priority improvements first, 
+                then work through medium and low-priority suggestions to enhance your resume's effectiveness.
+              </p>
+            </CardContent>
+          </Card>
+        )}
       </CardContent>
     </Card>
   )
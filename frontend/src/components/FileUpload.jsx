@@ -1,6 +1,6 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Button } from '@/components/ui/button'
-import { Upload, FileText, AlertCircle } from 'lucide-react'
+import { Upload, FileText, AlertCircle, Briefcase, X, ClipboardList } from 'lucide-react'
 import { resumeAPI } from '@/services/api'
 import { config } from '@/config'
 
@@ -8,13 +8,37 @@ function FileUpload({ onUploadSuccess, onUploadError }) {
   const [selectedFile, setSelectedFile] = useState(null)
   const [uploading, setUploading] = useState(false)
   const [error, setError] = useState(null)
+  const [jobDescription, setJobDescription] = useState('')
+  const [jobDescriptionFile, setJobDescriptionFile] = useState(null)
+  const [rubrics, setRubrics] = useState([])
+  const [rubric, setRubric] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    // Without the list the backend scores with its default rubric
+    resumeAPI.getRubrics()
+      .then((list) => {
+        if (cancelled) return
+        setRubrics(list)
+        setRubric(list.find(entry => entry.isDefault)?.id || '')
+      })
+      .catch((err) => console.warn('Failed to load rubrics:', err.message))
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0]
     if (file) {
-      // Validate file type
-      if (!config.upload.acceptedTypes.includes(file.type)) {
-        setError('Please select a PDF file')
+      // Validate file type, falling back to the extension when the browser reports no type
+      const fileName = file.name.toLowerCase()
+      const hasAcceptedType = config.upload.acceptedTypes.includes(file.type) ||
+        config.upload.acceptedTypes.some(type => type.startsWith('.') && fileName.endsWith(type))
+      if (!hasAcceptedType) {
+        setError('Please select a PDF or DOCX file')
         return
       }
       
@@ -29,14 +53,42 @@ function FileUpload({ onUploadSuccess, onUploadError }) {
     }
   }
 
+  const handleJobDescriptionFileSelect = (event) => {
+    const file = event.target.files[0]
+    if (file) {
+      if (!config.upload.jobDescriptionTypes.includes(file.type)) {
+        setError('Job description must be a PDF or plain text file')
+        return
+      }
+
+      if (file.size > config.upload.maxSize) {
+        setError('Job description file must be less than 10MB')
+        return
+      }
+
+      setJobDescriptionFile(file)
+      setError(null)
+    }
+  }
+
   const handleUpload = async () => {
     if (!selectedFile) return
 
+    const trimmedJobDescription = jobDescription.trim()
+    if (!jobDescriptionFile && trimmedJobDescription && trimmedJobDescription.length < config.upload.jobDescriptionMinLength) {
+      setError(`Job description must be at least ${config.upload.jobDescriptionMinLength} characters`)
+      return
+    }
+
     setUploading(true)
     setError(null)
 
     try {
-      const result = await resumeAPI.uploadAndProcess(selectedFile)
+      const result = await resumeAPI.uploadAndProcess(selectedFile, {
+        jobDescription: trimmedJobDescription,
+        jobDescriptionFile,
+        rubric
+      })
       if (result.success) {
         onUploadSuccess(result.sessionId)
       } else {
@@ -70,14 +122,14 @@ function FileUpload({ onUploadSuccess, onUploadError }) {
         </h2>
         
         <p className="text-gray-600 mb-6">
-          Select a PDF file to get started with AI-powered analysis
+          Select a PDF or Word (DOCX) file to get started with AI-powered analysis
         </p>
 
         {/* File Input */}
         <div className="mb-4">
           <input
             type="file"
-            accept=".pdf"
+            accept=".pdf,.docx"
             onChange={handleFileSelect}
             className="hidden"
             id="resume-upload"
@@ -88,7 +140,7 @@ function FileUpload({ onUploadSuccess, onUploadError }) {
             className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <FileText className="w-4 h-4 mr-2" />
-            Choose PDF File
+            Choose Resume File
           </label>
         </div>
 
@@ -103,6 +155,83 @@ function FileUpload({ onUploadSuccess, onUploadError }) {
           </div>
         )}
 
+        {/* Optional Job Description */}
+        <div className="text-left mb-4">
+          <label htmlFor="job-description" className="flex items-center text-sm font-medium text-gray-700 mb-2">
+            <Briefcase className="w-4 h-4 mr-2" />
+            Job description (optional)
+          </label>
+          {jobDescriptionFile ? (
+            <div className="flex items-center justify-between bg-gray-50 rounded-md p-3 text-sm text-gray-600">
+              <div className="flex items-center">
+                <FileText className="w-4 h-4 mr-2" />
+                <span className="font-medium">{jobDescriptionFile.name}</span>
+                <span className="ml-2">({formatFileSize(jobDescriptionFile.size)})</span>
+              </div>
+              <button
+                type="button"
+                onClick={() => setJobDescriptionFile(null)}
+                className="text-gray-400 hover:text-gray-600"
+                disabled={uploading}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <>
+              <textarea
+                id="job-description"
+                value={jobDescription}
+                onChange={(event) => setJobDescription(event.target.value)}
+                placeholder="Paste the job posting to get a match score and tailored suggestions"
+                rows={4}
+                disabled={uploading}
+                className="w-full rounded-md border border-gray-300 p-3 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="file"
+                accept=".pdf,.txt"
+                onChange={handleJobDescriptionFileSelect}
+                className="hidden"
+                id="job-description-upload"
+                disabled={uploading}
+              />
+              <label
+                htmlFor="job-description-upload"
+                className="mt-1 inline-block text-xs text-blue-600 hover:underline cursor-pointer"
+              >
+                or upload the job description as a PDF or text file
+              </label>
+            </>
+          )}
+        </div>
+
+        {/* Scoring Rubric */}
+        {rubrics.length > 0 && (
+          <div className="text-left mb-4">
+            <label htmlFor="rubric" className="flex items-center text-sm font-medium text-gray-700 mb-2">
+              <ClipboardList className="w-4 h-4 mr-2" />
+              Scoring rubric
+            </label>
+            <select
+              id="rubric"
+              value={rubric}
+              onChange={(event) => setRubric(event.target.value)}
+              disabled={uploading}
+              className="w-full rounded-md border border-gray-300 bg-white p-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {rubrics.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.name}</option>
+              ))}
+            </select>
+            {rubrics.find(entry => entry.id === rubric)?.description && (
+              <p className="mt-1 text-xs text-gray-500">
+                {rubrics.find(entry => entry.id === rubric).description}
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Error Display */}
         {error && (
           <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-4">
@@ -134,9 +263,10 @@ function FileUpload({ onUploadSuccess, onUploadError }) {
 
         {/* File Requirements */}
         <div className="mt-6 text-xs text-gray-500">
-          <p>• PDF files only</p>
+          <p>• PDF or DOCX files</p>
           <p>• Maximum file size: 10MB</p>
-          <p>• Text-based PDFs work best</p>
+          <p>• Text-based PDFs and Word documents work best</p>
+          <p>• Add a job description to see how well you match the role</p>
         </div>
       </div>
     </div>
@@ -0,0 +1,52 @@
+import { AlertCircle, AlertTriangle, Info } from 'lucide-react'
+
+const SEVERITY_DISPLAY = {
+  error: { icon: AlertCircle, color: 'text-red-600', label: 'Error' },
+  warning: { icon: AlertTriangle, color: 'text-yellow-600', label: 'Warning' },
+  info: { icon: Info, color: 'text-blue-600', label: 'Tip' }
+}
+
+function LintFindings({ findings = [] }) {
+  if (findings.length === 0) {
+    return (
+      <p className="text-sm text-gray-600">No issues found by the quick checks.</p>
+    )
+  }
+
+  return (
+    <ul className="space-y-3">
+      {findings.map((finding, index) => {
+        const severity = SEVERITY_DISPLAY[finding.severity] || SEVERITY_DISPLAY.info
+        const SeverityIcon = severity.icon
+        return (
+          <li key={index} className="text-sm text-gray-700 flex items-start">
+            <SeverityIcon className={`w-4 h-4 mr-2 mt-0.5 flex-shrink-0 ${severity.color}`} />
+            <div>
+              <span>
+                {finding.line && (
+                  <span className="mr-2 px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs font-mono">
+                    Line {finding.line}
+                  </span>
+                )}
+                {finding.section && finding.section !== 'header' && (
+                  <span className="mr-2 px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs capitalize">
+                    {finding.section}
+                  </span>
+                )}
+                {finding.message}
+              </span>
+              {finding.excerpt && (
+                <p className="mt-1 text-xs text-gray-500 italic">"{finding.excerpt}"</p>
+              )}
+              {finding.suggestion && (
+                <p className="mt-1 text-xs text-gray-600">{finding.suggestion}</p>
+              )}
+            </div>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default LintFindings
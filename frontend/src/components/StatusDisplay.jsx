@@ -10,11 +10,23 @@ import {
   Brain, 
   RefreshCw,
   Upload,
+  ListChecks,
+  ScanText,
+  Lock,
+  Ban,
+  Users,
   X
 } from 'lucide-react'
+import LintFindings from '@/components/LintFindings'
 import { resumeAPI } from '@/services/api'
 import { config } from '@/config'
 
+// Extraction errors that the PDF password resolves
+const PASSWORD_ERROR_CODES = ['PDF_ENCRYPTED', 'PDF_PASSWORD_INCORRECT']
+
+// Statuses in which the backend is still working on the session and can be stopped
+const CANCELLABLE_STATUSES = ['extracting', 'extracted', 'queued', 'analyzing', 'streaming', 'retrying']
+
 const STATUS_DISPLAY = {
   uploading: {
     icon: Upload,
@@ -35,7 +47,7 @@ const STATUS_DISPLAY = {
     icon: Loader2, 
     color: 'text-blue-600', 
     bg: 'bg-blue-50 border-blue-200', 
-    message: 'Extracting text from PDF...', 
+    message: 'Extracting text from resume...', 
     animate: true,
     progress: 45
   },
@@ -46,6 +58,13 @@ const STATUS_DISPLAY = {
     message: 'Text extraction completed',
     progress: 55
   },
+  queued: {
+    icon: Users,
+    color: 'text-blue-600',
+    bg: 'bg-blue-50 border-blue-200',
+    message: 'Waiting for the AI analysis to start...',
+    progress: 60
+  },
   analyzing: { 
     icon: Brain, 
     color: 'text-purple-600', 
@@ -83,6 +102,13 @@ const STATUS_DISPLAY = {
     bg: 'bg-red-50 border-red-200', 
     message: 'An error occurred',
     progress: 0
+  },
+  cancelled: {
+    icon: Ban,
+    color: 'text-gray-600',
+    bg: 'bg-gray-50 border-gray-200',
+    message: 'Analysis cancelled',
+    progress: 0
   }
 }
 
@@ -92,12 +118,20 @@ function StatusDisplay({
   error, 
   onStatusUpdate, 
   onFeedbackReceived, 
+  onSectionReceived,
   onError, 
   onReset 
 }) {
   const [streamingText, setStreamingText] = useState('')
+  const [hasSections, setHasSections] = useState(false)
   const [extractedInfo, setExtractedInfo] = useState(null)
+  const [lint, setLint] = useState(null)
   const [retryCount, setRetryCount] = useState(0)
+  const [queuePosition, setQueuePosition] = useState(null)
+  const [errorCode, setErrorCode] = useState(null)
+  const [password, setPassword] = useState('')
+  const [submittingPassword, setSubmittingPassword] = useState(false)
+  const [cancelling, setCancelling] = useState(false)
   const [visible, setVisible] = useState(true)
   const eventSourceRef = useRef(null)
   const hideTimeoutRef = useRef(null)
@@ -165,6 +199,24 @@ function StatusDisplay({
       }
     })
 
+    eventSource.addEventListener('lint.completed', (event) => {
+      try {
+        const data = JSON.parse(event.data)
+        handleServerEvent({ type: 'lint.completed', ...data })
+      } catch (err) {
+        console.error('Error parsing lint.completed event:', err)
+      }
+    })
+
+    eventSource.addEventListener('queue.position', (event) => {
+      try {
+        const data = JSON.parse(event.data)
+        handleServerEvent({ type: 'queue.position', ...data })
+      } catch (err) {
+        console.error('Error parsing queue.position event:', err)
+      }
+    })
+
     eventSource.addEventListener('analysis.started', (event) => {
       try {
         const data = JSON.parse(event.data)
@@ -183,6 +235,15 @@ function StatusDisplay({
       }
     })
 
+    eventSource.addEventListener('analysis.section', (event) => {
+      try {
+        const data = JSON.parse(event.data)
+        handleServerEvent({ type: 'analysis.section', ...data })
+      } catch (err) {
+        console.error('Error parsing analysis.section event:', err)
+      }
+    })
+
     eventSource.addEventListener('analysis.completed', (event) => {
       try {
         const data = JSON.parse(event.data)
@@ -192,6 +253,15 @@ function StatusDisplay({
       }
     })
 
+    eventSource.addEventListener('analysis.cancelled', (event) => {
+      try {
+        const data = JSON.parse(event.data)
+        handleServerEvent({ type: 'analysis.cancelled', ...data })
+      } catch (err) {
+        console.error('Error parsing analysis.cancelled event:', err)
+      }
+    })
+
     eventSource.addEventListener('error.occurred', (event) => {
       try {
         const data = JSON.parse(event.data)
@@ -279,6 +349,10 @@ function StatusDisplay({
           if (data.sessionData.streamingContent) {
             setStreamingText(data.sessionData.streamingContent)
           }
+          if (data.sessionData.lint) {
+            setLint(data.sessionData.lint)
+          }
+          setQueuePosition(data.sessionData.queuePosition || null)
         }
         break
 
@@ -300,12 +374,25 @@ function StatusDisplay({
         setExtractedInfo({
           textLength: data.extractionInfo?.textLength,
           pageCount: data.extractionInfo?.pageCount,
-          hasText: data.extractionInfo?.hasText
+          hasText: data.extractionInfo?.hasText,
+          extractionMethod: data.extractionInfo?.extractionMethod,
+          ocrConfidence: data.extractionInfo?.ocrConfidence,
+          sections: data.extractionInfo?.sections || []
         })
         break
         
+      case 'lint.completed':
+        setLint(data.lint)
+        break
+        
+      case 'queue.position':
+        onStatusUpdate('queued')
+        setQueuePosition(data.position)
+        break
+
       case 'analysis.started':
         onStatusUpdate('analyzing')
+        setQueuePosition(null)
         setStreamingText('')
         break
         
@@ -316,21 +403,35 @@ function StatusDisplay({
         }
         break
         
+      case 'analysis.section':
+        onStatusUpdate('streaming')
+        setHasSections(true)
+        onSectionReceived({ key: data.section, index: data.index, value: data.value })
+        break
+
       case 'analysis.completed':
         onStatusUpdate('completed')
         if (data.feedback) {
-          onFeedbackReceived(data.feedback)
+          onFeedbackReceived(data.feedback, { degraded: data.degraded || false })
         }
         break
         
+      case 'analysis.cancelled':
+        onStatusUpdate('cancelled')
+        setStreamingText('')
+        setHasSections(false)
+        break
+
       case 'retry.started':
         onStatusUpdate('retrying')
         setRetryCount(data.retryInfo?.attempt || 0)
         setStreamingText('') // Clear streaming text for retry
+        setHasSections(false)
         break
         
       case 'error.occurred':
         onStatusUpdate('error')
+        setErrorCode(data.error?.code || null)
         onError(data.error?.message || data.message || 'An error occurred')
         break
         
@@ -350,6 +451,33 @@ function StatusDisplay({
     }
   }
 
+  const handleCancel = async () => {
+    setCancelling(true)
+    try {
+      await resumeAPI.cancelProcessing(sessionId)
+      onStatusUpdate('cancelled')
+    } catch (err) {
+      onError(err.message)
+    } finally {
+      setCancelling(false)
+    }
+  }
+
+  const handlePasswordSubmit = async (event) => {
+    event.preventDefault()
+    setSubmittingPassword(true)
+    try {
+      await resumeAPI.submitPassword(sessionId, password)
+      setPassword('')
+      setErrorCode(null)
+      onStatusUpdate('extracting')
+    } catch (err) {
+      onError(err.message)
+    } finally {
+      setSubmittingPassword(false)
+    }
+  }
+
   const displayConfig = STATUS_DISPLAY[status] || STATUS_DISPLAY.error
   const Icon = displayConfig.icon
 
@@ -393,7 +521,9 @@ function StatusDisplay({
               />
               <div className="flex-1">
                 <span className="font-medium text-gray-900">
-                  {displayConfig.message}
+                  {status === 'queued' && queuePosition
+                    ? `You are #${queuePosition} in line`
+                    : displayConfig.message}
                 </span>
                 {retryCount > 0 && (
                   <span className="ml-2 text-sm text-gray-600">
@@ -406,7 +536,30 @@ function StatusDisplay({
                   <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
                 </div>
               )}
+              {CANCELLABLE_STATUSES.includes(status) && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleCancel}
+                  disabled={cancelling}
+                  className="ml-3"
+                >
+                  <Ban className="w-4 h-4 mr-2" />
+                  Cancel
+                </Button>
+              )}
             </div>
+            {status === 'cancelled' && (
+              <div className="mt-4 flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={onReset}
+                >
+                  Start Over
+                </Button>
+              </div>
+            )}
           </CardContent>
         </Card>
 
@@ -434,18 +587,58 @@ function StatusDisplay({
                   </CardContent>
                 </Card>
               </div>
+              {extractedInfo.extractionMethod === 'ocr' && (
+                <div className="mt-3 text-sm text-blue-700 flex items-center bg-blue-50 p-2 rounded-md">
+                  <ScanText className="w-4 h-4 mr-1 flex-shrink-0" />
+                  <span>
+                    No selectable text found, so the text was read from the page images (OCR confidence {extractedInfo.ocrConfidence}%)
+                  </span>
+                </div>
+              )}
+              {extractedInfo.sections?.length > 0 && (
+                <div className="mt-3">
+                  <div className="text-sm text-gray-500 mb-2">Sections detected</div>
+                  <div className="flex flex-wrap gap-2">
+                    {extractedInfo.sections.filter(section => section !== 'header').map((section, index) => (
+                      <span key={index} className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs capitalize">
+                        {section}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
               {!extractedInfo.hasText && (
                 <div className="mt-3 text-sm text-orange-600 flex items-center bg-orange-50 p-2 rounded-md">
                   <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
-                  <span>Warning: Limited text found in PDF</span>
+                  <span>Warning: Limited text found in resume</span>
                 </div>
               )}
             </CardContent>
           </Card>
         )}
 
-        {/* Streaming Analysis Text */}
-        {(status === 'analyzing' || status === 'streaming') && streamingText && (
+        {/* Quick Checks - rule-based findings available before (or without) the AI analysis */}
+        {lint && (
+          <Card className="mb-4">
+            <CardHeader className="pb-3">
+              <CardTitle className="text-base flex items-center">
+                <ListChecks className="w-4 h-4 mr-2 text-blue-600" />
+                Quick Checks
+                <span className="ml-2 text-sm font-normal text-gray-500">
+                  ({lint.summary?.total || 0} found)
+                </span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="max-h-48 overflow-y-auto">
+                <LintFindings findings={lint.findings} />
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Streaming Analysis Text, until the first feedback section is shown in the results */}
+        {(status === 'analyzing' || status === 'streaming') && streamingText && !hasSections && (
           <Card className="mb-4">
             <CardHeader className="pb-3">
               <CardTitle className="text-base flex items-center">
@@ -486,17 +679,36 @@ function StatusDisplay({
                   <p className="text-sm text-red-700 mt-1">{error}</p>
                 </div>
               </div>
+
+              {PASSWORD_ERROR_CODES.includes(errorCode) && (
+                <form onSubmit={handlePasswordSubmit} className="mt-4 flex gap-2">
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="PDF password"
+                    autoComplete="off"
+                    className="flex-1 px-3 py-1.5 text-sm border border-red-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-red-200"
+                  />
+                  <Button type="submit" size="sm" disabled={!password || submittingPassword}>
+                    <Lock className="w-4 h-4 mr-2" />
+                    Unlock
+                  </Button>
+                </form>
+              )}
               
               <div className="mt-4 flex gap-2">
-                <Button 
-                  variant="outline" 
-                  size="sm" 
-                  onClick={handleRetry}
-                  className="text-red-600 border-red-300 hover:bg-red-50"
-                >
-                  <RefreshCw className="w-4 h-4 mr-2" />
-                  Retry
-                </Button>
+                {!PASSWORD_ERROR_CODES.includes(errorCode) && (
+                  <Button 
+                    variant="outline" 
+                    size="sm" 
+                    onClick={handleRetry}
+                    className="text-red-600 border-red-300 hover:bg-red-50"
+                  >
+                    <RefreshCw className="w-4 h-4 mr-2" />
+                    Retry
+                  </Button>
+                )}
                 <Button 
                   variant="outline" 
                   size="sm" 
@@ -13,7 +13,14 @@ export const config = {
   // File upload configuration
   upload: {
     maxSize: 10 * 1024 * 1024, // 10MB in bytes
-    acceptedTypes: ['.pdf', 'application/pdf'],
+    acceptedTypes: [
+      '.pdf',
+      '.docx',
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+    jobDescriptionTypes: ['application/pdf', 'text/plain'],
+    jobDescriptionMinLength: 50,
   },
 
   // SSE configuration
@@ -19,13 +19,27 @@ export const resumeAPI = {
   /**
    * Upload and process a resume file
    * @param {File} file - The resume file to upload
+   * @param {Object} [options]
+   * @param {string} [options.jobDescription] - Job description text to match against
+   * @param {File} [options.jobDescriptionFile] - Job description file (PDF or text) to match against
+   * @param {string} [options.rubric] - ID of the rubric to score the resume with
    * @returns {Promise<{sessionId: string}>}
    */
-  uploadAndProcess: async (file) => {
+  uploadAndProcess: async (file, options = {}) => {
     try {
       const formData = new FormData();
       formData.append('resume', file);
 
+      if (options.jobDescriptionFile) {
+        formData.append('jobDescriptionFile', options.jobDescriptionFile);
+      } else if (options.jobDescription?.trim()) {
+        formData.append('jobDescription', options.jobDescription.trim());
+      }
+
+      if (options.rubric) {
+        formData.append('rubric', options.rubric);
+      }
+
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), config.api.timeout);
 
@@ -63,6 +77,31 @@ export const resumeAPI = {
     }
   },
 
+  /**
+   * Get the rubrics a resume can be scored with
+   * @returns {Promise<Array<Object>>} - Latest version of every rubric, with its dimensions
+   */
+  getRubrics: async () => {
+    try {
+      const response = await fetch(`${config.api.baseUrl}/ai/rubrics`);
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new APIError(
+          error.error || `Server error: ${response.status}`,
+          error.code,
+          response.status
+        );
+      }
+
+      const result = await response.json();
+      return result.rubrics;
+    } catch (err) {
+      if (err instanceof APIError) throw err;
+      throw new APIError('Failed to load the scoring rubrics. Please ensure the backend server is running.', 'RUBRICS_ERROR');
+    }
+  },
+
   /**
    * Create SSE connection for real-time updates
    * @param {string} sessionId - The session ID to connect to
@@ -75,6 +114,15 @@ export const resumeAPI = {
     return new EventSource(url);
   },
 
+  /**
+   * Get the download URL of the PDF feedback report for a completed session
+   * @param {string} sessionId - The session ID
+   * @returns {string}
+   */
+  getReportUrl: (sessionId) => {
+    return `${config.api.baseUrl}/sessions/${encodeURIComponent(sessionId)}/report.pdf`;
+  },
+
   /**
    * Get session status
    * @param {string} sessionId - The session ID to check
@@ -125,5 +173,62 @@ export const resumeAPI = {
       if (err instanceof APIError) throw err;
       throw new APIError('Failed to retry processing. Please ensure the backend server is running.', 'RETRY_ERROR');
     }
+  },
+
+  /**
+   * Submit the password of an encrypted PDF to restart extraction
+   * @param {string} sessionId - The session ID whose upload is encrypted
+   * @param {string} password - The PDF password
+   * @returns {Promise<Object>}
+   */
+  submitPassword: async (sessionId, password) => {
+    try {
+      const response = await fetch(`${config.api.baseUrl}/process/${sessionId}/password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new APIError(
+          error.error || 'Password submission failed',
+          error.code,
+          response.status
+        );
+      }
+
+      return await response.json();
+    } catch (err) {
+      if (err instanceof APIError) throw err;
+      throw new APIError('Failed to submit the password. Please ensure the backend server is running.', 'PASSWORD_SUBMIT_ERROR');
+    }
+  },
+
+  /**
+   * Cancel the running extraction or analysis of a session
+   * @param {string} sessionId - The session ID to cancel
+   * @returns {Promise<Object>}
+   */
+  cancelProcessing: async (sessionId) => {
+    try {
+      const response = await fetch(`${config.api.baseUrl}/process/${sessionId}/cancel`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new APIError(
+          error.error || 'Cancel request failed',
+          error.code,
+          response.status
+        );
+      }
+
+      return await response.json();
+    } catch (err) {
+      if (err instanceof APIError) throw err;
+      throw new APIError('Failed to cancel processing. Please ensure the backend server is running.', 'CANCEL_ERROR');
+    }
   }
 };
\ No newline at end of file